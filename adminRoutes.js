@@ -1,6 +1,9 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { userFunctions } = require('./database');
+const { userFunctions, modelRoutingFunctions, budgetCeilingFunctions } = require('./database');
+const config = require('./utils/config');
+const smartModelSelector = require('./tools/AI/smartModelSelector');
+const budget = require('./tools/AI/budget');
 require('dotenv').config();
 
 const router = express.Router();
@@ -147,4 +150,175 @@ router.get('/generate-code', authenticateAdmin, (req, res) => {
   res.status(200).json({ suggestedCode: result });
 });
 
+/**
+ * Find a user by ID or email address
+ * @param {string} idOrEmail - User ID or email
+ * @returns {Promise<Object|undefined>} User data
+ */
+async function findUser(idOrEmail) {
+  if (String(idOrEmail).includes('@')) {
+    return userFunctions.getUserByEmail(idOrEmail);
+  }
+  return userFunctions.getUserById(idOrEmail);
+}
+
+/**
+ * Get the default model routing table
+ * @route GET /admin/model-routing
+ * @returns {Object} 200 - Routes, aliases and context limits from configuration
+ */
+router.get('/model-routing', authenticateAdmin, (req, res) => {
+  const { routes, aliases, contextLimits, defaultContextLimit } = config.ai.routing;
+  res.status(200).json({ routes, aliases, contextLimits, defaultContextLimit });
+});
+
+/**
+ * Get a user's model routing overrides
+ * @route GET /admin/users/:user/model-routing
+ * @param {string} req.params.user - User ID or email
+ * @returns {Object} 200 - User and their overrides (null if none)
+ * @returns {Object} 404 - User not found
+ */
+router.get('/users/:user/model-routing', authenticateAdmin, async (req, res) => {
+  try {
+    const user = await findUser(req.params.user);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const routes = await modelRoutingFunctions.getOverrides(user.id);
+    res.status(200).json({ userId: user.id, email: user.email, routes });
+  } catch (error) {
+    console.error('Error getting model routing overrides:', error);
+    res.status(500).json({ error: 'Failed to get model routing overrides' });
+  }
+});
+
+/**
+ * Set a user's model routing overrides
+ * @route PUT /admin/users/:user/model-routing
+ * @param {string} req.params.user - User ID or email
+ * @param {Object} req.body.routes - Route name -> model name or list of models
+ * @returns {Object} 200 - Saved overrides
+ * @returns {Object} 400 - Invalid routes
+ * @returns {Object} 404 - User not found
+ */
+router.put('/users/:user/model-routing', authenticateAdmin, async (req, res) => {
+  try {
+    const { routes } = req.body;
+    const errors = smartModelSelector.validateRoutes(routes);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const user = await findUser(req.params.user);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await modelRoutingFunctions.setOverrides(user.id, routes, req.user.id);
+    res.status(200).json({
+      message: 'Model routing overrides saved successfully',
+      userId: user.id,
+      routes
+    });
+  } catch (error) {
+    console.error('Error saving model routing overrides:', error);
+    res.status(500).json({ error: 'Failed to save model routing overrides' });
+  }
+});
+
+/**
+ * Remove a user's model routing overrides
+ * @route DELETE /admin/users/:user/model-routing
+ * @param {string} req.params.user - User ID or email
+ * @returns {Object} 200 - Deletion success
+ * @returns {Object} 404 - User or overrides not found
+ */
+router.delete('/users/:user/model-routing', authenticateAdmin, async (req, res) => {
+  try {
+    const user = await findUser(req.params.user);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const result = await modelRoutingFunctions.clearOverrides(user.id);
+    if (!result.deleted) {
+      return res.status(404).json({ error: 'No model routing overrides set for this user' });
+    }
+
+    res.status(200).json({ message: 'Model routing overrides removed' });
+  } catch (error) {
+    console.error('Error removing model routing overrides:', error);
+    res.status(500).json({ error: 'Failed to remove model routing overrides' });
+  }
+});
+
+/**
+ * Get the per-task budget ceilings of all payment plans
+ * @route GET /admin/budgets
+ * @returns {Object} 200 - Ceilings from configuration and the ones set by admins (0/null = unlimited)
+ */
+router.get('/budgets', authenticateAdmin, async (req, res) => {
+  try {
+    const { ceilings, defaultCeiling, warnAt } = config.budgets;
+    const overrides = await budgetCeilingFunctions.getAllCeilings();
+    res.status(200).json({ ceilings, defaultCeiling, warnAt, overrides });
+  } catch (error) {
+    console.error('Error getting budget ceilings:', error);
+    res.status(500).json({ error: 'Failed to get budget ceilings' });
+  }
+});
+
+/**
+ * Set the per-task budget ceiling of a payment plan
+ * @route PUT /admin/budgets/:plan
+ * @param {string} req.params.plan - Payment plan name
+ * @param {number} req.body.credits - Most credits a task may spend (0 or omitted for unlimited)
+ * @param {number} req.body.tokens - Most tokens a task may use (0 or omitted for unlimited)
+ * @returns {Object} 200 - Saved ceiling
+ * @returns {Object} 400 - Invalid ceiling
+ */
+router.put('/budgets/:plan', authenticateAdmin, async (req, res) => {
+  let ceiling;
+  try {
+    ceiling = budget.normalizeLimits(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await budgetCeilingFunctions.setCeiling(req.params.plan, ceiling, req.user.id);
+    res.status(200).json({
+      message: 'Budget ceiling saved successfully',
+      plan: req.params.plan,
+      ceiling
+    });
+  } catch (error) {
+    console.error('Error saving budget ceiling:', error);
+    res.status(500).json({ error: 'Failed to save budget ceiling' });
+  }
+});
+
+/**
+ * Remove the budget ceiling set for a payment plan, restoring the configured one
+ * @route DELETE /admin/budgets/:plan
+ * @param {string} req.params.plan - Payment plan name
+ * @returns {Object} 200 - Deletion success
+ * @returns {Object} 404 - No ceiling set for the plan
+ */
+router.delete('/budgets/:plan', authenticateAdmin, async (req, res) => {
+  try {
+    const result = await budgetCeilingFunctions.clearCeiling(req.params.plan);
+    if (!result.deleted) {
+      return res.status(404).json({ error: 'No budget ceiling set for this plan' });
+    }
+
+    res.status(200).json({ message: 'Budget ceiling removed' });
+  } catch (error) {
+    console.error('Error removing budget ceiling:', error);
+    res.status(500).json({ error: 'Failed to remove budget ceiling' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,713 @@
+const express = require('express');
+const mime = require('mime-types');
+const {
+  userFunctions,
+  chatFunctions,
+  fileFunctions,
+  taskStepFunctions,
+  templateFunctions,
+  apiKeyFunctions,
+  apiTaskFunctions,
+  apiConversationFunctions
+} = require('./database');
+const contextManager = require('./utils/context');
+const apiKeys = require('./utils/apiKeys');
+const templates = require('./utils/templates');
+const chatCompletions = require('./utils/chatCompletions');
+const budget = require('./tools/AI/budget');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+
+/**
+ * Express router for the public REST API, mounted at /api/v1.
+ * Requests authenticate with a personal API key, sent as "Authorization: Bearer <key>"
+ * or in the X-API-Key header. Each task runs unattended in a chat of its own.
+ * /v1/chat/completions follows the OpenAI Chat Completions API, so OpenAI clients
+ * can use Operon by pointing their base URL at /api/v1.
+ * @type {import('express').Router}
+ */
+const router = express.Router();
+
+const MAX_TASK_LENGTH = 10000;
+
+// IDs of API tasks running in this process
+const runningApiTasks = new Set();
+
+// How often a streamed completion checks the task's progress
+const PROGRESS_INTERVAL = 1000;
+
+// Streams without news for this long get a comment line, so proxies keep them open
+const KEEP_ALIVE_INTERVAL = 15000;
+
+/**
+ * API key authentication middleware
+ * Sets req.user to the key's owner and req.apiKey to the key
+ */
+async function authenticateApiKey(req, res, next) {
+  if (!config.api.enabled) {
+    return res.status(404).json({ error: 'The API is disabled' });
+  }
+
+  const authHeader = req.headers['authorization'] || '';
+  const key = req.headers['x-api-key'] || (authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null);
+  if (!apiKeys.isApiKey(key)) {
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  try {
+    const apiKey = await apiKeyFunctions.getApiKeyByHash(apiKeys.hashApiKey(key));
+    const dbUser = apiKey && await userFunctions.getUserById(apiKey.userId);
+    if (!dbUser) {
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
+    }
+
+    req.user = { id: dbUser.id, email: dbUser.email };
+    req.apiKey = apiKey;
+    apiKeyFunctions.touchApiKey(apiKey.id).catch(error => {
+      logger.error('Error recording API key use', { error: error.message, apiKeyId: apiKey.id });
+    });
+    next();
+  } catch (error) {
+    logger.error('Error authenticating API key', { error: error.message });
+    res.status(500).json({ error: 'Authentication verification failed' });
+  }
+}
+
+/**
+ * Middleware factory that rejects keys without the given scope
+ * @param {string} scope - Required scope, e.g. "tasks:write"
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `This API key lacks the ${scope} scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Map what the orchestrator returned to a task status
+ * @param {string} result - Orchestrator result
+ * @returns {Object} { status, result?, error? }
+ */
+function getOutcome(result) {
+  if (typeof result !== 'string') {
+    return { status: 'failed', error: 'The task returned no result' };
+  }
+  if (result.startsWith('Task cancelled by user')) {
+    return { status: 'cancelled', error: result };
+  }
+  if (/^(Critical error occurred during execution|Task already running)/.test(result)) {
+    return { status: 'failed', error: result };
+  }
+  return { status: 'completed', result };
+}
+
+/**
+ * Record a task and run it in the background
+ * @param {Object} req - Express request of the submitting API key
+ * @param {number} chatId - Chat to run the task in
+ * @param {string} task - The task
+ * @param {Object} options - Orchestrator options
+ * @returns {Promise<Object>} { id, userId, chatId, done }, where done resolves to the outcome once the task ends
+ */
+async function startApiTask(req, chatId, task, options) {
+  const userId = req.user.id;
+  const { id } = await apiTaskFunctions.createApiTask(userId, { chatId, apiKeyId: req.apiKey.id, task });
+  logger.task(userId, chatId, 'Task received via API', { apiTaskId: id, task: task.substring(0, 100) });
+
+  // Loaded lazily: the orchestrator loads the server that mounts these routes
+  const { centralOrchestrator } = require('./index');
+  runningApiTasks.add(id);
+  const done = centralOrchestrator(task, userId, chatId, false, options)
+    .then(getOutcome, error => {
+      logger.error('Error in API task', { error: error.message, userId, apiTaskId: id });
+      return { status: 'failed', error: error.message };
+    })
+    .then(async outcome => {
+      try {
+        await apiTaskFunctions.completeApiTask(id, outcome);
+      } catch (error) {
+        logger.error('Error recording API task outcome', { error: error.message, apiTaskId: id });
+      }
+      return outcome;
+    })
+    .finally(() => runningApiTasks.delete(id));
+
+  return { id, userId, chatId, done };
+}
+
+/**
+ * Describe a task for API responses. Tasks that lost their process (e.g. in a restart) show as interrupted.
+ * @param {Object} apiTask - api_tasks row
+ * @returns {Promise<Object>} Task status
+ */
+async function describeTask(apiTask) {
+  let status = apiTask.status;
+  let progress = null;
+
+  if (status === 'running') {
+    const state = await contextManager.getTaskState(apiTask.userId, apiTask.chatId);
+    if (state && state.plan) {
+      progress = { completedSteps: state.currentStepIndex || 0, totalSteps: state.plan.length };
+    } else if (!runningApiTasks.has(apiTask.id) && !(await contextManager.isTaskRunning(apiTask.userId, apiTask.chatId))) {
+      status = 'interrupted';
+    }
+  }
+
+  const taskSteps = await taskStepFunctions.getLatestTaskSteps(apiTask.userId, apiTask.chatId);
+  return {
+    id: apiTask.id,
+    chatId: apiTask.chatId,
+    task: apiTask.task,
+    status,
+    progress,
+    steps: taskSteps.map(taskStep => ({
+      index: taskStep.stepIndex,
+      step: taskStep.stepData.step,
+      action: taskStep.stepData.action,
+      expectedOutput: taskStep.stepData.expectedOutput,
+      status: taskStep.stepStatus
+    })),
+    error: apiTask.error || null,
+    createdAt: apiTask.createdAt,
+    completedAt: apiTask.completedAt
+  };
+}
+
+/**
+ * Load the task named in the route, or answer 404
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} api_tasks row, or null after responding
+ */
+async function findTask(req, res) {
+  const apiTask = await apiTaskFunctions.getApiTask(req.user.id, parseInt(req.params.id, 10));
+  if (!apiTask) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+  return apiTask;
+}
+
+/**
+ * List output files of a task's chat
+ * @param {Object} apiTask - api_tasks row
+ * @returns {Promise<Array>} File metadata with download URLs
+ */
+async function listTaskFiles(apiTask) {
+  const files = await fileFunctions.getTrackedFiles(apiTask.userId, apiTask.chatId);
+  const describe = (file, type, filePath) => ({
+    id: file.id,
+    type,
+    fileName: file.originalName || (filePath ? filePath.split('/').pop() : `file_${file.id}`),
+    path: filePath,
+    description: file.description,
+    createdAt: file.createdAt,
+    downloadUrl: `/api/v1/tasks/${apiTask.id}/files/${type}/${file.id}`
+  });
+
+  return [
+    ...files.containerFiles.map(file => describe(file, 'container', file.containerPath)),
+    ...files.hostFiles.map(file => describe(file, 'host', file.filePath))
+  ];
+}
+
+/**
+ * Submit a task. It runs without plan review or clarifying questions.
+ * @route POST /v1/tasks
+ * @param {string} req.body.task - What to do (not needed with templateId)
+ * @param {number} [req.body.chatId] - Existing chat to continue; a new chat is created otherwise
+ * @param {number} [req.body.templateId] - Start from a saved template instead of planning
+ * @param {Object} [req.body.variables] - Values for the template's placeholders
+ * @param {Object} [req.body.budget] - { credits, tokens } limit for this task
+ * @returns {Object} 202 - The submitted task
+ * @returns {Object} 400 - Invalid request
+ * @returns {Object} 402 - No credits left
+ * @returns {Object} 404 - Chat or template not found
+ * @returns {Object} 409 - A task is already running in the chat
+ * @returns {Object} 500 - Server error
+ */
+router.post('/tasks', authenticateApiKey, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { chatId, templateId, variables, budget: requestedBudget } = req.body || {};
+    let { task } = req.body || {};
+    const options = { planReview: false, allowClarification: false };
+
+    if (templateId !== undefined && templateId !== null) {
+      const template = await templateFunctions.getTemplate(userId, parseInt(templateId, 10));
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      const filled = templates.fillTemplate(template, variables || {});
+      if (filled.missing.length > 0) {
+        return res.status(400).json({ error: `Missing values for: ${filled.missing.join(', ')}` });
+      }
+      task = filled.prompt;
+      options.plan = filled.steps;
+    }
+
+    if (typeof task !== 'string' || !task.trim() || task.length > MAX_TASK_LENGTH) {
+      return res.status(400).json({ error: `task must be a non-empty string of at most ${MAX_TASK_LENGTH} characters` });
+    }
+    if (requestedBudget !== undefined && requestedBudget !== null) {
+      try {
+        options.budget = budget.normalizeLimits(requestedBudget);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
+
+    if ((await userFunctions.getRemainingCredits(userId)) <= 0) {
+      return res.status(402).json({ error: 'Insufficient credits. Please redeem a code or contact support.' });
+    }
+
+    let taskChatId;
+    if (chatId !== undefined && chatId !== null) {
+      taskChatId = parseInt(chatId, 10);
+      const chats = await chatFunctions.getUserChats(userId);
+      if (!chats.some(chat => chat.id === taskChatId)) {
+        return res.status(404).json({ error: 'Chat not found' });
+      }
+      if (await contextManager.isTaskRunning(userId, taskChatId)) {
+        return res.status(409).json({ error: 'A task is already running in this chat' });
+      }
+    } else {
+      taskChatId = (await chatFunctions.createChat(userId, task.trim().slice(0, 50))).id;
+    }
+
+    const { id } = await startApiTask(req, taskChatId, task, options);
+    res.status(202).json(await describeTask(await apiTaskFunctions.getApiTask(userId, id)));
+  } catch (error) {
+    logger.error('Error submitting API task', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to submit task' });
+  }
+});
+
+/**
+ * List the most recent tasks submitted through the API
+ * @route GET /v1/tasks
+ * @param {number} [req.query.limit] - Maximum number of tasks (default 50, at most 200)
+ * @returns {Object} 200 - Tasks, newest first
+ * @returns {Object} 500 - Server error
+ */
+router.get('/tasks', authenticateApiKey, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.status(200).json({ tasks: await apiTaskFunctions.getApiTasks(req.user.id, limit) });
+  } catch (error) {
+    logger.error('Error listing API tasks', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to list tasks' });
+  }
+});
+
+/**
+ * Get a task's status, progress and steps
+ * @route GET /v1/tasks/:id
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} 200 - Task status
+ * @returns {Object} 404 - Task not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/tasks/:id', authenticateApiKey, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const apiTask = await findTask(req, res);
+    if (apiTask) {
+      res.status(200).json(await describeTask(apiTask));
+    }
+  } catch (error) {
+    logger.error('Error getting API task', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to retrieve task' });
+  }
+});
+
+/**
+ * Get the final result of a finished task
+ * @route GET /v1/tasks/:id/result
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} 200 - Status, result text and output files
+ * @returns {Object} 404 - Task not found
+ * @returns {Object} 409 - Task is still running
+ * @returns {Object} 500 - Server error
+ */
+router.get('/tasks/:id/result', authenticateApiKey, requireScope('tasks:read'), async (req, res) => {
+  try {
+    const apiTask = await findTask(req, res);
+    if (!apiTask) {
+      return;
+    }
+
+    const { status } = await describeTask(apiTask);
+    if (status === 'running') {
+      return res.status(409).json({ error: 'Task is still running', status });
+    }
+
+    const files = req.apiKey.scopes.includes('files:read') ? await listTaskFiles(apiTask) : undefined;
+    res.status(200).json({
+      id: apiTask.id,
+      status,
+      result: apiTask.result,
+      error: apiTask.error,
+      files
+    });
+  } catch (error) {
+    logger.error('Error getting API task result', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to retrieve task result' });
+  }
+});
+
+/**
+ * Cancel a running task
+ * @route POST /v1/tasks/:id/cancel
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} 202 - Cancellation requested
+ * @returns {Object} 404 - Task not found
+ * @returns {Object} 409 - Task is not running
+ * @returns {Object} 500 - Server error
+ */
+router.post('/tasks/:id/cancel', authenticateApiKey, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const apiTask = await findTask(req, res);
+    if (!apiTask) {
+      return;
+    }
+    if (apiTask.status !== 'running' || !(await contextManager.cancelTask(apiTask.userId, apiTask.chatId))) {
+      return res.status(409).json({ error: 'Task is not running' });
+    }
+    res.status(202).json({ success: true });
+  } catch (error) {
+    logger.error('Error cancelling API task', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to cancel task' });
+  }
+});
+
+/**
+ * List a task's output files
+ * @route GET /v1/tasks/:id/files
+ * @param {string} req.params.id - Task ID
+ * @returns {Object} 200 - File metadata with download URLs
+ * @returns {Object} 404 - Task not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/tasks/:id/files', authenticateApiKey, requireScope('files:read'), async (req, res) => {
+  try {
+    const apiTask = await findTask(req, res);
+    if (apiTask) {
+      res.status(200).json({ files: await listTaskFiles(apiTask) });
+    }
+  } catch (error) {
+    logger.error('Error listing API task files', { error: error.message, userId: req.user.id });
+    res.status(500).json({ error: 'Failed to list files' });
+  }
+});
+
+/**
+ * Download one of a task's output files
+ * @route GET /v1/tasks/:id/files/:type/:fileId
+ * @param {string} req.params.id - Task ID
+ * @param {string} req.params.type - "container" or "host"
+ * @param {string} req.params.fileId - File ID
+ * @returns {Buffer} 200 - File content
+ * @returns {Object} 404 - Task or file not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/tasks/:id/files/:type/:fileId', authenticateApiKey, requireScope('files:read'), async (req, res) => {
+  try {
+    const apiTask = await findTask(req, res);
+    if (!apiTask) {
+      return;
+    }
+
+    const files = await fileFunctions.getTrackedFiles(apiTask.userId, apiTask.chatId);
+    const list = req.params.type === 'host' ? files.hostFiles : req.params.type === 'container' ? files.containerFiles : [];
+    const file = list.find(candidate => candidate.id === parseInt(req.params.fileId, 10));
+    if (!file || file.fileContent === null || file.fileContent === undefined) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const filePath = file.containerPath || file.filePath;
+    const fileName = file.originalName || (filePath ? filePath.split('/').pop() : `download_${file.id}`);
+    const contentType = mime.lookup(fileName) || 'application/octet-stream';
+
+    // Text files are stored as-is, everything else base64-encoded
+    const isBinary = contentType.indexOf('text/') !== 0 &&
+                     contentType !== 'application/json' &&
+                     contentType !== 'application/javascript';
+    const fileBuffer = Buffer.from(file.fileContent, isBinary ? 'base64' : 'utf8');
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName.replace(/"/g, '')}"`);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', fileBuffer.length);
+    res.end(fileBuffer);
+  } catch (error) {
+    logger.error('Error downloading API task file', { error: error.message, userId: req.user.id });
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to download file' });
+    }
+  }
+});
+
+/**
+ * Answer with an error in the shape OpenAI clients expect
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @param {string} type - OpenAI error type
+ */
+function sendCompletionError(res, status, message, type = 'invalid_request_error') {
+  res.status(status).json({ error: { message, type, code: null } });
+}
+
+/**
+ * Find the chat a completion request continues, or create one
+ * @param {Object} req - Express request
+ * @param {Array} messages - Chat messages of the request
+ * @param {Object} extension - The request's "operon" field
+ * @returns {Promise<Object>} { chatId, continued }, or { error, status } if the requested chat does not exist
+ */
+async function resolveCompletionChat(req, messages, extension) {
+  const userId = req.user.id;
+
+  if (extension.chat_id !== undefined && extension.chat_id !== null) {
+    const chatId = parseInt(extension.chat_id, 10);
+    const chats = await chatFunctions.getUserChats(userId);
+    if (!chats.some(chat => chat.id === chatId)) {
+      return { status: 404, error: 'Chat not found' };
+    }
+    return { chatId, continued: true };
+  }
+
+  const earlier = messages.slice(0, -1);
+  if (earlier.some(message => message.role === 'assistant')) {
+    const chatId = await apiConversationFunctions.getConversationChat(userId, chatCompletions.hashConversation(earlier));
+    if (chatId) {
+      return { chatId, continued: true };
+    }
+  }
+
+  const title = chatCompletions.getMessageText(messages[messages.length - 1]).trim().slice(0, 50);
+  return { chatId: (await chatFunctions.createChat(userId, title)).id, continued: false };
+}
+
+/**
+ * Report a task's plan and completed steps as annotations of a streamed completion
+ * @param {Object} apiTask - { userId, chatId }
+ * @param {Object} progress - What was reported so far: { planKey, completedSteps }; updated in place
+ * @param {Function} send - Writes an annotation
+ */
+async function reportProgress(apiTask, progress, send) {
+  const state = await contextManager.getTaskState(apiTask.userId, apiTask.chatId);
+  if (!state || !Array.isArray(state.plan)) {
+    return;
+  }
+
+  // Plans can change while the task runs (e.g. when a step fails and the rest is replanned)
+  const planKey = JSON.stringify(state.plan.map(step => [step.step, step.action]));
+  if (planKey !== progress.planKey) {
+    progress.planKey = planKey;
+    progress.completedSteps = Math.min(progress.completedSteps, state.plan.length);
+    send({
+      type: 'plan',
+      steps: state.plan.map((step, index) => ({ index, step: step.step, action: step.action }))
+    });
+  }
+
+  const completedSteps = Math.min(state.currentStepIndex || 0, state.plan.length);
+  for (let index = progress.completedSteps; index < completedSteps; index++) {
+    send({
+      type: 'step_completed',
+      index,
+      step: state.plan[index].step,
+      action: state.plan[index].action,
+      completedSteps: index + 1,
+      totalSteps: state.plan.length
+    });
+  }
+  progress.completedSteps = Math.max(progress.completedSteps, completedSteps);
+}
+
+/**
+ * Stream a completion as server-sent events while its task runs.
+ * The task keeps running if the client disconnects; its outcome is still recorded.
+ * @param {Object} res - Express response
+ * @param {Object} completion - { id, created, model }
+ * @param {Object} apiTask - Task from startApiTask
+ * @param {boolean} includeProgress - Whether to stream plan and step annotations
+ */
+async function streamCompletion(res, completion, apiTask, includeProgress) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let lastWrite = Date.now();
+  const write = text => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(text);
+      lastWrite = Date.now();
+    }
+  };
+  const send = data => write(`data: ${JSON.stringify(data)}\n\n`);
+  // Annotations ride on empty deltas in an extra field that other clients ignore
+  const annotate = event => send({ ...chatCompletions.createChunk(completion, {}), operon: event });
+
+  send(chatCompletions.createChunk(completion, { role: 'assistant', content: '' }));
+
+  const progress = { planKey: null, completedSteps: 0 };
+  const report = async () => {
+    if (!includeProgress) {
+      return;
+    }
+    try {
+      await reportProgress(apiTask, progress, annotate);
+    } catch (error) {
+      logger.error('Error reporting completion progress', { error: error.message, userId: apiTask.userId });
+    }
+  };
+
+  let outcome = null;
+  while (!outcome) {
+    outcome = await Promise.race([
+      apiTask.done,
+      new Promise(resolve => setTimeout(resolve, PROGRESS_INTERVAL, null))
+    ]);
+    if (res.destroyed) {
+      return;
+    }
+    await report();
+    if (Date.now() - lastWrite >= KEEP_ALIVE_INTERVAL) {
+      write(': keep-alive\n\n');
+    }
+  }
+
+  if (outcome.status === 'completed') {
+    send(chatCompletions.createChunk(completion, { content: outcome.result }));
+    send(chatCompletions.createChunk(completion, {}, 'stop'));
+  } else {
+    send({ error: { message: outcome.error, type: outcome.status === 'cancelled' ? 'cancelled' : 'server_error', code: null } });
+  }
+  write('data: [DONE]\n\n');
+  res.end();
+}
+
+/**
+ * List the models that can be requested. The agent routes each step to its own
+ * model, so there is a single entry.
+ * @route GET /v1/models
+ * @returns {Object} 200 - Model list
+ */
+router.get('/models', authenticateApiKey, (req, res) => {
+  res.status(200).json({
+    object: 'list',
+    data: [{ id: chatCompletions.MODEL_ID, object: 'model', created: 0, owned_by: 'operon' }]
+  });
+});
+
+/**
+ * Run a conversation's newest message as a task, in the format of the OpenAI Chat Completions API.
+ * Conversations continue in the chat of their earlier turns. The chat and task IDs are
+ * returned in the X-Operon-Chat-Id and X-Operon-Task-Id headers.
+ * @route POST /v1/chat/completions
+ * @param {Array} req.body.messages - Chat messages; the last one must come from the user
+ * @param {boolean} [req.body.stream] - Stream the answer as server-sent events
+ * @param {string} [req.body.model] - Echoed back; the agent picks models per step
+ * @param {Object} [req.body.operon] - Extensions: { chat_id, progress, budget }
+ * @param {number} [req.body.operon.chat_id] - Continue this chat instead of matching the conversation
+ * @param {boolean} [req.body.operon.progress] - Stream plan and step annotations in an "operon" field
+ * @param {Object} [req.body.operon.budget] - { credits, tokens } limit for this task
+ * @returns {Object} 200 - chat.completion, or a stream of chat.completion.chunk events
+ * @returns {Object} 400 - Invalid request
+ * @returns {Object} 402 - No credits left
+ * @returns {Object} 404 - Chat not found
+ * @returns {Object} 409 - A task is already running in the chat, or the task was cancelled
+ * @returns {Object} 500 - The task failed or server error
+ */
+router.post('/chat/completions', authenticateApiKey, requireScope('tasks:write'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { messages, stream, model } = req.body || {};
+    const extension = (req.body && req.body.operon) || {};
+    const options = { planReview: false, allowClarification: false };
+
+    const messageError = chatCompletions.validateMessages(messages);
+    if (messageError) {
+      return sendCompletionError(res, 400, messageError);
+    }
+    if (extension.budget !== undefined && extension.budget !== null) {
+      try {
+        options.budget = budget.normalizeLimits(extension.budget);
+      } catch (error) {
+        return sendCompletionError(res, 400, error.message);
+      }
+    }
+
+    if ((await userFunctions.getRemainingCredits(userId)) <= 0) {
+      return sendCompletionError(res, 402, 'Insufficient credits. Please redeem a code or contact support.', 'insufficient_quota');
+    }
+
+    const conversation = await resolveCompletionChat(req, messages, extension);
+    if (conversation.error) {
+      return sendCompletionError(res, conversation.status, conversation.error);
+    }
+    if (await contextManager.isTaskRunning(userId, conversation.chatId)) {
+      return sendCompletionError(res, 409, 'A task is already running in this conversation');
+    }
+
+    const task = chatCompletions.buildTask(messages, { continued: conversation.continued, maxLength: MAX_TASK_LENGTH });
+    if (task.length > MAX_TASK_LENGTH) {
+      return sendCompletionError(res, 400, `The request must be at most ${MAX_TASK_LENGTH} characters`);
+    }
+
+    const apiTask = await startApiTask(req, conversation.chatId, task, options);
+
+    // Remember the conversation including the answer, so the client's next turn continues this chat
+    apiTask.done.then(outcome => {
+      if (outcome.status === 'completed') {
+        const hash = chatCompletions.hashConversation([...messages, { role: 'assistant', content: outcome.result }]);
+        return apiConversationFunctions.saveConversation(userId, hash, conversation.chatId);
+      }
+    }).catch(error => {
+      logger.error('Error saving API conversation', { error: error.message, userId, chatId: conversation.chatId });
+    });
+
+    const completion = {
+      id: `chatcmpl-${apiTask.id}`,
+      created: Math.floor(Date.now() / 1000),
+      model: typeof model === 'string' && model ? model : chatCompletions.MODEL_ID
+    };
+    res.setHeader('X-Operon-Chat-Id', String(conversation.chatId));
+    res.setHeader('X-Operon-Task-Id', String(apiTask.id));
+
+    if (stream === true) {
+      return await streamCompletion(res, completion, apiTask, extension.progress === true);
+    }
+
+    const outcome = await apiTask.done;
+    if (outcome.status === 'cancelled') {
+      return sendCompletionError(res, 409, outcome.error, 'cancelled');
+    }
+    if (outcome.status !== 'completed') {
+      return sendCompletionError(res, 500, outcome.error, 'server_error');
+    }
+    res.status(200).json(chatCompletions.createCompletion(completion, outcome.result));
+  } catch (error) {
+    logger.error('Error in chat completion', { error: error.message, userId: req.user.id });
+    if (!res.headersSent) {
+      sendCompletionError(res, 500, 'Failed to create completion', 'server_error');
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Unknown API routes answer in JSON rather than falling through to the dashboard
+router.use((req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+module.exports = router;
@@ -1,7 +1,24 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { userFunctions, settingsFunctions } = require('./database');
+const {
+  userFunctions,
+  settingsFunctions,
+  memoryFunctions,
+  scheduledTaskFunctions,
+  templateFunctions,
+  taskStepFunctions,
+  chatFunctions,
+  apiKeyFunctions,
+  webhookFunctions,
+  webhookDeliveryFunctions
+} = require('./database');
 const emailService = require('./utils/emailService');
+const budget = require('./tools/AI/budget');
+const scheduler = require('./utils/scheduler');
+const templates = require('./utils/templates');
+const apiKeys = require('./utils/apiKeys');
+const webhooks = require('./utils/webhooks');
+const config = require('./utils/config');
 require('dotenv').config();
 
 /**
@@ -361,6 +378,52 @@ router.get('/credits', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Get the budget new tasks of the user run under
+ * @route GET /budget
+ * @returns {Object} 200 - Effective limits, the user's default budget and their plan's ceiling
+ */
+router.get('/budget', authenticateToken, async (req, res) => {
+  try {
+    const taskBudget = await settingsFunctions.getSetting(req.user.id, 'taskBudget');
+    const { limits, ceiling } = await budget.resolveBudget(req.user.id);
+    res.status(200).json({
+      limits,
+      taskBudget: taskBudget ? JSON.parse(taskBudget) : null,
+      ceiling
+    });
+  } catch (error) {
+    console.error('Error fetching budget:', error);
+    res.status(500).json({ error: 'Failed to fetch budget' });
+  }
+});
+
+/**
+ * Set the user's default per-task budget
+ * @route PUT /budget
+ * @param {number} req.body.credits - Credits a task may spend (0 or omitted for the plan ceiling)
+ * @param {number} req.body.tokens - Tokens a task may use (0 or omitted for the plan ceiling)
+ * @returns {Object} 200 - Saved budget and the limits it results in
+ * @returns {Object} 400 - Invalid budget
+ */
+router.put('/budget', authenticateToken, async (req, res) => {
+  let taskBudget;
+  try {
+    taskBudget = budget.normalizeLimits(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    await settingsFunctions.saveSetting(req.user.id, 'taskBudget', JSON.stringify(taskBudget));
+    const { limits, ceiling } = await budget.resolveBudget(req.user.id);
+    res.status(200).json({ limits, taskBudget, ceiling });
+  } catch (error) {
+    console.error('Error saving budget:', error);
+    res.status(500).json({ error: 'Failed to save budget' });
+  }
+});
+
 /**
  * Redeem a credits code
  * @route POST /redeem-code
@@ -603,6 +666,720 @@ router.delete('/settings/mcpServers', authenticateToken, async (req, res) => {
 
 });
 
+/**
+ * List what the agent remembers about the user
+ * @route GET /memories
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} [req.query.q] - Optional search text
+ * @returns {Object} 200 - Memories with their expiry time and the allowed types and durations
+ * @returns {Object} 500 - Server error
+ */
+router.get('/memories', authenticateToken, async (req, res) => {
+  try {
+    // Loaded lazily: the AI modules depend on the socket server, which loads these routes
+    const memory = require('./tools/AI/memory');
+    const memories = await memory.listMemories(req.user.id, req.query.q ? String(req.query.q) : undefined);
+    
+    res.status(200).json({
+      memories,
+      enabled: await memory.isMemoryEnabled(req.user.id),
+      types: memory.MEMORY_TYPES,
+      storageDurations: memory.getStorageDurations()
+    });
+  } catch (error) {
+    console.error('Error getting memories:', error);
+    res.status(500).json({ error: 'Failed to retrieve memories' });
+  }
+});
+
+/**
+ * Edit a memory
+ * @route PUT /memories/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Memory ID
+ * @param {Object} req.body - Fields to change (type, content, keywords, importance, storageDuration)
+ * @returns {Object} 200 - Updated memory
+ * @returns {Object} 400 - Invalid fields
+ * @returns {Object} 404 - Memory not found
+ * @returns {Object} 500 - Server error
+ */
+router.put('/memories/:id', authenticateToken, async (req, res) => {
+  try {
+    const memory = require('./tools/AI/memory');
+    const userId = req.user.id;
+    const memoryId = parseInt(req.params.id, 10);
+    const { type, content, keywords, importance, storageDuration } = req.body || {};
+    const updates = { type, content, keywords, importance, storageDuration };
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+    
+    const errors = memory.validateMemory(updates, true);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid memory', details: errors });
+    }
+    
+    const result = await memoryFunctions.updateMemory(userId, memoryId, updates);
+    if (result.changes === 0 && !(await memoryFunctions.getMemory(userId, memoryId))) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    
+    const updated = await memoryFunctions.getMemory(userId, memoryId);
+    res.status(200).json({ ...updated, expiresAt: memory.getExpiry(updated) });
+  } catch (error) {
+    console.error('Error updating memory:', error);
+    res.status(500).json({ error: 'Failed to update memory' });
+  }
+});
+
+/**
+ * Delete a memory
+ * @route DELETE /memories/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Memory ID
+ * @returns {Object} 200 - Success confirmation
+ * @returns {Object} 404 - Memory not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/memories/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await memoryFunctions.deleteMemory(req.user.id, parseInt(req.params.id, 10));
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Memory not found' });
+    }
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error deleting memory:', error);
+    res.status(500).json({ error: 'Failed to delete memory' });
+  }
+});
+
+/**
+ * Delete everything the agent remembers about the user
+ * @route DELETE /memories
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - Number of deleted memories
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/memories', authenticateToken, async (req, res) => {
+  try {
+    const result = await memoryFunctions.deleteAllMemories(req.user.id);
+    res.status(200).json({ success: true, deleted: result.changes });
+  } catch (error) {
+    console.error('Error deleting memories:', error);
+    res.status(500).json({ error: 'Failed to delete memories' });
+  }
+});
+
+/**
+ * Pick the schedule fields a client may set
+ * @param {Object} body - Request body
+ * @returns {Object} Fields present in the body
+ */
+function pickScheduleFields(body) {
+  const { name, prompt, cronExpression, timezone, delivery, enabled } = body || {};
+  const fields = { name, prompt, cronExpression, timezone, delivery, enabled };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+}
+
+/**
+ * Get the user's scheduled tasks
+ * @route GET /schedules
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - Schedules and the allowed delivery methods
+ * @returns {Object} 500 - Server error
+ */
+router.get('/schedules', authenticateToken, async (req, res) => {
+  try {
+    const schedules = await scheduledTaskFunctions.getSchedules(req.user.id);
+    res.status(200).json({
+      schedules,
+      deliveryMethods: scheduler.DELIVERY_METHODS,
+      minInterval: config.scheduler.minInterval
+    });
+  } catch (error) {
+    console.error('Error getting schedules:', error);
+    res.status(500).json({ error: 'Failed to retrieve schedules' });
+  }
+});
+
+/**
+ * Create a scheduled task; it runs in a chat of its own
+ * @route POST /schedules
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {Object} req.body - name, prompt, cronExpression, timezone, delivery, enabled
+ * @returns {Object} 201 - Created schedule
+ * @returns {Object} 400 - Invalid schedule or too many schedules
+ * @returns {Object} 500 - Server error
+ */
+router.post('/schedules', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const schedule = { delivery: 'email', enabled: true, ...pickScheduleFields(req.body) };
+
+    const errors = scheduler.validateSchedule(schedule);
+    const deliveryError = errors.length === 0 &&
+      scheduler.checkDeliveryTarget(schedule, await userFunctions.getUserById(userId));
+    if (errors.length > 0 || deliveryError) {
+      return res.status(400).json({ error: 'Invalid schedule', details: deliveryError ? [deliveryError] : errors });
+    }
+
+    const existing = await scheduledTaskFunctions.getSchedules(userId);
+    if (existing.length >= config.scheduler.maxSchedulesPerUser) {
+      return res.status(400).json({ error: `You can have at most ${config.scheduler.maxSchedulesPerUser} scheduled tasks` });
+    }
+
+    schedule.chatId = await scheduler.ensureChat({ ...schedule, userId });
+    schedule.nextRunAt = schedule.enabled ? scheduler.getNextRunAt(schedule) : null;
+
+    const { id } = await scheduledTaskFunctions.createSchedule(userId, schedule);
+    res.status(201).json(await scheduledTaskFunctions.getSchedule(userId, id));
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    res.status(500).json({ error: 'Failed to create schedule' });
+  }
+});
+
+/**
+ * Get a scheduled task
+ * @route GET /schedules/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Schedule ID
+ * @returns {Object} 200 - Schedule
+ * @returns {Object} 404 - Schedule not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await scheduledTaskFunctions.getSchedule(req.user.id, parseInt(req.params.id, 10));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.status(200).json(schedule);
+  } catch (error) {
+    console.error('Error getting schedule:', error);
+    res.status(500).json({ error: 'Failed to retrieve schedule' });
+  }
+});
+
+/**
+ * Edit, pause or resume a scheduled task
+ * @route PUT /schedules/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Schedule ID
+ * @param {Object} req.body - Fields to change (name, prompt, cronExpression, timezone, delivery, enabled)
+ * @returns {Object} 200 - Updated schedule
+ * @returns {Object} 400 - Invalid fields
+ * @returns {Object} 404 - Schedule not found
+ * @returns {Object} 500 - Server error
+ */
+router.put('/schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const scheduleId = parseInt(req.params.id, 10);
+    const current = await scheduledTaskFunctions.getSchedule(userId, scheduleId);
+    if (!current) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    const updates = pickScheduleFields(req.body);
+    const schedule = { ...current, ...updates };
+    const errors = scheduler.validateSchedule(schedule);
+    const deliveryError = errors.length === 0 &&
+      scheduler.checkDeliveryTarget(schedule, await userFunctions.getUserById(userId));
+    if (errors.length > 0 || deliveryError) {
+      return res.status(400).json({ error: 'Invalid schedule', details: deliveryError ? [deliveryError] : errors });
+    }
+
+    // A new timing, or resuming a paused schedule, starts counting from now
+    if (['cronExpression', 'timezone', 'enabled'].some(key => updates[key] !== undefined)) {
+      updates.nextRunAt = schedule.enabled ? scheduler.getNextRunAt(schedule) : null;
+    }
+
+    await scheduledTaskFunctions.updateSchedule(userId, scheduleId, updates);
+    res.status(200).json(await scheduledTaskFunctions.getSchedule(userId, scheduleId));
+  } catch (error) {
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
+  }
+});
+
+/**
+ * Delete a scheduled task; its chat is kept
+ * @route DELETE /schedules/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Schedule ID
+ * @returns {Object} 200 - Success confirmation
+ * @returns {Object} 404 - Schedule not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await scheduledTaskFunctions.deleteSchedule(req.user.id, parseInt(req.params.id, 10));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+/**
+ * Run a scheduled task now, outside its schedule
+ * @route POST /schedules/:id/run
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Schedule ID
+ * @returns {Object} 202 - Run started
+ * @returns {Object} 404 - Schedule not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/schedules/:id/run', authenticateToken, async (req, res) => {
+  try {
+    const schedule = await scheduledTaskFunctions.getSchedule(req.user.id, parseInt(req.params.id, 10));
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    // Tasks can take minutes; the outcome is recorded on the schedule
+    scheduler.runSchedule(schedule).catch(error => {
+      console.error('Error running schedule:', error);
+    });
+    res.status(202).json({ success: true, chatId: schedule.chatId });
+  } catch (error) {
+    console.error('Error running schedule:', error);
+    res.status(500).json({ error: 'Failed to run schedule' });
+  }
+});
+
+/**
+ * Find the task a chat's latest plan answered: the last user message stored before its steps
+ * @param {string} userId - User ID
+ * @param {number} chatId - Chat ID
+ * @param {Object} firstStep - First step of the plan
+ * @returns {Promise<string>} The task text, or an empty string
+ */
+async function getTaskPrompt(userId, chatId, firstStep) {
+  const messages = await chatFunctions.getChatHistoryAfter(userId, chatId, 0);
+  const userMessages = messages.filter(message => message.role === 'user' &&
+    (!firstStep.createdAt || !message.timestamp || message.timestamp <= firstStep.createdAt));
+  const last = userMessages[userMessages.length - 1];
+  if (!last) {
+    return '';
+  }
+  if (Array.isArray(last.content)) {
+    return last.content.filter(part => part && part.type === 'text').map(part => part.text).join('\n');
+  }
+  return typeof last.content === 'string' ? last.content : '';
+}
+
+/**
+ * Get the templates the user can start: their own and shared ones
+ * @route GET /templates
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - Templates
+ * @returns {Object} 500 - Server error
+ */
+router.get('/templates', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({ templates: await templateFunctions.getTemplates(req.user.id) });
+  } catch (error) {
+    console.error('Error getting templates:', error);
+    res.status(500).json({ error: 'Failed to retrieve templates' });
+  }
+});
+
+/**
+ * Save a template, either from the latest plan of a chat or from the given prompt and steps.
+ * Literal values listed in replacements become placeholders, e.g. { "Acme Inc": "company" }.
+ * @route POST /templates
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {Object} req.body - name, description, shared, replacements, and chatId or prompt and steps
+ * @returns {Object} 201 - Created template
+ * @returns {Object} 400 - Invalid template
+ * @returns {Object} 404 - Chat has no plan
+ * @returns {Object} 500 - Server error
+ */
+router.post('/templates', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { chatId, name, description, shared, replacements = {} } = req.body || {};
+    let { prompt, steps } = req.body || {};
+
+    if (replacements === null || typeof replacements !== 'object' || Array.isArray(replacements)) {
+      return res.status(400).json({ error: 'Invalid template', details: ['replacements must map values to variable names'] });
+    }
+
+    if (chatId !== undefined && !steps) {
+      const taskSteps = await taskStepFunctions.getLatestTaskSteps(userId, parseInt(chatId, 10));
+      if (taskSteps.length === 0) {
+        return res.status(404).json({ error: 'This chat has no plan to save' });
+      }
+      steps = taskSteps.map(taskStep => taskStep.stepData);
+      if (prompt === undefined) {
+        prompt = await getTaskPrompt(userId, parseInt(chatId, 10), taskSteps[0]);
+      }
+    }
+
+    const template = templates.buildTemplate({ name, description, prompt, steps, shared }, replacements);
+    const errors = templates.validateTemplate({ ...template, shared }, replacements);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+
+    const { id } = await templateFunctions.createTemplate(userId, template);
+    res.status(201).json(await templateFunctions.getTemplate(userId, id));
+  } catch (error) {
+    console.error('Error creating template:', error);
+    res.status(500).json({ error: 'Failed to create template' });
+  }
+});
+
+/**
+ * Get a template
+ * @route GET /templates/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Template ID
+ * @returns {Object} 200 - Template
+ * @returns {Object} 404 - Template not found
+ * @returns {Object} 500 - Server error
+ */
+router.get('/templates/:id', authenticateToken, async (req, res) => {
+  try {
+    const template = await templateFunctions.getTemplate(req.user.id, parseInt(req.params.id, 10));
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.status(200).json(template);
+  } catch (error) {
+    console.error('Error getting template:', error);
+    res.status(500).json({ error: 'Failed to retrieve template' });
+  }
+});
+
+/**
+ * Edit or share a template the user owns
+ * @route PUT /templates/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Template ID
+ * @param {Object} req.body - Fields to change (name, description, prompt, steps, shared)
+ * @returns {Object} 200 - Updated template
+ * @returns {Object} 400 - Invalid fields
+ * @returns {Object} 404 - Template not found
+ * @returns {Object} 500 - Server error
+ */
+router.put('/templates/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const templateId = parseInt(req.params.id, 10);
+    const current = await templateFunctions.getTemplate(userId, templateId);
+    if (!current || !current.isOwner) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { name, description, prompt, steps, shared } = req.body || {};
+    const updates = { name, description, prompt, steps, shared };
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+    const template = { ...current, ...updates };
+    const errors = templates.validateTemplate(template);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid template', details: errors });
+    }
+    if (updates.prompt !== undefined || updates.steps !== undefined) {
+      updates.variables = templates.extractVariables(template.prompt, template.steps);
+    }
+
+    await templateFunctions.updateTemplate(userId, templateId, updates);
+    res.status(200).json(await templateFunctions.getTemplate(userId, templateId));
+  } catch (error) {
+    console.error('Error updating template:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+/**
+ * Delete a template the user owns
+ * @route DELETE /templates/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Template ID
+ * @returns {Object} 200 - Success confirmation
+ * @returns {Object} 404 - Template not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/templates/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await templateFunctions.deleteTemplate(req.user.id, parseInt(req.params.id, 10));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+/**
+ * Get the user's active API keys
+ * @route GET /api-keys
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - API keys (without the secret part) and the available scopes
+ * @returns {Object} 500 - Server error
+ */
+router.get('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({
+      apiKeys: await apiKeyFunctions.getApiKeys(req.user.id),
+      scopes: apiKeys.SCOPES
+    });
+  } catch (error) {
+    console.error('Error getting API keys:', error);
+    res.status(500).json({ error: 'Failed to retrieve API keys' });
+  }
+});
+
+/**
+ * Create an API key; the key itself is only returned in this response
+ * @route POST /api-keys
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.body.name - Label for the key
+ * @param {Array<string>} req.body.scopes - What the key may do
+ * @returns {Object} 201 - The new key
+ * @returns {Object} 400 - Invalid name or scopes, or too many keys
+ * @returns {Object} 500 - Server error
+ */
+router.post('/api-keys', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, scopes } = req.body || {};
+
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return res.status(400).json({ error: 'name must be a non-empty string of at most 100 characters' });
+    }
+    const scopeError = apiKeys.validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({ error: scopeError });
+    }
+
+    const existing = await apiKeyFunctions.getApiKeys(userId);
+    if (existing.length >= config.api.maxKeysPerUser) {
+      return res.status(400).json({ error: `You can have at most ${config.api.maxKeysPerUser} API keys` });
+    }
+
+    const { key, keyPrefix, keyHash } = apiKeys.generateApiKey();
+    const uniqueScopes = [...new Set(scopes)];
+    const { id } = await apiKeyFunctions.createApiKey(userId, { name: name.trim(), keyPrefix, keyHash, scopes: uniqueScopes });
+
+    res.status(201).json({ id, name: name.trim(), keyPrefix, scopes: uniqueScopes, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+/**
+ * Revoke an API key
+ * @route DELETE /api-keys/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - API key ID
+ * @returns {Object} 200 - Success confirmation
+ * @returns {Object} 404 - API key not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/api-keys/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await apiKeyFunctions.revokeApiKey(req.user.id, parseInt(req.params.id, 10));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
+/**
+ * Pick the webhook fields a client may set from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Webhook fields that were given
+ */
+function pickWebhookFields(body) {
+  const { url, description, events, enabled } = body || {};
+  const fields = { url, description, events, enabled };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  if (typeof fields.url === 'string') {
+    fields.url = fields.url.trim();
+  }
+  if (Array.isArray(fields.events)) {
+    fields.events = [...new Set(fields.events)];
+  }
+  return fields;
+}
+
+/**
+ * Get the user's webhooks
+ * @route GET /webhooks
+ * @param {string} req.headers.authorization - Bearer token
+ * @returns {Object} 200 - Webhooks (without secrets) and the events they can subscribe to
+ * @returns {Object} 500 - Server error
+ */
+router.get('/webhooks', authenticateToken, async (req, res) => {
+  try {
+    res.status(200).json({
+      webhooks: await webhookFunctions.getWebhooks(req.user.id),
+      events: webhooks.EVENTS
+    });
+  } catch (error) {
+    console.error('Error getting webhooks:', error);
+    res.status(500).json({ error: 'Failed to retrieve webhooks' });
+  }
+});
+
+/**
+ * Register a webhook; its signing secret is only returned in this response
+ * @route POST /webhooks
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {Object} req.body - url, events, description, enabled
+ * @returns {Object} 201 - The new webhook with its secret
+ * @returns {Object} 400 - Invalid webhook or too many webhooks
+ * @returns {Object} 500 - Server error
+ */
+router.post('/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const webhook = { enabled: true, ...pickWebhookFields(req.body) };
+
+    const errors = webhooks.validateWebhook(webhook);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+
+    const existing = await webhookFunctions.getWebhooks(userId);
+    if (existing.length >= config.webhooks.maxPerUser) {
+      return res.status(400).json({ error: `You can have at most ${config.webhooks.maxPerUser} webhooks` });
+    }
+
+    webhook.secret = webhooks.generateSecret();
+    const { id } = await webhookFunctions.createWebhook(userId, webhook);
+    res.status(201).json({ id, ...webhook });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+/**
+ * Change, pause or resume a webhook
+ * @route PUT /webhooks/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Webhook ID
+ * @param {Object} req.body - Fields to change (url, events, description, enabled)
+ * @returns {Object} 200 - Updated webhook
+ * @returns {Object} 400 - Invalid fields
+ * @returns {Object} 404 - Webhook not found
+ * @returns {Object} 500 - Server error
+ */
+router.put('/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const webhookId = parseInt(req.params.id, 10);
+    const current = await webhookFunctions.getWebhook(userId, webhookId);
+    if (!current) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const updates = pickWebhookFields(req.body);
+    const errors = webhooks.validateWebhook({ ...current, ...updates });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    }
+
+    await webhookFunctions.updateWebhook(userId, webhookId, updates);
+    const updated = await webhookFunctions.getWebhooks(userId);
+    res.status(200).json(updated.find(webhook => webhook.id === webhookId));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+/**
+ * Delete a webhook and its delivery log
+ * @route DELETE /webhooks/:id
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Webhook ID
+ * @returns {Object} 200 - Success confirmation
+ * @returns {Object} 404 - Webhook not found
+ * @returns {Object} 500 - Server error
+ */
+router.delete('/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await webhookFunctions.deleteWebhook(req.user.id, parseInt(req.params.id, 10));
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+/**
+ * Send a ping event to a webhook and report how the first attempt went
+ * @route POST /webhooks/:id/test
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {string} req.params.id - Webhook ID
+ * @returns {Object} 200 - Delivery outcome
+ * @returns {Object} 404 - Webhook not found
+ * @returns {Object} 500 - Server error
+ */
+router.post('/webhooks/:id/test', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await webhookFunctions.getWebhook(req.user.id, parseInt(req.params.id, 10));
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(200).json(await webhooks.ping(webhook));
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+/**
+ * Get the most recent webhook deliveries
+ * @route GET /webhook-deliveries
+ * @param {string} req.headers.authorization - Bearer token
+ * @param {number} [req.query.webhookId] - Only deliveries to this webhook
+ * @param {number} [req.query.limit] - Maximum number of deliveries (default 50, at most 200)
+ * @returns {Object} 200 - Deliveries, newest first
+ * @returns {Object} 500 - Server error
+ */
+router.get('/webhook-deliveries', authenticateToken, async (req, res) => {
+  try {
+    const webhookId = req.query.webhookId ? parseInt(req.query.webhookId, 10) : null;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.status(200).json({ deliveries: await webhookDeliveryFunctions.getDeliveries(req.user.id, { webhookId, limit }) });
+  } catch (error) {
+    console.error('Error getting webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to retrieve webhook deliveries' });
+  }
+});
+
 /**
  * Request password reset
  * @route POST /reset-password
@@ -37,6 +37,10 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   }
 });
 
+// Settles once creating the task_checkpoints table finished, so boot-time checks can wait for it
+let settleCheckpointsTable;
+const checkpointsTableSettled = new Promise(resolve => { settleCheckpointsTable = resolve; });
+
 /**
  * Initialize database tables if they don't exist
  */
@@ -151,6 +155,23 @@ function initDatabase() {
       console.log('Chats table ready');
     }
   });
+
+  db.run(`CREATE TABLE IF NOT EXISTS chat_summaries (
+    userId TEXT NOT NULL,
+    chatId INTEGER NOT NULL,
+    summary TEXT NOT NULL,
+    lastMessageId INTEGER NOT NULL,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id),
+    FOREIGN KEY (chatId) REFERENCES chats(id),
+    UNIQUE(userId, chatId)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating chat_summaries table:', err.message);
+    } else {
+      console.log('Chat summaries table ready');
+    }
+  });
   
   
   db.run(`CREATE TABLE IF NOT EXISTS container_files (
@@ -163,6 +184,7 @@ function initDatabase() {
     fileExtension TEXT,
     createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
     chatId INTEGER DEFAULT 1,
+    generated INTEGER DEFAULT 0,
     FOREIGN KEY (userId) REFERENCES users(id),
     FOREIGN KEY (chatId) REFERENCES chats(id)
   )`, (err) => {
@@ -170,6 +192,13 @@ function initDatabase() {
       console.error('Error creating container_files table:', err.message);
     } else {
       console.log('Container files table ready');
+      
+      // Add generated column if it doesn't exist (migration for existing databases)
+      db.run(`ALTER TABLE container_files ADD COLUMN generated INTEGER DEFAULT 0`, (err) => {
+        if (err && !err.message.includes('duplicate column')) {
+          console.error('Error adding generated column:', err.message);
+        }
+      });
     }
   });
   
@@ -234,6 +263,256 @@ function initDatabase() {
     }
   });
 
+  db.run(`CREATE TABLE IF NOT EXISTS task_checkpoints (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    chatId INTEGER NOT NULL,
+    question TEXT,
+    plan TEXT NOT NULL,
+    currentStepIndex INTEGER DEFAULT 0,
+    stepsOutput TEXT,
+    thoughtChain TEXT,
+    status TEXT DEFAULT 'running',
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id),
+    FOREIGN KEY (chatId) REFERENCES chats(id),
+    UNIQUE(userId, chatId)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating task_checkpoints table:', err.message);
+    } else {
+      console.log('Task checkpoints table ready');
+    }
+    settleCheckpointsTable();
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS model_routing_overrides (
+    userId TEXT PRIMARY KEY,
+    routes TEXT NOT NULL,
+    updatedBy TEXT,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating model_routing_overrides table:', err.message);
+    } else {
+      console.log('Model routing overrides table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS plan_budget_ceilings (
+    paymentPlan TEXT PRIMARY KEY,
+    maxCredits INTEGER,
+    maxTokens INTEGER,
+    updatedBy TEXT,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating plan_budget_ceilings table:', err.message);
+    } else {
+      console.log('Plan budget ceilings table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS embeddings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    sourceType TEXT NOT NULL,
+    sourceId TEXT NOT NULL,
+    chatId INTEGER,
+    model TEXT NOT NULL,
+    contentHash TEXT NOT NULL,
+    vector BLOB NOT NULL,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id),
+    UNIQUE(userId, sourceType, sourceId)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating embeddings table:', err.message);
+    } else {
+      console.log('Embeddings table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS context_store (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    owner TEXT,
+    expiresAt INTEGER
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating context_store table:', err.message);
+    } else {
+      console.log('Context store table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS scheduled_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    name TEXT NOT NULL,
+    prompt TEXT NOT NULL,
+    cronExpression TEXT NOT NULL,
+    timezone TEXT,
+    chatId INTEGER,
+    delivery TEXT DEFAULT 'email',
+    enabled INTEGER DEFAULT 1,
+    nextRunAt INTEGER,
+    lastRunAt INTEGER,
+    lastStatus TEXT,
+    lastError TEXT,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating scheduled_tasks table:', err.message);
+    } else {
+      console.log('Scheduled tasks table ready');
+      
+      // Telegram results go to the owner's linked chat; drop the old per-schedule chat (migration for existing databases)
+      db.run(`ALTER TABLE scheduled_tasks DROP COLUMN telegramChatId`, (err) => {
+        if (err && !err.message.includes('no such column')) {
+          console.error('Error dropping telegramChatId column:', err.message);
+        }
+      });
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS task_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    prompt TEXT NOT NULL,
+    steps TEXT NOT NULL,
+    variables TEXT NOT NULL,
+    shared INTEGER DEFAULT 0,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating task_templates table:', err.message);
+    } else {
+      console.log('Task templates table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    name TEXT NOT NULL,
+    keyPrefix TEXT NOT NULL,
+    keyHash TEXT UNIQUE NOT NULL,
+    scopes TEXT NOT NULL,
+    lastUsedAt DATETIME,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    revokedAt DATETIME,
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating api_keys table:', err.message);
+    } else {
+      console.log('API keys table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS api_tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    chatId INTEGER NOT NULL,
+    apiKeyId INTEGER,
+    task TEXT NOT NULL,
+    status TEXT DEFAULT 'running',
+    result TEXT,
+    error TEXT,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completedAt DATETIME,
+    FOREIGN KEY (userId) REFERENCES users(id),
+    FOREIGN KEY (chatId) REFERENCES chats(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating api_tasks table:', err.message);
+    } else {
+      console.log('API tasks table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS api_conversations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    conversationHash TEXT NOT NULL,
+    chatId INTEGER NOT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(userId, conversationHash),
+    FOREIGN KEY (userId) REFERENCES users(id),
+    FOREIGN KEY (chatId) REFERENCES chats(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating api_conversations table:', err.message);
+    } else {
+      console.log('API conversations table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    url TEXT NOT NULL,
+    description TEXT,
+    events TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (userId) REFERENCES users(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating webhooks table:', err.message);
+    } else {
+      console.log('Webhooks table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhookId INTEGER NOT NULL,
+    userId TEXT NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    nextAttemptAt INTEGER,
+    responseStatus INTEGER,
+    error TEXT,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    completedAt DATETIME,
+    FOREIGN KEY (webhookId) REFERENCES webhooks(id)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating webhook_deliveries table:', err.message);
+    } else {
+      console.log('Webhook deliveries table ready');
+    }
+  });
+
+  db.run(`CREATE TABLE IF NOT EXISTS container_workspaces (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    userId TEXT NOT NULL,
+    chatId INTEGER NOT NULL,
+    volumeName TEXT NOT NULL,
+    createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(userId, chatId)
+  )`, (err) => {
+    if (err) {
+      console.error('Error creating container_workspaces table:', err.message);
+    } else {
+      console.log('Container workspaces table ready');
+    }
+  });
+
   db.run(`CREATE TABLE IF NOT EXISTS redemption_codes (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     code TEXT UNIQUE NOT NULL,
@@ -864,6 +1143,136 @@ const memoryFunctions = {
         }
       );
     });
+  },
+
+  /**
+   * Get a single memory of a user
+   * @param {number|string} userId - User ID
+   * @param {number} memoryId - Memory ID
+   * @returns {Promise<Object|null>} Memory object or null if not found
+   */
+  getMemory(userId, memoryId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM memories WHERE id = ? AND userId = ?',
+        [memoryId, userId],
+        (err, memory) => {
+          if (err) {
+            reject(err);
+          } else if (!memory) {
+            resolve(null);
+          } else {
+            resolve({
+              ...memory,
+              keywords: tryParseJSON(memory.keywords, []),
+              metadata: tryParseJSON(memory.metadata, {})
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update fields of a memory
+   * @param {number|string} userId - User ID
+   * @param {number} memoryId - Memory ID
+   * @param {Object} updates - Fields to change (type, content, keywords, importance, storageDuration)
+   * @returns {Promise<Object>} Result with number of changed rows
+   */
+  updateMemory(userId, memoryId, updates) {
+    const columns = ['type', 'content', 'keywords', 'importance', 'storageDuration']
+      .filter(column => updates[column] !== undefined);
+    
+    if (columns.length === 0) {
+      return Promise.resolve({ changes: 0 });
+    }
+    
+    const values = columns.map(column => 
+      column === 'keywords' && Array.isArray(updates.keywords) ? JSON.stringify(updates.keywords) : updates[column]
+    );
+    
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE memories SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? AND userId = ?`,
+        [...values, memoryId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a memory
+   * @param {number|string} userId - User ID
+   * @param {number} memoryId - Memory ID
+   * @returns {Promise<Object>} Result with number of deleted rows
+   */
+  deleteMemory(userId, memoryId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM memories WHERE id = ? AND userId = ?',
+        [memoryId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete all memories of a user
+   * @param {number|string} userId - User ID
+   * @returns {Promise<Object>} Result with number of deleted rows
+   */
+  deleteAllMemories(userId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM memories WHERE userId = ?',
+        [userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete memories older than their storageDuration allows
+   * @param {Object} durations - storageDuration -> days to keep (e.g. { short: 7 })
+   * @returns {Promise<number>} Number of deleted memories
+   */
+  deleteExpiredMemories(durations) {
+    const deletions = Object.entries(durations).map(([storageDuration, days]) => 
+      new Promise((resolve, reject) => {
+        db.run(
+          `DELETE FROM memories WHERE storageDuration = ? AND datetime(storedAt) <= datetime('now', ?)`,
+          [storageDuration, `-${days} days`],
+          function(err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(this.changes);
+            }
+          }
+        );
+      })
+    );
+    
+    return Promise.all(deletions).then(counts => counts.reduce((total, count) => total + count, 0));
   }
 };
 
@@ -928,21 +1337,25 @@ const chatFunctions = {
   },
 
   /**
-   * Clear chat history for a user
+   * Get all messages of a chat newer than a given message
    * @param {number|string} userId - User ID
-   * @param {number} [chatId=1] - Chat ID
-   * @returns {Promise<Object>} Result with count of deleted messages
+   * @param {number} chatId - Chat ID
+   * @param {number} [afterId=0] - Only messages with a higher ID are returned
+   * @returns {Promise<Array>} Array of chat message objects, oldest first
    */
-  clearChatHistory(userId, chatId = 1) {
+  getChatHistoryAfter(userId, chatId, afterId = 0) {
     return new Promise((resolve, reject) => {
-      db.run(
-        'DELETE FROM chat_history WHERE userId = ? AND chatId = ?',
-        [userId, chatId],
-        function(err) {
+      db.all(
+        'SELECT * FROM chat_history WHERE userId = ? AND chatId = ? AND id > ? ORDER BY id ASC',
+        [userId, chatId, afterId],
+        (err, messages) => {
           if (err) {
             reject(err);
           } else {
-            resolve({ deleted: this.changes });
+            resolve(messages.map(msg => ({
+              ...msg,
+              content: tryParseJSON(msg.content, msg.content)
+            })));
           }
         }
       );
@@ -950,15 +1363,94 @@ const chatFunctions = {
   },
 
   /**
-   * Create a new chat
+   * Get the stored summary of a chat's older messages
    * @param {number|string} userId - User ID
-   * @param {string} [title='New Chat'] - Chat title
-   * @returns {Promise<Object>} New chat object with id and title
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Summary with lastMessageId (the newest message it covers), or null
    */
-  createChat(userId, title = 'New Chat') {
+  getChatSummary(userId, chatId) {
     return new Promise((resolve, reject) => {
-      db.run(
-        'INSERT INTO chats (userId, title) VALUES (?, ?)',
+      db.get(
+        'SELECT summary, lastMessageId, updatedAt FROM chat_summaries WHERE userId = ? AND chatId = ?',
+        [userId, chatId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Save (insert or replace) the summary of a chat's older messages
+   * @param {number|string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {string} summary - Summary text
+   * @param {number} lastMessageId - ID of the newest message the summary covers
+   * @returns {Promise<Object>} Result with changes count
+   */
+  saveChatSummary(userId, chatId, summary, lastMessageId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO chat_summaries (userId, chatId, summary, lastMessageId, updatedAt)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(userId, chatId) DO UPDATE SET
+           summary = excluded.summary,
+           lastMessageId = excluded.lastMessageId,
+           updatedAt = CURRENT_TIMESTAMP`,
+        [userId, chatId, summary, lastMessageId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Clear chat history for a user
+   * @param {number|string} userId - User ID
+   * @param {number} [chatId=1] - Chat ID
+   * @returns {Promise<Object>} Result with count of deleted messages
+   */
+  clearChatHistory(userId, chatId = 1) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM chat_history WHERE userId = ? AND chatId = ?',
+        [userId, chatId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            const deleted = this.changes;
+            db.run('DELETE FROM chat_summaries WHERE userId = ? AND chatId = ?', [userId, chatId], (err) => {
+              if (err) {
+                logger.warn('Error deleting chat summary', { error: err.message, userId, chatId });
+              }
+              resolve({ deleted });
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Create a new chat
+   * @param {number|string} userId - User ID
+   * @param {string} [title='New Chat'] - Chat title
+   * @returns {Promise<Object>} New chat object with id and title
+   */
+  createChat(userId, title = 'New Chat') {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO chats (userId, title) VALUES (?, ?)',
         [userId, title],
         function(err) {
           if (err) {
@@ -1041,6 +1533,21 @@ const chatFunctions = {
                 return;
               }
 
+              db.run('DELETE FROM task_checkpoints WHERE userId = ? AND chatId = ?',
+                [userId, chatId],
+                (err) => {
+                  if (err) {
+                    logger.warn('Error deleting task checkpoint', { error: err.message, userId, chatId });
+                  }
+                });
+
+              db.run('DELETE FROM chat_summaries WHERE userId = ? AND chatId = ?',
+                [userId, chatId],
+                (err) => {
+                  if (err) {
+                    logger.warn('Error deleting chat summary', { error: err.message, userId, chatId });
+                  }
+                });
               
               db.run('DELETE FROM chats WHERE id = ? AND userId = ?', 
                 [chatId, userId], 
@@ -1074,14 +1581,15 @@ const fileFunctions = {
    * @param {number} [chatId=1] - Chat ID
    * @param {string} [fileContent=null] - File content
    * @param {string} [fileExtension=null] - File extension
+   * @param {boolean} [generated=false] - Whether a task step created the file, rather than the user uploading it
    * @returns {Promise<Object>} Result with ID of tracked file
    */
-  trackContainerFile(userId, containerPath, originalName = null, description = null, chatId = 1, fileContent = null, fileExtension = null) {
+  trackContainerFile(userId, containerPath, originalName = null, description = null, chatId = 1, fileContent = null, fileExtension = null, generated = false) {
     
     return new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO container_files (userId, containerPath, originalName, description, chatId, fileContent, fileExtension) VALUES (?, ?, ?, ?, ?, ?, ?)',
-        [userId, containerPath, originalName, description, chatId, fileContent, fileExtension],
+        'INSERT INTO container_files (userId, containerPath, originalName, description, chatId, fileContent, fileExtension, generated) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [userId, containerPath, originalName, description, chatId, fileContent, fileExtension, generated ? 1 : 0],
         function(err) {
           if (err) {
             
@@ -1141,7 +1649,7 @@ const fileFunctions = {
       
       
       db.all(
-        'SELECT id, userId, containerPath, originalName, description, fileExtension, createdAt, chatId, fileContent FROM container_files WHERE userId = ? AND chatId = ? ORDER BY createdAt DESC',
+        'SELECT id, userId, containerPath, originalName, description, fileExtension, createdAt, chatId, fileContent, generated FROM container_files WHERE userId = ? AND chatId = ? ORDER BY createdAt DESC',
         [userId, chatId],
         (err, containerFiles) => {
           if (err) {
@@ -1404,6 +1912,9 @@ const taskStepFunctions = {
         step: step.step,
         action: step.action,
         expectedOutput: step.expectedOutput,
+        usingData: step.usingData,
+        model: step.model,
+        intensity: step.intensity,
         originalIndex: i
       });
       
@@ -1483,6 +1994,37 @@ const taskStepFunctions = {
     });
   },
 
+  /**
+   * Get the steps of the most recent task in a chat
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Array>} Array of task steps, empty if the chat has none
+   */
+  async getLatestTaskSteps(userId, chatId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM task_steps WHERE userId = ? AND chatId = ? AND id >= (
+           SELECT MAX(id) FROM task_steps WHERE userId = ? AND chatId = ? AND stepIndex = 0
+         ) ORDER BY stepIndex ASC`,
+        [userId, chatId, userId, chatId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({
+              id: row.id,
+              stepIndex: row.stepIndex,
+              stepData: tryParseJSON(row.stepData, {}),
+              stepStatus: row.stepStatus,
+              createdAt: row.createdAt,
+              completedAt: row.completedAt
+            })));
+          }
+        }
+      );
+    });
+  },
+
   /**
    * Clear task steps for a chat
    * @param {string} userId - User ID
@@ -1506,6 +2048,1604 @@ const taskStepFunctions = {
   }
 };
 
+/**
+ * Task checkpoint database functions, used to resume tasks after a restart
+ * @namespace taskCheckpointFunctions
+ */
+const taskCheckpointFunctions = {
+  /**
+   * Save (insert or replace) the checkpoint for a chat
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {Object} checkpoint - Checkpoint data
+   * @param {string} checkpoint.question - The task question
+   * @param {Array} checkpoint.plan - The execution plan
+   * @param {number} checkpoint.currentStepIndex - Number of steps completed in plan order
+   * @param {Array} checkpoint.stepsOutput - Outputs of completed steps
+   * @param {Array} checkpoint.thoughtChain - Reasoning chain so far
+   * @param {string} status - Checkpoint status ('running', 'interrupted')
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async saveCheckpoint(userId, chatId, checkpoint, status = 'running') {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO task_checkpoints (userId, chatId, question, plan, currentStepIndex, stepsOutput, thoughtChain, status, updatedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(userId, chatId) DO UPDATE SET
+           question = excluded.question,
+           plan = excluded.plan,
+           currentStepIndex = excluded.currentStepIndex,
+           stepsOutput = excluded.stepsOutput,
+           thoughtChain = excluded.thoughtChain,
+           status = excluded.status,
+           updatedAt = CURRENT_TIMESTAMP`,
+        [
+          userId,
+          chatId,
+          checkpoint.question || '',
+          JSON.stringify(checkpoint.plan || []),
+          checkpoint.currentStepIndex || 0,
+          JSON.stringify(checkpoint.stepsOutput || []),
+          JSON.stringify(checkpoint.thoughtChain || []),
+          status
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get the checkpoint for a chat
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Checkpoint or null if none exists
+   */
+  async getCheckpoint(userId, chatId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM task_checkpoints WHERE userId = ? AND chatId = ?',
+        [userId, chatId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else if (!row) {
+            resolve(null);
+          } else {
+            resolve({
+              userId: row.userId,
+              chatId: row.chatId,
+              question: row.question,
+              plan: tryParseJSON(row.plan, []),
+              currentStepIndex: row.currentStepIndex,
+              stepsOutput: tryParseJSON(row.stepsOutput, []),
+              thoughtChain: tryParseJSON(row.thoughtChain, []),
+              status: row.status,
+              createdAt: row.createdAt,
+              updatedAt: row.updatedAt
+            });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * List the checkpoints still flagged as running. Their tasks may be running on
+   * any instance sharing the database; the task locks in the context store tell.
+   * @returns {Promise<Array>} { userId, chatId, updatedAt } of each checkpoint
+   */
+  async getRunningCheckpoints() {
+    await checkpointsTableSettled;
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT userId, chatId, updatedAt FROM task_checkpoints WHERE status = 'running'",
+        [],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Mark a running checkpoint as interrupted, unless it was saved again since it was read
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {string} updatedAt - updatedAt of the checkpoint as returned by getRunningCheckpoints
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async markInterrupted(userId, chatId, updatedAt) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE task_checkpoints SET status = 'interrupted', updatedAt = CURRENT_TIMESTAMP WHERE userId = ? AND chatId = ? AND status = 'running' AND updatedAt = ?",
+        [userId, chatId, updatedAt],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete the checkpoint for a chat
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async clearCheckpoint(userId, chatId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM task_checkpoints WHERE userId = ? AND chatId = ?',
+        [userId, chatId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Admin-managed per-user model routing overrides
+ * @namespace modelRoutingFunctions
+ */
+const modelRoutingFunctions = {
+  /**
+   * Get a user's routing overrides
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Route name -> model list, or null if none are set
+   */
+  async getOverrides(userId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT routes FROM model_routing_overrides WHERE userId = ?',
+        [userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? tryParseJSON(row.routes, null) : null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Save (insert or replace) a user's routing overrides
+   * @param {string} userId - User ID
+   * @param {Object} routes - Route name -> model name or list of models
+   * @param {string} updatedBy - ID of the admin making the change
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async setOverrides(userId, routes, updatedBy) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO model_routing_overrides (userId, routes, updatedBy, updatedAt)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(userId) DO UPDATE SET
+           routes = excluded.routes,
+           updatedBy = excluded.updatedBy,
+           updatedAt = CURRENT_TIMESTAMP`,
+        [userId, JSON.stringify(routes), updatedBy],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Remove a user's routing overrides
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Result with deleted flag
+   */
+  async clearOverrides(userId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM model_routing_overrides WHERE userId = ?',
+        [userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ deleted: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Admin-set ceilings on per-task budgets, one row per payment plan.
+ * A NULL limit leaves that dimension unlimited.
+ * @namespace budgetCeilingFunctions
+ */
+const budgetCeilingFunctions = {
+  /**
+   * Get the ceiling set for a payment plan
+   * @param {string} paymentPlan - Payment plan name
+   * @returns {Promise<Object|null>} { paymentPlan, maxCredits, maxTokens, updatedBy, updatedAt } or null if none is set
+   */
+  async getCeiling(paymentPlan) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT paymentPlan, maxCredits, maxTokens, updatedBy, updatedAt FROM plan_budget_ceilings WHERE paymentPlan = ?',
+        [paymentPlan],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get the ceilings set for all payment plans
+   * @returns {Promise<Array>} Ceiling rows ordered by plan name
+   */
+  async getAllCeilings() {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT paymentPlan, maxCredits, maxTokens, updatedBy, updatedAt FROM plan_budget_ceilings ORDER BY paymentPlan',
+        [],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Save (insert or replace) the ceiling of a payment plan
+   * @param {string} paymentPlan - Payment plan name
+   * @param {Object} ceiling - { credits, tokens }; null leaves a dimension unlimited
+   * @param {string} updatedBy - ID of the admin making the change
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async setCeiling(paymentPlan, ceiling, updatedBy) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO plan_budget_ceilings (paymentPlan, maxCredits, maxTokens, updatedBy, updatedAt)
+         VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(paymentPlan) DO UPDATE SET
+           maxCredits = excluded.maxCredits,
+           maxTokens = excluded.maxTokens,
+           updatedBy = excluded.updatedBy,
+           updatedAt = CURRENT_TIMESTAMP`,
+        [paymentPlan, ceiling.credits, ceiling.tokens, updatedBy],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Remove the ceiling of a payment plan, restoring the configured default
+   * @param {string} paymentPlan - Payment plan name
+   * @returns {Promise<Object>} Result with deleted flag
+   */
+  async clearCeiling(paymentPlan) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM plan_budget_ceilings WHERE paymentPlan = ?',
+        [paymentPlan],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ deleted: this.changes > 0 });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Tasks run on a cron schedule. Times (nextRunAt, lastRunAt) are milliseconds since the epoch.
+ * @namespace scheduledTaskFunctions
+ */
+const scheduledTaskFunctions = {
+  /**
+   * Create a scheduled task
+   * @param {string} userId - User ID
+   * @param {Object} schedule - { name, prompt, cronExpression, timezone, chatId, delivery, enabled, nextRunAt }
+   * @returns {Promise<Object>} Result with the new schedule's ID
+   */
+  async createSchedule(userId, schedule) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO scheduled_tasks (userId, name, prompt, cronExpression, timezone, chatId, delivery, enabled, nextRunAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          schedule.name,
+          schedule.prompt,
+          schedule.cronExpression,
+          schedule.timezone || null,
+          schedule.chatId || null,
+          schedule.delivery || 'email',
+          schedule.enabled === false ? 0 : 1,
+          schedule.nextRunAt || null
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a user's scheduled tasks
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Schedules, oldest first
+   */
+  async getSchedules(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM scheduled_tasks WHERE userId = ? ORDER BY createdAt ASC, id ASC',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({ ...row, enabled: !!row.enabled })));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a scheduled task of a user
+   * @param {string} userId - User ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object|null>} Schedule or null
+   */
+  async getSchedule(userId, scheduleId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM scheduled_tasks WHERE id = ? AND userId = ?',
+        [scheduleId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? { ...row, enabled: !!row.enabled } : null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update fields of a scheduled task
+   * @param {string} userId - User ID
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} updates - Any of name, prompt, cronExpression, timezone, chatId, delivery, enabled, nextRunAt
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async updateSchedule(userId, scheduleId, updates) {
+    const allowed = ['name', 'prompt', 'cronExpression', 'timezone', 'chatId', 'delivery', 'enabled', 'nextRunAt'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    const values = fields.map(key => key === 'enabled' ? (updates[key] ? 1 : 0) : updates[key]);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE scheduled_tasks SET ${fields.map(key => `${key} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ? AND userId = ?`,
+        [...values, scheduleId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a scheduled task
+   * @param {string} userId - User ID
+   * @param {number} scheduleId - Schedule ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async deleteSchedule(userId, scheduleId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM scheduled_tasks WHERE id = ? AND userId = ?',
+        [scheduleId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get enabled schedules whose next run is due
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<Array>} Due schedules, most overdue first
+   */
+  async getDueSchedules(now) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM scheduled_tasks WHERE enabled = 1 AND nextRunAt IS NOT NULL AND nextRunAt <= ? ORDER BY nextRunAt ASC',
+        [now],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({ ...row, enabled: true })));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Claim a due run by moving the schedule on to its next run.
+   * Only one caller (or instance) can claim a given run.
+   * @param {number} scheduleId - Schedule ID
+   * @param {number} dueAt - The nextRunAt value the caller saw
+   * @param {number|null} nextRunAt - Time of the run after this one
+   * @returns {Promise<boolean>} Whether this caller claimed the run
+   */
+  async claimRun(scheduleId, dueAt, nextRunAt) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE scheduled_tasks SET nextRunAt = ?, lastRunAt = ?, lastStatus = ? WHERE id = ? AND enabled = 1 AND nextRunAt = ?',
+        [nextRunAt, Date.now(), 'running', scheduleId, dueAt],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Record how a run went
+   * @param {number} scheduleId - Schedule ID
+   * @param {Object} result - { status, error, chatId, startedAt }
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async recordRun(scheduleId, result) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE scheduled_tasks SET lastStatus = ?, lastError = ?, chatId = COALESCE(?, chatId), lastRunAt = COALESCE(?, lastRunAt)
+         WHERE id = ?`,
+        [result.status, result.error || null, result.chatId || null, result.startedAt || null, scheduleId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Reusable task templates: a saved plan whose text can contain {{variable}} placeholders.
+ * Shared templates are visible to every user of the instance; only the owner can change them.
+ * @namespace templateFunctions
+ */
+const templateFunctions = {
+  /**
+   * Create a template
+   * @param {string} userId - Owner's user ID
+   * @param {Object} template - { name, description, prompt, steps, variables, shared }
+   * @returns {Promise<Object>} Result with the new template's ID
+   */
+  async createTemplate(userId, template) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO task_templates (userId, name, description, prompt, steps, variables, shared)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          userId,
+          template.name,
+          template.description || null,
+          template.prompt,
+          JSON.stringify(template.steps),
+          JSON.stringify(template.variables || []),
+          template.shared ? 1 : 0
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get the templates a user can start: their own and shared ones
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Templates, the user's own first
+   */
+  async getTemplates(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT * FROM task_templates WHERE userId = ? OR shared = 1
+         ORDER BY (userId = ?) DESC, name COLLATE NOCASE ASC`,
+        [userId, userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => parseTemplateRow(row, userId)));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a template the user owns or that is shared
+   * @param {string} userId - User ID
+   * @param {number} templateId - Template ID
+   * @returns {Promise<Object|null>} Template or null
+   */
+  async getTemplate(userId, templateId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM task_templates WHERE id = ? AND (userId = ? OR shared = 1)',
+        [templateId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? parseTemplateRow(row, userId) : null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update fields of a template the user owns
+   * @param {string} userId - Owner's user ID
+   * @param {number} templateId - Template ID
+   * @param {Object} updates - Any of name, description, prompt, steps, variables, shared
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async updateTemplate(userId, templateId, updates) {
+    const allowed = ['name', 'description', 'prompt', 'steps', 'variables', 'shared'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    const values = fields.map(key => {
+      if (key === 'steps' || key === 'variables') {
+        return JSON.stringify(updates[key]);
+      }
+      return key === 'shared' ? (updates[key] ? 1 : 0) : updates[key];
+    });
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE task_templates SET ${fields.map(key => `${key} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ? AND userId = ?`,
+        [...values, templateId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a template the user owns
+   * @param {string} userId - Owner's user ID
+   * @param {number} templateId - Template ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async deleteTemplate(userId, templateId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM task_templates WHERE id = ? AND userId = ?',
+        [templateId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Turn a task_templates row into a template object
+ * @param {Object} row - Database row
+ * @param {string} userId - User the template is read for
+ * @returns {Object} Template with parsed steps and variables
+ */
+function parseTemplateRow(row, userId) {
+  return {
+    ...row,
+    steps: tryParseJSON(row.steps, []),
+    variables: tryParseJSON(row.variables, []),
+    shared: !!row.shared,
+    isOwner: String(row.userId) === String(userId)
+  };
+}
+
+/**
+ * Personal API keys. Only a SHA-256 hash of each key is stored; the prefix identifies it in lists.
+ * @namespace apiKeyFunctions
+ */
+const apiKeyFunctions = {
+  /**
+   * Store a new API key
+   * @param {string} userId - Owner's user ID
+   * @param {Object} apiKey - { name, keyPrefix, keyHash, scopes }
+   * @returns {Promise<Object>} Result with the new key's ID
+   */
+  async createApiKey(userId, apiKey) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO api_keys (userId, name, keyPrefix, keyHash, scopes) VALUES (?, ?, ?, ?, ?)',
+        [userId, apiKey.name, apiKey.keyPrefix, apiKey.keyHash, JSON.stringify(apiKey.scopes)],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a user's active API keys, without their hashes
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} API keys, newest first
+   */
+  async getApiKeys(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, name, keyPrefix, scopes, lastUsedAt, createdAt FROM api_keys
+         WHERE userId = ? AND revokedAt IS NULL ORDER BY createdAt DESC, id DESC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(row => ({ ...row, scopes: tryParseJSON(row.scopes, []) })));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find an active API key by its hash
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object|null>} API key with userId and scopes, or null
+   */
+  async getApiKeyByHash(keyHash) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT id, userId, name, scopes FROM api_keys WHERE keyHash = ? AND revokedAt IS NULL',
+        [keyHash],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? { ...row, scopes: tryParseJSON(row.scopes, []) } : null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Record that an API key was used
+   * @param {number} keyId - API key ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async touchApiKey(keyId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE api_keys SET lastUsedAt = CURRENT_TIMESTAMP WHERE id = ?',
+        [keyId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Revoke an API key; it stops working immediately
+   * @param {string} userId - Owner's user ID
+   * @param {number} keyId - API key ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async revokeApiKey(userId, keyId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE api_keys SET revokedAt = CURRENT_TIMESTAMP WHERE id = ? AND userId = ? AND revokedAt IS NULL',
+        [keyId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Tasks submitted through the public API, with their outcome
+ * @namespace apiTaskFunctions
+ */
+const apiTaskFunctions = {
+  /**
+   * Record a submitted task
+   * @param {string} userId - User ID
+   * @param {Object} apiTask - { chatId, apiKeyId, task }
+   * @returns {Promise<Object>} Result with the new task's ID
+   */
+  async createApiTask(userId, apiTask) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO api_tasks (userId, chatId, apiKeyId, task) VALUES (?, ?, ?, ?)',
+        [userId, apiTask.chatId, apiTask.apiKeyId || null, apiTask.task],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a task of a user
+   * @param {string} userId - User ID
+   * @param {number} taskId - Task ID
+   * @returns {Promise<Object|null>} Task or null
+   */
+  async getApiTask(userId, taskId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM api_tasks WHERE id = ? AND userId = ?',
+        [taskId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a user's most recent tasks
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of tasks
+   * @returns {Promise<Array>} Tasks without their results, newest first
+   */
+  async getApiTasks(userId, limit = 50) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, chatId, task, status, error, createdAt, completedAt FROM api_tasks
+         WHERE userId = ? ORDER BY id DESC LIMIT ?`,
+        [userId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Record how a task ended
+   * @param {number} taskId - Task ID
+   * @param {Object} outcome - { status, result, error }
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async completeApiTask(taskId, outcome) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE api_tasks SET status = ?, result = ?, error = ?, completedAt = CURRENT_TIMESTAMP WHERE id = ?',
+        [outcome.status, outcome.result || null, outcome.error || null, taskId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Chats behind conversations held through the chat completions endpoint, keyed by a hash of the messages so far
+ * @namespace apiConversationFunctions
+ */
+const apiConversationFunctions = {
+  /**
+   * Remember which chat a conversation continues in
+   * @param {string} userId - User ID
+   * @param {string} conversationHash - Hash of the conversation's messages
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async saveConversation(userId, conversationHash, chatId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO api_conversations (userId, conversationHash, chatId) VALUES (?, ?, ?)
+         ON CONFLICT(userId, conversationHash) DO UPDATE SET chatId = excluded.chatId`,
+        [userId, conversationHash, chatId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Find the chat a conversation continues in
+   * @param {string} userId - User ID
+   * @param {string} conversationHash - Hash of the conversation's messages
+   * @returns {Promise<number|null>} Chat ID, or null if the conversation is unknown or its chat was deleted
+   */
+  async getConversationChat(userId, conversationHash) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        `SELECT ac.chatId FROM api_conversations ac
+         JOIN chats c ON c.id = ac.chatId AND c.userId = ac.userId
+         WHERE ac.userId = ? AND ac.conversationHash = ?`,
+        [userId, conversationHash],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? row.chatId : null);
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Parse a webhook row from the database
+ * @param {Object} row - Database row
+ * @returns {Object} Webhook with parsed events and boolean enabled
+ */
+function parseWebhookRow(row) {
+  return {
+    ...row,
+    events: tryParseJSON(row.events, []),
+    enabled: row.enabled === 1
+  };
+}
+
+/**
+ * Webhooks users registered for task lifecycle events
+ * @namespace webhookFunctions
+ */
+const webhookFunctions = {
+  /**
+   * Register a webhook
+   * @param {string} userId - User ID
+   * @param {Object} webhook - { url, description, events, secret, enabled }
+   * @returns {Promise<Object>} Result with the new webhook's ID
+   */
+  async createWebhook(userId, webhook) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO webhooks (userId, url, description, events, secret, enabled) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, webhook.url, webhook.description || null, JSON.stringify(webhook.events), webhook.secret, webhook.enabled === false ? 0 : 1],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a user's webhooks, without their secrets
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Webhooks
+   */
+  async getWebhooks(userId) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, url, description, events, enabled, createdAt, updatedAt FROM webhooks
+         WHERE userId = ? ORDER BY createdAt ASC, id ASC`,
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(parseWebhookRow));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get one of a user's webhooks, including its secret
+   * @param {string} userId - User ID
+   * @param {number} webhookId - Webhook ID
+   * @returns {Promise<Object|null>} Webhook or null
+   */
+  async getWebhook(userId, webhookId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM webhooks WHERE id = ? AND userId = ?',
+        [webhookId, userId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row ? parseWebhookRow(row) : null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a user's enabled webhooks that subscribe to an event
+   * @param {string} userId - User ID
+   * @param {string} event - Event name
+   * @returns {Promise<Array>} Webhooks, including their secrets
+   */
+  async getSubscribedWebhooks(userId, event) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT * FROM webhooks WHERE userId = ? AND enabled = 1',
+        [userId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve((rows || []).map(parseWebhookRow).filter(webhook => webhook.events.includes(event)));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Update a webhook
+   * @param {string} userId - User ID
+   * @param {number} webhookId - Webhook ID
+   * @param {Object} updates - Fields to change (url, description, events, secret, enabled)
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async updateWebhook(userId, webhookId, updates) {
+    const allowed = ['url', 'description', 'events', 'secret', 'enabled'];
+    const fields = Object.keys(updates).filter(key => allowed.includes(key));
+    if (fields.length === 0) {
+      return { changes: 0 };
+    }
+
+    const values = fields.map(key => {
+      if (key === 'enabled') return updates[key] ? 1 : 0;
+      if (key === 'events') return JSON.stringify(updates[key]);
+      return updates[key];
+    });
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE webhooks SET ${fields.map(key => `${key} = ?`).join(', ')}, updatedAt = CURRENT_TIMESTAMP
+         WHERE id = ? AND userId = ?`,
+        [...values, webhookId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete a webhook and its delivery log
+   * @param {string} userId - User ID
+   * @param {number} webhookId - Webhook ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async deleteWebhook(userId, webhookId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM webhooks WHERE id = ? AND userId = ?',
+        [webhookId, userId],
+        function(err) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          const changes = this.changes;
+          db.run('DELETE FROM webhook_deliveries WHERE webhookId = ? AND userId = ?', [webhookId, userId], (deleteErr) => {
+            if (deleteErr) {
+              reject(deleteErr);
+            } else {
+              resolve({ changes });
+            }
+          });
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Webhook deliveries: what was sent to which webhook, and how each attempt went
+ * @namespace webhookDeliveryFunctions
+ */
+const webhookDeliveryFunctions = {
+  /**
+   * Record a delivery that is about to be attempted
+   * @param {Object} delivery - { webhookId, userId, event, payload, nextAttemptAt }
+   * @returns {Promise<Object>} Result with the new delivery's ID
+   */
+  async createDelivery(delivery) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'INSERT INTO webhook_deliveries (webhookId, userId, event, payload, nextAttemptAt) VALUES (?, ?, ?, ?, ?)',
+        [delivery.webhookId, delivery.userId, delivery.event, delivery.payload, delivery.nextAttemptAt],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get pending deliveries whose next attempt is due, with their webhook's URL and secret
+   * @param {number} now - Current time in milliseconds
+   * @param {number} limit - Maximum number of deliveries
+   * @returns {Promise<Array>} Deliveries, oldest first
+   */
+  async getDueDeliveries(now, limit = 50) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+         JOIN webhooks w ON w.id = d.webhookId
+         WHERE d.status = 'pending' AND d.nextAttemptAt <= ? AND w.enabled = 1
+         ORDER BY d.nextAttemptAt ASC LIMIT ?`,
+        [now, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Claim a due attempt by pushing its time out by a lease.
+   * Only one caller (or instance) can claim a given attempt; if it crashes, the lease runs out and the attempt is retried.
+   * @param {number} deliveryId - Delivery ID
+   * @param {number} dueAt - The nextAttemptAt value the caller saw
+   * @param {number} leaseUntil - When the attempt may be retried by someone else
+   * @returns {Promise<boolean>} Whether this caller claimed the attempt
+   */
+  async claimDelivery(deliveryId, dueAt, leaseUntil) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE webhook_deliveries SET nextAttemptAt = ? WHERE id = ? AND status = ? AND nextAttemptAt = ?',
+        [leaseUntil, deliveryId, 'pending', dueAt],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Record how an attempt went
+   * @param {number} deliveryId - Delivery ID
+   * @param {Object} attempt - { status, attempts, responseStatus, error, nextAttemptAt }
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async recordAttempt(deliveryId, attempt) {
+    const finished = attempt.status !== 'pending';
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE webhook_deliveries SET status = ?, attempts = ?, responseStatus = ?, error = ?, nextAttemptAt = ?,
+         completedAt = ${finished ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`,
+        [attempt.status, attempt.attempts, attempt.responseStatus || null, attempt.error || null,
+          finished ? null : attempt.nextAttemptAt, deliveryId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Get a user's most recent deliveries
+   * @param {string} userId - User ID
+   * @param {Object} filter - { webhookId, limit }
+   * @returns {Promise<Array>} Deliveries without their payloads, newest first
+   */
+  async getDeliveries(userId, { webhookId = null, limit = 50 } = {}) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, webhookId, event, status, attempts, nextAttemptAt, responseStatus, error, createdAt, completedAt
+         FROM webhook_deliveries WHERE userId = ? AND (? IS NULL OR webhookId = ?)
+         ORDER BY id DESC LIMIT ?`,
+        [userId, webhookId, webhookId, limit],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete finished deliveries older than the given age
+   * @param {number} days - Age in days
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async deleteOldDeliveries(days) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM webhook_deliveries WHERE status != 'pending' AND createdAt < datetime('now', ?)`,
+        [`-${days} days`],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Docker volumes holding the container workspace of each chat
+ * @namespace workspaceFunctions
+ */
+const workspaceFunctions = {
+  /**
+   * Get the workspace of a chat
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object|null>} Workspace with volumeName, or null if the chat has none yet
+   */
+  async getWorkspace(userId, chatId) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT * FROM container_workspaces WHERE userId = ? AND chatId = ?',
+        [userId, chatId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Record the volume of a chat's workspace
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @param {string} volumeName - Docker volume name
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async saveWorkspace(userId, chatId, volumeName) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO container_workspaces (userId, chatId, volumeName) VALUES (?, ?, ?)
+         ON CONFLICT(userId, chatId) DO UPDATE SET volumeName = excluded.volumeName`,
+        [userId, chatId, volumeName],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Forget a chat's workspace
+   * @param {string} userId - User ID
+   * @param {number} chatId - Chat ID
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async deleteWorkspace(userId, chatId) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM container_workspaces WHERE userId = ? AND chatId = ?',
+        [userId, chatId],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Semantic search index: one embedding vector per chat message, memory or tracked file
+ * @namespace embeddingFunctions
+ */
+const embeddingFunctions = {
+  /**
+   * Get everything of a user that can be indexed for search.
+   * Chat message content is returned as stored (often a JSON array of content parts).
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourceTypes - Any of 'chat', 'memory', 'file'
+   * @returns {Promise<Array<Object>>} Rows with sourceType, sourceId, chatId, title, content, fileExtension, createdAt
+   */
+  async getIndexableSources(userId, sourceTypes) {
+    const queries = {
+      chat: `SELECT 'chat' AS sourceType, CAST(h.id AS TEXT) AS sourceId, h.chatId, c.title, h.content,
+               NULL AS fileExtension, h.timestamp AS createdAt
+             FROM chat_history h LEFT JOIN chats c ON c.id = h.chatId AND c.userId = h.userId
+             WHERE h.userId = ?`,
+      memory: `SELECT 'memory' AS sourceType, CAST(id AS TEXT) AS sourceId, NULL AS chatId, type AS title, content,
+                 NULL AS fileExtension, storedAt AS createdAt
+               FROM memories WHERE userId = ?`,
+      file: `SELECT 'file' AS sourceType, 'container:' || id AS sourceId, chatId, originalName AS title, fileContent AS content,
+               fileExtension, createdAt
+             FROM container_files WHERE userId = ? AND fileContent IS NOT NULL
+             UNION ALL
+             SELECT 'file' AS sourceType, 'host:' || id AS sourceId, chatId, originalName AS title, fileContent AS content,
+               fileExtension, createdAt
+             FROM host_files WHERE userId = ? AND fileContent IS NOT NULL`
+    };
+
+    const selected = sourceTypes.filter(type => queries[type]);
+    if (selected.length === 0) {
+      return [];
+    }
+
+    const params = [];
+    const sql = selected.map(type => {
+      params.push(...Array(type === 'file' ? 2 : 1).fill(userId));
+      return queries[type];
+    }).join('\nUNION ALL\n');
+
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  },
+
+  /**
+   * Get a user's stored embeddings
+   * @param {string} userId - User ID
+   * @param {Array<string>} sourceTypes - Source types to include
+   * @returns {Promise<Array<Object>>} Rows with the vector decoded to a Float32Array
+   */
+  async getEmbeddings(userId, sourceTypes) {
+    return new Promise((resolve, reject) => {
+      db.all(
+        `SELECT id, sourceType, sourceId, chatId, model, contentHash, vector, updatedAt FROM embeddings
+         WHERE userId = ? AND sourceType IN (${sourceTypes.map(() => '?').join(', ')})`,
+        [userId, ...sourceTypes],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows.map(row => ({
+              ...row,
+              vector: new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4)
+            })));
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Save (insert or replace) the embedding of one source
+   * @param {string} userId - User ID
+   * @param {Object} embedding - { sourceType, sourceId, chatId, model, contentHash, vector }
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async saveEmbedding(userId, embedding) {
+    const vector = Float32Array.from(embedding.vector);
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO embeddings (userId, sourceType, sourceId, chatId, model, contentHash, vector, updatedAt)
+         VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(userId, sourceType, sourceId) DO UPDATE SET
+           chatId = excluded.chatId,
+           model = excluded.model,
+           contentHash = excluded.contentHash,
+           vector = excluded.vector,
+           updatedAt = CURRENT_TIMESTAMP`,
+        [userId, embedding.sourceType, embedding.sourceId, embedding.chatId || null, embedding.model,
+          embedding.contentHash, Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength)],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete embeddings by row ID, e.g. once their source is gone
+   * @param {string} userId - User ID
+   * @param {Array<number>} ids - Embedding row IDs
+   * @returns {Promise<number>} Number of deleted rows
+   */
+  async deleteEmbeddings(userId, ids) {
+    if (ids.length === 0) {
+      return 0;
+    }
+    return new Promise((resolve, reject) => {
+      db.run(
+        `DELETE FROM embeddings WHERE userId = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+        [userId, ...ids],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+};
+
+/**
+ * Shared task state for the SQLite context store (see utils/contextStores).
+ * Values are JSON; rows with an owner are locks. expiresAt is in epoch milliseconds, NULL for no expiry.
+ * @namespace contextStoreFunctions
+ */
+const contextStoreFunctions = {
+  /**
+   * Get an unexpired entry
+   * @param {string} key - Entry key
+   * @returns {Promise<Object|null>} Row with value (JSON string) and owner, or null
+   */
+  async getEntry(key) {
+    return new Promise((resolve, reject) => {
+      db.get(
+        'SELECT value, owner, expiresAt FROM context_store WHERE key = ? AND (expiresAt IS NULL OR expiresAt > ?)',
+        [key, Date.now()],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Save (insert or replace) an entry
+   * @param {string} key - Entry key
+   * @param {string} value - JSON value
+   * @param {number|null} expiresAt - Expiry in epoch milliseconds
+   * @returns {Promise<Object>} Result with changes count
+   */
+  async setEntry(key, value, expiresAt = null) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO context_store (key, value, owner, expiresAt) VALUES (?, ?, NULL, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, owner = NULL, expiresAt = excluded.expiresAt`,
+        [key, value, expiresAt],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes });
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Take or extend a lock. Succeeds when the key is free, expired or already held by the owner.
+   * @param {string} key - Lock key
+   * @param {string} owner - Lock owner
+   * @param {string} value - JSON value stored with the lock
+   * @param {number} expiresAt - Expiry in epoch milliseconds
+   * @returns {Promise<boolean>} Whether the owner holds the lock
+   */
+  async acquireLock(key, owner, value, expiresAt) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO context_store (key, value, owner, expiresAt) VALUES (?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, owner = excluded.owner, expiresAt = excluded.expiresAt
+         WHERE context_store.owner IS NULL OR context_store.owner = excluded.owner
+           OR context_store.expiresAt IS NULL OR context_store.expiresAt <= ?`,
+        [key, value, owner, expiresAt, Date.now()],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete an entry; with an owner, only if that owner holds it
+   * @param {string} key - Entry key
+   * @param {string} [owner] - Lock owner
+   * @returns {Promise<boolean>} Whether an entry was deleted
+   */
+  async deleteEntry(key, owner) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        owner ? 'DELETE FROM context_store WHERE key = ? AND owner = ?' : 'DELETE FROM context_store WHERE key = ?',
+        owner ? [key, owner] : [key],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  },
+
+  /**
+   * Delete expired entries
+   * @returns {Promise<number>} Number of deleted entries
+   */
+  async deleteExpiredEntries() {
+    return new Promise((resolve, reject) => {
+      db.run(
+        'DELETE FROM context_store WHERE expiresAt IS NOT NULL AND expiresAt <= ?',
+        [Date.now()],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes);
+          }
+        }
+      );
+    });
+  }
+};
+
 /**
  * Get the database instance
  * @returns {sqlite3.Database} Database instance
@@ -1522,5 +3662,18 @@ module.exports = {
   fileFunctions,
   settingsFunctions,
   taskStepFunctions,
+  taskCheckpointFunctions,
+  modelRoutingFunctions,
+  budgetCeilingFunctions,
+  scheduledTaskFunctions,
+  templateFunctions,
+  apiKeyFunctions,
+  apiTaskFunctions,
+  apiConversationFunctions,
+  webhookFunctions,
+  webhookDeliveryFunctions,
+  workspaceFunctions,
+  embeddingFunctions,
+  contextStoreFunctions,
   getDb  
 }; 
\ No newline at end of file
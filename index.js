@@ -14,11 +14,33 @@ const io = require('./socket');
 const sanitize = require('sanitize-filename');
 const prompts = require('./tools/AI/prompts');
 const ai = require('./tools/AI/ai');
-const { taskStepFunctions } = require('./database');
+const planFunctions = require('./tools/AI/planFunctions');
+const memory = require('./tools/AI/memory');
+const historyManager = require('./tools/AI/history');
+const budget = require('./tools/AI/budget');
+const stepGraph = require('./utils/stepGraph');
+const approvals = require('./utils/approval');
+const scheduler = require('./utils/scheduler');
+const webhooks = require('./utils/webhooks');
+const { taskStepFunctions, taskCheckpointFunctions } = require('./database');
 require('dotenv').config();
 
 const SCREENSHOT_INTERVAL = config.tasks.screenshotInterval;
 
+// Set during shutdown so interrupted tasks keep their checkpoints
+let isShuttingDown = false;
+
+/**
+ * Emits a task lifecycle event to the user's dashboards and to their webhooks.
+ * @param {string} userId - The user ID.
+ * @param {string} event - Event name, e.g. 'task_completed'.
+ * @param {Object} payload - Event payload.
+ */
+function emitTaskEvent(userId, event, payload) {
+  io.to(`user:${userId}`).emit(event, payload);
+  webhooks.dispatch(userId, event, payload);
+}
+
 /**
  * Sanitizes a path by ensuring it contains only safe characters.
  * @param {string} unsafePath - The potentially unsafe path to sanitize.
@@ -102,6 +124,8 @@ function loadTools() {
           const toolModule = require(path.join(toolsDirectory, folder, mainFile));
           tools[toolConfig.title] = toolModule;
           toolConfigs[toolConfig.title] = toolConfig;
+          approvals.registerTool(toolConfig.title, toolConfig);
+          planFunctions.registerTool(toolConfig.title, toolConfig);
           
           toolDescriptions.push({
             title: toolConfig.title,
@@ -141,6 +165,10 @@ function loadTools() {
 // Initialize the application
 ascii.printWelcome();
 loadTools();
+contextManager.watchInterruptedTasks();
+memory.scheduleExpiry();
+scheduler.start();
+webhooks.start();
 
 /**
  * Main orchestrator for processing user requests.
@@ -148,9 +176,15 @@ loadTools();
  * @param {string} userId - The user ID (default: 'default').
  * @param {number} chatId - The chat ID (default: 1).
  * @param {boolean} isFollowUp - Whether this is a follow-up request (default: false).
+ * @param {Object} options - Optional hooks for non-socket clients.
+ * @param {Function} options.onClarificationNeeded - Called with the questions when the planner needs clarification.
+ * @param {boolean} options.planReview - Force plan review on or off; defaults to the chat/user setting.
+ * @param {Object} options.budget - { credits, tokens } budget for this task; defaults to the user's taskBudget setting.
+ * @param {boolean} options.allowClarification - Set to false for unattended runs, where nobody can answer questions.
+ * @param {Array} options.plan - Ready plan steps (e.g. from a template); skips the planning call.
  * @returns {string} The final response to the user.
  */
-async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = false) {
+async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = false, options = {}) {
   try {
     // Validate inputs
     if (!question || typeof question !== 'string') {
@@ -167,9 +201,9 @@ async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = fa
     }
     
     // Check if a task is already running for this user
-    if (contextManager.isTaskRunning(userId, chatId)) {
+    if (await contextManager.isTaskRunning(userId, chatId)) {
       logger.warn('Task already running', { userId, chatId });
-      io.to(`user:${userId}`).emit('task_error', { 
+      emitTaskEvent(userId, 'task_error', { 
         userId, 
         chatId, 
         error: 'A task is already running. Please wait for it to complete before submitting a new task.' 
@@ -183,17 +217,34 @@ async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = fa
     }
     
     // Clear any previous cancellation history when starting a new task
-    contextManager.clearCancellationHistory(userId, chatId);
+    await contextManager.clearCancellationHistory(userId, chatId);
     
     // Create AbortController for cancellation support
     const abortController = new AbortController();
     contextManager.setCancellationToken(abortController, userId, chatId);
     
-    // Set task as running only once after context is initialized/reset
-    contextManager.setTaskRunning(true, userId, chatId);
+    // Set task as running only once after context is initialized/reset;
+    // the lock is shared, so another instance may have started a task in the meantime
+    if (!(await contextManager.setTaskRunning(true, userId, chatId))) {
+      contextManager.clearCancellationToken(userId, chatId);
+      emitTaskEvent(userId, 'task_error', { 
+        userId, 
+        chatId, 
+        error: 'A task is already running. Please wait for it to complete before submitting a new task.' 
+      });
+      return 'Task already running. Please wait for completion.';
+    }
+    
+    // Track spend against the task's budget, capped by the plan ceiling
+    await budget.startTaskBudget(userId, chatId, options.budget);
+    
+    // A new task replaces any interrupted task left in this chat
+    taskCheckpointFunctions.clearCheckpoint(userId, chatId).catch(error => {
+      logger.error('Error clearing task checkpoint', { error: error.message, userId, chatId });
+    });
     
     // Notify user that task is received
-    io.to(`user:${userId}`).emit('task_received', { userId, chatId, task: question, isFollowUp });
+    emitTaskEvent(userId, 'task_received', { userId, chatId, task: question, isFollowUp });
     io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: 'Improving prompt' });
     
     // Set the question in context
@@ -204,9 +255,21 @@ async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = fa
       throw new Error('Task cancelled by user');
     }
 
-    // Generate planning prompt
-    const history = contextManager.getHistoryWithChatId(userId, chatId);
-    const prompt = await prompts.generatePlanningPrompt(question, history, userId);
+    // A ready plan goes straight to execution; tools may have been disabled since it was saved
+    if (options.plan) {
+      const { plan, errors } = normalizeReviewedPlan(options.plan);
+      if (errors.length > 0) {
+        throw new Error(`Invalid plan: ${errors.join('; ')}`);
+      }
+      return await executeTaskPlan({ ...plan }, question, userId, chatId, isFollowUp, options);
+    }
+
+    // Generate planning prompt with what the agent remembers about the user;
+    // long chats have their older turns rolled into a summary first
+    const history = await historyManager.getHistory(userId, chatId);
+    const memories = await memory.getRelevantMemories(userId, question);
+    const allowClarification = options.allowClarification !== false;
+    const prompt = await prompts.generatePlanningPrompt(question, history, userId, { allowClarification, memories });
     
     io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: 'Planning task execution' });
     
@@ -215,8 +278,27 @@ async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = fa
       throw new Error('Task cancelled by user');
     }
     
-    // Get plan from AI using planning model
-    let planObject = await ai.callAI(prompt, question, history, undefined, true, "planning", userId, chatId);
+    // Get plan from AI using planning model; the planner answers through function calls
+    let planObject = planFunctions.toPlanObject(await ai.callAI(prompt, question, history, undefined, true, "planning", userId, chatId, {
+      functions: planFunctions.getPlanningFunctions({ allowClarification })
+    }));
+    
+    // Ask the user for missing details, then plan again with their answers
+    if (planObject && planObject.needsClarification) {
+      question = await requestClarification(planObject, question, userId, chatId, options);
+      contextManager.setQuestion(question, userId, chatId);
+      
+      io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: 'Planning task execution' });
+      const clarifiedPrompt = await prompts.generatePlanningPrompt(question, history, userId, { allowClarification: false, memories });
+      planObject = planFunctions.toPlanObject(await ai.callAI(clarifiedPrompt, question, history, undefined, true, "planning", userId, chatId, {
+        functions: planFunctions.getPlanningFunctions({ allowClarification: false })
+      }));
+    }
+    
+    // The budget ran out before there was a plan to work on
+    if (planObject && planObject.budgetExceeded) {
+      throw new Error(planObject.message);
+    }
     
     // Handle direct answers without complex planning
     if (planObject.directAnswer === true && planObject.answer) {
@@ -224,33 +306,173 @@ async function centralOrchestrator(question, userId, chatId = 1, isFollowUp = fa
     }
     
     // Process complex tasks with multi-step plan
-    return await executeTaskPlan(planObject, question, userId, chatId, isFollowUp);
+    return await executeTaskPlan(planObject, question, userId, chatId, isFollowUp, options);
     
   } catch (error) {
-    console.error("Critical error in orchestration:", error.message);
+    return await handleTaskFailure(error, userId, chatId);
+  }
+}
+
+/**
+ * Pauses the task until the user answers the planner's clarifying questions.
+ * @param {Object} planObject - The planner response containing needsClarification.
+ * @param {string} question - The user's question.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @param {Object} options - Orchestrator options (see centralOrchestrator).
+ * @returns {string} The question extended with the clarification answers.
+ */
+async function requestClarification(planObject, question, userId, chatId, options = {}) {
+  // Accept both {needsClarification: true, questions} and {needsClarification: {questions}}
+  const rawQuestions = planObject.questions || (planObject.needsClarification && planObject.needsClarification.questions) || [];
+  const questions = (Array.isArray(rawQuestions) ? rawQuestions : [rawQuestions])
+    .map(q => String(q).trim())
+    .filter(q => q.length > 0);
+  
+  if (questions.length === 0) {
+    return question;
+  }
+  
+  logger.task(userId, chatId, 'Waiting for clarification', { questionCount: questions.length });
+  io.to(`user:${userId}`).emit('clarification_needed', { userId, chatId, questions });
+  io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: 'Waiting for your answer' });
+  
+  if (typeof options.onClarificationNeeded === 'function') {
+    try {
+      await options.onClarificationNeeded(questions);
+    } catch (error) {
+      logger.error('Error delivering clarification questions', { error: error.message, userId, chatId });
+    }
+  }
+  
+  const answer = await contextManager.waitForClarification(questions, userId, chatId, config.tasks.clarificationTimeout);
+  
+  const questionList = questions.map(q => `- ${q}`).join('\n');
+  if (answer === null || String(answer).trim() === '') {
+    logger.task(userId, chatId, 'Clarification timed out, continuing with assumptions');
+    return `${question}\n\nClarifying questions (unanswered, use sensible assumptions):\n${questionList}`;
+  }
+  
+  return `${question}\n\nClarifying questions:\n${questionList}\n\nUser's answer:\n${String(answer).trim()}`;
+}
+
+/**
+ * Resumes a task interrupted by a server restart from its last checkpoint.
+ * Steps completed before the interruption are replayed to the client, not re-run.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID (default: 1).
+ * @returns {string} The final response to the user.
+ */
+async function resumeTask(userId, chatId = 1) {
+  try {
+    if (!userId) {
+      throw new Error('Authentication required: valid user ID is mandatory for production use');
+    }
+    
+    chatId = parseInt(chatId, 10);
+    if (isNaN(chatId) || chatId < 1) {
+      chatId = 1;
+    }
+    
+    if (await contextManager.isTaskRunning(userId, chatId)) {
+      logger.warn('Task already running', { userId, chatId });
+      emitTaskEvent(userId, 'task_error', { 
+        userId, 
+        chatId, 
+        error: 'A task is already running. Please wait for it to complete before submitting a new task.' 
+      });
+      return 'Task already running. Please wait for completion.';
+    }
+    
+    const checkpoint = await taskCheckpointFunctions.getCheckpoint(userId, chatId);
+    if (!checkpoint || checkpoint.status !== 'interrupted' || checkpoint.plan.length === 0) {
+      throw new Error('No interrupted task to resume');
+    }
+    
+    // Rebuild context from the checkpoint
+    contextManager.restoreCheckpoint(checkpoint, userId, chatId);
+    await contextManager.clearCancellationHistory(userId, chatId);
+    
+    const abortController = new AbortController();
+    contextManager.setCancellationToken(abortController, userId, chatId);
+    if (!(await contextManager.setTaskRunning(true, userId, chatId))) {
+      contextManager.clearCancellationToken(userId, chatId);
+      return 'Task already running. Please wait for completion.';
+    }
+    await budget.startTaskBudget(userId, chatId);
+    await contextManager.saveCheckpoint(userId, chatId);
+    
+    const { question, plan, currentStepIndex } = checkpoint;
+    logger.task(userId, chatId, 'Resuming interrupted task', { currentStepIndex, totalSteps: plan.length });
     
-    // Check if this was a cancellation
-    const isCancelled = error.message === 'Task cancelled by user';
+    emitTaskEvent(userId, 'task_received', { userId, chatId, task: question, isFollowUp: false, resumed: true });
     
-    // Clean up task state
-    contextManager.setTaskRunning(false, userId, chatId);
-    contextManager.clearCancellationToken(userId, chatId);
+    const emailService = require('./utils/emailService');
+    const emailServiceAvailable = emailService.isEmailServiceAvailable();
+    emitTaskEvent(userId, 'steps', { userId, chatId, plan, emailServiceAvailable, resumed: true });
     
-    // Send appropriate message to client
-    if (isCancelled) {
-      io.to(`user:${userId}`).emit('task_cancelled', { userId, chatId, message: 'Task cancelled successfully' });
-    } else {
-      io.to(`user:${userId}`).emit('task_error', { userId, chatId, error: error.message });
+    // Replay completions for steps finished before the interruption
+    for (let i = 0; i < currentStepIndex && i < plan.length; i++) {
+      emitStepCompletion(plan[i], i, plan, userId, chatId);
     }
     
+    io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Resuming: Step ${currentStepIndex + 1}/${plan.length}` });
+    
+    const screenshotInterval = setupScreenshotInterval(plan, userId, chatId);
     try {
-      await cleanupUserResources(userId);
-    } catch (cleanupError) {
-      console.error("Error during cleanup:", cleanupError.message);
+      await executeSteps(plan, question, userId, chatId);
+    } finally {
+      if (screenshotInterval) {
+        clearInterval(screenshotInterval);
+      }
     }
     
-    return isCancelled ? 'Task cancelled by user' : `Critical error occurred during execution: ${error.message}`;
+    return await finalizeAndReturn(question, contextManager.getPlan(userId, chatId), userId, chatId);
+  } catch (error) {
+    return await handleTaskFailure(error, userId, chatId);
+  }
+}
+
+/**
+ * Cleans up after a task that failed or was cancelled and notifies the client.
+ * @param {Error} error - The error that ended the task.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {string} Message describing how the task ended.
+ */
+async function handleTaskFailure(error, userId, chatId) {
+  console.error("Critical error in orchestration:", error.message);
+  
+  // Check if this was a cancellation
+  const isCancelled = error.message === 'Task cancelled by user';
+  
+  // Clean up task state
+  await contextManager.setTaskRunning(false, userId, chatId);
+  contextManager.clearCancellationToken(userId, chatId);
+  
+  // Tasks failing because the server is going down stay resumable
+  if (!isShuttingDown) {
+    try {
+      await taskCheckpointFunctions.clearCheckpoint(userId, chatId);
+    } catch (checkpointError) {
+      console.error("Error clearing task checkpoint:", checkpointError.message);
+    }
+  }
+  
+  // Send appropriate message to client
+  if (isCancelled) {
+    emitTaskEvent(userId, 'task_cancelled', { userId, chatId, message: 'Task cancelled successfully' });
+  } else {
+    emitTaskEvent(userId, 'task_error', { userId, chatId, error: error.message });
+  }
+  
+  try {
+    await cleanupUserResources(userId);
+  } catch (cleanupError) {
+    console.error("Error during cleanup:", cleanupError.message);
   }
+  
+  return isCancelled ? 'Task cancelled by user' : `Critical error occurred during execution: ${error.message}`;
 }
 
 /**
@@ -280,7 +502,7 @@ async function handleDirectAnswer(planObject, question, userId, chatId) {
   }, userId, chatId);
   
   // Emit task completion for direct answers
-  io.to(`user:${userId}`).emit('task_completed', { 
+  emitTaskEvent(userId, 'task_completed', { 
     userId, 
     chatId,
     result: cleanJsonResponses(planObject.answer),
@@ -293,13 +515,16 @@ async function handleDirectAnswer(planObject, question, userId, chatId) {
       totalSteps: 0,
       durationSeconds: 0,
       averageStepTime: 0
-    }
+    },
+    budget: budget.getUsage(userId, chatId)
   });
   
   // Mark task as no longer running
-  contextManager.setTaskRunning(false, userId, chatId);
+  await contextManager.setTaskRunning(false, userId, chatId);
   contextManager.clearCancellationToken(userId, chatId);
   
+  rememberInBackground(question, planObject.answer, userId, chatId);
+  
   await cleanupUserResources(userId);
   return planObject.answer;
 }
@@ -311,11 +536,18 @@ async function handleDirectAnswer(planObject, question, userId, chatId) {
  * @param {string} userId - The user ID.
  * @param {number} chatId - The chat ID.
  * @param {boolean} isFollowUp - Whether this is a follow-up request.
+ * @param {Object} options - Orchestrator options (see centralOrchestrator).
  * @returns {string} The final response after task execution.
  */
-async function executeTaskPlan(planObject, question, userId, chatId, isFollowUp) {
+async function executeTaskPlan(planObject, question, userId, chatId, isFollowUp, options = {}) {
   // Extract plan steps
-  const plan = Object.values(planObject).filter(item => item && typeof item === 'object');
+  let plan = Object.values(planObject).filter(item => item && typeof item === 'object');
+  
+  // Let the user reorder, edit, add or remove steps before anything runs
+  if (await isPlanReviewEnabled(userId, chatId, options)) {
+    plan = await requestPlanReview(plan, userId, chatId);
+    planObject = { ...plan };
+  }
   
   // Store plan in context
   contextManager.setPlan(plan, userId, chatId);
@@ -342,7 +574,7 @@ async function executeTaskPlan(planObject, question, userId, chatId, isFollowUp)
   const emailServiceAvailable = emailService.isEmailServiceAvailable();
   
   // Emit steps to client
-  io.to(`user:${userId}`).emit('steps', { userId, chatId, plan, emailServiceAvailable });
+  emitTaskEvent(userId, 'steps', { userId, chatId, plan, emailServiceAvailable });
   
   // Store steps in database for history reconstruction
   try {
@@ -351,19 +583,134 @@ async function executeTaskPlan(planObject, question, userId, chatId, isFollowUp)
     console.error('Error storing task steps:', error.message);
   }
   
+  // Checkpoint the plan so the task can be resumed after a restart
+  await contextManager.saveCheckpoint(userId, chatId);
+  
   // Setup screenshot interval if using browser
-  let screenshotInterval = setupScreenshotInterval(plan, userId, chatId);
+  const screenshotInterval = setupScreenshotInterval(plan, userId, chatId);
+  try {
+    // Execute each step in the plan
+    await executeSteps(plan, question, userId, chatId);
+  } finally {
+    if (screenshotInterval) {
+      clearInterval(screenshotInterval);
+    }
+  }
+  
+  // Finalize and return results, the plan may have been revised while it ran
+  return await finalizeAndReturn(question, contextManager.getPlan(userId, chatId), userId, chatId);
+}
+
+/**
+ * Lists the titles of the loaded tools, e.g. for the plan editor's action picker.
+ * @returns {Array<string>} Enabled tool titles.
+ */
+function getAvailableTools() {
+  return Object.keys(tools);
+}
+
+/**
+ * Checks whether the plan should be reviewed by the user before execution.
+ * A per-chat setting takes precedence over the user's default.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @param {Object} options - Orchestrator options (see centralOrchestrator).
+ * @returns {boolean} True if the task should wait for plan review.
+ */
+async function isPlanReviewEnabled(userId, chatId, options = {}) {
+  if (typeof options.planReview === 'boolean') {
+    return options.planReview;
+  }
+  
+  try {
+    const { settingsFunctions } = require('./database');
+    const chatSetting = await settingsFunctions.getSetting(userId, `review_plan_${chatId}`);
+    if (chatSetting === 'true' || chatSetting === 'false') {
+      return chatSetting === 'true';
+    }
+    return (await settingsFunctions.getSetting(userId, 'reviewPlan')) === 'true';
+  } catch (error) {
+    logger.error('Error reading plan review setting', { error: error.message, userId, chatId });
+    return false;
+  }
+}
+
+/**
+ * Validates a plan edited by the user and keeps only the known step fields.
+ * @param {Array} plan - The edited plan.
+ * @returns {{plan: Array, errors: Array<string>}} The cleaned plan and any validation errors.
+ */
+function normalizeReviewedPlan(plan) {
+  if (!Array.isArray(plan) || plan.length === 0) {
+    return { plan: [], errors: ['The plan must contain at least one step'] };
+  }
+  
+  const errors = [];
+  const normalized = plan.map((step, index) => {
+    const label = `Step ${index + 1}`;
+    if (!step || typeof step !== 'object') {
+      errors.push(`${label} is not a valid step`);
+      return null;
+    }
+    
+    const description = typeof step.step === 'string' ? step.step.trim() : '';
+    if (!description) {
+      errors.push(`${label} needs a description`);
+    }
+    if (!tools[step.action]) {
+      errors.push(`${label} uses unknown or disabled tool '${step.action}'`);
+    }
+    
+    const cleanStep = {
+      step: description,
+      action: step.action,
+      expectedOutput: typeof step.expectedOutput === 'string' ? step.expectedOutput.trim() : '',
+      usingData: Array.isArray(step.usingData) ? step.usingData.join(',') : String(step.usingData || 'all').trim() || 'all'
+    };
+    
+    if (step.model) {
+      cleanStep.model = String(step.model);
+    }
+    if (step.intensity !== undefined && step.intensity !== null && step.intensity !== '') {
+      const intensity = parseInt(step.intensity, 10);
+      if (isNaN(intensity) || intensity < 1 || intensity > 10) {
+        errors.push(`${label} intensity must be a number from 1 to 10`);
+      } else {
+        cleanStep.intensity = intensity;
+      }
+    }
+    
+    return cleanStep;
+  });
   
-  // Execute each step in the plan
-  await executeSteps(plan, question, userId, chatId);
+  return { plan: normalized, errors };
+}
+
+/**
+ * Emits the proposed plan for review and waits until the user starts execution.
+ * @param {Array} plan - The plan proposed by the planner.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Array} The plan as reviewed by the user.
+ */
+async function requestPlanReview(plan, userId, chatId) {
+  logger.task(userId, chatId, 'Waiting for plan review', { stepCount: plan.length });
+  emitTaskEvent(userId, 'steps', { 
+    userId, 
+    chatId, 
+    plan, 
+    awaitingReview: true, 
+    availableTools: getAvailableTools() 
+  });
+  io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: 'Waiting for plan review' });
   
-  // Clear screenshot interval if set
-  if (screenshotInterval) {
-    clearInterval(screenshotInterval);
+  const reviewedPlan = await contextManager.waitForPlanReview(plan, userId, chatId, config.tasks.planReviewTimeout);
+  if (reviewedPlan === null) {
+    throw new Error('Plan review timed out');
   }
   
-  // Finalize and return results
-  return await finalizeAndReturn(question, plan, userId, chatId);
+  logger.task(userId, chatId, 'Plan reviewed', { stepCount: reviewedPlan.length });
+  return reviewedPlan;
 }
 
 /**
@@ -390,88 +737,204 @@ function setupScreenshotInterval(plan, userId, chatId) {
 }
 
 /**
- * Executes all steps in the plan sequentially.
+ * Executes the plan as a dependency graph.
+ * Steps whose `usingData` does not reference each other run concurrently, up to
+ * `config.tasks.maxParallelSteps` at a time. Tools sharing a `concurrencyGroup`
+ * in their tool.json never overlap. `step_completed` is always emitted in plan order.
+ * Once the task's budget is spent no further steps start; the steps that finished are kept.
+ * Steps already completed in the context, such as after a resume, are not run again.
+ * When a step's reflection asks for a new plan, the revised plan is used from then on.
  * @param {Array} plan - The execution plan.
  * @param {string} question - The user's question.
  * @param {string} userId - The user ID.
  * @param {number} chatId - The chat ID.
  */
 async function executeSteps(plan, question, userId, chatId) {
-  while (contextManager.getCurrentStepIndex(userId, chatId) < plan.length) {
-    // Check for cancellation before each step
+  const maxParallel = Math.max(1, config.tasks.maxParallelSteps);
+  let dependencies = stepGraph.buildDependencies(plan);
+  
+  const pending = new Set();
+  const completed = new Set(contextManager.getCompletedSteps(userId, chatId));
+  const running = new Map();
+  const finishedSteps = new Map();
+  
+  for (let i = 0; i < plan.length; i++) {
+    if (!completed.has(i)) {
+      pending.add(i);
+    }
+  }
+  
+  // Steps that finished ahead of the emitted prefix before a resume are emitted once it catches up
+  let nextToEmit = contextManager.getCurrentStepIndex(userId, chatId);
+  for (const index of completed) {
+    if (index > nextToEmit && index < plan.length) {
+      finishedSteps.set(index, plan[index]);
+    }
+  }
+  
+  let failure = null;
+  
+  while ((pending.size > 0 || running.size > 0) && !failure) {
+    // Check for cancellation before scheduling more steps
     if (contextManager.isTaskCancelled(userId, chatId)) {
-      throw new Error('Task cancelled by user');
+      failure = new Error('Task cancelled by user');
+      break;
     }
     
-    const currentStepIndex = contextManager.getCurrentStepIndex(userId, chatId);
-    const step = plan[currentStepIndex];
-
-    // Check if reasoning should be skipped for this tool
-    const toolConfig = toolConfigs[step.action];
-    const shouldSkipReasoning = toolConfig?.skipReasoning === true;
-    
-    let enhancedStep;
-    if (shouldSkipReasoning) {
-      // Skip reasoning, use step as-is
-      io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Executing: ${step.step} using ${step.action}` });
-      enhancedStep = step;
-    } else {
-      // Reason about the step
-      io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Reasoning about: ${step.step}` });
-      enhancedStep = await tools.react.processStep(step, userId, chatId);
-      
-      // Execute the step
-      io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Executing: ${enhancedStep.step} using ${enhancedStep.action}` });
+    if (budget.isExceeded(userId, chatId)) {
+      io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: 'Budget reached, summarizing completed steps' });
+      break;
     }
     
-    // Get filtered step outputs based on data dependencies
-    const filteredStepsOutput = contextManager.getFilteredStepsOutput(enhancedStep.usingData, userId, chatId);
-    const inputData = enhancedStep.usingData === "none" ? "" : filteredStepsOutput.map(item => `${item.action}: ${item.output}`).join("; ");
+    // Start every ready step that fits within the concurrency limit
+    const busyGroups = new Set([...running.keys()].map(index => getConcurrencyGroup(plan[index])).filter(Boolean));
+    for (const index of stepGraph.getReadySteps(dependencies, pending, completed)) {
+      if (running.size >= maxParallel) break;
+      
+      const group = getConcurrencyGroup(plan[index]);
+      if (group && busyGroups.has(group)) continue;
+      if (group) busyGroups.add(group);
+      
+      pending.delete(index);
+      running.set(index, executeStep(plan[index], index, plan, question, userId, chatId)
+        .then(({ enhancedStep, changePlan }) => ({ index, enhancedStep, changePlan }), error => ({ index, error })));
+    }
     
-    // Execute the appropriate tool
-    const summary = await executeToolAction(enhancedStep, inputData, currentStepIndex, plan, userId, chatId);
+    if (running.size === 0) {
+      // Dependencies only point backwards, so this only happens if the plan is malformed
+      failure = new Error('No executable steps remain in the plan');
+      break;
+    }
     
-    // Emit step completion
-    emitStepCompletion(enhancedStep, currentStepIndex, plan, userId, chatId);
+    const result = await Promise.race(running.values());
+    running.delete(result.index);
     
-    // Update step status in database
-    try {
-      await taskStepFunctions.updateStepStatus(userId, chatId, currentStepIndex, 'completed');
-    } catch (error) {
-      console.error('Error updating step status:', error.message);
+    if (result.error) {
+      // Steps cut off by the budget are left unfinished rather than failing the task
+      if (!budget.isExceeded(userId, chatId)) {
+        failure = result.error;
+      }
+      continue;
     }
     
-    // Store step output
-    const stepOutput = {
-      step: enhancedStep.step,
-      action: enhancedStep.action,
-      output: summary 
-    };
-    
-
-    contextManager.addStepOutput(stepOutput, userId, chatId);
+    completed.add(result.index);
+    contextManager.markStepCompleted(result.index, userId, chatId);
+    finishedSteps.set(result.index, result.enhancedStep);
     
-    // Reflect on result (only if reasoning wasn't skipped)
-    if (!shouldSkipReasoning) {
-      io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Reflecting on: ${enhancedStep.step}` });
-      const reflection = await tools.react.reflectOnResult(enhancedStep, summary, userId, chatId);
-      
-      // Check if plan needs to be updated
-      if (reflection && reflection.changePlan === true) {
-        await updatePlanIfNeeded(question, userId, chatId);
+    if (result.changePlan) {
+      const revisedPlan = await updatePlanIfNeeded(question, plan, completed, running, userId, chatId);
+      if (revisedPlan !== plan) {
+        // Started steps keep their indices, so only the steps that have not started change
+        plan = revisedPlan;
+        dependencies = stepGraph.buildDependencies(plan);
+        pending.clear();
+        for (let i = 0; i < plan.length; i++) {
+          if (!completed.has(i) && !running.has(i)) {
+            pending.add(i);
+          }
+        }
       }
     }
     
-    // Move to next step
-    contextManager.incrementStepIndex(userId, chatId);
-    
-    // Periodically save thought chain (only if reasoning was used)
-    if (!shouldSkipReasoning && (currentStepIndex % 3 === 0 || currentStepIndex === plan.length - 1)) {
-      await tools.react.saveThoughtChain(tools.fileSystem, userId, chatId);
+    // Emit completions in plan order so the client's progress stays consistent
+    while (finishedSteps.has(nextToEmit)) {
+      emitStepCompletion(finishedSteps.get(nextToEmit), nextToEmit, plan, userId, chatId);
+      finishedSteps.delete(nextToEmit);
+      contextManager.incrementStepIndex(userId, chatId);
+      nextToEmit++;
     }
+    
+    await contextManager.saveCheckpoint(userId, chatId);
+  }
+  
+  // Let in-flight steps settle before surfacing an error or wrapping up
+  await Promise.all(running.values());
+  if (failure) {
+    throw failure;
   }
 }
 
+/**
+ * Returns the concurrency group a step's tool belongs to, if any.
+ * @param {Object} step - The plan step.
+ * @returns {string|null} The group name from tool.json or null.
+ */
+function getConcurrencyGroup(step) {
+  const toolConfig = step && toolConfigs[step.action];
+  return toolConfig?.concurrencyGroup || null;
+}
+
+/**
+ * Runs a single plan step: reasoning, tool execution, output storage and reflection.
+ * @param {Object} step - The plan step.
+ * @param {number} stepIndex - Index of the step in the plan.
+ * @param {Array} plan - The execution plan.
+ * @param {string} question - The user's question.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Object} The enhanced step that was executed, and whether reflection asked to change the plan.
+ */
+async function executeStep(step, stepIndex, plan, question, userId, chatId) {
+  // Check if reasoning should be skipped for this tool
+  const toolConfig = toolConfigs[step.action];
+  const shouldSkipReasoning = toolConfig?.skipReasoning === true;
+  
+  let enhancedStep;
+  if (shouldSkipReasoning) {
+    // Skip reasoning, use step as-is
+    io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Executing: ${step.step} using ${step.action}` });
+    enhancedStep = step;
+  } else {
+    // Reason about the step
+    io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Reasoning about: ${step.step}` });
+    enhancedStep = await tools.react.processStep(step, userId, chatId);
+    
+    // Execute the step
+    io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Executing: ${enhancedStep.step} using ${enhancedStep.action}` });
+  }
+  
+  // Get filtered step outputs based on data dependencies
+  const filteredStepsOutput = contextManager.getFilteredStepsOutput(enhancedStep.usingData, userId, chatId);
+  const inputData = enhancedStep.usingData === "none" ? "" : filteredStepsOutput.map(item => `${item.action}: ${item.output}`).join("; ");
+  
+  // Execute the appropriate tool
+  const summary = await executeToolAction(enhancedStep, inputData, stepIndex, plan, userId, chatId);
+  
+  // Update step status in database
+  try {
+    await taskStepFunctions.updateStepStatus(userId, chatId, stepIndex, 'completed');
+  } catch (error) {
+    console.error('Error updating step status:', error.message);
+  }
+  
+  // Store step output
+  const stepOutput = {
+    step: enhancedStep.step,
+    action: enhancedStep.action,
+    output: summary,
+    stepIndex
+  };
+  
+  contextManager.addStepOutput(stepOutput, userId, chatId);
+  
+  // Reflect on result (only if reasoning wasn't skipped)
+  let changePlan = false;
+  if (!shouldSkipReasoning) {
+    io.to(`user:${userId}`).emit('status_update', { userId, chatId, status: `Reflecting on: ${enhancedStep.step}` });
+    const reflection = await tools.react.reflectOnResult(enhancedStep, summary, userId, chatId);
+    
+    // The plan is revised by executeSteps, which knows which other steps have started
+    changePlan = Boolean(reflection && reflection.changePlan === true);
+  }
+  
+  // Periodically save thought chain (only if reasoning was used)
+  if (!shouldSkipReasoning && (stepIndex % 3 === 0 || stepIndex === plan.length - 1)) {
+    await tools.react.saveThoughtChain(tools.fileSystem, userId, chatId);
+  }
+  
+  return { enhancedStep, changePlan };
+}
+
 /**
  * Executes a specific tool action for a step.
  * @param {Object} enhancedStep - The enhanced step details.
@@ -495,13 +958,13 @@ async function executeToolAction(enhancedStep, inputData, currentStepIndex, plan
   
   // Handle chat completion tool
   if (enhancedStep.action === "chatCompletion") {
-    const updatedHistory = contextManager.getHistoryWithChatId(userId, chatId);
+    const updatedHistory = await historyManager.getHistory(userId, chatId);
     const modelToUse = enhancedStep.model || "auto";
-    const summary = await tool.callAI(enhancedStep.step, inputData, updatedHistory, undefined, true, modelToUse, userId, chatId);
+    const summary = await tool.callAI(enhancedStep.step, inputData, updatedHistory, undefined, false, modelToUse, userId, chatId, { stream: 'chatCompletion' });
     contextManager.addToHistory({
       role: "assistant", 
       content: [
-        {type: "text", text: JSON.stringify(summary)}
+        {type: "text", text: typeof summary === 'string' ? summary : JSON.stringify(summary)}
       ]
     }, userId, chatId);
     return summary;
@@ -510,9 +973,8 @@ async function executeToolAction(enhancedStep, inputData, currentStepIndex, plan
   // Handle research tools
   if (["deepResearch", "webSearch"].includes(enhancedStep.action)) {
     const intensity = enhancedStep.intensity || undefined;
-    return await tool.runTask(enhancedStep.step, inputData, (summary) => {
-      emitStepCompletion(enhancedStep, currentStepIndex, plan, userId, chatId);
-    }, userId, chatId, intensity);
+    // Completion is emitted by executeSteps; deepResearch still expects a callback
+    return await tool.runTask(enhancedStep.step, inputData, () => {}, userId, chatId, intensity);
   } 
   
   // Handle writer tool
@@ -536,13 +998,12 @@ async function executeToolAction(enhancedStep, inputData, currentStepIndex, plan
     return summary;
   } 
   
-  // Handle other tools
+  // Handle other tools. Tools flagged requiresApproval pause inside runTask
+  // once the concrete command or action is generated (see utils/approval.js)
   const summary = await tool.runTask(
     `${enhancedStep.step} Expected output: ${enhancedStep.expectedOutput}`, 
     inputData, 
     (summary) => {
-      emitStepCompletion(enhancedStep, currentStepIndex, plan, userId, chatId);
-      
       // Handle file system updates
       if (enhancedStep.action === "fileSystem" && summary && summary.filePath) {
         io.to(`user:${userId}`).emit('file_updated', { 
@@ -561,9 +1022,15 @@ async function executeToolAction(enhancedStep, inputData, currentStepIndex, plan
   if (["execute", "bash"].includes(enhancedStep.action) && 
       summary && Array.isArray(summary.createdContainerFiles) && 
       tools.fileSystem) {
+    // Python figures and tables get the ids of their files, for the dashboard to show them inline
+    const artifacts = Array.isArray(summary.artifacts) ? summary.artifacts : [];
     for (const containerPath of summary.createdContainerFiles) {
       try {
-        await tools.fileSystem.trackContainerFile(userId, containerPath, chatId);
+        const artifact = artifacts.find(item => item.path === containerPath || item.htmlPath === containerPath);
+        const tracked = await tools.fileSystem.trackContainerFile(userId, containerPath, chatId, artifact ? artifact.description : null);
+        if (tracked && artifact) {
+          artifact[artifact.htmlPath === containerPath ? 'htmlFileId' : 'fileId'] = tracked.id;
+        }
       } catch (trackingError) {
         console.warn(`Failed to track container file ${containerPath}: ${trackingError.message}`);
       }
@@ -582,11 +1049,15 @@ async function executeToolAction(enhancedStep, inputData, currentStepIndex, plan
  * @param {number} chatId - The chat ID.
  */
 function emitStepCompletion(step, currentStepIndex, plan, userId, chatId) {
-  io.to(`user:${userId}`).emit('step_completed', { 
+  const stepOutput = contextManager.getStepsOutput(userId, chatId).find(item => item && item.stepIndex === currentStepIndex);
+  const artifacts = stepOutput && stepOutput.output && stepOutput.output.artifacts;
+  
+  emitTaskEvent(userId, 'step_completed', { 
     userId, 
     chatId,
     step: step.step, 
     action: step.action,
+    artifacts: Array.isArray(artifacts) ? artifacts.filter(artifact => artifact.fileId) : undefined,
     metrics: {
       stepIndex: currentStepIndex,
       stepCount: currentStepIndex + 1,
@@ -600,23 +1071,31 @@ function emitStepCompletion(step, currentStepIndex, plan, userId, chatId) {
 
 /**
  * Updates the plan if needed based on reflection.
+ * Everything up to the last step that has started is kept, so only later steps are revised.
  * @param {string} question - The user's question.
+ * @param {Array} plan - The execution plan.
+ * @param {Set<number>} completed - Indices of the completed steps.
+ * @param {Map<number, Promise>} running - Steps in progress, keyed by index.
  * @param {string} userId - The user ID.
  * @param {number} chatId - The chat ID.
+ * @returns {Array} The plan to continue with.
  */
-async function updatePlanIfNeeded(question, userId, chatId) {
+async function updatePlanIfNeeded(question, plan, completed, running, userId, chatId) {
   try {
-    const currentPlan = contextManager.getPlan(userId, chatId);
-    const currentStepIndex = contextManager.getCurrentStepIndex(userId, chatId);
-    const stepsOutput = contextManager.getStepsOutput(userId, chatId);
+    const keptSteps = Math.max(...completed, ...running.keys()) + 1;
+    const stepsOutput = contextManager.getStepsOutput(userId, chatId).filter(output =>
+      output.stepIndex === undefined || completed.has(output.stepIndex)
+    );
     
-    const updatedPlan = await checkProgress(question, currentPlan, stepsOutput, currentStepIndex, userId, chatId);
-    if (updatedPlan !== currentPlan) {
+    const updatedPlan = await checkProgress(question, plan, stepsOutput, completed.size, keptSteps, userId, chatId);
+    if (updatedPlan !== plan) {
       contextManager.updatePlan(updatedPlan, userId, chatId);
-      io.to(`user:${userId}`).emit('steps', { userId, chatId, plan: updatedPlan });
+      emitTaskEvent(userId, 'steps', { userId, chatId, plan: updatedPlan });
     }
+    return updatedPlan;
   } catch (error) {
     console.error("Error updating plan based on reflection:", error.message);
+    return plan;
   }
 }
 
@@ -633,8 +1112,12 @@ async function finalizeAndReturn(question, plan, userId, chatId) {
   
   try {
     const stepsOutput = contextManager.getStepsOutput(userId, chatId);
+    const budgetUsage = budget.getUsage(userId, chatId);
 
-    finalOutput = await finalizeTask(question, stepsOutput, userId, chatId);
+    // A task stopped by its budget gets a summary that needs no further model calls
+    finalOutput = budgetUsage && budgetUsage.exceeded
+      ? budget.buildPartialSummary(question, contextManager.getPlan(userId, chatId), stepsOutput, budgetUsage)
+      : await finalizeTask(question, stepsOutput, userId, chatId);
     
     // Clean up conversation history
     const context = contextManager.getContext(userId, chatId);
@@ -699,7 +1182,7 @@ async function finalizeAndReturn(question, plan, userId, chatId) {
     }
     
     // Emit task completion
-    io.to(`user:${userId}`).emit('task_completed', { 
+    emitTaskEvent(userId, 'task_completed', { 
       userId, 
       chatId,
       result: cleanJsonResponses(finalOutput),
@@ -717,23 +1200,45 @@ async function finalizeAndReturn(question, plan, userId, chatId) {
         totalSteps: plan.length,
         durationSeconds: Math.round(duration / 1000),
         averageStepTime: Math.round(duration / contextManager.getStepsOutput(userId, chatId).length / 1000)
-      }
+      },
+      budget: budget.getUsage(userId, chatId)
     });
     
+    rememberInBackground(question, finalOutput, userId, chatId);
+    
   } catch (error) {
     console.error("Error finalizing task:", error.message);
     finalOutput = "Task completed but could not be finalized: " + error.message;
-    io.to(`user:${userId}`).emit('task_error', { userId, chatId, error: error.message });
+    emitTaskEvent(userId, 'task_error', { userId, chatId, error: error.message });
   }
   
   // Mark task as no longer running
-  contextManager.setTaskRunning(false, userId, chatId);
+  await contextManager.setTaskRunning(false, userId, chatId);
   contextManager.clearCancellationToken(userId, chatId);
   
+  try {
+    await taskCheckpointFunctions.clearCheckpoint(userId, chatId);
+  } catch (error) {
+    console.error('Error clearing task checkpoint:', error.message);
+  }
+  
   await cleanupUserResources(userId);
   return finalOutput;
 }
 
+/**
+ * Extracts long-term memories from a finished task without delaying the response.
+ * @param {string} question - The user's question.
+ * @param {string} answer - The final answer.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ */
+function rememberInBackground(question, answer, userId, chatId) {
+  memory.rememberFromTask(question, answer, userId, chatId).catch(error => {
+    logger.error('Error extracting memories', { error: error.message, userId, chatId });
+  });
+}
+
 /**
  * Executes a promise with a timeout.
  * @param {Promise} promise - The promise to execute.
@@ -760,45 +1265,53 @@ async function withTimeout(promise, timeoutMs = 60000) {
  * Analyzes task progress and potentially updates the execution plan.
  * @param {string} question - The original user question.
  * @param {Array} plan - The current execution plan.
- * @param {Array} stepsOutput - The output from steps executed so far.
- * @param {number} currentStepIndex - The current step index.
+ * @param {Array} stepsOutput - The output from steps completed so far.
+ * @param {number} completedCount - How many steps have completed.
+ * @param {number} keptSteps - Number of leading steps kept as they are because steps among them have started.
  * @param {string} userId - The user ID.
  * @param {number} chatId - The chat ID.
- * @returns {Array} The original or updated plan.
+ * @returns {Array} The original plan, or the kept steps followed by the revised ones.
  */
-async function checkProgress(question, plan, stepsOutput, currentStepIndex, userId = 'default', chatId = 1) {
+async function checkProgress(question, plan, stepsOutput, completedCount, keptSteps, userId = 'default', chatId = 1) {
   try {
     // Skip if too early in execution or plan is too short
-    if (currentStepIndex < 2 || plan.length <= 2) {
+    if (completedCount < 2 || plan.length <= 2) {
       return plan;
     }
     
     // Only check every 3 steps to avoid excessive replanning
-    if (currentStepIndex % 3 !== 0) {
+    if (completedCount % 3 !== 0) {
       return plan;
     }
     
-    const prompt = prompts.generateProgressAnalysisPrompt(question, plan, stepsOutput, currentStepIndex);
+    // Every step has started, nothing is left to revise
+    if (keptSteps >= plan.length) {
+      return plan;
+    }
     
-    const history = contextManager.getHistoryWithChatId(userId, chatId);
+    const prompt = prompts.generateProgressAnalysisPrompt(question, plan, stepsOutput, completedCount, keptSteps);
+    
+    const history = await historyManager.getHistory(userId, chatId);
     
     const response = await withTimeout(
-      ai.callAI(prompt, "Analyze task progress and suggest plan changes", history, undefined, true, "reflection", userId, chatId),
+      ai.callAI(prompt, "Analyze task progress and suggest plan changes", history, undefined, true, "reflection", userId, chatId, {
+        functions: planFunctions.getRevisionFunctions()
+      }),
       30000 
     );
     
-    if (!response || response.error || response === "NO_CHANGES_NEEDED") {
+    if (!response || response.error || response.action !== "revise_plan") {
       return plan;
     }
   
-    const updatedPlan = Array.isArray(response) ? response : Object.values(response);
+    const revisedSteps = response.steps;
     
-    if (!Array.isArray(updatedPlan) || updatedPlan.length === 0) {
+    if (!Array.isArray(revisedSteps) || revisedSteps.length === 0) {
       console.error("Invalid updated plan format");
       return plan;
     }
     
-    return updatedPlan;
+    return [...plan.slice(0, keptSteps), ...revisedSteps];
   } catch (error) {
     console.error("Error checking progress:", error.message);
     return plan; 
@@ -817,10 +1330,10 @@ async function finalizeTask(question, stepsOutput, userId = 'default', chatId =
   try {
     const prompt = prompts.generateFinalizationPrompt(question, stepsOutput);
     
-    const history = contextManager.getHistoryWithChatId(userId, chatId);
+    const history = await historyManager.getHistory(userId, chatId);
     
     const response = await withTimeout(
-      ai.callAI(prompt, "Generate final response", history, undefined, false, "auto", userId, chatId),
+      ai.callAI(prompt, "Generate final response", history, undefined, false, "auto", userId, chatId, { stream: 'finalization' }),
       60000 
     );
     
@@ -935,9 +1448,13 @@ function cleanJsonResponses(text) {
  */
 module.exports = {
   centralOrchestrator,
+  resumeTask,
+  normalizeReviewedPlan,
+  getAvailableTools,
   cleanupUserResources,
   sanitizeFilePath,
-  contextManager
+  contextManager,
+  tools
 };
 
 /**
@@ -947,8 +1464,19 @@ module.exports = {
 // Global cleanup function for process termination
 async function globalCleanup() {
   logger.info('Received termination signal, cleaning up');
+  isShuttingDown = true;
 
   try {
+    // Checkpoint running tasks so they can be resumed after restart
+    for (const [key, context] of contextManager.contexts.entries()) {
+      if (context.isTaskRunning && context.plan && context.plan.length > 0) {
+        const contextUserId = key.slice(0, key.lastIndexOf('_'));
+        await contextManager.saveCheckpoint(contextUserId, context.chatId, 'interrupted');
+        // Let another instance resume the task without waiting for the lock to expire
+        await contextManager.setTaskRunning(false, contextUserId, context.chatId);
+      }
+    }
+
     // Clean up resources for all known users
     const userIds = new Set();
     for (const key of contextManager.contexts.keys()) {
@@ -962,6 +1490,12 @@ async function globalCleanup() {
       await cleanupUserResources(id);
     }
 
+    // Remove workspace containers if a tool started any; the volumes keep the chats' files
+    const dockerModule = require.cache[require.resolve('./tools/docker')];
+    if (dockerModule) {
+      await dockerModule.exports.cleanupAllContainers();
+    }
+
     logger.info('Global cleanup completed');
   } catch (error) {
     logger.error('Error during global cleanup', { error: error.message });
@@ -21,6 +21,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const sendButton = document.getElementById('send-button');
     const statusDisplay = document.getElementById('status-display');
     const recentChatsList = document.getElementById('recent-chats-list');
+    const chatSearchInput = document.getElementById('chat-search-input');
     const newTaskButton = document.getElementById('new-task-button');
     const sidebar = document.querySelector('.sidebar');
 
@@ -125,6 +126,9 @@ document.addEventListener('DOMContentLoaded', () => {
     const userEmail = localStorage.getItem('userEmail') || '';
     const authToken = localStorage.getItem('authToken') || '';
     let currentChatId = localStorage.getItem('currentChatId') || 'new';
+    let loadedChats = [];
+    let chatSearchTimer = null;
+    let chatSearchRequest = 0;
     
     const initialQuery = localStorage.getItem('initialQuery');
 
@@ -323,9 +327,265 @@ document.addEventListener('DOMContentLoaded', () => {
             if (modal && modal.style.display === 'flex') {
                 hideRedeemModal();
             }
+            const templatesModal = document.getElementById('templates-modal');
+            if (templatesModal && templatesModal.style.display === 'flex') {
+                hideTemplatesModal();
+            }
         }
     });
 
+    // Global functions for the task templates modal
+    window.showTemplatesModal = function() {
+        const modal = document.getElementById('templates-modal');
+        const saveForm = document.getElementById('template-save-form');
+        const message = document.getElementById('templates-message');
+
+        const hasChat = currentChatId && currentChatId !== 'new' && !isNaN(parseInt(currentChatId, 10));
+        saveForm.style.display = hasChat ? 'flex' : 'none';
+        document.getElementById('template-variables-form').style.display = 'none';
+        message.style.display = 'none';
+        modal.style.display = 'flex';
+        loadTemplates();
+    };
+
+    window.hideTemplatesModal = function() {
+        document.getElementById('templates-modal').style.display = 'none';
+    };
+
+    async function loadTemplates() {
+        const list = document.getElementById('templates-list');
+        list.innerHTML = '<p style="color: var(--gray);">Loading templates...</p>';
+
+        try {
+            const response = await fetch('/api/templates', {
+                headers: {
+                    'Authorization': `Bearer ${authToken}`
+                }
+            });
+            if (!response.ok) {
+                throw new Error('Failed to load templates');
+            }
+            const data = await response.json();
+            renderTemplates(data.templates || []);
+        } catch (error) {
+            console.error('Error loading templates:', error);
+            list.innerHTML = '<p style="color: var(--gray);">Could not load templates</p>';
+        }
+    }
+
+    function renderTemplates(templates) {
+        const list = document.getElementById('templates-list');
+        list.innerHTML = '';
+
+        if (templates.length === 0) {
+            list.innerHTML = '<p style="color: var(--gray);">No templates yet. Run a task, then save its plan here.</p>';
+            return;
+        }
+
+        templates.forEach(template => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+
+            const info = document.createElement('div');
+            const name = document.createElement('div');
+            name.className = 'template-item-name';
+            name.textContent = template.name;
+            const meta = document.createElement('div');
+            meta.className = 'template-item-meta';
+            const variables = template.variables.length > 0 ? template.variables.map(v => `{{${v}}}`).join(', ') : 'no variables';
+            meta.textContent = `${template.description ? template.description + ' · ' : ''}${template.steps.length} steps · ${variables}${template.shared ? ' · shared' : ''}`;
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-item-actions';
+            const useBtn = document.createElement('button');
+            useBtn.type = 'button';
+            useBtn.textContent = 'Use';
+            useBtn.addEventListener('click', () => showTemplateVariables(template));
+            actions.appendChild(useBtn);
+
+            if (template.isOwner) {
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'secondary';
+                deleteBtn.title = 'Delete template';
+                deleteBtn.innerHTML = '<i class="fas fa-trash"></i>';
+                deleteBtn.addEventListener('click', () => deleteTemplate(template));
+                actions.appendChild(deleteBtn);
+            }
+
+            item.append(info, actions);
+            list.appendChild(item);
+        });
+    }
+
+    function showTemplateVariables(template) {
+        const form = document.getElementById('template-variables-form');
+        form.innerHTML = '';
+
+        const title = document.createElement('h4');
+        title.textContent = template.name;
+        form.appendChild(title);
+
+        const inputs = {};
+        template.variables.forEach(variable => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = variable;
+            inputs[variable] = input;
+            form.appendChild(input);
+        });
+
+        const startBtn = document.createElement('button');
+        startBtn.type = 'button';
+        startBtn.textContent = 'Start Task';
+        startBtn.addEventListener('click', () => {
+            const values = {};
+            const missing = [];
+            Object.keys(inputs).forEach(variable => {
+                values[variable] = inputs[variable].value.trim();
+                if (!values[variable]) {
+                    missing.push(variable);
+                }
+            });
+            if (missing.length > 0) {
+                showTemplatesMessage(`Please fill in: ${missing.join(', ')}`, 'error');
+                return;
+            }
+            startTemplate(template, values);
+        });
+        form.appendChild(startBtn);
+
+        form.style.display = 'flex';
+        const firstInput = form.querySelector('input');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    }
+
+    async function startTemplate(template, values) {
+        if (taskInProgress) {
+            showTemplatesMessage('A task is already running', 'error');
+            return;
+        }
+
+        // Templates always start a fresh chat
+        const chat = await createNewChat();
+        if (!chat || !chat.id) {
+            showTemplatesMessage('Failed to create new chat', 'error');
+            return;
+        }
+        hideTemplatesModal();
+
+        const chatInterface = document.getElementById('chat-interface');
+        const welcomeScreen = document.getElementById('welcome-screen');
+        if (chatInterface && welcomeScreen) {
+            welcomeScreen.classList.add('hidden');
+            chatInterface.classList.add('active');
+        }
+
+        taskInProgress = true;
+        taskStepsRestored = false;
+        taskCanBeCancelled = false;
+
+        addMessage(`Template: ${template.name}`, 'user');
+        updateStatusDisplay('Task received', 'loading');
+
+        socket.emit('submit_task', {
+            templateId: template.id,
+            variables: values,
+            userId: userId,
+            chatId: chat.id
+        });
+
+        if (messageInput && sendButton) {
+            messageInput.disabled = true;
+            updateSendButtonForTaskState('running');
+        }
+        updateChatTitleFromContent(chat.id, template.name);
+    }
+
+    window.saveChatAsTemplate = async function() {
+        const nameInput = document.getElementById('template-name-input');
+        const descriptionInput = document.getElementById('template-description-input');
+        const replacementsInput = document.getElementById('template-replacements-input');
+        const sharedInput = document.getElementById('template-shared-input');
+
+        // Each line "value = variable" turns the value into {{variable}}
+        const replacements = {};
+        replacementsInput.value.split('\n').forEach(line => {
+            const separator = line.lastIndexOf('=');
+            if (separator > 0) {
+                const value = line.slice(0, separator).trim();
+                const variable = line.slice(separator + 1).trim();
+                if (value && variable) {
+                    replacements[value] = variable;
+                }
+            }
+        });
+
+        try {
+            const response = await fetch('/api/templates', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${authToken}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    chatId: parseInt(currentChatId, 10),
+                    name: nameInput.value.trim(),
+                    description: descriptionInput.value.trim(),
+                    shared: sharedInput.checked,
+                    replacements
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.details ? data.details.join(', ') : data.error);
+            }
+
+            nameInput.value = '';
+            descriptionInput.value = '';
+            replacementsInput.value = '';
+            sharedInput.checked = false;
+            showTemplatesMessage(`Template "${data.name}" saved`, 'success');
+            loadTemplates();
+        } catch (error) {
+            console.error('Error saving template:', error);
+            showTemplatesMessage(error.message || 'Failed to save template', 'error');
+        }
+    };
+
+    async function deleteTemplate(template) {
+        if (!confirm(`Delete the template "${template.name}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/templates/${template.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'Authorization': `Bearer ${authToken}`
+                }
+            });
+            if (!response.ok) {
+                throw new Error('Failed to delete template');
+            }
+            showTemplatesMessage('Template deleted', 'success');
+            loadTemplates();
+        } catch (error) {
+            console.error('Error deleting template:', error);
+            showTemplatesMessage(error.message, 'error');
+        }
+    }
+
+    function showTemplatesMessage(text, type) {
+        const message = document.getElementById('templates-message');
+        message.textContent = text;
+        message.className = `redeem-message ${type}`;
+        message.style.display = 'block';
+    }
+
     // Function to handle initial query when chat interface becomes active
     window.handleInitialQuery = function () {
         const storedInitialQuery = localStorage.getItem('initialQuery');
@@ -481,8 +741,33 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
+    function openChat(chatId) {
+        // Reset any loading flags and clear state when switching chats
+        window.isLoadingHistory = false;
+
+        currentChatId = chatId;
+        localStorage.setItem('currentChatId', currentChatId);
+        setActiveChatInUI(currentChatId);
+
+        // Check if we're in the combined interface
+        const chatInterface = document.getElementById('chat-interface');
+        const welcomeScreen = document.getElementById('welcome-screen');
+
+        if (chatInterface && welcomeScreen) {
+            // We're in the combined interface, show chat interface
+            welcomeScreen.classList.add('hidden');
+            chatInterface.classList.add('active');
+        }
+
+        // Auto-close file upload/management sidebar when switching chats
+        closeFileUploadSidebar();
+
+        loadChatHistory(currentChatId);
+    }
+
     function renderChatList(chats) {
 
+        loadedChats = chats;
         recentChatsList.innerHTML = '';
 
         if (chats.length === 0) {
@@ -525,39 +810,105 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
             chatItem.querySelector('.chat-content').addEventListener('click', () => {
-                // Reset any loading flags and clear state when switching chats
-                window.isLoadingHistory = false;
+                openChat(chat.id);
+            });
 
-                currentChatId = chat.id;
-                localStorage.setItem('currentChatId', currentChatId);
-                setActiveChatInUI(currentChatId);
 
-                // Check if we're in the combined interface
-                const chatInterface = document.getElementById('chat-interface');
-                const welcomeScreen = document.getElementById('welcome-screen');
+            chatItem.querySelector('.delete-chat-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteChat(chat.id);
+            });
 
-                if (chatInterface && welcomeScreen) {
-                    // We're in the combined interface, show chat interface
-                    welcomeScreen.classList.add('hidden');
-                    chatInterface.classList.add('active');
-                }
+            recentChatsList.appendChild(chatItem);
+        });
 
-                // Auto-close file upload/management sidebar when switching chats
-                closeFileUploadSidebar();
 
-                loadChatHistory(currentChatId);
+        setActiveChatInUI(currentChatId);
+    }
+
+    // Sidebar search: semantic search over chat history, falling back to the chat list when empty
+    if (chatSearchInput) {
+        chatSearchInput.addEventListener('input', () => {
+            clearTimeout(chatSearchTimer);
+            chatSearchTimer = setTimeout(() => searchChats(chatSearchInput.value.trim()), 300);
+        });
+        chatSearchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                chatSearchInput.value = '';
+                searchChats('');
+            }
+        });
+    }
+
+    async function searchChats(query) {
+        const requestId = ++chatSearchRequest;
+
+        if (!query) {
+            renderChatList(loadedChats);
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/search?types=chat&limit=30&q=${encodeURIComponent(query)}`, {
+                headers: {
+                    'Authorization': `Bearer ${authToken}`
+                }
             });
 
+            if (!response.ok) {
+                throw new Error('Search failed');
+            }
 
-            chatItem.querySelector('.delete-chat-btn').addEventListener('click', (e) => {
-                e.stopPropagation();
-                deleteChat(chat.id);
+            const data = await response.json();
+            // Ignore answers to queries the user has already typed past
+            if (requestId === chatSearchRequest) {
+                renderSearchResults(data.results);
+            }
+        } catch (error) {
+            console.error('Error searching chats:', error);
+            if (requestId === chatSearchRequest) {
+                recentChatsList.innerHTML = '<p style="padding: 15px; color: var(--gray);">Search failed</p>';
+            }
+        }
+    }
+
+    function renderSearchResults(results) {
+        recentChatsList.innerHTML = '';
+
+        // Results are per message; show each chat once, at its best match
+        const seenChats = new Set();
+        const chatResults = results.filter(result => {
+            if (!result.chatId || seenChats.has(result.chatId)) {
+                return false;
+            }
+            seenChats.add(result.chatId);
+            return true;
+        });
+
+        if (chatResults.length === 0) {
+            recentChatsList.innerHTML = '<p style="padding: 15px; color: var(--gray);">No matching chats</p>';
+            return;
+        }
+
+        chatResults.forEach(result => {
+            const chatItem = document.createElement('div');
+            chatItem.className = 'recent-chat-item search-result';
+            chatItem.dataset.chatId = result.chatId;
+
+            chatItem.innerHTML = `
+                <div class="chat-content">
+                    <span class="chat-title">${escapeHtml(result.title || `Chat ${result.chatId}`)}</span>
+                    <span class="chat-snippet">${escapeHtml(result.snippet)}</span>
+                </div>
+            `;
+
+            chatItem.querySelector('.chat-content').addEventListener('click', () => {
+                openChat(result.chatId);
             });
 
             recentChatsList.appendChild(chatItem);
         });
 
-
         setActiveChatInUI(currentChatId);
     }
 
@@ -1116,11 +1467,34 @@ document.addEventListener('DOMContentLoaded', () => {
     let taskInProgress = false;
     let taskStepsRestored = false;
     let taskCanBeCancelled = false;
+    // Set while the planner waits for answers to clarifying questions
+    let awaitingClarification = false;
+    // Chats where the user was already asked about resuming an interrupted task
+    const resumeOfferedChats = new Set();
 
     function handleSendMessage() {
 
         if (!messageInput || !chatMessages) return;
 
+        // Answer the planner's clarifying questions instead of starting a new task
+        if (awaitingClarification) {
+            const answer = messageInput.value.trim();
+            if (!answer) return;
+
+            addMessage(answer, 'user');
+            messageInput.value = '';
+            awaitingClarification = false;
+            messageInput.disabled = true;
+            updateSendButtonForTaskState('running');
+            updateStatusDisplay('Planning task execution', 'loading');
+
+            socket.emit('clarification_answer', {
+                chatId: currentChatId,
+                answer: answer
+            });
+            return;
+        }
+
         // Check if we should cancel instead of send
         if (taskInProgress && taskCanBeCancelled) {
             handleCancelTask();
@@ -1243,6 +1617,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 sendButton.style.background = 'linear-gradient(135deg, #ef4444 0%, #dc2626 100%)';
                 taskCanBeCancelled = true;
                 break;
+            case 'clarifying':
+                sendButton.textContent = 'Answer';
+                sendButton.className = 'send-button';
+                sendButton.disabled = false;
+                sendButton.style.background = '';
+                taskCanBeCancelled = false;
+                break;
             case 'cancelling':
                 sendButton.textContent = 'Cancelling...';
                 sendButton.className = 'send-button cancel-button cancelling';
@@ -1264,6 +1645,8 @@ document.addEventListener('DOMContentLoaded', () => {
         
         taskInProgress = false;
         taskCanBeCancelled = false;
+        awaitingClarification = false;
+        closePlanReviews('Plan review ended');
         updateSendButtonForTaskState('idle');
         
         if (messageInput) {
@@ -1433,6 +1816,71 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Streamed AI output by stream ID, rendered progressively as deltas arrive
+    const activeStreams = new Map();
+    const streamLabels = { writer: 'Writer draft' };
+
+    function renderStream(stream) {
+        try {
+            stream.content.innerHTML = marked.parse(stream.text);
+        } catch (e) {
+            stream.content.textContent = stream.text;
+        }
+        scrollToBottom();
+    }
+
+    socket.on('ai_stream', (data) => {
+        if (!chatMessages || data.userId !== userId || window.isLoadingHistory) return;
+        if (currentChatId && data.chatId && String(data.chatId) !== String(currentChatId)) return;
+
+        let stream = activeStreams.get(data.streamId);
+        if (!stream) {
+            if (data.done) return;
+
+            const messageElement = document.createElement('div');
+            messageElement.classList.add('message', 'ai', 'streaming');
+            messageElement.dataset.streamSource = data.source || '';
+
+            if (streamLabels[data.source]) {
+                const labelElement = document.createElement('div');
+                labelElement.classList.add('stream-label');
+                labelElement.textContent = streamLabels[data.source];
+                messageElement.appendChild(labelElement);
+            }
+
+            const contentElement = document.createElement('div');
+            contentElement.classList.add('message-content');
+            messageElement.appendChild(contentElement);
+            chatMessages.appendChild(messageElement);
+
+            stream = { element: messageElement, content: contentElement, text: '', renderPending: false };
+            activeStreams.set(data.streamId, stream);
+        }
+
+        if (data.delta) {
+            stream.text += data.delta;
+            // Re-render at most once per frame; markdown parsing every token is too slow
+            if (!stream.renderPending) {
+                stream.renderPending = true;
+                requestAnimationFrame(() => {
+                    stream.renderPending = false;
+                    renderStream(stream);
+                });
+            }
+        }
+
+        if (data.done) {
+            activeStreams.delete(data.streamId);
+            if (data.aborted) {
+                // The attempt failed and will be retried; drop the partial text
+                stream.element.remove();
+                return;
+            }
+            renderStream(stream);
+            stream.element.classList.remove('streaming');
+        }
+    });
+
 
     function updateChatTitleFromContent(chatId, messageText) {
 
@@ -1514,6 +1962,15 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        // The task is paused until the user confirms the plan
+        if (data.awaitingReview) {
+            if (data.userId !== userId) return;
+            if (currentChatId && data.chatId && String(data.chatId) !== String(currentChatId)) return;
+            showPlanReview(data);
+            return;
+        }
+        closePlanReviews('Plan confirmed');
+
         // Skip if we already have steps for this task (including restored tasks)
         const existingStepGroup = chatMessages.querySelector('.step-group');
         if ((existingStepGroup || taskStepsRestored) && !data.loadedFromHistory) {
@@ -1641,10 +2098,82 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 stepElement.style.opacity = '0.7';
             }
+
+            if (data.artifacts && data.artifacts.length > 0) {
+                renderStepArtifacts(stepElement, data.artifacts);
+            }
         }
     });
 
 
+    const imageExtensions = ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'];
+
+    function isImageFile(fileName) {
+        return imageExtensions.includes(fileName.split('.').pop().toLowerCase());
+    }
+
+    // Tracked files are only served with the auth header, so they are fetched rather than linked
+    async function fetchTrackedFile(fileId) {
+        const response = await fetch(`/api/files/${fileId}/download`, {
+            headers: {
+                'Authorization': `Bearer ${authToken}`
+            }
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.blob();
+    }
+
+    // DataFrame previews are shown in a sandboxed frame, without scripts
+    function tablePreviewDocument(html) {
+        return `<style>body{margin:0;font:12px sans-serif;color:#1e293b;background:#fff}table{border-collapse:collapse}th,td{padding:3px 8px;border-bottom:1px solid #e2e8f0;text-align:right;white-space:nowrap}</style>${html}`;
+    }
+
+    // Figures, tables and files from a Python step, shown under the step
+    function renderStepArtifacts(stepElement, artifacts) {
+        const artifactsElement = document.createElement('div');
+        artifactsElement.className = 'step-artifacts';
+
+        artifacts.forEach(artifact => {
+            const fileName = artifact.path.split('/').pop();
+            const safeFileName = fileName.replace(/'/g, "\\'").replace(/"/g, "&quot;");
+            const item = document.createElement('div');
+            item.className = `step-artifact step-artifact-${artifact.type}`;
+            item.innerHTML = `
+                <div class="step-artifact-header">
+                    <span class="step-artifact-caption">${escapeHtml(artifact.description || fileName)}</span>
+                    <button class="file-action-btn download-btn" onclick="window.downloadFile(${artifact.fileId}, '${safeFileName}')">Download</button>
+                </div>
+            `;
+
+            if (isImageFile(fileName)) {
+                const image = document.createElement('img');
+                image.alt = artifact.description || fileName;
+                item.appendChild(image);
+                fetchTrackedFile(artifact.fileId)
+                    .then(blob => { image.src = window.URL.createObjectURL(blob); })
+                    .catch(error => console.error('Error loading figure:', error));
+            } else if (artifact.type === 'table' && artifact.htmlFileId) {
+                const frame = document.createElement('iframe');
+                frame.setAttribute('sandbox', '');
+                frame.title = artifact.description || fileName;
+                item.appendChild(frame);
+                fetchTrackedFile(artifact.htmlFileId)
+                    .then(blob => blob.text())
+                    .then(html => { frame.srcdoc = tablePreviewDocument(html); })
+                    .catch(error => console.error('Error loading table:', error));
+            }
+
+            artifactsElement.appendChild(item);
+        });
+
+        const parentElement = stepElement ? stepElement.querySelector('.action-details') : chatMessages;
+        parentElement.appendChild(artifactsElement);
+        scrollToBottomIfNeeded(parentElement);
+    }
+
+
     socket.on('task_completed', (data) => {
         try {
             if (data.userId === userId) {
@@ -1655,6 +2184,11 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 const result = extractTextFromObject(data.result) || 'Task completed successfully';
 
+                // The streamed final answer is replaced by the complete result
+                if (chatMessages && !data.loadedFromHistory) {
+                    chatMessages.querySelectorAll('.message.ai[data-stream-source="finalization"]').forEach(element => element.remove());
+                }
+
                 // Only add the message if it's not a duplicate and not from history loading
                 if (!isDuplicateMessage(result) && !data.loadedFromHistory && !window.isLoadingHistory) {
                     addMessage(result, 'ai');
@@ -1710,6 +2244,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const fileName = file.fileName || (file.path ? file.path.split('/').pop() : `file_${file.id}`);
                 const fileExtension = file.extension || fileName.split('.').pop() || '';
                 const isTextBased = ['txt', 'log', 'csv', 'json', 'xml', 'html', 'css', 'js', 'py', 'java', 'c', 'cpp', 'md'].includes(fileExtension.toLowerCase());
+                const isViewable = isTextBased || isImageFile(fileName);
 
                 const safeFileName = fileName.replace(/'/g, "\\'").replace(/"/g, "&quot;");
 
@@ -1719,7 +2254,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         <span class="file-path">(${file.path || 'N/A'})</span>
                         <div class="file-actions">
                             <button class="file-action-btn download-btn" onclick="window.downloadFile(${file.id}, '${safeFileName}')">Download</button>
-                            ${isTextBased ? `<button class="file-action-btn view-btn" onclick="window.viewFileContent(${file.id}, '${safeFileName}')">View</button>` : ''}
+                            ${isViewable ? `<button class="file-action-btn view-btn" onclick="window.viewFileContent(${file.id}, '${safeFileName}')">View</button>` : ''}
                         </div>
                     </li>
                 `;
@@ -1775,6 +2310,329 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Show the planner's clarifying questions and switch the input to answer mode
+    function showClarificationQuestions(questions) {
+        if (!Array.isArray(questions) || questions.length === 0) return;
+
+        const questionText = questions.length === 1
+            ? questions[0]
+            : questions.map((question, index) => `${index + 1}. ${question}`).join('\n');
+        addMessage(`Before I start, I need a bit more information:\n\n${questionText}`, 'ai');
+
+        awaitingClarification = true;
+        if (messageInput) {
+            messageInput.disabled = false;
+            messageInput.focus();
+        }
+        updateSendButtonForTaskState('clarifying');
+        updateStatusDisplay('Waiting for your answer', 'info');
+    }
+
+    // Render an approval request for a gated tool action (bash, execute, deletes, form inputs)
+    function showApprovalRequest(request) {
+        if (!chatMessages || !request || !request.approvalId) return;
+        if (chatMessages.querySelector(`.approval-card[data-approval-id="${request.approvalId}"]`)) return;
+
+        const card = document.createElement('div');
+        card.classList.add('message', 'system', 'approval-card');
+        card.dataset.approvalId = request.approvalId;
+
+        const title = document.createElement('div');
+        title.classList.add('approval-title');
+        title.textContent = `Approval required: ${request.tool} (${request.kind})`;
+        card.appendChild(title);
+
+        if (request.description) {
+            const description = document.createElement('div');
+            description.classList.add('approval-description');
+            description.textContent = request.description;
+            card.appendChild(description);
+        }
+
+        const editor = document.createElement('textarea');
+        editor.classList.add('approval-action');
+        editor.value = request.action || '';
+        editor.spellcheck = false;
+        card.appendChild(editor);
+
+        const buttons = document.createElement('div');
+        buttons.classList.add('approval-buttons');
+
+        const respond = (decision) => {
+            const payload = { approvalId: request.approvalId, decision };
+            if (decision === 'edit') {
+                payload.action = editor.value;
+            }
+            socket.emit('approval_response', payload);
+            buttons.querySelectorAll('button').forEach(button => { button.disabled = true; });
+            editor.disabled = true;
+        };
+
+        const approveButton = document.createElement('button');
+        approveButton.textContent = 'Approve';
+        approveButton.classList.add('approval-approve');
+        approveButton.addEventListener('click', () => {
+            // Running an edited action is an explicit edit, not a plain approval
+            respond(editor.value !== (request.action || '') ? 'edit' : 'approve');
+        });
+
+        const rejectButton = document.createElement('button');
+        rejectButton.textContent = 'Reject';
+        rejectButton.classList.add('approval-reject');
+        rejectButton.addEventListener('click', () => respond('reject'));
+
+        buttons.appendChild(approveButton);
+        buttons.appendChild(rejectButton);
+        card.appendChild(buttons);
+
+        chatMessages.appendChild(card);
+        scrollToBottom();
+    }
+
+    socket.on('approval_required', (data) => {
+        if (data.userId !== userId) return;
+        if (currentChatId && data.chatId && String(data.chatId) !== String(currentChatId)) return;
+
+        console.log('Approval required:', data);
+        showApprovalRequest(data);
+        updateStatusDisplay(`Waiting for approval: ${data.tool}`, 'warning');
+    });
+
+    socket.on('budget_warning', (data) => {
+        if (data.userId !== userId) return;
+        if (currentChatId && data.chatId && String(data.chatId) !== String(currentChatId)) return;
+
+        console.log('Budget warning:', data);
+        const spent = ['credits', 'tokens']
+            .filter(dimension => data.limits && data.limits[dimension])
+            .map(dimension => `${data.spent[dimension]} / ${data.limits[dimension]} ${dimension}`)
+            .join(', ');
+
+        if (data.exceeded) {
+            addMessage(`Budget reached (${spent}). Stopping and summarizing the completed steps.`, 'system', 'text');
+            updateStatusDisplay('Budget reached', 'warning');
+        } else {
+            updateStatusDisplay(`${Math.round(data.ratio * 100)}% of the task budget used (${spent})`, 'warning');
+        }
+    });
+
+    socket.on('approval_resolved', (data) => {
+        if (!chatMessages || data.userId !== userId) return;
+
+        const card = chatMessages.querySelector(`.approval-card[data-approval-id="${data.approvalId}"]`);
+        if (!card) return;
+
+        card.querySelectorAll('button, textarea').forEach(element => { element.disabled = true; });
+        const labels = { approve: 'Approved', edit: 'Approved with edits', reject: 'Rejected' };
+        const reasons = { timeout: ' (timed out)', cancelled: ' (task cancelled)' };
+        const outcome = document.createElement('div');
+        outcome.classList.add('approval-outcome');
+        outcome.textContent = (labels[data.decision] || 'Resolved') + (reasons[data.reason] || '');
+        card.appendChild(outcome);
+    });
+
+    // Render an editable copy of the proposed plan; execution starts once it is submitted
+    function showPlanReview(review) {
+        if (!chatMessages || !review || !Array.isArray(review.plan)) return;
+        if (chatMessages.querySelector('.plan-review-card:not(.closed)')) return;
+
+        const availableTools = Array.isArray(review.availableTools) && review.availableTools.length > 0
+            ? review.availableTools
+            : [...new Set(review.plan.map(step => step.action).filter(Boolean))];
+        const steps = review.plan.map(step => ({ ...step }));
+
+        const card = document.createElement('div');
+        card.classList.add('message', 'system', 'plan-review-card');
+
+        const title = document.createElement('div');
+        title.classList.add('plan-review-title');
+        title.textContent = 'Review the plan before it runs';
+        card.appendChild(title);
+
+        const hint = document.createElement('div');
+        hint.classList.add('plan-review-hint');
+        hint.textContent = 'Reorder, edit, add or remove steps, then start execution.';
+        card.appendChild(hint);
+
+        const list = document.createElement('div');
+        list.classList.add('plan-review-steps');
+        card.appendChild(list);
+
+        const errors = document.createElement('div');
+        errors.classList.add('plan-review-errors');
+        card.appendChild(errors);
+
+        const addField = (container, labelText, input, field, step) => {
+            const label = document.createElement('label');
+            label.classList.add('plan-review-field');
+            const labelSpan = document.createElement('span');
+            labelSpan.textContent = labelText;
+            label.appendChild(labelSpan);
+            input.value = step[field] !== undefined && step[field] !== null ? step[field] : '';
+            input.addEventListener('input', () => { step[field] = input.value; });
+            input.addEventListener('change', () => { step[field] = input.value; });
+            label.appendChild(input);
+            container.appendChild(label);
+        };
+
+        const moveStep = (from, to) => {
+            if (to < 0 || to >= steps.length) return;
+            const [moved] = steps.splice(from, 1);
+            steps.splice(to, 0, moved);
+            renderSteps();
+        };
+
+        function renderSteps() {
+            list.innerHTML = '';
+            steps.forEach((step, index) => {
+                const row = document.createElement('div');
+                row.classList.add('plan-review-step');
+
+                const header = document.createElement('div');
+                header.classList.add('plan-review-step-header');
+                const heading = document.createElement('span');
+                heading.textContent = `Step ${index + 1}`;
+                header.appendChild(heading);
+
+                const controls = document.createElement('div');
+                controls.classList.add('plan-review-step-controls');
+                [
+                    { text: '↑', title: 'Move up', onClick: () => moveStep(index, index - 1), disabled: index === 0 },
+                    { text: '↓', title: 'Move down', onClick: () => moveStep(index, index + 1), disabled: index === steps.length - 1 },
+                    { text: '✕', title: 'Remove step', onClick: () => { steps.splice(index, 1); renderSteps(); }, disabled: false }
+                ].forEach(({ text, title: buttonTitle, onClick, disabled }) => {
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.textContent = text;
+                    button.title = buttonTitle;
+                    button.disabled = disabled;
+                    button.addEventListener('click', onClick);
+                    controls.appendChild(button);
+                });
+                header.appendChild(controls);
+                row.appendChild(header);
+
+                addField(row, 'Step', document.createElement('textarea'), 'step', step);
+
+                const actionSelect = document.createElement('select');
+                const actions = availableTools.includes(step.action) || !step.action
+                    ? availableTools
+                    : [step.action, ...availableTools];
+                actions.forEach(action => {
+                    const option = document.createElement('option');
+                    option.value = action;
+                    option.textContent = action;
+                    actionSelect.appendChild(option);
+                });
+                if (!step.action) step.action = actions[0];
+                addField(row, 'Action', actionSelect, 'action', step);
+
+                addField(row, 'Expected output', document.createElement('input'), 'expectedOutput', step);
+
+                const usingDataInput = document.createElement('input');
+                usingDataInput.placeholder = 'all, none, or tool names separated by commas';
+                addField(row, 'Using data', usingDataInput, 'usingData', step);
+
+                const intensityInput = document.createElement('input');
+                intensityInput.type = 'number';
+                intensityInput.min = '1';
+                intensityInput.max = '10';
+                intensityInput.placeholder = 'Optional (deepResearch, 1-10)';
+                addField(row, 'Intensity', intensityInput, 'intensity', step);
+
+                list.appendChild(row);
+            });
+        }
+
+        const preference = document.createElement('label');
+        preference.classList.add('plan-review-preference');
+        const preferenceCheckbox = document.createElement('input');
+        preferenceCheckbox.type = 'checkbox';
+        preferenceCheckbox.checked = true;
+        preferenceCheckbox.addEventListener('change', () => {
+            socket.emit('update_plan_review_preference', {
+                chatId: review.chatId,
+                enabled: preferenceCheckbox.checked
+            });
+        });
+        const preferenceLabel = document.createElement('span');
+        preferenceLabel.textContent = 'Review plans before they run in this chat';
+        preference.appendChild(preferenceCheckbox);
+        preference.appendChild(preferenceLabel);
+        card.appendChild(preference);
+
+        const buttons = document.createElement('div');
+        buttons.classList.add('plan-review-buttons');
+
+        const addButton = document.createElement('button');
+        addButton.type = 'button';
+        addButton.textContent = 'Add step';
+        addButton.classList.add('plan-review-add');
+        addButton.addEventListener('click', () => {
+            steps.push({ step: '', action: availableTools[0], expectedOutput: '', usingData: 'all' });
+            renderSteps();
+        });
+
+        const startButton = document.createElement('button');
+        startButton.type = 'button';
+        startButton.textContent = 'Start execution';
+        startButton.classList.add('plan-review-start');
+        startButton.addEventListener('click', () => {
+            errors.textContent = '';
+            card.querySelectorAll('.plan-review-steps button, .plan-review-steps input, .plan-review-steps textarea, .plan-review-steps select, .plan-review-buttons button')
+                .forEach(element => { element.disabled = true; });
+            socket.emit('plan_review_submit', { chatId: review.chatId, plan: steps });
+            updateStatusDisplay('Starting reviewed plan', 'info');
+        });
+
+        buttons.appendChild(addButton);
+        buttons.appendChild(startButton);
+        card.appendChild(buttons);
+
+        // Called when the server rejects the plan so the user can fix it
+        card.reenable = () => {
+            renderSteps();
+            buttons.querySelectorAll('button').forEach(button => { button.disabled = false; });
+        };
+        renderSteps();
+
+        chatMessages.appendChild(card);
+        scrollToBottom();
+        updateStatusDisplay('Waiting for plan review', 'warning');
+    }
+
+    // Lock any open plan editor once the task moves on
+    function closePlanReviews(outcomeText) {
+        if (!chatMessages) return;
+        chatMessages.querySelectorAll('.plan-review-card:not(.closed)').forEach(card => {
+            card.classList.add('closed');
+            card.querySelectorAll('button, input, textarea, select').forEach(element => { element.disabled = true; });
+            const outcome = document.createElement('div');
+            outcome.classList.add('plan-review-outcome');
+            outcome.textContent = outcomeText;
+            card.appendChild(outcome);
+        });
+    }
+
+    socket.on('plan_review_invalid', (data) => {
+        if (!chatMessages || data.userId !== userId) return;
+
+        const card = chatMessages.querySelector('.plan-review-card:not(.closed)');
+        if (!card) return;
+
+        card.querySelector('.plan-review-errors').textContent = (data.errors || []).join('\n');
+        card.reenable();
+        updateStatusDisplay('Please fix the plan before starting', 'warning');
+    });
+
+    socket.on('clarification_needed', (data) => {
+        if (data.userId !== userId) return;
+        if (currentChatId && data.chatId && String(data.chatId) !== String(currentChatId)) return;
+
+        console.log('Clarification needed:', data);
+        showClarificationQuestions(data.questions);
+    });
+
     socket.on('task_status_checked', (data) => {
         if (data.userId === userId && data.isRunning) {
             console.log('Restoring running task:', data);
@@ -1795,9 +2653,51 @@ document.addEventListener('DOMContentLoaded', () => {
             if (data.question && !isDuplicateUserMessage(data.question)) {
                 addMessage(data.question, 'user');
             }
+
+            // The task may be paused on clarifying questions
+            if (data.pendingClarification && !awaitingClarification) {
+                showClarificationQuestions(data.pendingClarification.questions);
+            }
+
+            // Or on the user's review of the proposed plan
+            if (data.pendingPlanReview) {
+                showPlanReview({ ...data.pendingPlanReview, chatId: data.chatId });
+            }
+
+            // Or on approval requests for gated tool actions
+            if (Array.isArray(data.pendingApprovals)) {
+                data.pendingApprovals.forEach(showApprovalRequest);
+            }
         } else if (data.userId === userId && !data.isRunning) {
-            // Check if task was recently cancelled
-            if (data.wasCancelled) {
+            if (data.canResume && data.interruptedTask) {
+                if (resumeOfferedChats.has(data.chatId)) {
+                    return;
+                }
+                resumeOfferedChats.add(data.chatId);
+                
+                const interrupted = data.interruptedTask;
+                const totalSteps = interrupted.plan ? interrupted.plan.length : 0;
+                const resume = confirm(
+                    `A task in this chat was interrupted by a server restart after ${interrupted.currentStepIndex} of ${totalSteps} steps.\n\n` +
+                    `"${interrupted.question}"\n\nResume it from where it stopped?`
+                );
+                
+                if (resume) {
+                    taskInProgress = true;
+                    if (messageInput && sendButton) {
+                        messageInput.disabled = true;
+                        updateSendButtonForTaskState('running');
+                    }
+                    updateStatusDisplay('Resuming interrupted task...', 'status_update');
+                    if (interrupted.question && !isDuplicateUserMessage(interrupted.question)) {
+                        addMessage(interrupted.question, 'user');
+                    }
+                    socket.emit('resume_task', { chatId: data.chatId });
+                } else {
+                    socket.emit('dismiss_interrupted_task', { chatId: data.chatId });
+                }
+            } else if (data.wasCancelled) {
+                // Task was recently cancelled
                 console.log('Task was recently cancelled:', data);
                 
                 // Show cancellation status
@@ -2018,7 +2918,15 @@ document.addEventListener('DOMContentLoaded', () => {
             const fileExtension = fileName.split('.').pop().toLowerCase();
             const binaryExtensions = ['pdf', 'docx', 'xlsx', 'pptx', 'zip', 'exe', 'jpg', 'jpeg', 'png', 'gif'];
 
-            if (isBinary || binaryExtensions.includes(fileExtension)) {
+            if (isImageFile(fileName)) {
+
+                const url = window.URL.createObjectURL(await response.blob());
+                showModal(`<img class="file-preview-image" src="${url}" alt="${escapeHtml(fileName)}">`, `Preview: ${fileName}`);
+            } else if (fileExtension === 'html') {
+
+                const html = await response.text();
+                showModal(`<iframe class="file-preview-frame" sandbox="" srcdoc="${escapeHtml(tablePreviewDocument(html))}"></iframe>`, `Preview: ${fileName}`);
+            } else if (isBinary || binaryExtensions.includes(fileExtension)) {
 
                 showModal(`<p>Binary file detected. This file type cannot be previewed in the browser.</p>
                           <button class="btn" onclick="window.downloadFile('${fileId}', '${fileName}')">Download instead</button>`,
@@ -2211,6 +3119,7 @@ document.addEventListener('DOMContentLoaded', () => {
             browser: 'fas fa-globe',
             deepSearch: 'fas fa-search',
             pythonExecute: 'fab fa-python',
+            bash: 'fas fa-terminal',
             default: 'fas fa-cog'
         };
 
@@ -2238,6 +3147,7 @@ document.addEventListener('DOMContentLoaded', () => {
             case 'deepSearch':
                 return renderDeepSearchData(data);
             case 'pythonExecute':
+            case 'bash':
                 return renderPythonExecuteData(data);
             default:
                 return renderGenericData(data);
@@ -7,7 +7,10 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const { router: authRoutes, authenticateToken } = require('./authRoutes');
 const adminRoutes = require('./adminRoutes');
-const { chatFunctions, fileFunctions, taskStepFunctions } = require('./database');
+const apiRoutes = require('./apiRoutes');
+const { chatFunctions, fileFunctions, taskStepFunctions, templateFunctions, workspaceFunctions } = require('./database');
+const templates = require('./utils/templates');
+const search = require('./tools/AI/search');
 const mime = require('mime-types');
 const multer = require('multer');
 const rateLimit = require('express-rate-limit');
@@ -58,6 +61,7 @@ const isAuthenticated = (req, res, next) => {
 };
 
 
+app.use('/api/v1', apiRoutes);
 app.use('/api', authRoutes);
 app.use('/api/admin', adminRoutes);
 
@@ -413,6 +417,13 @@ app.delete('/api/chats/:chatId', authenticateToken, async (req, res) => {
     try {
         const chatId = req.params.chatId;
         await chatFunctions.deleteChat(req.user.id, chatId);
+        
+        // The chat's container workspace goes with it; Docker is only loaded if the chat used one
+        if (await workspaceFunctions.getWorkspace(req.user.id, parseInt(chatId, 10))) {
+            require('./tools/docker').removeWorkspace(req.user.id, parseInt(chatId, 10)).catch(error => {
+                logger.error('Error removing chat workspace', { error: error.message, userId: req.user.id, chatId });
+            });
+        }
         res.json({ success: true });
     } catch (error) {
         logger.error('Error deleting chat', { error: error.message, userId: req.user.id, chatId: req.params.chatId });
@@ -421,6 +432,27 @@ app.delete('/api/chats/:chatId', authenticateToken, async (req, res) => {
 });
 
 
+app.get('/api/search', authenticateToken, async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+        return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, config.search.maxResults);
+        const results = await search.search(req.user.id, query, {
+            types: req.query.types,
+            limit,
+            chatId: req.query.chatId
+        });
+        res.json({ query, results });
+    } catch (error) {
+        logger.error('Error searching', { error: error.message, userId: req.user.id });
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+
 app.get('/api/files/:fileId', isAuthenticated, async (req, res) => {
   const { fileId } = req.params;
   const userId = req.userId; 
@@ -767,7 +799,9 @@ io.on('connection', (socketClient) => {
          
          socketClient.taskCount++;
          
-         const { task, chatId = 1 } = data;
+         const { chatId = 1, budget, templateId, variables } = data;
+         let { task } = data;
+         const options = budget ? { budget } : {};
          
          
          let numericChatId;
@@ -787,6 +821,39 @@ io.on('connection', (socketClient) => {
          
          const taskUserId = socketClient.userId;
          
+         // Tasks started from a template run its saved plan with the variables filled in
+         if (templateId !== undefined && templateId !== null) {
+             try {
+                 const template = await templateFunctions.getTemplate(taskUserId, parseInt(templateId, 10));
+                 if (!template) {
+                     socketClient.emit('task_error', { error: 'Template not found', userId: taskUserId, chatId: numericChatId });
+                     return;
+                 }
+                 
+                 const filled = templates.fillTemplate(template, variables || {});
+                 if (filled.missing.length > 0) {
+                     socketClient.emit('task_error', {
+                         error: `Missing values for: ${filled.missing.join(', ')}`,
+                         userId: taskUserId,
+                         chatId: numericChatId
+                     });
+                     return;
+                 }
+                 
+                 task = filled.prompt;
+                 options.plan = filled.steps;
+             } catch (error) {
+                 logger.error('Error loading template', { error: error.message, userId: taskUserId, templateId });
+                 socketClient.emit('task_error', { error: 'Failed to load template', userId: taskUserId, chatId: numericChatId });
+                 return;
+             }
+         }
+         
+         if (!task || typeof task !== 'string') {
+             socketClient.emit('task_error', { error: 'Task text is required', userId: taskUserId, chatId: numericChatId });
+             return;
+         }
+         
          logger.task(taskUserId, numericChatId, 'Task received', { task: task.substring(0, 100) + '...' });
          
          
@@ -804,7 +871,7 @@ io.on('connection', (socketClient) => {
              });
              
              // Process the task asynchronously
-             centralOrchestrator(task, taskUserId, numericChatId, false)
+             centralOrchestrator(task, taskUserId, numericChatId, false, options)
                  .then(result => {
                      logger.task(taskUserId, numericChatId, 'Task completed successfully');
                  })
@@ -844,7 +911,7 @@ io.on('connection', (socketClient) => {
              
              // Import context manager and cancel the task
              const { contextManager } = require('./index');
-             const cancelled = contextManager.cancelTask(taskUserId, numericChatId);
+             const cancelled = await contextManager.cancelTask(taskUserId, numericChatId);
              
              if (cancelled) {
                  logger.info('Task cancelled successfully', { userId: taskUserId, chatId: numericChatId });
@@ -870,6 +937,136 @@ io.on('connection', (socketClient) => {
          }
      });
 
+     // Handle answers to the planner's clarifying questions
+     socketClient.on('clarification_answer', (data) => {
+         if (!socketClient.authenticated) {
+             socketClient.emit('task_error', { 
+                 error: 'Authentication required to answer clarifying questions',
+                 userId: socketClient.id
+             });
+             return;
+         }
+         
+         const { chatId = 1, answer } = data || {};
+         const numericChatId = parseInt(chatId, 10) || 1;
+         const answerText = Array.isArray(answer) ? answer.join('\n') : String(answer || '');
+         
+         const { contextManager } = require('./index');
+         const delivered = contextManager.answerClarification(answerText, socketClient.userId, numericChatId);
+         
+         if (delivered) {
+             logger.task(socketClient.userId, numericChatId, 'Clarification answered');
+         } else {
+             socketClient.emit('task_error', { 
+                 error: 'No clarifying question is waiting for an answer',
+                 userId: socketClient.userId,
+                 chatId: numericChatId
+             });
+         }
+     });
+
+     // Handle the reviewed plan from the plan editor and start execution
+     socketClient.on('plan_review_submit', (data) => {
+         if (!socketClient.authenticated) {
+             socketClient.emit('task_error', { 
+                 error: 'Authentication required to submit a plan',
+                 userId: socketClient.id
+             });
+             return;
+         }
+         
+         const { chatId = 1, plan } = data || {};
+         const numericChatId = parseInt(chatId, 10) || 1;
+         
+         const { contextManager, normalizeReviewedPlan } = require('./index');
+         if (!contextManager.getPendingPlanReview(socketClient.userId, numericChatId)) {
+             socketClient.emit('task_error', { 
+                 error: 'No plan is waiting for review',
+                 userId: socketClient.userId,
+                 chatId: numericChatId
+             });
+             return;
+         }
+         
+         const { plan: reviewedPlan, errors } = normalizeReviewedPlan(plan);
+         if (errors.length > 0) {
+             // Keep the task paused so the user can fix the plan
+             socketClient.emit('plan_review_invalid', { 
+                 userId: socketClient.userId,
+                 chatId: numericChatId,
+                 errors
+             });
+             return;
+         }
+         
+         contextManager.submitPlanReview(reviewedPlan, socketClient.userId, numericChatId);
+         logger.task(socketClient.userId, numericChatId, 'Plan review submitted', { stepCount: reviewedPlan.length });
+     });
+
+     // Handle per-chat plan review preference updates
+     socketClient.on('update_plan_review_preference', async (data) => {
+         if (!socketClient.authenticated) {
+             return;
+         }
+         
+         try {
+             const { chatId, enabled } = data;
+             const { settingsFunctions } = require('./database');
+             
+             await settingsFunctions.saveSetting(
+                 socketClient.userId, 
+                 `review_plan_${chatId}`, 
+                 Boolean(enabled).toString()
+             );
+             
+             logger.info('Plan review preference updated', { userId: socketClient.userId, chatId, enabled });
+             
+             socketClient.emit('plan_review_preference_updated', {
+                 chatId,
+                 enabled: Boolean(enabled),
+                 success: true
+             });
+         } catch (error) {
+             logger.error('Error updating plan review preference', { error: error.message, userId: socketClient.userId });
+             socketClient.emit('plan_review_preference_updated', {
+                 chatId: data.chatId,
+                 enabled: data.enabled,
+                 success: false,
+                 error: error.message
+             });
+         }
+     });
+
+     // Handle approve/reject/edit decisions for gated tool actions
+     socketClient.on('approval_response', (data) => {
+         if (!socketClient.authenticated) {
+             socketClient.emit('task_error', { 
+                 error: 'Authentication required to respond to approval requests',
+                 userId: socketClient.id
+             });
+             return;
+         }
+         
+         const { approvalId, decision, action } = data || {};
+         if (!approvalId || !['approve', 'reject', 'edit'].includes(decision)) {
+             socketClient.emit('task_error', { 
+                 error: 'Invalid approval response',
+                 userId: socketClient.userId
+             });
+             return;
+         }
+         
+         const approvals = require('./utils/approval');
+         const resolved = approvals.respondToApproval(approvalId, socketClient.userId, decision, action);
+         
+         if (!resolved) {
+             socketClient.emit('task_error', { 
+                 error: decision === 'edit' && !action ? 'Edited action cannot be empty' : 'This approval request is no longer pending',
+                 userId: socketClient.userId
+             });
+         }
+     });
+
      // Handle tool sidebar updates
      socketClient.on('request_sidebar_info', (data) => {
          if (!socketClient.authenticated) {
@@ -931,6 +1128,66 @@ io.on('connection', (socketClient) => {
          }
      });
 
+     // Handle resuming a task interrupted by a server restart
+     socketClient.on('resume_task', async (data) => {
+         if (!socketClient.authenticated) {
+             socketClient.emit('task_error', { 
+                 error: 'Authentication required to resume a task',
+                 userId: socketClient.id
+             });
+             return;
+         }
+         
+         const { chatId = 1 } = data || {};
+         const numericChatId = parseInt(chatId, 10) || 1;
+         const taskUserId = socketClient.userId;
+         
+         logger.task(taskUserId, numericChatId, 'Task resume requested');
+         socketClient.chatId = numericChatId;
+         
+         try {
+             const { resumeTask } = require('./index');
+             
+             resumeTask(taskUserId, numericChatId)
+                 .then(() => {
+                     logger.task(taskUserId, numericChatId, 'Resumed task finished');
+                 })
+                 .catch(error => {
+                     logger.error('Error resuming task', { error: error.message, userId: taskUserId, chatId: numericChatId });
+                     socketClient.emit('task_error', { 
+                         error: 'Error resuming your task: ' + error.message,
+                         userId: taskUserId,
+                         chatId: numericChatId
+                     });
+                 });
+         } catch (error) {
+             logger.error('Error resuming task', { error: error.message, userId: taskUserId, chatId: numericChatId });
+             socketClient.emit('task_error', { 
+                 error: 'Error resuming your task',
+                 userId: taskUserId,
+                 chatId: numericChatId
+             });
+         }
+     });
+
+     // Handle discarding an interrupted task the user does not want to resume
+     socketClient.on('dismiss_interrupted_task', async (data) => {
+         if (!socketClient.authenticated) {
+             return;
+         }
+         
+         try {
+             const { chatId = 1 } = data || {};
+             const numericChatId = parseInt(chatId, 10) || 1;
+             const { taskCheckpointFunctions } = require('./database');
+             
+             await taskCheckpointFunctions.clearCheckpoint(socketClient.userId, numericChatId);
+             logger.info('Interrupted task dismissed', { userId: socketClient.userId, chatId: numericChatId });
+         } catch (error) {
+             logger.error('Error dismissing interrupted task', { error: error.message, userId: socketClient.userId });
+         }
+     });
+
      socketClient.on('check_running_task', async (data) => {
          if (!socketClient.authenticated) {
              socketClient.emit('task_status_checked', { 
@@ -941,27 +1198,32 @@ io.on('connection', (socketClient) => {
          }
 
          try {
-             const { contextManager } = require('./index');
+             const { contextManager, getAvailableTools } = require('./index');
              const { chatId = 1 } = data;
              const numericChatId = parseInt(chatId, 10) || 1;
              
-             const isRunning = contextManager.isTaskRunning(socketClient.userId, numericChatId);
+             const isRunning = await contextManager.isTaskRunning(socketClient.userId, numericChatId);
              
              if (isRunning) {
-                 const context = contextManager.getContext(socketClient.userId, numericChatId);
-                 const plan = context.plan || [];
-                 const currentStepIndex = context.currentStepIndex || 0;
-                 const question = context.question || '';
+                 // The task may be running on another instance; its state comes from the context store then
+                 const taskState = (await contextManager.getTaskState(socketClient.userId, numericChatId)) || {};
+                 const pendingPlanReview = taskState.pendingPlanReview;
+                 const plan = taskState.plan || [];
+                 const currentStepIndex = taskState.currentStepIndex || 0;
+                 const question = taskState.question || '';
                  
                  socketClient.emit('task_status_checked', {
                      userId: socketClient.userId,
                      chatId: numericChatId,
                      isRunning: true,
-                     taskId: context.lastTaskId,
+                     taskId: taskState.taskId,
                      question: question,
                      plan: plan,
                      currentStepIndex: currentStepIndex,
-                     startTime: context.taskStartTime
+                     startTime: taskState.startTime,
+                     pendingClarification: taskState.pendingClarification || null,
+                     pendingPlanReview: pendingPlanReview ? { ...pendingPlanReview, availableTools: getAvailableTools() } : null,
+                     pendingApprovals: require('./utils/approval').getPendingApprovals(socketClient.userId, numericChatId)
                  });
                  
                  if (plan.length > 0) {
@@ -1003,11 +1265,29 @@ io.on('connection', (socketClient) => {
                      restoredFromRunning: true
                  });
              } else {
+                 // Check if a task was interrupted by a server restart
+                 const { taskCheckpointFunctions } = require('./database');
+                 const checkpoint = await taskCheckpointFunctions.getCheckpoint(socketClient.userId, numericChatId);
+                 
                  // Check if task was recently cancelled
-                 const wasCancelled = contextManager.wasTaskRecentlyCancelled(socketClient.userId, numericChatId);
+                 const wasCancelled = await contextManager.wasTaskRecentlyCancelled(socketClient.userId, numericChatId);
                  
-                 if (wasCancelled) {
-                     const cancellationInfo = contextManager.getCancellationInfo(socketClient.userId, numericChatId);
+                 if (checkpoint && checkpoint.status === 'interrupted') {
+                     socketClient.emit('task_status_checked', {
+                         userId: socketClient.userId,
+                         chatId: numericChatId,
+                         isRunning: false,
+                         wasCancelled: false,
+                         canResume: true,
+                         interruptedTask: {
+                             question: checkpoint.question,
+                             plan: checkpoint.plan,
+                             currentStepIndex: checkpoint.currentStepIndex,
+                             interruptedAt: checkpoint.updatedAt
+                         }
+                     });
+                 } else if (wasCancelled) {
+                     const cancellationInfo = await contextManager.getCancellationInfo(socketClient.userId, numericChatId);
                      
                      socketClient.emit('task_status_checked', {
                          userId: socketClient.userId,
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, stubModule, databaseReady, closeDatabase } = require('./helpers');
+
+// The reflection route sends requests to a model with a tokenizer of its own
+useTestEnvironment({ AI_MODEL_ROUTES: JSON.stringify({ reflection: ['mock/gpt-4o'] }) });
+
+// socket.js starts the server; ai.js only emits through it
+stubModule('../socket', { to: () => ({ emit() {} }) });
+
+const ai = require('../tools/AI/ai');
+const providers = require('../tools/AI/providers');
+const { userFunctions, fileFunctions } = require('../database');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47]).toString('base64');
+
+function lastRequest() {
+  return providers.getProvider('mock').getCalls().at(-1);
+}
+
+let userId;
+
+test.before(async () => {
+  await databaseReady(['users', 'container_files', 'host_files']);
+  ({ id: userId } = await userFunctions.registerUser('files@example.com', 'password123'));
+});
+test.after(closeDatabase);
+
+test('uploaded images are attached, images created by steps are not', async () => {
+  await fileFunctions.trackContainerFile(userId, '/app/photo.png', 'photo.png', 'Uploaded file: photo.png', 1, PNG, 'png');
+  await fileFunctions.trackContainerFile(userId, '/app/outputs/python_1/figure_1.png', 'figure_1.png', 'Figure 1', 1, PNG, 'png', true);
+
+  await ai.callAI('You are a test.', 'Describe the photo', [], undefined, false, 'auto', userId, 1);
+
+  const { messages } = lastRequest();
+  const images = messages.flatMap(message => message.content).filter(part => part.type === 'image_url');
+  assert.deepEqual(images, [{ type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } }]);
+
+  const systemPrompt = messages[0].content[0].text;
+  assert.match(systemPrompt, /File: "photo\.png"[\s\S]*?Content: Image file \(will be analyzed visually\)/);
+  assert.match(systemPrompt, /File: "figure_1\.png"[\s\S]*?Content: Image created by a task step \(not attached\)/);
+});
+
+test('requests are counted with the tokenizer of the model the route selects', async (t) => {
+  const tokenCalculation = require('../tools/AI/tokenCalculation');
+  const budget = require('../tools/AI/budget');
+  const counted = t.mock.method(tokenCalculation, 'calculateMessageTokens');
+  const checked = t.mock.method(budget, 'checkRequest');
+
+  await ai.callAI('You are a test.', 'Say hello', [], undefined, false, 'reflection', userId, 1);
+
+  const counts = counted.mock.calls.map(call => ({ model: call.arguments[1], tokens: call.result }));
+  assert.equal(counts[0].model, 'reflection');
+  assert.equal(counts[1].model, 'mock/gpt-4o');
+  // The budget (like the credit check and the context limit) sees the selected model's count
+  assert.equal(checked.mock.calls[0].arguments[2].tokens, counts[1].tokens);
+  assert.equal(checked.mock.calls[0].arguments[2].credits, tokenCalculation.calculateCredits('mock/gpt-4o', counts[1].tokens, 0));
+});
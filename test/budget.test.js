@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, stubModule, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment();
+
+// socket.js starts the server; ai.js only emits through it
+stubModule('../socket', { to: () => ({ emit() {} }) });
+
+const math = require('../tools/math/main');
+const budget = require('../tools/AI/budget');
+const providers = require('../tools/AI/providers');
+const contextManager = require('../utils/context');
+const { userFunctions } = require('../database');
+
+const mock = providers.getProvider('mock');
+
+let userId;
+
+test.before(async () => {
+  await databaseReady(['users', 'settings']);
+  ({ id: userId } = await userFunctions.registerUser('budget@example.com', 'password123'));
+});
+test.after(closeDatabase);
+
+test('a tool\'s AI calls are stopped by the budget of the task running in its chat', async (t) => {
+  assert.ok(await contextManager.setTaskRunning(true, userId, 2));
+  t.after(() => contextManager.setTaskRunning(false, userId, 2));
+  await budget.startTaskBudget(userId, 2, { tokens: 10 });
+  mock.reset();
+
+  const summary = await math.runTask('Add 2 and 2', '', null, userId, 2);
+
+  assert.equal(summary.budgetExceeded, true);
+  assert.equal(mock.getCalls().length, 0);
+  assert.equal(budget.getUsage(userId, 2).exceeded, true);
+});
+
+test('the budget of a task in another chat does not stop a tool', async (t) => {
+  assert.ok(await contextManager.setTaskRunning(true, userId, 3));
+  t.after(() => contextManager.setTaskRunning(false, userId, 3));
+  await budget.startTaskBudget(userId, 3, { tokens: 10 });
+  mock.reset();
+
+  await math.runTask('Add 2 and 2', '', null, userId, 4);
+
+  assert.equal(mock.getCalls().length, 2);
+});
@@ -0,0 +1,206 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment({ TASK_LOCK_TTL: '200', CONTEXT_SYNC_INTERVAL: '60000' });
+
+const contextStores = require('../utils/contextStores');
+const RedisStandIn = require('../utils/contextStores/redisStandIn');
+const contextManager = require('../utils/context');
+const { taskCheckpointFunctions } = require('../database');
+
+// Each test gets a new chat, so locks and cancellations of earlier tests do not interfere
+let chatId = 0;
+function newChat() {
+  chatId++;
+  return chatId;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Two app instances sharing one store, as two processes would
+const Context = contextManager.constructor;
+
+const standIn = new RedisStandIn();
+const stores = {};
+
+test.before(async () => {
+  await databaseReady(['context_store', 'task_checkpoints']);
+  const port = await standIn.start();
+  stores.memory = contextStores.createStore('memory');
+  stores.sqlite = contextStores.createStore('sqlite');
+  stores.redis = contextStores.createStore('redis', { url: `redis://127.0.0.1:${port}` });
+});
+
+test.after(async () => {
+  await stores.redis.close();
+  await standIn.stop();
+  await closeDatabase();
+});
+
+for (const type of ['memory', 'sqlite', 'redis']) {
+  test(`${type}: a lock has one owner until it is released`, async () => {
+    const store = stores[type];
+    const key = `task:lock-user:${newChat()}`;
+
+    assert.equal(await store.acquireLock(key, 'instance-a', 5000, { taskId: 'a1' }), true);
+    assert.equal(await store.acquireLock(key, 'instance-b', 5000, { taskId: 'b1' }), false);
+    assert.deepEqual(await store.getLock(key), { taskId: 'a1', owner: 'instance-a' });
+
+    // The owner extends its own lock; others cannot release it
+    assert.equal(await store.acquireLock(key, 'instance-a', 5000, { taskId: 'a1' }), true);
+    assert.equal(await store.releaseLock(key, 'instance-b'), false);
+    assert.equal(await store.releaseLock(key, 'instance-a'), true);
+
+    assert.equal(await store.getLock(key), null);
+    assert.equal(await store.acquireLock(key, 'instance-b', 5000, { taskId: 'b1' }), true);
+    assert.equal(await store.releaseLock(key, 'instance-b'), true);
+  });
+
+  test(`${type}: an expired lock can be taken over`, async () => {
+    const store = stores[type];
+    const key = `task:lock-user:${newChat()}`;
+
+    assert.equal(await store.acquireLock(key, 'instance-a', 50), true);
+    await sleep(80);
+    assert.equal(await store.acquireLock(key, 'instance-b', 5000), true);
+    assert.equal((await store.getLock(key)).owner, 'instance-b');
+    assert.equal(await store.releaseLock(key, 'instance-a'), false);
+    await store.releaseLock(key, 'instance-b');
+  });
+
+  test(`${type}: values expire after their TTL`, async () => {
+    const store = stores[type];
+    const key = `state:lock-user:${newChat()}`;
+
+    await store.set(key, { plan: ['search'] }, 50);
+    await store.set(`${key}:kept`, { plan: ['write'] });
+    assert.deepEqual(await store.get(key), { plan: ['search'] });
+    await sleep(80);
+    assert.equal(await store.get(key), null);
+    assert.deepEqual(await store.get(`${key}:kept`), { plan: ['write'] });
+    await store.delete(`${key}:kept`);
+    assert.equal(await store.get(`${key}:kept`), null);
+  });
+
+  test(`${type}: only one instance runs a chat's task`, async () => {
+    contextStores.setStore(stores[type]);
+    const first = new Context();
+    const second = new Context();
+    const chat = newChat();
+
+    assert.equal(await first.setTaskRunning(true, 'lock-user', chat), true);
+    assert.equal(await second.setTaskRunning(true, 'lock-user', chat), false);
+    assert.equal(await second.isTaskRunning('lock-user', chat), true);
+    assert.equal((await second.getTaskState('lock-user', chat)).taskId, first.getLastTaskId('lock-user', chat));
+
+    await first.setTaskRunning(false, 'lock-user', chat);
+    assert.equal(await second.isTaskRunning('lock-user', chat), false);
+    assert.equal(await second.setTaskRunning(true, 'lock-user', chat), true);
+    await second.setTaskRunning(false, 'lock-user', chat);
+  });
+
+  test(`${type}: a task whose instance stopped syncing is taken over after the lock TTL`, async () => {
+    contextStores.setStore(stores[type]);
+    const stalled = new Context();
+    const other = new Context();
+    const chat = newChat();
+
+    assert.equal(await stalled.setTaskRunning(true, 'lock-user', chat), true);
+    await sleep(250);
+    assert.equal(await other.setTaskRunning(true, 'lock-user', chat), true);
+
+    // When the stalled instance syncs again, it neither takes the lock back nor overwrites the state
+    await stalled.syncRunningTask('lock-user', chat);
+    const lock = await stores[type].getLock(other.storeKey('task', 'lock-user', chat));
+    assert.equal(lock.owner, other.instanceId);
+    assert.equal((await stores[type].get(other.storeKey('state', 'lock-user', chat))).taskId, other.getLastTaskId('lock-user', chat));
+
+    // Stopping the stalled task leaves the new owner's lock alone
+    await stalled.setTaskRunning(false, 'lock-user', chat);
+    assert.equal(await stalled.isTaskRunning('lock-user', chat), true);
+    await other.setTaskRunning(false, 'lock-user', chat);
+  });
+
+  test(`${type}: a task is cancelled from another instance at its next sync`, async () => {
+    contextStores.setStore(stores[type]);
+    const runner = new Context();
+    const canceller = new Context();
+    const chat = newChat();
+
+    assert.equal(await canceller.cancelTask('lock-user', chat), false);
+
+    await runner.setTaskRunning(true, 'lock-user', chat);
+    const controller = runner.setCancellationToken(new AbortController(), 'lock-user', chat);
+    assert.equal(await canceller.cancelTask('lock-user', chat), true);
+    assert.equal(controller.signal.aborted, false);
+
+    await runner.syncRunningTask('lock-user', chat);
+    assert.equal(controller.signal.aborted, true);
+    assert.equal(runner.isTaskCancelled('lock-user', chat), true);
+    assert.equal((await canceller.getCancellationInfo('lock-user', chat)).wasCancelled, true);
+    await runner.setTaskRunning(false, 'lock-user', chat);
+  });
+
+  test(`${type}: a cancellation does not stop the chat's next task`, async () => {
+    contextStores.setStore(stores[type]);
+    const runner = new Context();
+    const canceller = new Context();
+    const chat = newChat();
+
+    await runner.setTaskRunning(true, 'lock-user', chat);
+    await canceller.cancelTask('lock-user', chat);
+    await runner.setTaskRunning(false, 'lock-user', chat);
+    await sleep(5);
+
+    await runner.setTaskRunning(true, 'lock-user', chat);
+    const controller = runner.setCancellationToken(new AbortController(), 'lock-user', chat);
+    await runner.syncRunningTask('lock-user', chat);
+    assert.equal(controller.signal.aborted, false);
+    await runner.setTaskRunning(false, 'lock-user', chat);
+  });
+
+  test(`${type}: only tasks that no instance runs any more are marked interrupted`, async () => {
+    contextStores.setStore(stores[type]);
+    const runner = new Context();
+    const crashed = new Context();
+    const running = newChat();
+    const orphaned = newChat();
+
+    await runner.setTaskRunning(true, 'lock-user', running);
+    await runner.saveCheckpoint('lock-user', running);
+    await crashed.setTaskRunning(true, 'lock-user', orphaned);
+    await crashed.saveCheckpoint('lock-user', orphaned);
+
+    // The crashed instance stops syncing; the other keeps its lock
+    await sleep(250);
+    await runner.syncRunningTask('lock-user', running);
+
+    await runner.markInterruptedTasks();
+    assert.equal((await taskCheckpointFunctions.getCheckpoint('lock-user', running)).status, 'running');
+    await new Context().markInterruptedTasks();
+    assert.equal((await taskCheckpointFunctions.getCheckpoint('lock-user', running)).status, 'running');
+    assert.equal((await taskCheckpointFunctions.getCheckpoint('lock-user', orphaned)).status, 'interrupted');
+
+    await runner.setTaskRunning(false, 'lock-user', running);
+    await crashed.setTaskRunning(false, 'lock-user', orphaned);
+  });
+}
+
+test('redis: the owner check and the write of a lock are one command', async (t) => {
+  const store = stores.redis;
+  const key = `task:lock-user:${newChat()}`;
+  const command = t.mock.method(store.client, 'command');
+  const commands = () => command.mock.calls.map(call => call.arguments[0]);
+
+  assert.equal(await store.acquireLock(key, 'a', 200), true);
+  assert.equal(await store.acquireLock(key, 'a', 200), true);
+  assert.equal(await store.acquireLock(key, 'b', 200), false);
+  assert.equal(await store.releaseLock(key, 'b'), false);
+  assert.equal((await store.getLock(key)).owner, 'a');
+  assert.equal(await store.releaseLock(key, 'a'), true);
+  assert.equal(await store.getLock(key), null);
+
+  // No GET ahead of the lock writes, which another instance could outdate by taking over the lock
+  assert.deepEqual(commands(), ['EVAL', 'EVAL', 'EVAL', 'EVAL', 'GET', 'EVAL', 'GET']);
+});
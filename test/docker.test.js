@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment({ DOCKER_MAX_RETRIES: '3' });
+
+const docker = require('../tools/docker');
+const engine = docker.engine;
+
+let chatId = 0;
+async function newContainer() {
+  chatId++;
+  return await docker.acquireContainer('docker-test-user', chatId);
+}
+
+function callsOf(command) {
+  return engine.getCalls().filter(call => call.command === command);
+}
+
+test.before(() => databaseReady(['users', 'container_workspaces']));
+test.after(async () => {
+  await docker.cleanupAllContainers();
+  await closeDatabase();
+});
+
+test('uses the fake engine', () => {
+  assert.equal(engine.name, 'fake');
+});
+
+test('returns the output and exit code of a command', async () => {
+  const container = await newContainer();
+  engine.registerExec('echo exit-zero', { stdout: 'hello\n', stderr: 'warning\n' });
+
+  const result = await docker.executeCommand(container, 'echo exit-zero');
+  assert.deepEqual(result, { stdout: 'hello\n', stderr: 'warning\n', exitCode: 0 });
+});
+
+test('rejects with the exit code and output of a failing command, without running it again', async () => {
+  const container = await newContainer();
+  engine.registerExec('rm important && exit 3', { stdout: 'partial', stderr: 'failed', exitCode: 3 });
+
+  await assert.rejects(docker.executeCommand(container, 'rm important && exit 3'), error => {
+    assert.equal(error.exitCode, 3);
+    assert.equal(error.stdout, 'partial');
+    assert.equal(error.stderr, 'failed');
+    assert.match(error.message, /exit code 3: failed/);
+    return true;
+  });
+  assert.equal(callsOf('rm important && exit 3').length, 1);
+});
+
+test('retries a command the engine could not be reached for', async () => {
+  const container = await newContainer();
+  let attempts = 0;
+  engine.registerExec('echo flaky-engine', () => {
+    attempts++;
+    if (attempts === 1) {
+      const error = new Error('socket hang up');
+      error.code = 'ECONNRESET';
+      throw error;
+    }
+    return { stdout: 'done' };
+  });
+
+  const result = await docker.executeCommand(container, 'echo flaky-engine');
+  assert.equal(result.stdout, 'done');
+  assert.equal(attempts, 2);
+});
+
+test('does not retry a command in a container that is gone', async () => {
+  const container = await newContainer();
+  await engine.removeContainer(container);
+
+  await assert.rejects(docker.executeCommand(container, 'echo gone'), error => {
+    assert.equal(docker.isContainerUnavailable(error), true);
+    return true;
+  });
+  assert.equal(callsOf('echo gone').length, 0);
+});
+
+test('reports a command stopped by the time limit as a limit error', async () => {
+  const container = await newContainer();
+  engine.registerExec('sleep forever', { exitCode: 124, stdout: 'started' });
+
+  await assert.rejects(docker.executeCommand(container, 'sleep forever'), error => {
+    assert.equal(error.limit.type, 'timeout');
+    assert.equal(docker.toLimitResult(error).success, false);
+    return true;
+  });
+  assert.equal(callsOf('sleep forever').length, 1);
+});
+
+test('passes output to onOutput as it arrives', async () => {
+  const container = await newContainer();
+  engine.registerExec('echo streamed', { stdout: 'out', stderr: 'err' });
+
+  const chunks = [];
+  await docker.executeCommand(container, 'echo streamed', { onOutput: (text, stream) => chunks.push([stream, text]) });
+  assert.deepEqual(chunks, [['stdout', 'out'], ['stderr', 'err']]);
+});
+
+test('writes and reads text and binary files', async () => {
+  const container = await newContainer();
+  const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+
+  await docker.writeFile(container, '/app/reports/summary.txt', 'Total: 42\n');
+  await docker.writeFile(container, '/app/reports/chart.png', binary);
+
+  assert.equal(await docker.readFile(container, '/app/reports/summary.txt'), 'Total: 42\n');
+  assert.equal(await docker.readFile(container, '/app/reports/chart.png', 'base64'), binary.toString('base64'));
+  assert.deepEqual(await docker.listFiles(container, '/app/reports'), ['/app/reports/summary.txt', '/app/reports/chart.png']);
+});
+
+test('does not retry reading a missing file', async () => {
+  const container = await newContainer();
+
+  await assert.rejects(docker.readFile(container, '/app/missing.txt'), /Could not find the file \/app\/missing.txt/);
+  assert.equal(callsOf('test -f /app/missing.txt').length, 1);
+});
+
+test('does not retry a write whose directory cannot be created', async () => {
+  const container = await newContainer();
+  engine.registerExec('mkdir -p /app/read-only', { exitCode: 1, stderr: 'mkdir: Permission denied' });
+
+  await assert.rejects(docker.writeFile(container, '/app/read-only/out.txt', 'x'), /Could not create directory \/app\/read-only/);
+  assert.equal(callsOf('mkdir -p /app/read-only').length, 1);
+});
+
+test('keeps a chat\'s files when its idle container is removed', async () => {
+  const container = await newContainer();
+  await docker.writeFile(container, '/app/data.csv', 'a,b\n1,2\n');
+
+  const workspace = docker.workspaces.get(docker._workspaceKey('docker-test-user', chatId));
+  workspace.lastUsed = 0;
+  await docker.reapIdleContainers();
+  assert.equal(docker.workspaces.has(docker._workspaceKey('docker-test-user', chatId)), false);
+
+  const restarted = await docker.acquireContainer('docker-test-user', chatId);
+  assert.notEqual(restarted, container);
+  assert.equal(await docker.readFile(restarted, '/app/data.csv'), 'a,b\n1,2\n');
+});
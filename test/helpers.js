@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Shared setup for the offline tests.
+ * Each test file runs in a process of its own; it calls useTestEnvironment()
+ * before requiring any module of the app, so that the app uses a throwaway
+ * data directory, the fake Docker engine and the mock AI provider.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Module = require('module');
+
+/**
+ * Points the app at offline stand-ins. Call before requiring app modules.
+ * @param {Object} [env] - Extra environment variables.
+ * @returns {string} The temporary data directory.
+ */
+function useTestEnvironment(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'operon-test-'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    JWT_SECRET: 'test-secret',
+    LOG_LEVEL: 'error',
+    AI_PROVIDER: 'mock',
+    DOCKER_ENGINE: 'fake',
+    DOCKER_POOL_SIZE: '0',
+    CONTEXT_STORE: 'memory'
+  }, env);
+  return dataDir;
+}
+
+/**
+ * Replaces a module of the app with a test double, for modules required after this call.
+ * @param {string} modulePath - Path of the module, relative to the test directory.
+ * @param {Object} exports - What requiring the module returns.
+ */
+function stubModule(modulePath, exports) {
+  const filename = require.resolve(path.join(__dirname, modulePath));
+  const stub = new Module(filename);
+  stub.filename = filename;
+  stub.loaded = true;
+  stub.exports = exports;
+  require.cache[filename] = stub;
+}
+
+/**
+ * Waits until the database has created its tables; database.js creates them after connecting.
+ * @param {Array<string>} tables - Tables the test needs.
+ */
+async function databaseReady(tables) {
+  const { db } = require('../database');
+  for (const table of tables) {
+    await new Promise((resolve, reject) => {
+      const check = () => db.get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table], (error, row) => {
+        if (error) {
+          reject(error);
+        } else if (row) {
+          resolve();
+        } else {
+          setTimeout(check, 20);
+        }
+      });
+      check();
+    });
+  }
+}
+
+/**
+ * Closes the database, so the test process can exit, and removes the data directory.
+ */
+async function closeDatabase() {
+  const { db } = require('../database');
+  await new Promise(resolve => db.close(() => resolve()));
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+}
+
+module.exports = {
+  useTestEnvironment,
+  stubModule,
+  databaseReady,
+  closeDatabase
+};
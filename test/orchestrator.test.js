@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, stubModule, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment({ SCHEDULER_ENABLED: 'false', MEMORY_ENABLED: 'false' });
+
+// Records what the orchestrator sends to the dashboards
+const events = [];
+stubModule('../socket', { to: () => ({ emit: (event, payload) => events.push({ event, payload }) }) });
+// The browser tool would install Playwright when it is loaded
+stubModule('../tools/browser/initialize', { initialize: async () => true });
+
+const orchestrator = require('../index');
+const ai = require('../tools/AI/ai');
+const { userFunctions, taskCheckpointFunctions } = require('../database');
+
+// Steps run a tool that records its task; reasoning passes steps through unchanged
+const ran = [];
+let changePlan = false;
+orchestrator.tools.recorder = {
+  async runTask(task) {
+    ran.push(task.split(' Expected output')[0]);
+    return `Done: ${task}`;
+  }
+};
+orchestrator.tools.react.processStep = async step => step;
+orchestrator.tools.react.reflectOnResult = async () => ({ changePlan });
+orchestrator.tools.react.saveThoughtChain = async () => {};
+
+function recorderStep(step, usingData) {
+  return { step, action: 'recorder', expectedOutput: 'A note', usingData };
+}
+
+function completedStepIndices(chatId) {
+  return events
+    .filter(({ event, payload }) => event === 'step_completed' && payload.chatId === chatId)
+    .map(({ payload }) => payload.metrics.stepIndex);
+}
+
+let userId;
+
+test.before(async () => {
+  await databaseReady(['users', 'chats', 'task_checkpoints', 'task_steps']);
+  ({ id: userId } = await userFunctions.registerUser('orchestrator@example.com', 'password123'));
+});
+
+test.after(async () => {
+  // index.js checkpoints running tasks before the process exits; nothing is running here
+  process.removeAllListeners('beforeExit');
+  await closeDatabase();
+});
+
+test('a resumed task does not run again the steps that finished out of order', async (t) => {
+  t.mock.method(ai, 'callAI', async () => 'Final answer');
+  const plan = ['Step 1', 'Step 2', 'Step 3', 'Step 4'].map(step => recorderStep(step, 'none'));
+  await taskCheckpointFunctions.saveCheckpoint(userId, 1, {
+    question: 'Take notes',
+    plan,
+    currentStepIndex: 1,
+    stepsOutput: [
+      { step: 'Step 1', action: 'recorder', output: 'Done', stepIndex: 0 },
+      { step: 'Step 3', action: 'recorder', output: 'Done', stepIndex: 2 }
+    ]
+  }, 'interrupted');
+
+  assert.equal(await orchestrator.resumeTask(userId, 1), 'Final answer');
+  assert.deepEqual(ran.sort(), ['Step 2', 'Step 4']);
+  assert.deepEqual(completedStepIndices(1), [0, 1, 2, 3]);
+});
+
+test('a revised plan replaces the steps that have not started', async (t) => {
+  ran.length = 0;
+  changePlan = true;
+  t.after(() => { changePlan = false; });
+
+  const prompts = [];
+  t.mock.method(ai, 'callAI', async (prompt) => {
+    if (!/analyzing the progress/.test(prompt)) {
+      return 'Final answer';
+    }
+    prompts.push(prompt);
+    return { action: 'revise_plan', steps: [recorderStep('Revised step')] };
+  });
+
+  const plan = ['Step 1', 'Step 2', 'Step 3', 'Step 4', 'Step 5'].map(step => recorderStep(step));
+  await taskCheckpointFunctions.saveCheckpoint(userId, 2, {
+    question: 'Take notes',
+    plan,
+    currentStepIndex: 2,
+    stepsOutput: [
+      { step: 'Step 1', action: 'recorder', output: 'Done', stepIndex: 0 },
+      { step: 'Step 2', action: 'recorder', output: 'Done', stepIndex: 1 }
+    ]
+  }, 'interrupted');
+
+  assert.equal(await orchestrator.resumeTask(userId, 2), 'Final answer');
+
+  // Revised after the third step completed, the only one that had started
+  assert.equal(prompts.length, 1);
+  assert.match(prompts[0], /completed 3 steps out of 5/);
+  assert.match(prompts[0], /Steps that can be replaced: [\s\S]*"Step 4"[\s\S]*"Step 5"/);
+
+  assert.deepEqual(ran, ['Step 3', 'Revised step']);
+  assert.deepEqual(completedStepIndices(2), [0, 1, 2, 3]);
+  assert.deepEqual(orchestrator.contextManager.getPlan(userId, 2).map(step => step.step), ['Step 1', 'Step 2', 'Step 3', 'Revised step']);
+});
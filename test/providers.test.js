@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, stubModule, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment({
+  AI_MODEL_PROVIDERS: JSON.stringify({ 'llama3.1:8b': 'ollama', 'broken/model': 'ollama' }),
+  AI_MODEL_ROUTES: JSON.stringify({ auto: ['broken/model', 'mock/model'] })
+});
+
+// socket.js starts the server; ai.js only emits through it
+stubModule('../socket', { to: () => ({ emit() {} }) });
+
+const providers = require('../tools/AI/providers');
+const ai = require('../tools/AI/ai');
+const contextManager = require('../utils/context');
+
+test.before(() => databaseReady(['users', 'model_routing_overrides']));
+test.after(closeDatabase);
+
+test('models without a provider of their own go to the configured provider', () => {
+  const { provider, model } = providers.resolve('openai/gpt-5');
+  assert.equal(provider.name, 'mock');
+  assert.equal(model, 'openai/gpt-5');
+});
+
+test('a provider prefix picks the provider and is removed from the model name', () => {
+  const { provider, model } = providers.resolve('ollama:llama3.1:8b');
+  assert.equal(provider.name, 'ollama');
+  assert.equal(provider.constructor, providers.providerTypes.local);
+  assert.equal(model, 'llama3.1:8b');
+});
+
+test('models listed in AI_MODEL_PROVIDERS go to their provider', () => {
+  const { provider, model } = providers.resolve('llama3.1:8b');
+  assert.equal(provider.name, 'ollama');
+  assert.equal(model, 'llama3.1:8b');
+});
+
+test('a prefix that names no provider is part of the model name', () => {
+  const { provider, model } = providers.resolve('vendor:model');
+  assert.equal(provider.name, 'mock');
+  assert.equal(model, 'vendor:model');
+});
+
+test('providers are created once and unknown providers are refused', () => {
+  assert.equal(providers.getProvider('mock'), providers.getProvider('mock'));
+  assert.throws(() => providers.getProvider('missing'), /Unknown AI provider: missing/);
+});
+
+test('the mock provider answers from fixtures and streams its answer', async () => {
+  const mock = providers.getProvider('mock');
+  mock.registerResponse('/weather in \\w+/i', { summary: 'Sunny', success: true });
+
+  const deltas = [];
+  const response = await mock.chat({
+    model: 'mock/model',
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'What is the weather in Paris?' }] }],
+    jsonResponse: true,
+    onDelta: delta => deltas.push(delta)
+  });
+  assert.deepEqual(JSON.parse(response.content), { summary: 'Sunny', success: true });
+  assert.equal(deltas.join(''), response.content);
+  assert.equal(response.provider, 'mock');
+  mock.reset();
+});
+
+test('the mock provider gives the same canned answer to the same request', async () => {
+  const mock = providers.getProvider('mock');
+  const request = { messages: [{ role: 'user', content: 'Summarize the report' }], jsonResponse: true };
+
+  const first = await mock.chat(request);
+  const second = await mock.chat(request);
+  assert.equal(first.content, second.content);
+  assert.equal(JSON.parse(first.content).directAnswer, true);
+  mock.reset();
+});
+
+test('the mock provider fills in a function call the request offers', async () => {
+  const mock = providers.getProvider('mock');
+  const response = await mock.chat({
+    messages: [{ role: 'user', content: 'Plan the task' }],
+    functions: [{
+      name: 'finish',
+      parameters: { type: 'object', properties: { summary: { type: 'string' }, files: { type: 'array' } }, required: ['summary', 'files'] }
+    }]
+  });
+  assert.equal(response.content, '');
+  assert.equal(response.toolCalls[0].name, 'finish');
+  assert.deepEqual(JSON.parse(response.toolCalls[0].arguments).files, []);
+  mock.reset();
+});
+
+test('callAI falls back to the next model of the route when a provider fails', async () => {
+  const ollama = providers.getProvider('ollama');
+  const requested = [];
+  ollama.chat = async ({ model }) => {
+    requested.push(model);
+    throw new Error('connect ECONNREFUSED 127.0.0.1:11434');
+  };
+
+  const answer = await ai.callAI('You are a test.', 'Say hello', [], undefined, false, 'auto', 'default', 1);
+  assert.deepEqual(requested, ['broken/model']);
+  assert.match(answer, /^Mock response [0-9a-f]{8}: /);
+
+  const [lastCall] = providers.getProvider('mock').getCalls().slice(-1);
+  assert.equal(lastCall.model, 'mock/model');
+  const { responses } = contextManager.getToolState('ai', 'default', 1);
+  assert.equal(responses.at(-1).provider, 'mock');
+  assert.equal(responses.at(-1).model, 'mock/model');
+});
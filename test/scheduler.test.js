@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, stubModule, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment({ SCHEDULER_ENABLED: 'false' });
+
+// The orchestrator answers every run with the same result; its Telegram bot records what it is given
+const sent = [];
+stubModule('../index', {
+  centralOrchestrator: async () => 'Headlines',
+  tools: {
+    telegramBot: {
+      isInitialized: true,
+      async sendLongMessage(chatId, text) {
+        sent.push({ chatId, text });
+      }
+    }
+  }
+});
+
+const scheduler = require('../utils/scheduler');
+const { userFunctions } = require('../database');
+
+let telegramUser;
+let emailUser;
+
+let scheduleId = 0;
+function schedule(fields) {
+  scheduleId++;
+  return { id: scheduleId, name: 'Morning news', prompt: 'Summarize the news', cronExpression: '0 8 * * *', ...fields };
+}
+
+test.before(async () => {
+  await databaseReady(['users', 'chats', 'scheduled_tasks']);
+  telegramUser = await userFunctions.registerUser('telegram_4242@telegram.local', 'password123');
+  emailUser = await userFunctions.registerUser('reader@example.com', 'password123');
+});
+test.after(closeDatabase);
+
+test('Telegram results go to the chat linked to the schedule\'s owner', async () => {
+  const outcome = await scheduler.runSchedule(schedule({ userId: telegramUser.id, delivery: 'telegram' }));
+  assert.equal(outcome.status, 'completed');
+  assert.deepEqual(sent, [{ chatId: '4242', text: '⏰ Morning news\n\nHeadlines' }]);
+});
+
+test('Telegram results are not sent for owners without a linked Telegram chat', async () => {
+  sent.length = 0;
+  const outcome = await scheduler.runSchedule(schedule({ userId: emailUser.id, delivery: 'telegram' }));
+  assert.equal(outcome.status, 'undelivered');
+  assert.match(outcome.error, /Telegram delivery is not available/);
+  assert.equal(sent.length, 0);
+});
+
+test('Telegram delivery can only be chosen by owners with a linked Telegram chat', async () => {
+  const telegramOwner = await userFunctions.getUserById(telegramUser.id);
+  const emailOwner = await userFunctions.getUserById(emailUser.id);
+
+  assert.equal(scheduler.checkDeliveryTarget(schedule({ delivery: 'telegram' }), telegramOwner), null);
+  assert.match(scheduler.checkDeliveryTarget(schedule({ delivery: 'telegram' }), emailOwner), /accounts that use the Telegram bot/);
+  assert.equal(scheduler.checkDeliveryTarget(schedule({ delivery: 'email' }), emailOwner), null);
+  assert.match(scheduler.checkDeliveryTarget(schedule({ delivery: 'email' }), telegramOwner), /no email address/);
+});
+
+test('schedules are validated', () => {
+  assert.deepEqual(scheduler.validateSchedule(schedule({ delivery: 'telegram' })), []);
+  assert.deepEqual(scheduler.validateSchedule(schedule({ cronExpression: '* * * * *', delivery: 'fax' })), [
+    'Runs must be at least 15 minutes apart',
+    'delivery must be one of: email, telegram, none'
+  ]);
+});
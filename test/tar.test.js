@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tar = require('../utils/tar');
+
+test('packs and unpacks files and directories', () => {
+  const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10]);
+  const entries = tar.unpack(tar.pack([
+    { name: 'results', type: 'directory' },
+    { name: 'results/notes.txt', content: 'hello\n' },
+    { name: 'results/figure.png', content: binary, mode: 0o600 },
+    { name: 'empty.txt', content: '' }
+  ]));
+
+  assert.deepEqual(entries.map(({ name, type }) => ({ name, type })), [
+    { name: 'results', type: 'directory' },
+    { name: 'results/notes.txt', type: 'file' },
+    { name: 'results/figure.png', type: 'file' },
+    { name: 'empty.txt', type: 'file' }
+  ]);
+  assert.equal(entries[1].content.toString(), 'hello\n');
+  assert.deepEqual(entries[2].content, binary);
+  assert.equal(entries[2].mode, 0o600);
+  assert.equal(entries[3].content.length, 0);
+});
+
+test('keeps contents spanning several blocks intact', () => {
+  const content = Buffer.alloc(512 * 3 + 17, 'x');
+  const [entry] = tar.unpack(tar.pack([{ name: 'large.bin', content }]));
+  assert.deepEqual(entry.content, content);
+});
+
+test('writes names longer than 100 bytes as pax headers', () => {
+  const name = `${'nested/'.repeat(20)}dätä.csv`;
+  const [entry, ...rest] = tar.unpack(tar.pack([{ name, content: 'a,b\n' }]));
+  assert.equal(rest.length, 0);
+  assert.equal(entry.name, name);
+  assert.equal(entry.content.toString(), 'a,b\n');
+});
+
+test('reads archives written by GNU tar', { skip: !hasTar() && 'tar is not installed' }, () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'operon-tar-'));
+  try {
+    const longName = `${'d'.repeat(60)}/${'f'.repeat(60)}.txt`;
+    fs.mkdirSync(path.join(directory, 'd'.repeat(60)));
+    fs.writeFileSync(path.join(directory, longName), 'long');
+    fs.writeFileSync(path.join(directory, 'short.txt'), 'short');
+
+    const archive = execFileSync('tar', ['--format=gnu', '-cf', '-', '-C', directory, 'short.txt', longName]);
+    const files = tar.unpack(archive).filter(entry => entry.type === 'file');
+    assert.deepEqual(files.map(entry => [entry.name, entry.content.toString()]), [
+      ['short.txt', 'short'],
+      [longName, 'long']
+    ]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('writes archives GNU tar can list', { skip: !hasTar() && 'tar is not installed' }, () => {
+  const name = `${'p'.repeat(120)}.txt`;
+  const listing = execFileSync('tar', ['-tf', '-'], { input: tar.pack([{ name: 'a.txt', content: 'a' }, { name, content: 'p' }]) });
+  assert.deepEqual(listing.toString().trim().split('\n'), ['a.txt', name]);
+});
+
+function hasTar() {
+  try {
+    execFileSync('tar', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestEnvironment, stubModule, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment();
+
+// The model's replies are scripted: generated code comes from `generated`,
+// and the output each evaluation was given is kept in `evaluated`
+let generated = {};
+const evaluated = [];
+stubModule('../tools/AI/ai', {
+  async callAI(prompt) {
+    if (/generate (python|the bash) code/i.test(prompt)) {
+      return generated;
+    }
+    evaluated.push(prompt);
+    return { summary: 'evaluated', success: true };
+  }
+});
+
+const docker = require('../tools/docker');
+const bash = require('../tools/bash');
+const execute = require('../tools/pythonExecute/main');
+const engine = docker.engine;
+
+const sidebar = [];
+global.updateSidebar = (userId, toolName, data) => sidebar.push({ toolName, ...data });
+
+// Stands in for runner.py, which only exists in a real container
+let runnerOutput = {};
+engine.registerExec('runner.py', () => runnerOutput);
+
+let chatId = 0;
+function newChat() {
+  chatId++;
+  return chatId;
+}
+
+function callsOf(pattern) {
+  return engine.getCalls().filter(call => pattern.test(call.command));
+}
+
+test.before(() => databaseReady(['users', 'settings', 'container_workspaces']));
+test.after(async () => {
+  delete global.updateSidebar;
+  await docker.cleanupAllContainers();
+  await closeDatabase();
+});
+
+test('bash returns the output and exit code of a failing command without running it again', async () => {
+  generated = { code: 'grep total missing.log' };
+  engine.registerExec('grep total missing.log', { stdout: 'searching', stderr: 'grep: missing.log: No such file', exitCode: 2 });
+
+  const summary = await bash.runTask('Find the total', '', null, 'tools-test-user', newChat());
+  assert.equal(summary.summary, 'evaluated');
+  assert.equal(callsOf(/grep total missing\.log/).length, 1);
+  assert.match(evaluated.at(-1), /searching\nSTDERR: grep: missing\.log: No such file\nEXIT CODE: 2/);
+});
+
+test('bash starts a container that is gone again and runs the command once', async () => {
+  const chat = newChat();
+  const stopped = await docker.acquireContainer('tools-test-user', chat);
+  await engine.removeContainer(stopped);
+  generated = { code: 'echo restarted' };
+  engine.registerExec('echo restarted', { stdout: 'restarted\n' });
+
+  await bash.runTask('Say restarted', '', null, 'tools-test-user', chat);
+  const calls = callsOf(/echo restarted/);
+  assert.equal(calls.length, 1);
+  assert.notEqual(calls[0].container, stopped);
+  assert.match(evaluated.at(-1), /Result: restarted/);
+});
+
+test('bash shows the output of a running command in the sidebar', async () => {
+  generated = { code: 'echo progress' };
+  engine.registerExec('echo progress', { stdout: 'step 1 of 2\nstep 2 of 2\n' });
+
+  await bash.runTask('Show progress', '', null, 'tools-test-user', newChat());
+  const updates = sidebar.filter(update => update.toolName === 'bash' && update.outputPreview);
+  assert.ok(updates.some(update => update.stage === 'executing' && update.outputPreview === 'step 1 of 2\nstep 2 of 2\n'));
+  assert.equal(updates.at(-1).stage, 'completed');
+});
+
+test('execute passes the traceback of a failing script to the evaluation and runs it once', async () => {
+  const before = callsOf(/runner\.py/).length;
+  generated = { code: 'print(1 / 0)', 'pip install': [] };
+  runnerOutput = {
+    stdout: 'starting\n',
+    stderr: 'Traceback (most recent call last):\nZeroDivisionError: division by zero\n',
+    exitCode: 1
+  };
+
+  const summary = await execute.runTask('Divide by zero', '', null, 'tools-test-user', newChat());
+  assert.equal(summary.success, true);
+  assert.equal(callsOf(/runner\.py/).length - before, 1);
+  assert.match(evaluated.at(-1), /starting\n\nSTDERR: Traceback \(most recent call last\):\nZeroDivisionError: division by zero\n\nEXIT CODE: 1/);
+});
+
+test('execute installs a package once per workspace', async () => {
+  const chat = newChat();
+  const installed = [];
+  engine.registerExec(/\.operon-installed/, command => {
+    if (command.startsWith('printf')) {
+      const requirements = command.match(/^printf '%s\\n' (.*) >> /)[1];
+      installed.push(...requirements.split(' ').map(requirement => requirement.replace(/'/g, '')));
+      return {};
+    }
+    return { stdout: installed.map(name => `${name}\n`).join('') };
+  });
+  engine.registerExec(/pip install/, {});
+  generated = { code: 'import pandas', 'pip install': ['pandas'] };
+  runnerOutput = { stdout: 'ok\n' };
+
+  await execute.runTask('Load pandas', '', null, 'tools-test-user', chat);
+  await execute.runTask('Load pandas again', '', null, 'tools-test-user', chat);
+  assert.deepEqual(installed, ['pandas']);
+  assert.equal(callsOf(/pip install .*'pandas'/).length, 1);
+});
+
+test('execute reports the files and figures a script produced', async () => {
+  generated = { code: 'df.to_csv("out.csv")', 'pip install': [] };
+  const figure = { type: 'figure', path: '/app/outputs/python_1/figure_1.png', description: 'Figure 1' };
+  runnerOutput = {
+    stdout: `rows: 3\nCREATED_FILE:/app/out.csv\nOPERON_ARTIFACTS:${JSON.stringify([figure])}\n`
+  };
+
+  const summary = await execute.runTask('Save the table', '', null, 'tools-test-user', newChat());
+  assert.deepEqual(summary.createdContainerFiles, ['/app/out.csv']);
+  assert.deepEqual(summary.artifacts, [figure]);
+  assert.doesNotMatch(evaluated.at(-1), /OPERON_ARTIFACTS/);
+});
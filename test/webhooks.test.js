@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const { useTestEnvironment, databaseReady, closeDatabase } = require('./helpers');
+
+useTestEnvironment({ WEBHOOK_TIMEOUT: '2000' });
+
+const webhooks = require('../utils/webhooks');
+
+// A receiver on the loopback interface, standing in for a service on the private network
+const received = [];
+const receiver = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    received.push({ headers: request.headers, body });
+    response.end('ok');
+  });
+});
+let port;
+
+// Resolves receiver.example to the loopback receiver, as a rebinding DNS server would
+function resolveReceiverLocally(t) {
+  const lookup = dns.lookup;
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    if (hostname !== 'receiver.example') {
+      return lookup(hostname, options, callback);
+    }
+    callback(null, options.all ? [{ address: '127.0.0.1', family: 4 }] : '127.0.0.1', 4);
+  });
+}
+
+function pingReceiver(url) {
+  return webhooks.ping({ id: 1, userId: 'hook-user', url, secret: 'whsec_test' });
+}
+
+test.before(async () => {
+  await databaseReady(['webhooks', 'webhook_deliveries']);
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  port = receiver.address().port;
+});
+
+test.after(async () => {
+  await new Promise(resolve => receiver.close(resolve));
+  await closeDatabase();
+});
+
+test('webhooks with literal local or private addresses are refused', () => {
+  for (const url of ['http://localhost/hook', 'http://10.1.2.3/hook', 'http://[::ffff:192.168.0.1]/hook', 'http://169.254.169.254/']) {
+    assert.deepEqual(webhooks.validateWebhook({ url, events: ['task_completed'] }), ['url must not point to localhost or a private network'], url);
+  }
+  assert.deepEqual(webhooks.validateWebhook({ url: 'https://hooks.example.com/operon', events: ['task_completed'] }), []);
+});
+
+test('a name that resolves to a private address is not delivered to', async (t) => {
+  resolveReceiverLocally(t);
+  assert.deepEqual(webhooks.validateWebhook({ url: `http://receiver.example:${port}/hook`, events: ['task_completed'] }), []);
+
+  const outcome = await pingReceiver(`http://receiver.example:${port}/hook`);
+  assert.equal(outcome.status, 'pending');
+  assert.match(outcome.error, /receiver\.example resolves to a local or private address \(127\.0\.0\.1\)/);
+  assert.equal(received.length, 0);
+});
+
+test('a private address stored before it was refused is not delivered to', async () => {
+  const outcome = await pingReceiver(`http://127.0.0.1:${port}/hook`);
+  assert.equal(outcome.status, 'pending');
+  assert.match(outcome.error, /private network/);
+  assert.equal(received.length, 0);
+});
+
+test('private receivers get signed deliveries when WEBHOOK_ALLOW_PRIVATE_URLS is set', async (t) => {
+  resolveReceiverLocally(t);
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+  t.after(() => delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS);
+
+  const outcome = await pingReceiver(`http://receiver.example:${port}/hook`);
+  assert.equal(outcome.status, 'delivered');
+  assert.equal(received.length, 1);
+
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-operon-event'], 'ping');
+  assert.equal(headers['x-operon-signature'], webhooks.sign('whsec_test', headers['x-operon-timestamp'], body));
+});
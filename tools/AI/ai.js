@@ -1,18 +1,17 @@
-const OpenAI = require('openai');
 const dotenv = require('dotenv');
+const crypto = require('crypto');
 const smartModelSelector = require('./smartModelSelector');
 const tokenCalculation = require('./tokenCalculation');
+const budget = require('./budget');
+const providers = require('./providers');
+const config = require('../../utils/config');
+const schemaValidator = require('../../utils/schemaValidator');
 const contextManager = require('../../utils/context');
 const { getPersonalityPrompt } = require('../personalityEngine/getPersonalityPrompt');
 const { userFunctions, fileFunctions } = require('../../database');
 const io = require('../../socket');
 dotenv.config();
 
-const openai = new OpenAI({
-    apiKey: process.env.OPENROUTER_API_KEY,
-    baseURL: "https://openrouter.ai/api/v1"
-});
-
 async function generateImage(prompt, userId = 'default'){
     
     let toolState = contextManager.getToolState('ai', userId) || {
@@ -28,13 +27,7 @@ async function generateImage(prompt, userId = 'default'){
         timestamp: Date.now()
     });
     
-    const response = await openai.images.generate({
-        prompt: prompt,
-        n: 1,
-        size: "1024x1024"
-    });
-
-    const imageUrl = response.data[0].url;
+    const imageUrl = await providers.getProvider(config.ai.imageProvider).generateImage(prompt);
     
     
     toolState.images.push({
@@ -49,26 +42,48 @@ async function generateImage(prompt, userId = 'default'){
     return imageUrl;
 }
 
-async function callAI(systemMessage, prompt, messages, image=undefined, jsonResponse=true, model="auto", userId = 'default', chatId = 1){
-    
-    if (userId && userId !== 'default') {
-        try {
-            const remainingCredits = await userFunctions.getRemainingCredits(userId);
-            const estimatedCost = Math.ceil(prompt.length * 1.2); // Rough estimate: 1.2 tokens per character
-            
-            if (remainingCredits < estimatedCost) {
-                return {
-                    error: true,
-                    message: "Insufficient credits. Please redeem a code or contact support.",
-                    creditsNeeded: estimatedCost,
-                    creditsRemaining: remainingCredits,
-                    fallback: true
-                };
-            }
-        } catch (error) {
-            console.error('Error checking credits:', error);
+// Forwards streamed text to the user's dashboard as `ai_stream` events
+function emitStream(userId, chatId, payload) {
+    io.to(`user:${userId}`).emit('ai_stream', { userId, chatId, ...payload });
+}
+
+// Tells the dashboard a task is close to (or out of) its budget
+function emitBudgetWarning(userId, chatId, status) {
+    const { justExceeded, ...usage } = status;
+    io.to(`user:${userId}`).emit('budget_warning', { userId, chatId, ...usage });
+}
+
+// Drops the oldest history messages from a request until `tokensToFree` tokens, counted for
+// `model`, are freed; the conversation summary (a system message) is kept
+function trimHistory(messagesForAPI, historyMessages, tokensToFree, model) {
+    const history = new Set(historyMessages);
+    const dropped = new Set();
+    let freed = 0;
+    
+    for (const message of messagesForAPI) {
+        if (freed >= tokensToFree) {
+            break;
         }
+        if (history.has(message) && message.role !== 'system') {
+            dropped.add(message);
+            freed += tokenCalculation.calculateMessageTokens([message], model);
+        }
+    }
+    
+    if (dropped.size > 0) {
+        console.log(`Left ${dropped.size} old history messages out of the request to fit the context window`);
     }
+    return messagesForAPI.filter(message => !dropped.has(message));
+}
+
+// options.stream: label of the output being streamed (e.g. "finalization", "writer");
+// only plain-text calls for a real user are streamed
+// options.functions: [{ name, description, parameters, validate? }] the model must call one of;
+// the result is the validated arguments with the function name in `action`
+async function callAI(systemMessage, prompt, messages, image=undefined, jsonResponse=true, model="auto", userId = 'default', chatId = 1, options = {}){
+    
+    const functions = Array.isArray(options.functions) && options.functions.length > 0 ? options.functions : null;
+    const streamSource = options.stream && !jsonResponse && !functions && userId && userId !== 'default' ? options.stream : null;
     
     const toolState = contextManager.getToolState('ai', userId, chatId) || { 
         history: [],
@@ -87,17 +102,10 @@ async function callAI(systemMessage, prompt, messages, image=undefined, jsonResp
     });
     contextManager.setToolState('ai', toolState, userId, chatId);
     
-    let modelpicker = await smartModelSelector.getModel(prompt, model);
-    model = modelpicker.model
-    const maxTokens = modelpicker.maxTokens
-    let tokens = tokenCalculation.calculateTokens(prompt);
-
-    if(tokens > maxTokens){
-        console.log("Tokens are too high, using smart model selector");
-    }
-
     
-    if(jsonResponse) {
+    if (functions) {
+        systemMessage = systemMessage + `\n\nRespond by calling exactly one of the provided functions (${functions.map(fn => fn.name).join(', ')}). Do not answer in plain text.`;
+    } else if(jsonResponse) {
         const jsonInstructions = `
 You must respond with valid, parseable JSON only.
 - Use escaped newlines (\\n) instead of actual line breaks in strings
@@ -152,7 +160,10 @@ If you do not return valid JSON, your output will cause an API error. Do not inc
                         const isTextFile = isTextualContent(file.fileExtension, file.originalName);
                         const maxContentSize = 10000; // 10KB limit for including in context
                         
-                        if (isImageFile && file.fileContent) {
+                        if (isImageFile && file.generated) {
+                            // Figures from earlier steps would be sent again with every later call
+                            filesContext += `   - Content: Image created by a task step (not attached)\n`;
+                        } else if (isImageFile && file.fileContent) {
                             // Add image to the image files array for vision processing
                             imageFiles.push({
                                 id: file.id,
@@ -237,8 +248,10 @@ Only mention this if the user is specifically requesting file-related work and n
     messagesForAPI.push({role: "user", content: userContent});
     
     
-    if (Array.isArray(messages) && messages.length > 0) {
-        messagesForAPI = messagesForAPI.concat(messages);
+    // History entries can carry bookkeeping fields (ids, summary flags) that providers must not see
+    const historyMessages = Array.isArray(messages) ? messages.map(({ role, content }) => ({ role, content })) : [];
+    if (historyMessages.length > 0) {
+        messagesForAPI = messagesForAPI.concat(historyMessages);
     }
 
     for(let i = 0; i < messagesForAPI.length; i++){
@@ -247,79 +260,165 @@ Only mention this if the user is specifically requesting file-related work and n
         }
     }
     
+    // Route the call; the count covers system prompt, file context, history and images, not just the prompt
+    let requestTokens = tokenCalculation.calculateMessageTokens(messagesForAPI, model);
+    const modelpicker = await smartModelSelector.getModel(prompt, model, {
+        userId,
+        tokens: requestTokens
+    });
+    model = modelpicker.model;
+    // Routing only knew the route name; limits, credits and the budget are counted for the selected model
+    requestTokens = tokenCalculation.calculateMessageTokens(messagesForAPI, model);
+    
+    // Long chats: leave out the oldest history the selected model cannot hold next to its answer
+    const maxOutputTokens = jsonResponse ? 4096 : 16384;
+    const overflow = requestTokens + maxOutputTokens - smartModelSelector.getContextLimit(model);
+    if (overflow > 0 && historyMessages.length > 0) {
+        messagesForAPI = trimHistory(messagesForAPI, historyMessages, overflow, model);
+        requestTokens = tokenCalculation.calculateMessageTokens(messagesForAPI, model);
+    }
+    
+    const modelCandidates = [modelpicker.model, ...modelpicker.fallbacks];
+    
+    // Check credits against the input cost; output is billed once it is known
+    if (userId && userId !== 'default') {
+        try {
+            const remainingCredits = await userFunctions.getRemainingCredits(userId);
+            const estimatedCost = tokenCalculation.calculateCredits(model, requestTokens, 0);
+            
+            if (remainingCredits < estimatedCost) {
+                return {
+                    error: true,
+                    message: "Insufficient credits. Please redeem a code or contact support.",
+                    creditsNeeded: estimatedCost,
+                    creditsRemaining: remainingCredits,
+                    fallback: true
+                };
+            }
+        } catch (error) {
+            console.error('Error checking credits:', error);
+        }
+    }
+    
+    // Stop at the running task's budget; like credits, only the input is known up front
+    const budgetStatus = budget.checkRequest(userId, chatId, {
+        credits: tokenCalculation.calculateCredits(model, requestTokens, 0),
+        tokens: requestTokens
+    });
+    if (budgetStatus) {
+        if (budgetStatus.justExceeded) {
+            emitBudgetWarning(userId, chatId, budgetStatus);
+        }
+        return {
+            error: true,
+            budgetExceeded: true,
+            message: "This task has reached its budget.",
+            budget: budgetStatus,
+            fallback: true
+        };
+    }
+    
     
     toolState.lastRequest = {
         messages: messagesForAPI,
         model,
-        jsonResponse
+        jsonResponse,
+        functions: functions ? functions.map(fn => fn.name) : undefined
     };
     contextManager.setToolState('ai', toolState, userId, chatId);
     
-    try {
-        
+    // Providers only receive the schema; `validate` hooks stay local
+    const providerFunctions = functions ? functions.map(({ name, description, parameters }) => ({ name, description, parameters })) : undefined;
+    
+    // One provider request with retries and model fallback; re-asks for invalid function calls reuse it
+    const requestCompletion = async () => {
         let attempts = 0;
-        const maxAttempts = 3;
+        const maxAttempts = Math.max(3, modelCandidates.length);
         let response = null;
         
         while (attempts < maxAttempts) {
+            // Each attempt streams under its own ID so a failed partial answer can be discarded
+            const streamId = streamSource ? crypto.randomBytes(8).toString('hex') : null;
             try {
-                response = await openai.chat.completions.create({
-                    model: model,
+                // Pick the backend for this model (OpenRouter, Anthropic, local, mock)
+                const { provider, model: providerModel } = providers.resolve(model);
+                response = await provider.chat({
+                    model: providerModel,
                     messages: messagesForAPI,
-                    response_format: jsonResponse ? {type: "json_object"} : undefined,
-                    max_tokens: jsonResponse ? 4096 : 16384, 
-                    temperature: 0.2 
+                    jsonResponse,
+                    functions: providerFunctions,
+                    maxTokens: maxOutputTokens,
+                    temperature: 0.2,
+                    onDelta: streamId ? (delta) => emitStream(userId, chatId, { streamId, source: streamSource, delta }) : undefined
                 });
+                if (streamId) {
+                    emitStream(userId, chatId, { streamId, source: streamSource, done: true });
+                }
                 break; 
             } catch (retryError) {
+                if (streamId) {
+                    emitStream(userId, chatId, { streamId, source: streamSource, done: true, aborted: true });
+                }
                 attempts++;
                 console.error(`Attempt ${attempts} failed: ${retryError.message}`);
                 if (attempts >= maxAttempts) {
                     throw retryError; 
                 }
                 
+                // Fall back to the next candidate model for this route
+                if (attempts < modelCandidates.length) {
+                    model = modelCandidates[attempts];
+                    console.log(`Falling back to model ${model}`);
+                }
+                
                 await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempts)));
             }
         }
-
-        if(!response?.choices?.[0]?.message?.content){
-            console.log("No response from AI");
-            console.log(response);
-            
-            if (response?.choices?.[0]?.message?.refusal) {
-                console.log("AI refusal:", response.choices[0].message.refusal);
-            } else if (response?.choices?.[0]?.message?.reasoning) {
-                console.log("AI reasoning:", response.choices[0].message.reasoning);
-            }
-            
-            toolState.lastError = "No response from AI";
-            contextManager.setToolState('ai', toolState, userId, chatId);
-            
-            return {
-                error: true,
-                message: "No content received from AI system",
-                fallback: true
-            };
-        }
-
-        const responseContent = response.choices[0].message.content;
+        
+        return response;
+    };
+    
+    // Bills a response and records it in the tool state
+    const recordResponse = async (response, inputTokens) => {
+        const responseContent = response.content || JSON.stringify(response.toolCalls || []);
+        
+        // Bill the provider's reported usage; count locally if it did not report any
+        const usage = response.usage || {
+            inputTokens,
+            outputTokens: tokenCalculation.calculateTokens(responseContent, model)
+        };
+        const actualCost = tokenCalculation.calculateCredits(model, usage.inputTokens, usage.outputTokens);
         
         // Deduct credits after successful response
         if (userId && userId !== 'default') {
             try {
-                const actualCost = Math.ceil((prompt.length + responseContent.length) * 1.0); // 1 token per character
                 await userFunctions.updateCredits(userId, actualCost);
             } catch (error) {
                 console.error('Error updating credits:', error);
             }
         }
         
+        const budgetUpdate = budget.recordUsage(userId, chatId, {
+            credits: actualCost,
+            tokens: usage.inputTokens + usage.outputTokens
+        });
+        if (budgetUpdate) {
+            emitBudgetWarning(userId, chatId, budgetUpdate);
+        }
+        
         
         toolState.responses.push({
             prompt,
             response: responseContent, 
             timestamp: Date.now(),
-            model: model
+            model: model,
+            provider: response.provider,
+            usage: {
+                inputTokens: usage.inputTokens,
+                outputTokens: usage.outputTokens,
+                credits: actualCost,
+                source: response.usage ? 'provider' : 'estimated'
+            }
         });
         
         
@@ -332,6 +431,67 @@ Only mention this if the user is specifically requesting file-related work and n
         
         
         contextManager.setToolState('ai', toolState, userId, chatId);
+    };
+    
+    try {
+        
+        let response = await requestCompletion();
+
+        if(!response?.content && !(response?.toolCalls && response.toolCalls.length > 0)){
+            console.log("No response from AI");
+            console.log(response);
+            
+            if (response?.refusal) {
+                console.log("AI refusal:", response.refusal);
+            } else if (response?.reasoning) {
+                console.log("AI reasoning:", response.reasoning);
+            }
+            
+            toolState.lastError = "No response from AI";
+            contextManager.setToolState('ai', toolState, userId, chatId);
+            
+            return {
+                error: true,
+                message: "No content received from AI system",
+                fallback: true
+            };
+        }
+
+        await recordResponse(response, requestTokens);
+        
+        if (functions) {
+            // Validate the arguments and ask again with the errors until they pass
+            let call = readFunctionCall(response, functions);
+            for (let reasks = 0; call.errors.length > 0 && reasks < config.ai.functionCallRetries; reasks++) {
+                console.log(`Invalid function call, asking again: ${call.errors.join('; ')}`);
+                messagesForAPI.push(
+                    {role: "assistant", content: [{type: "text", text: call.raw || "(no function call)"}]},
+                    {role: "user", content: [{type: "text", text: `Your function call was invalid:\n- ${call.errors.join('\n- ')}\nCall one of the functions again with corrected arguments.`}]}
+                );
+                
+                response = await requestCompletion();
+                if (response) {
+                    await recordResponse(response, tokenCalculation.calculateMessageTokens(messagesForAPI, model));
+                }
+                call = readFunctionCall(response, functions);
+            }
+            
+            if (call.errors.length > 0) {
+                toolState.lastError = `Invalid function call: ${call.errors.join('; ')}`;
+                contextManager.setToolState('ai', toolState, userId, chatId);
+                
+                return {
+                    error: true,
+                    message: toolState.lastError,
+                    errors: call.errors,
+                    fallback: true
+                };
+            }
+            
+            return { ...call.arguments, action: call.name };
+        }
+        
+        const responseContent = response.content;
         
         
         if (jsonResponse) {
@@ -391,6 +551,61 @@ Only mention this if the user is specifically requesting file-related work and n
     }
 }
 
+/**
+ * Extracts the function call from a response and validates its arguments.
+ * Providers without native function calling may answer with JSON text instead;
+ * that is accepted when its `action` names a function, or there is only one function.
+ * @returns {Object} { name, arguments, raw, errors }
+ */
+function readFunctionCall(response, functions) {
+    const names = functions.map(fn => fn.name).join(', ');
+    const toolCall = response && Array.isArray(response.toolCalls) ? response.toolCalls[0] : null;
+    let name;
+    let args;
+    let raw;
+    
+    if (toolCall) {
+        name = toolCall.name;
+        raw = `${name}(${toolCall.arguments})`;
+        try {
+            args = JSON.parse(toolCall.arguments);
+        } catch (error) {
+            return { raw, errors: [`Arguments for ${name} are not valid JSON: ${error.message}`] };
+        }
+    } else if (response && response.content) {
+        raw = response.content;
+        const parsed = parseJSON(response.content);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || parsed.fallback) {
+            return { raw, errors: [`No function was called. Call one of: ${names}`] };
+        }
+        
+        const { action, ...rest } = parsed;
+        if (functions.some(fn => fn.name === action)) {
+            name = action;
+            args = rest;
+        } else if (functions.length === 1) {
+            name = functions[0].name;
+            args = parsed;
+        } else {
+            return { raw, errors: [`No function was called. Call one of: ${names}`] };
+        }
+    } else {
+        return { raw: '', errors: [`No function was called. Call one of: ${names}`] };
+    }
+    
+    const fn = functions.find(candidate => candidate.name === name);
+    if (!fn) {
+        return { raw, errors: [`Unknown function '${name}'. Call one of: ${names}`] };
+    }
+    
+    const errors = schemaValidator.validate(args, fn.parameters || { type: 'object' }, name);
+    if (errors.length === 0 && typeof fn.validate === 'function') {
+        errors.push(...fn.validate(args));
+    }
+    
+    return { name, arguments: args, raw, errors };
+}
+
 function parseJSON(jsonString) {
     if (!jsonString || typeof jsonString !== 'string') {
         console.error("Invalid input to parseJSON - not a string");
@@ -0,0 +1,311 @@
+/**
+ * @fileoverview Per-task spending budgets.
+ * A task's budget limits the credits and tokens spent by all callAI calls made
+ * for its chat while it runs. Users set a default budget in the `taskBudget`
+ * setting or pass one with the task; either is capped by the ceiling of their
+ * payment plan (config.budgets, overridable by admins per plan). callAI refuses
+ * requests once the budget is spent and the orchestrator wraps up with what
+ * the finished steps produced.
+ */
+
+const config = require('../../utils/config');
+const contextManager = require('../../utils/context');
+const { userFunctions, settingsFunctions, budgetCeilingFunctions } = require('../../database');
+
+const DIMENSIONS = ['credits', 'tokens'];
+
+// Longest step output quoted in a partial summary
+const MAX_SUMMARY_OUTPUT_CHARS = 1500;
+
+/**
+ * Validates and normalizes budget limits.
+ * @param {Object} value - { credits, tokens }; numbers or numeric strings, 0 or empty for unlimited.
+ * @returns {{credits: number|null, tokens: number|null}} Limits with null for unlimited.
+ * @throws {Error} If a limit is not a non-negative number.
+ */
+function normalizeLimits(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('Budget must be an object with credits and/or tokens');
+  }
+
+  const limits = {};
+  for (const dimension of DIMENSIONS) {
+    const raw = value[dimension];
+    if (raw === undefined || raw === null || raw === '') {
+      limits[dimension] = null;
+      continue;
+    }
+    const amount = Number(raw);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Budget ${dimension} must be a non-negative number`);
+    }
+    limits[dimension] = amount > 0 ? Math.floor(amount) : null;
+  }
+  return limits;
+}
+
+/**
+ * Gets the budget ceiling of a user's payment plan.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<{plan: string, credits: number|null, tokens: number|null, source: string}>}
+ *   Ceiling; source is "admin" when set through the admin API, otherwise "config".
+ */
+async function getCeiling(userId) {
+  const user = await userFunctions.getUserById(userId);
+  const plan = (user && user.paymentPlan) || 'free';
+
+  const override = await budgetCeilingFunctions.getCeiling(plan);
+  if (override) {
+    return {
+      plan,
+      ...normalizeLimits({ credits: override.maxCredits, tokens: override.maxTokens }),
+      source: 'admin'
+    };
+  }
+
+  const { ceilings, defaultCeiling } = config.budgets;
+  return { plan, ...normalizeLimits(ceilings[plan] || defaultCeiling), source: 'config' };
+}
+
+/**
+ * Gets the budget a user set for their tasks in the `taskBudget` setting.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object|null>} Limits, or null if none (or an invalid one) is set.
+ */
+async function getDefaultBudget(userId) {
+  const value = await settingsFunctions.getSetting(userId, 'taskBudget');
+  if (!value) {
+    return null;
+  }
+  try {
+    return normalizeLimits(typeof value === 'string' ? JSON.parse(value) : value);
+  } catch (error) {
+    console.error(`Ignoring invalid taskBudget setting of user ${userId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Works out the limits a task of a user runs under.
+ * @param {string} userId - The user ID.
+ * @param {Object} requested - Budget passed with the task; defaults to the user's `taskBudget` setting.
+ * @returns {Promise<{limits: Object, ceiling: Object}>} Effective limits and the plan ceiling.
+ * @throws {Error} If the requested budget is invalid.
+ */
+async function resolveBudget(userId, requested = null) {
+  const wanted = requested ? normalizeLimits(requested) : await getDefaultBudget(userId);
+  const ceiling = await getCeiling(userId);
+
+  const limits = {};
+  for (const dimension of DIMENSIONS) {
+    const candidates = [wanted && wanted[dimension], ceiling[dimension]].filter(limit => limit);
+    limits[dimension] = candidates.length > 0 ? Math.min(...candidates) : null;
+  }
+  return { limits, ceiling };
+}
+
+/**
+ * Starts tracking the budget of the task that just started in a chat.
+ * Call after contextManager.setTaskRunning(true), which assigns the task ID.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @param {Object} requested - Budget passed with the task, if any.
+ * @returns {Promise<Object|null>} The task's budget, or null for anonymous callers.
+ */
+async function startTaskBudget(userId, chatId, requested = null) {
+  if (!userId || userId === 'default') {
+    return null;
+  }
+
+  const { limits, ceiling } = await resolveBudget(userId, requested);
+  return contextManager.setBudget({
+    taskId: contextManager.getLastTaskId(userId, chatId),
+    plan: ceiling.plan,
+    limits,
+    spent: { credits: 0, tokens: 0 },
+    warned: false,
+    exceeded: false
+  }, userId, chatId);
+}
+
+/**
+ * Gets the budget of the task running in a chat; budgets of finished tasks no longer apply.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Object|null} The budget, or null.
+ */
+function getActiveBudget(userId, chatId) {
+  const budget = contextManager.getBudget(userId, chatId);
+  const context = contextManager.getContext(userId, chatId);
+  if (!budget || !context.isTaskRunning || budget.taskId !== context.lastTaskId) {
+    return null;
+  }
+  return budget;
+}
+
+/**
+ * Describes a budget for clients.
+ * @param {Object} budget - Task budget.
+ * @returns {Object} Limits, spend, largest share of a limit used and whether it was exceeded.
+ */
+function describe(budget) {
+  const ratios = DIMENSIONS
+    .filter(dimension => budget.limits[dimension])
+    .map(dimension => budget.spent[dimension] / budget.limits[dimension]);
+
+  return {
+    plan: budget.plan,
+    limits: { ...budget.limits },
+    spent: { ...budget.spent },
+    ratio: ratios.length > 0 ? Math.round(Math.max(...ratios) * 100) / 100 : 0,
+    exceeded: budget.exceeded
+  };
+}
+
+/**
+ * Checks whether a request fits in the remaining budget before it is sent.
+ * Requests are refused once the budget is spent, or if their input alone would overrun it.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @param {Object} estimate - { credits, tokens } of the request's input.
+ * @returns {Object|null} Null if the request may go ahead, otherwise the budget description;
+ *   `justExceeded` is set on the refusal that stopped the task (the caller emits `budget_warning`).
+ */
+function checkRequest(userId, chatId, estimate) {
+  const budget = getActiveBudget(userId, chatId);
+  if (!budget) {
+    return null;
+  }
+  if (budget.exceeded) {
+    return describe(budget);
+  }
+
+  const overrun = DIMENSIONS.some(dimension =>
+    budget.limits[dimension] && budget.spent[dimension] + (estimate[dimension] || 0) > budget.limits[dimension]
+  );
+  if (!overrun) {
+    return null;
+  }
+  budget.exceeded = true;
+  return { ...describe(budget), justExceeded: true };
+}
+
+/**
+ * Adds the cost of a completed request to the task's spend.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @param {Object} usage - { credits, tokens } spent.
+ * @returns {Object|null} Budget description when the spend just crossed the warning
+ *   threshold or the limit (the caller emits `budget_warning`), otherwise null.
+ */
+function recordUsage(userId, chatId, usage) {
+  const budget = getActiveBudget(userId, chatId);
+  if (!budget) {
+    return null;
+  }
+
+  for (const dimension of DIMENSIONS) {
+    budget.spent[dimension] += usage[dimension] || 0;
+  }
+
+  const wasExceeded = budget.exceeded;
+  const description = describe(budget);
+  if (!wasExceeded && DIMENSIONS.some(dimension => budget.limits[dimension] && budget.spent[dimension] >= budget.limits[dimension])) {
+    budget.exceeded = true;
+    return { ...description, exceeded: true };
+  }
+  if (!budget.warned && !wasExceeded && description.ratio >= config.budgets.warnAt) {
+    budget.warned = true;
+    return description;
+  }
+  return null;
+}
+
+/**
+ * Whether the running task of a chat has spent its budget.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {boolean} True once callAI refuses further requests for the task.
+ */
+function isExceeded(userId, chatId) {
+  const budget = getActiveBudget(userId, chatId);
+  return !!(budget && budget.exceeded);
+}
+
+/**
+ * Gets the spend of the running task of a chat.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Object|null} Budget description, or null if the task has no budget.
+ */
+function getUsage(userId, chatId) {
+  const budget = getActiveBudget(userId, chatId);
+  return budget ? describe(budget) : null;
+}
+
+/**
+ * Formats a limit and what was spent of it, e.g. "512 of 500 credits".
+ * @param {Object} usage - Budget description.
+ * @returns {string} Spend per limited dimension.
+ */
+function formatSpend(usage) {
+  const parts = DIMENSIONS
+    .filter(dimension => usage.limits[dimension])
+    .map(dimension => `${usage.spent[dimension]} of ${usage.limits[dimension]} ${dimension}`);
+  return parts.length > 0 ? parts.join(', ') : `${usage.spent.credits} credits`;
+}
+
+/**
+ * Builds the answer of a task stopped by its budget from the steps that finished.
+ * No model is called, so the summary costs nothing.
+ * @param {string} question - The user's question.
+ * @param {Array} plan - The execution plan.
+ * @param {Array} stepsOutput - Outputs of the finished steps.
+ * @param {Object} usage - Budget description from getUsage.
+ * @returns {string} Partial summary.
+ */
+function buildPartialSummary(question, plan, stepsOutput, usage) {
+  const lines = [
+    `This task was stopped because it reached its budget (${usage ? formatSpend(usage) : 'limit reached'}), so the answer below is incomplete.`,
+    '',
+    `Task: ${question}`
+  ];
+
+  const finished = new Set();
+  if (stepsOutput.length > 0) {
+    lines.push('', 'Completed steps:');
+    stepsOutput.forEach((item, index) => {
+      if (item.stepIndex !== undefined) {
+        finished.add(item.stepIndex);
+      }
+      let output = typeof item.output === 'string' ? item.output : JSON.stringify(item.output);
+      if (output && output.length > MAX_SUMMARY_OUTPUT_CHARS) {
+        output = `${output.substring(0, MAX_SUMMARY_OUTPUT_CHARS)}...`;
+      }
+      lines.push(`${index + 1}. ${item.step} (${item.action})`, output ? `   ${output}` : '   (no output)');
+    });
+  } else {
+    lines.push('', 'No steps were completed.');
+  }
+
+  const remaining = plan.filter((step, index) => !finished.has(index) && step && step.step);
+  if (remaining.length > 0) {
+    lines.push('', 'Not completed:');
+    remaining.forEach(step => lines.push(`- ${step.step}`));
+  }
+
+  lines.push('', 'Raise the budget for this task or ask a follow-up to continue from here.');
+  return lines.join('\n');
+}
+
+module.exports = {
+  normalizeLimits,
+  getCeiling,
+  resolveBudget,
+  startTaskBudget,
+  checkRequest,
+  recordUsage,
+  isExceeded,
+  getUsage,
+  buildPartialSummary
+};
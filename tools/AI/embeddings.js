@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Text embeddings for semantic search.
+ * The default embedder runs in-process and offline: words, word pairs and
+ * character trigrams are feature-hashed into a fixed-size vector, so similar
+ * wording lands close together and results are the same on every machine.
+ * config.search.embeddingProvider can name an AI provider with an embed()
+ * method instead; when it fails, the local embedder is used.
+ */
+
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const providers = require('./providers');
+
+const LOCAL_PROVIDER = 'local';
+
+// After a provider error, embed locally for this long before retrying the provider
+const PROVIDER_RETRY_DELAY = 5 * 60 * 1000;
+
+// Words too common to carry meaning on their own
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'you', 'your', 'are', 'was', 'have', 'has', 'had',
+  'can', 'please', 'what', 'how', 'about', 'from', 'into', 'make', 'want', 'would', 'should',
+  'but', 'not', 'all', 'any', 'its', 'our', 'they', 'them', 'then', 'than', 'there', 'their',
+  'will', 'been', 'were', 'which', 'when', 'where', 'who', 'also', 'just', 'some', 'out'
+]);
+
+let providerFailedAt = 0;
+
+/**
+ * Model ID stored with vectors from the local embedder.
+ * It changes with the dimensions, so a new size re-indexes everything.
+ * @returns {string} Model ID.
+ */
+function getLocalModelId() {
+  return `local-hash-v1-${config.search.dimensions}`;
+}
+
+/**
+ * Model ID that embed() will use right now.
+ * @returns {string} "provider:model", or the local model ID.
+ */
+function getModelId() {
+  const { embeddingProvider, embeddingModel } = config.search;
+  if (embeddingProvider === LOCAL_PROVIDER || Date.now() - providerFailedAt < PROVIDER_RETRY_DELAY) {
+    return getLocalModelId();
+  }
+  return `${embeddingProvider}:${embeddingModel}`;
+}
+
+/**
+ * Splits text into lowercase words.
+ * @param {string} text - Text to split.
+ * @returns {Array<string>} Words, in order.
+ */
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * 32-bit FNV-1a hash.
+ * @param {string} value - String to hash.
+ * @returns {number} Unsigned hash.
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Scales a vector to unit length, so cosine similarity is a dot product.
+ * @param {ArrayLike<number>} vector - Vector to normalize.
+ * @returns {Float32Array} Unit vector (all zeros stays all zeros).
+ */
+function normalize(vector) {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= norm;
+    }
+  }
+  return result;
+}
+
+/**
+ * Embeds text with the local hashing embedder.
+ * Repeated features are damped logarithmically so long texts are not dominated by one word.
+ * @param {string} text - Text to embed.
+ * @param {number} dimensions - Vector size (default: config.search.dimensions).
+ * @returns {Float32Array} Unit vector.
+ */
+function hashEmbedding(text, dimensions = config.search.dimensions) {
+  const counts = new Map();
+  const addFeature = (feature, weight) => {
+    counts.set(feature, (counts.get(feature) || 0) + weight);
+  };
+
+  const words = tokenize(text).filter(word => !STOP_WORDS.has(word));
+  words.forEach((word, index) => {
+    addFeature(`w:${word}`, 1);
+    if (index > 0) {
+      addFeature(`b:${words[index - 1]} ${word}`, 0.5);
+    }
+    // Trigrams let "deploy" match "deployment" and survive typos
+    const padded = `^${word}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(`c:${padded.substring(i, i + 3)}`, 0.2);
+    }
+  });
+
+  const vector = new Float32Array(dimensions);
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    // The top bit picks a sign so colliding features tend to cancel out instead of piling up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * Math.log1p(count);
+  }
+  return normalize(vector);
+}
+
+/**
+ * Embeds texts with the configured embedder.
+ * @param {Array<string>} texts - Texts to embed.
+ * @returns {Promise<{model: string, vectors: Array<Float32Array>}>} Model ID and one unit vector per text.
+ */
+async function embed(texts) {
+  const modelId = getModelId();
+  if (modelId !== getLocalModelId()) {
+    const { embeddingProvider, embeddingModel } = config.search;
+    try {
+      const provider = providers.getProvider(embeddingProvider);
+      if (typeof provider.embed !== 'function') {
+        throw new Error(`Provider '${embeddingProvider}' does not support embeddings`);
+      }
+      const vectors = await provider.embed(texts, embeddingModel);
+      return { model: modelId, vectors: vectors.map(normalize) };
+    } catch (error) {
+      providerFailedAt = Date.now();
+      logger.warn('Embedding provider failed, using the local embedder', { provider: embeddingProvider, error: error.message });
+    }
+  }
+
+  return { model: getLocalModelId(), vectors: texts.map(text => hashEmbedding(text)) };
+}
+
+/**
+ * Embeds a search query once for every model used by the stored vectors.
+ * @param {string} text - Query text.
+ * @param {Array<string>} models - Model IDs of the vectors to compare against.
+ * @returns {Promise<Map<string, Float32Array>>} Model ID -> query vector; models that cannot be served are missing.
+ */
+async function embedQuery(text, models) {
+  const localModelId = getLocalModelId();
+  const vectors = new Map();
+
+  if (models.some(model => model !== localModelId)) {
+    const { model, vectors: [vector] } = await embed([text]);
+    vectors.set(model, vector);
+  }
+  if (models.includes(localModelId) && !vectors.has(localModelId)) {
+    vectors.set(localModelId, hashEmbedding(text));
+  }
+  return vectors;
+}
+
+/**
+ * Cosine similarity of two unit vectors.
+ * @param {ArrayLike<number>} a - First vector.
+ * @param {ArrayLike<number>} b - Second vector.
+ * @returns {number} Similarity from -1 to 1; 0 when the sizes differ.
+ */
+function similarity(a, b) {
+  if (a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+}
+
+module.exports = {
+  getLocalModelId,
+  getModelId,
+  tokenize,
+  hashEmbedding,
+  embed,
+  embedQuery,
+  similarity
+};
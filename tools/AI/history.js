@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Conversation-history compaction.
+ * Recent messages of a chat are sent to models verbatim. Once a chat grows past
+ * config.tasks.maxHistoryLength messages or config.tasks.maxHistoryTokens tokens,
+ * the older messages are rolled into a stored summary that replaces them in the
+ * working history; the full conversation stays in chat_history.
+ */
+
+const ai = require('./ai');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const tokenCalculation = require('./tokenCalculation');
+const contextManager = require('../../utils/context');
+const { chatFunctions } = require('../../database');
+
+// Chats being summarized right now, as "userId_chatId"
+const compacting = new Set();
+
+/**
+ * Joins the text parts of a history message.
+ * @param {Object} message - History message.
+ * @returns {string} Message text.
+ */
+function getMessageText(message) {
+  if (typeof message.content === 'string') {
+    return message.content;
+  }
+  return (Array.isArray(message.content) ? message.content : [])
+    .map(part => part && part.type === 'text' ? part.text || '' : '')
+    .join('\n');
+}
+
+/**
+ * Copies a message for sending to a model, clipping text longer than
+ * config.tasks.maxHistoryMessageTokens (usually a large step output).
+ * @param {Object} message - History message.
+ * @returns {Object} Message with only role and content.
+ */
+function clipMessage(message) {
+  const limit = config.tasks.maxHistoryMessageTokens;
+  const text = getMessageText(message);
+  if (tokenCalculation.calculateTokens(text) <= limit) {
+    return { role: message.role, content: message.content };
+  }
+
+  // Roughly four characters per token
+  const kept = text.substring(0, limit * 4);
+  return {
+    role: message.role,
+    content: [
+      { type: 'text', text: `${kept}\n\n[${text.length - kept.length} more characters omitted from the history]` }
+    ]
+  };
+}
+
+/**
+ * Checks whether a history has outgrown the configured limits.
+ * @param {Array<Object>} history - Working history.
+ * @returns {boolean} Whether older messages should be summarized.
+ */
+function needsCompaction(history) {
+  const messages = history.filter(message => !message.summary);
+  return messages.length > config.tasks.maxHistoryLength ||
+    tokenCalculation.calculateMessageTokens(messages.map(clipMessage)) > config.tasks.maxHistoryTokens;
+}
+
+/**
+ * Summarizes messages, extending a previous summary.
+ * @param {string|null} previousSummary - Summary of even older messages.
+ * @param {Array<Object>} messages - Messages to add to the summary.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Promise<string|null>} New summary, or null if the call failed.
+ */
+async function summarize(previousSummary, messages, userId, chatId) {
+  const transcript = messages
+    .map(message => `${message.role.toUpperCase()}: ${getMessageText(clipMessage(message))}`)
+    .join('\n\n');
+
+  const prompt = `
+  You condense the conversation history of an AI agent so it can continue the conversation later.
+  Write a factual summary of at most 400 words covering: what the user asked for and why, decisions made,
+  facts and preferences the user stated, results produced (including names of files created), and open questions.
+  Leave out greetings, step-by-step progress messages and raw tool output.
+  ${previousSummary ? 'Merge the new messages into the existing summary; keep what still matters from it.' : ''}
+  Reply with the summary only.
+  `;
+
+  const result = await ai.callAI(
+    prompt,
+    `${previousSummary ? `Existing summary:\n${previousSummary}\n\n` : ''}Messages to summarize:\n${transcript}`,
+    [], undefined, false, "summarization", userId, chatId
+  );
+
+  if (typeof result !== 'string' || !result.trim() || result.startsWith('Error calling AI')) {
+    logger.warn('History summarization failed', { userId, chatId, error: typeof result === 'string' ? result : result && result.message });
+    return null;
+  }
+  return result.trim();
+}
+
+/**
+ * Rolls the older messages of a chat into its summary when the history is too long.
+ * The newest config.tasks.historyKeepRecent messages stay verbatim, starting at a user message.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Promise<boolean>} Whether the history was compacted.
+ */
+async function compactHistory(userId = 'default', chatId = 1) {
+  const key = `${userId}_${chatId}`;
+  const history = contextManager.getHistoryWithChatId(userId, chatId);
+  if (compacting.has(key) || !needsCompaction(history)) {
+    return false;
+  }
+
+  const previous = history.find(message => message.summary);
+  const messages = history.filter(message => !message.summary);
+
+  let keepFrom = Math.max(0, messages.length - config.tasks.historyKeepRecent);
+  while (keepFrom > 0 && messages[keepFrom].role !== 'user') {
+    keepFrom--;
+  }
+  const older = messages.slice(0, keepFrom);
+  if (older.length === 0) {
+    return false;
+  }
+
+  compacting.add(key);
+  try {
+    const summary = await summarize(previous ? previous.summaryText : null, older, userId, chatId);
+    if (!summary) {
+      return false;
+    }
+
+    contextManager.applyHistorySummary(summary, older, userId, chatId);
+
+    const lastMessageId = Math.max(0, ...older.map(message => message.id || 0));
+    if (userId !== 'default' && lastMessageId > 0) {
+      await chatFunctions.saveChatSummary(userId, chatId, summary, lastMessageId);
+    }
+
+    logger.info('Compacted chat history', { userId, chatId, summarized: older.length, kept: messages.length - older.length });
+    return true;
+  } catch (error) {
+    logger.error('Error compacting chat history', { error: error.message, userId, chatId });
+    return false;
+  } finally {
+    compacting.delete(key);
+  }
+}
+
+/**
+ * History to send with an AI call: compacted if needed, with oversized messages clipped.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Promise<Array<Object>>} Messages with role and content.
+ */
+async function getHistory(userId = 'default', chatId = 1) {
+  await compactHistory(userId, chatId);
+  return contextManager.getHistoryWithChatId(userId, chatId).map(clipMessage);
+}
+
+module.exports = {
+  clipMessage,
+  compactHistory,
+  getHistory
+};
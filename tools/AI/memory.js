@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Long-term user memory.
+ * After each task the agent extracts durable facts and preferences into the
+ * memories table; relevant memories are retrieved into the planning prompt.
+ * Memories expire according to their storageDuration (see config.memory).
+ */
+
+const ai = require('./ai');
+const search = require('./search');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const schemaValidator = require('../../utils/schemaValidator');
+const { memoryFunctions, settingsFunctions } = require('../../database');
+
+const MEMORY_TYPES = ['preference', 'fact', 'project'];
+const PERMANENT = 'permanent';
+
+/**
+ * Valid storageDuration values.
+ * @returns {Array<string>} Configured durations plus "permanent".
+ */
+function getStorageDurations() {
+  return [...Object.keys(config.memory.durations), PERMANENT];
+}
+
+/**
+ * JSON Schema of a memory as written by the agent or edited by the user.
+ * @returns {Object} Memory schema.
+ */
+function getMemorySchema() {
+  return {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: MEMORY_TYPES, description: 'preference: how the user likes things done; fact: about the user; project: ongoing work' },
+      content: { type: 'string', minLength: 1, maxLength: 500, description: 'One self-contained sentence' },
+      keywords: { type: 'array', items: { type: 'string' }, maxItems: 10, description: 'Words that should bring this memory up' },
+      importance: { type: 'integer', minimum: 1, maximum: 10 },
+      storageDuration: { type: 'string', enum: getStorageDurations(), description: 'How long the memory stays relevant' }
+    },
+    required: ['type', 'content', 'importance', 'storageDuration'],
+    additionalProperties: false
+  };
+}
+
+/**
+ * Validates a memory, e.g. one submitted from the settings page.
+ * @param {Object} memory - Memory fields.
+ * @param {boolean} partial - Whether only some fields are given (edits).
+ * @returns {Array<string>} Validation errors; empty when valid.
+ */
+function validateMemory(memory, partial = false) {
+  const schema = getMemorySchema();
+  return schemaValidator.validate(memory, partial ? { ...schema, required: [] } : schema, 'memory');
+}
+
+/**
+ * When a memory expires, or null for permanent memories.
+ * @param {Object} memory - Memory row.
+ * @returns {string|null} ISO timestamp.
+ */
+function getExpiry(memory) {
+  const days = config.memory.durations[memory.storageDuration];
+  if (!days || !memory.storedAt) {
+    return null;
+  }
+  // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+  const storedAt = new Date(`${String(memory.storedAt).replace(' ', 'T')}Z`);
+  return new Date(storedAt.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Checks whether the agent may use memory for a user.
+ * Users opt out with the `memoryEnabled` setting.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<boolean>} Whether memory is enabled.
+ */
+async function isMemoryEnabled(userId) {
+  if (!config.memory.enabled || !userId || userId === 'default') {
+    return false;
+  }
+  try {
+    return (await settingsFunctions.getSetting(userId, 'memoryEnabled')) !== 'false';
+  } catch (error) {
+    logger.error('Error reading memory setting', { error: error.message, userId });
+    return false;
+  }
+}
+
+/**
+ * Scores a user's memories by semantic similarity to a text.
+ * @param {string} userId - The user ID.
+ * @param {string} text - Query or question.
+ * @returns {Promise<Map<string, number>>} Memory ID -> similarity, for memories above zero.
+ */
+async function getSimilarities(userId, text) {
+  const results = await search.search(userId, text, { types: ['memory'], limit: 500, minScore: 0.01 });
+  return new Map(results.map(result => [String(result.sourceId), result.score]));
+}
+
+/**
+ * Lists a user's unexpired memories with their expiry time.
+ * With a query, memories are matched by meaning or by the literal text and ranked best first.
+ * @param {string} userId - The user ID.
+ * @param {string} query - Optional text to search for.
+ * @returns {Promise<Array<Object>>} Memories, newest (or best matching) first.
+ */
+async function listMemories(userId, query) {
+  const now = new Date().toISOString();
+  const memories = (await memoryFunctions.getMemories(userId, 500))
+    .map(memory => ({ ...memory, expiresAt: getExpiry(memory) }))
+    .filter(memory => !memory.expiresAt || memory.expiresAt > now);
+
+  if (!query) {
+    return memories;
+  }
+
+  const similarities = await getSimilarities(userId, query);
+  const needle = query.toLowerCase();
+  return memories
+    .map(memory => ({ memory, score: similarities.get(String(memory.id)) || 0 }))
+    .filter(({ memory, score }) => score >= config.search.minScore || memory.content.toLowerCase().includes(needle))
+    .sort((a, b) => b.score - a.score)
+    .map(({ memory }) => memory);
+}
+
+/**
+ * Picks the memories most relevant to a question.
+ * Preferences apply to most tasks and are always candidates; other memories need to be semantically close.
+ * @param {string} userId - The user ID.
+ * @param {string} question - The user's question.
+ * @returns {Promise<Array<Object>>} Up to config.memory.maxRetrieved memories.
+ */
+async function getRelevantMemories(userId, question) {
+  if (!(await isMemoryEnabled(userId))) {
+    return [];
+  }
+
+  try {
+    const memories = await listMemories(userId);
+    const similarities = memories.length > 0 ? await getSimilarities(userId, question) : new Map();
+    const scored = memories.map(memory => {
+      const similarity = similarities.get(String(memory.id)) || 0;
+      const score = similarity * 10 + (memory.type === 'preference' ? 1 : 0) + (memory.importance || 5) / 10;
+      return { memory, similarity, score };
+    });
+
+    return scored
+      .filter(({ memory, similarity }) => similarity >= config.search.minScore || memory.type === 'preference')
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.memory.maxRetrieved)
+      .map(({ memory }) => memory);
+  } catch (error) {
+    logger.error('Error retrieving memories', { error: error.message, userId });
+    return [];
+  }
+}
+
+/**
+ * Extracts durable facts and preferences from a finished task and stores them.
+ * @param {string} question - The user's question.
+ * @param {string} answer - The final answer.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Promise<number>} Number of memories stored.
+ */
+async function rememberFromTask(question, answer, userId, chatId) {
+  if (!(await isMemoryEnabled(userId))) {
+    return 0;
+  }
+
+  const existing = await listMemories(userId);
+  const known = new Set(existing.map(memory => memory.content.trim().toLowerCase()));
+
+  const prompt = `
+  You maintain the long-term memory of an AI agent about its user.
+  From the finished task below, extract only durable information worth remembering in future conversations:
+  stable preferences (style, format, tools, language), facts about the user, and ongoing projects.
+  Do not store the task itself, one-off details, secrets, passwords or anything already known.
+  Call save_memories with an empty list if there is nothing new.
+
+  Already known:
+  ${existing.slice(0, 50).map(memory => `- ${memory.content}`).join('\n  ') || '(nothing yet)'}
+  `;
+
+  const result = await ai.callAI(prompt, `User request:\n${question}\n\nFinal answer:\n${String(answer || '').substring(0, 4000)}`, [], undefined, true, "reflection", userId, chatId, {
+    functions: [{
+      name: 'save_memories',
+      description: 'Store new long-term memories about the user',
+      parameters: {
+        type: 'object',
+        properties: {
+          memories: { type: 'array', maxItems: 5, items: getMemorySchema() }
+        },
+        required: ['memories']
+      }
+    }]
+  });
+
+  if (!result || result.error) {
+    logger.warn('Memory extraction failed', { userId, chatId, error: result && result.message });
+    return 0;
+  }
+
+  let stored = 0;
+  for (const memory of result.memories) {
+    const content = memory.content.trim();
+    if (known.has(content.toLowerCase())) {
+      continue;
+    }
+    await memoryFunctions.storeMemory(userId, {
+      ...memory,
+      content,
+      keywords: memory.keywords || [],
+      metadata: { chatId, source: 'task' }
+    });
+    known.add(content.toLowerCase());
+    stored++;
+  }
+
+  if (stored > 0) {
+    logger.info('Stored memories', { userId, chatId, count: stored });
+  }
+  return stored;
+}
+
+/**
+ * Deletes memories past their storageDuration.
+ * @returns {Promise<number>} Number of deleted memories.
+ */
+async function expireMemories() {
+  try {
+    const deleted = await memoryFunctions.deleteExpiredMemories(config.memory.durations);
+    if (deleted > 0) {
+      logger.info('Expired memories', { count: deleted });
+    }
+    return deleted;
+  } catch (error) {
+    logger.error('Error expiring memories', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * Expires memories periodically for the lifetime of the process.
+ * @returns {NodeJS.Timeout} The interval handle.
+ */
+function scheduleExpiry() {
+  const interval = setInterval(expireMemories, config.memory.expiryInterval);
+  interval.unref();
+  return interval;
+}
+
+module.exports = {
+  MEMORY_TYPES,
+  getStorageDurations,
+  validateMemory,
+  getExpiry,
+  isMemoryEnabled,
+  listMemories,
+  getRelevantMemories,
+  rememberFromTask,
+  expireMemories,
+  scheduleExpiry
+};
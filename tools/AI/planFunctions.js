@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Function-calling schemas for planning and plan revision.
+ * The planner calls one of these functions instead of writing free-form JSON;
+ * the step `action` is restricted to the tools registered from tool.json, and
+ * tools can declare extra step parameters under `parameters` in their tool.json.
+ */
+
+const schemaValidator = require('../../utils/schemaValidator');
+
+// Tool title -> { properties, required } for the extra step parameters declared in tool.json
+const toolParameters = new Map();
+
+/**
+ * Registers a tool as a valid plan step action.
+ * tool.json marks required parameters with `"required": true` on the parameter itself.
+ * @param {string} toolName - Tool title.
+ * @param {Object} toolConfig - Parsed tool.json.
+ */
+function registerTool(toolName, toolConfig) {
+  const declared = toolConfig && toolConfig.parameters && typeof toolConfig.parameters === 'object' ? toolConfig.parameters : {};
+  const properties = {};
+  const required = [];
+
+  for (const [name, { required: isRequired, ...schema }] of Object.entries(declared)) {
+    properties[name] = schema;
+    if (isRequired === true) {
+      required.push(name);
+    }
+  }
+
+  toolParameters.set(toolName, { properties, required });
+}
+
+/**
+ * Builds the JSON Schema of one plan step.
+ * @returns {Object} Step schema.
+ */
+function getStepSchema() {
+  const properties = {
+    step: { type: 'string', minLength: 1, description: 'Brief explanation of what the step does' },
+    action: { type: 'string', enum: [...toolParameters.keys()], description: 'Exact name of the tool to use' },
+    expectedOutput: { type: 'string', description: 'What will be produced' },
+    usingData: { type: 'string', description: 'Comma-separated tools or data sources whose output the step uses, "none", or "all" (default)' },
+    validations: { type: 'string', description: 'How the output will be validated for correctness' },
+    model: { type: 'string', description: "Optional model for chatCompletion steps: 'o4-mini' (fast/cheap), 'gpt-4.1' (balanced) or 'gpt-4o' (advanced/expensive)" }
+  };
+
+  for (const [toolName, parameters] of toolParameters) {
+    for (const [name, schema] of Object.entries(parameters.properties)) {
+      if (!properties[name]) {
+        properties[name] = { ...schema, description: `Only for ${toolName}: ${schema.description || name}` };
+      }
+    }
+  }
+
+  return {
+    type: 'object',
+    properties,
+    required: ['step', 'action', 'expectedOutput']
+  };
+}
+
+/**
+ * Checks each step against the extra parameters its own tool declares.
+ * @param {Array<Object>} steps - Plan steps.
+ * @returns {Array<string>} Validation errors.
+ */
+function validateToolParameters(steps) {
+  const errors = [];
+  steps.forEach((step, index) => {
+    const parameters = toolParameters.get(step.action);
+    if (parameters && Object.keys(parameters.properties).length > 0) {
+      errors.push(...schemaValidator.validate(step, { type: 'object', ...parameters }, `steps[${index}]`));
+    }
+  });
+  return errors;
+}
+
+/**
+ * Builds the function definition for submitting a list of steps.
+ * @param {string} name - Function name.
+ * @param {string} description - Function description.
+ * @returns {Object} Function definition.
+ */
+function stepsFunction(name, description) {
+  return {
+    name,
+    description,
+    parameters: {
+      type: 'object',
+      properties: {
+        steps: { type: 'array', minItems: 1, items: getStepSchema(), description: 'Steps in execution order' }
+      },
+      required: ['steps']
+    },
+    validate: (args) => validateToolParameters(args.steps)
+  };
+}
+
+/**
+ * Functions offered to the planner.
+ * @param {Object} options - Planning options.
+ * @param {boolean} options.allowClarification - Whether the planner may ask clarifying questions (default: true).
+ * @returns {Array<Object>} Function definitions for callAI.
+ */
+function getPlanningFunctions(options = {}) {
+  const functions = [
+    stepsFunction('create_plan', 'Plan a task that needs tools or multiple steps.'),
+    {
+      name: 'answer_directly',
+      description: 'Answer simple questions or chit-chat immediately, without a plan.',
+      parameters: {
+        type: 'object',
+        properties: {
+          answer: { type: 'string', minLength: 1, description: 'Your complete answer to the question' }
+        },
+        required: ['answer']
+      }
+    }
+  ];
+
+  if (options.allowClarification !== false) {
+    functions.push({
+      name: 'ask_clarifying_questions',
+      description: 'Ask for details that are essential and cannot reasonably be assumed.',
+      parameters: {
+        type: 'object',
+        properties: {
+          questions: { type: 'array', minItems: 1, maxItems: 3, items: { type: 'string', minLength: 1 }, description: 'Short, specific questions' }
+        },
+        required: ['questions']
+      }
+    });
+  }
+
+  return functions;
+}
+
+/**
+ * Functions offered when reflecting on task progress.
+ * @returns {Array<Object>} Function definitions for callAI.
+ */
+function getRevisionFunctions() {
+  return [
+    stepsFunction('revise_plan', 'Replace the replaceable steps of the plan with new ones.'),
+    {
+      name: 'keep_plan',
+      description: 'Keep the current plan unchanged.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Why no changes are needed' }
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Converts a planning function call into the plan object used by the orchestrator:
+ * `{step1, step2, ...}`, `{directAnswer, answer}` or `{needsClarification, questions}`.
+ * Error results from callAI are returned unchanged.
+ * @param {Object} result - callAI result.
+ * @returns {Object} Plan object.
+ */
+function toPlanObject(result) {
+  if (!result || result.error) {
+    return result;
+  }
+
+  if (result.action === 'answer_directly') {
+    return { directAnswer: true, answer: result.answer };
+  }
+  if (result.action === 'ask_clarifying_questions') {
+    return { needsClarification: true, questions: result.questions };
+  }
+
+  const planObject = {};
+  (result.steps || []).forEach((step, index) => {
+    planObject[`step${index + 1}`] = step;
+  });
+  return planObject;
+}
+
+module.exports = {
+  registerTool,
+  getPlanningFunctions,
+  getRevisionFunctions,
+  toPlanObject
+};
@@ -52,17 +52,18 @@ ${toolsList}
 - **Persistence**: Keep going until the user's query is completely resolved, before ending your turn. Only terminate when you are sure that the problem is solved.
 - **Tool Utilization**: If you are not sure about information pertaining to the user's request, use your tools to gather the relevant information. Do NOT guess or make up an answer.
 - **Planning**: Plan extensively before each action, and reflect extensively on the outcomes of previous actions. This will improve your ability to solve problems effectively.
-- **Do not ask the user for confirmation** at any point.
+- **Do not ask the user for confirmation** of your plan or actions.
+- **Only ask clarifying questions before planning**, and only when the request is ambiguous enough that a wrong assumption would waste significant work. Use ask_clarifying_questions for this; never ask questions inside steps.
 - **Do not pause execution** unless a required tool is unavailable.
 - Always **complete tasks end-to-end**, writing full outputs to files using fileSystem.
 - Save important intermediate thoughts, todos, or plans using fileSystem for reference or final review.
-- Structure your execution as **a series of clear, defined steps** in JSON format (see below).
-- Prioritize **fully autonomous execution**: no prompts, delays, or dependencies on user validation.
+- Structure your execution as **a series of clear, defined steps** submitted with create_plan (see below).
+- Prioritize **fully autonomous execution**: once a plan is made, no prompts, delays, or dependencies on user validation.
 - **CRUCIAL: Focus on correctness, accuracy, and completeness over verbose explanations.**
 - **When generating code, always implement error handling and validation checks.**
 - **Consider edge cases and provide fallback behaviors for all functions.**
 - **Always test your outputs with specific examples before submitting final solutions.**
-- **For simple questions that don't require complex processing, use directAnswer to respond immediately.**
+- **For simple questions that don't require complex processing, use answer_directly to respond immediately.**
 - **IMPORTANT: When providing file paths, ONLY include the actual path without any additional commentary, status messages, or instructions. Example: "/output/report.pdf" instead of "/output/report.pdf successfully created!"**
 
 ---
@@ -88,35 +89,24 @@ ${toolsList}
 - **Focus on quality and correctness of content rather than extensive explanations.**
 
 #### Simple Q&A
-- For straightforward questions, conversational queries, or chit-chat, use directAnswer.
+- For straightforward questions, conversational queries, or chit-chat, use answer_directly.
 - This provides an immediate response without complex planning or execution steps.
 
 ---
 
-### 📦 Output Format (JSON):
+### 📦 Output Format (function calls):
 
-For complex tasks, return a JSON object structured like this:
-{
-  "step1": {
-    "step": "Brief explanation of what the step does",
-    "action": "Tool to use (e.g., fileSystem, etc.)",
-    "expectedOutput": "What will be produced",
-    "usingData": "List of tools or data sources used (default: all)",
-    "validations": "How you will validate the output for correctness",
-    "intensity": "Optional: For deepResearch, specify a number 1-10 to control search depth",
-    "model": "Optional: Choose AI model - 'o4-mini' (fast/cheap), 'gpt-4.1' (balanced/default), or 'gpt-4o' (advanced/expensive)."
-  },
-  "step2": {
-    ...
-  },
-  ...
-}
-
-For simple questions or chit-chat, return:
-{
-  "directAnswer": true,
-  "answer": "Your complete answer to the question"
-}
+Respond by calling exactly one function:
+- **create_plan** for complex tasks. Each step has:
+  - step: Brief explanation of what the step does
+  - action: Tool to use (exactly one of the tools listed above)
+  - expectedOutput: What will be produced
+  - usingData: List of tools or data sources used (default: all)
+  - validations: How you will validate the output for correctness
+  - model: Optional, only for chatCompletion steps. Omit to use the default.
+  - Tool-specific options such as intensity (1-10) for deepResearch
+- **answer_directly** for simple questions or chit-chat, with your complete answer.
+- **ask_clarifying_questions** if essential details are missing and cannot be reasonably assumed.
 
 ---
 
@@ -125,24 +115,16 @@ For simple questions or chit-chat, return:
 **User Input (Complex Task):**
 > Research about the history of the internet and create a research paper.
 
-**Expected JSON Output:**
-{
-  "step1": {
+**Expected call:** create_plan with steps:
+[
+  {
     "step": "Create a todo.md file planning the research approach",
     "action": "fileSystem",
     "expectedOutput": "todo.md",
     "usingData": "none",
     "validations": "Ensure plan covers all major aspects of internet history"
   },
-  "step2": {
-    "step": "Explain 'What is the internet?' as a base",
-    "action": "directAnswer",
-    "expectedOutput": "Brief history and function of the internet",
-    "usingData": "none",
-    "validations": "Check for accuracy and coverage of key concepts",
-    "model": "o4-mini"
-  },
-  "step3": {
+  {
     "step": "Use deepResearch to collect sources on the history of the internet",
     "action": "deepResearch",
     "expectedOutput": "Detailed research content",
@@ -150,30 +132,26 @@ For simple questions or chit-chat, return:
     "validations": "Verify timeframe coverage and identify primary sources",
     "intensity": 5
   },
-  "step4": {
+  {
     "step": "Write a structured research paper using writer based on the gathered material",
     "action": "writer",
     "expectedOutput": "research_paper.txt",
     "usingData": "deepResearch",
     "validations": "Review for factual accuracy, source citation, and completeness"
   },
-  "step5": {
+  {
     "step": "Save the research paper to the output folder",
     "action": "fileSystem",
     "expectedOutput": "output/research_paper.txt",
     "usingData": "writer",
     "validations": "Verify file is written correctly with full content"
   }
-}
+]
 
 **User Input (Simple Question):**
 > What's the weather like today?
 
-**Expected JSON Output:**
-{
-  "directAnswer": true,
-  "answer": "I don't have access to current weather information without using a search tool. Would you like me to search for weather information for your location? If so, please provide your city or region."
-}
+**Expected call:** answer_directly with answer "I don't have access to current weather information without using a search tool. Would you like me to search for weather information for your location? If so, please provide your city or region."
 
 `;
 }
@@ -183,15 +161,24 @@ For simple questions or chit-chat, return:
  * @param {string} question - The user's question.
  * @param {Array} history - The conversation history.
  * @param {string} [userId='default'] - User ID to get MCP tools for
+ * @param {Object} [options={}] - Planning options
+ * @param {boolean} [options.allowClarification=true] - Whether the planner may ask clarifying questions
+ * @param {Array} [options.memories=[]] - Long-term memories relevant to the question
  * @returns {Promise<string>} The planning prompt.
  */
-async function generatePlanningPrompt(question, history, userId = 'default') {
+async function generatePlanningPrompt(question, history, userId = 'default', options = {}) {
   const globalPrompt = await generateGlobalPrompt(userId);
+  const allowClarification = options.allowClarification !== false;
+  const memories = options.memories || [];
+  const memorySection = memories.length > 0 ? `
+    WHAT YOU REMEMBER ABOUT THE USER (from earlier conversations; follow preferences unless the request says otherwise):
+    ${memories.map(memory => `- [${memory.type}] ${memory.content}`).join('\n    ')}
+    ` : '';
   
   return `
     You are an AI agent that can execute complex tasks. You will be given a question and you will need to plan a task to answer the question.
     ${globalPrompt}
-    
+    ${memorySection}
     ADDITIONAL GUIDANCE:
     - Always analyze the user's intent and context before planning.
     - Break down the problem into manageable, logical steps, and ensure each step is necessary and clearly justified.
@@ -203,16 +190,19 @@ async function generatePlanningPrompt(question, history, userId = 'default') {
     MODEL SELECTION:
     - For simple reasoning/analysis tasks, use "o4-mini" (fast and cost-effective)
     - For complex problem-solving or creative tasks, use "gpt-4o" (most capable but expensive)
-    - Default to "gpt-4.1" for balanced performance (this is the default if no model specified)
-    - Only specify model for directAnswer steps, other tools use their default configurations
+    - Leave "model" out to use the default model configured for the task type
+    - Only specify model for chatCompletion steps, other tools use their default configurations
     
     IMPORTANT INSTRUCTIONS:
     1. Follow these instructions EXACTLY and LITERALLY.
-    2. For simple informational questions, use the directAnswer format immediately.
+    2. For simple informational questions, call answer_directly immediately.
     3. For complex tasks requiring multiple steps, break down the solution into clear, sequential steps.
     4. Each step must have a specific purpose and use a specific tool.
     5. Do not make assumptions about tool capabilities - use exactly the tools listed above.
     6. Do not reference external APIs, databases, or resources unless they are included in the tools list.
+    7. ${allowClarification ?
+      'If the request is missing details you cannot reasonably assume (e.g. target audience, format, scope), call ask_clarifying_questions with at most 3 short questions. Prefer planning with sensible assumptions whenever possible.' :
+      'The user has already been asked clarifying questions. Plan with the information given and sensible assumptions.'}
     
     
     NEVER create compound action names like "toolName.action" - always use the exact tool name (in this case "toolName")!
@@ -224,10 +214,11 @@ async function generatePlanningPrompt(question, history, userId = 'default') {
  * @param {string} question - The user's question.
  * @param {Array} plan - The current plan being executed.
  * @param {Array} stepsOutput - The output from steps completed so far.
- * @param {number} currentStepIndex - The current step index.
+ * @param {number} completedCount - How many steps have completed.
+ * @param {number} keptSteps - Number of leading plan steps that are kept because steps among them have started.
  * @returns {string} The progress analysis prompt.
  */
-function generateProgressAnalysisPrompt(question, plan, stepsOutput, currentStepIndex) {
+function generateProgressAnalysisPrompt(question, plan, stepsOutput, completedCount, keptSteps) {
   const formattedStepsOutput = stepsOutput.map(output => {
     return {
       step: output.step,
@@ -248,14 +239,15 @@ function generateProgressAnalysisPrompt(question, plan, stepsOutput, currentStep
   - Consider if new information or context requires adaptation of the plan. Document any changes and the reasoning behind them.
   - Maintain clarity and structure in your analysis. Avoid unnecessary verbosity or repetition.
   
-  The agent has completed ${currentStepIndex} steps out of ${plan.length} total steps.
+  The agent has completed ${completedCount} steps out of ${plan.length} total steps.
+  Steps run in parallel. The first ${keptSteps} steps of the plan include steps that have started, so they are kept as they are.
   
-  Based on the completed steps and their outputs, determine if the current plan needs to be modified.
-  If changes are needed, return a completely new plan. Otherwise, return the string "NO_CHANGES_NEEDED".
+  Based on the completed steps and their outputs, determine if the steps that can be replaced need to be modified.
+  If changes are needed, call revise_plan with the steps that should replace them. Otherwise, call keep_plan.
   
   Completed steps and outputs: ${JSON.stringify(formattedStepsOutput, null, 2)}
   
-  Remaining steps in the plan: ${JSON.stringify(plan.slice(currentStepIndex), null, 2)}
+  Steps that can be replaced: ${JSON.stringify(plan.slice(keptSteps), null, 2)}
   `;
 }
 
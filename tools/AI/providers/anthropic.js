@@ -0,0 +1,220 @@
+const axios = require('axios');
+
+/**
+ * Provider for the native Anthropic Messages API.
+ * Converts OpenAI-style messages (system role, image_url parts) to the
+ * Messages format and back.
+ */
+class AnthropicProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+    }
+
+    /**
+     * Accept OpenRouter-style names like "anthropic/claude-3-haiku"
+     */
+    resolveModel(model) {
+        return String(model || '').replace(/^anthropic\//, '');
+    }
+
+    /**
+     * Convert one OpenAI-style content part to an Anthropic content block
+     */
+    _convertPart(part) {
+        if (typeof part === 'string') {
+            return { type: 'text', text: part };
+        }
+        if (part.type === 'image_url') {
+            const url = part.image_url && part.image_url.url ? part.image_url.url : '';
+            const dataUrl = url.match(/^data:([^;]+);base64,(.*)$/s);
+            if (dataUrl) {
+                return { type: 'image', source: { type: 'base64', media_type: dataUrl[1], data: dataUrl[2] } };
+            }
+            return { type: 'image', source: { type: 'url', url } };
+        }
+        return { type: 'text', text: part.text || '' };
+    }
+
+    /**
+     * Split out the system prompt and build alternating user/assistant turns
+     */
+    _convertMessages(messages) {
+        const systemParts = [];
+        const turns = [];
+
+        for (const message of messages) {
+            const parts = Array.isArray(message.content) ? message.content : [message.content];
+
+            if (message.role === 'system') {
+                systemParts.push(parts.map(part => typeof part === 'string' ? part : part.text || '').join('\n'));
+                continue;
+            }
+
+            const role = message.role === 'assistant' ? 'assistant' : 'user';
+            const blocks = parts
+                .filter(part => part !== undefined && part !== null)
+                .map(part => this._convertPart(part))
+                .filter(block => block.type !== 'text' || block.text);
+
+            if (blocks.length === 0) {
+                continue;
+            }
+
+            // The Messages API requires alternating roles
+            const previous = turns[turns.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                turns.push({ role, content: blocks });
+            }
+        }
+
+        while (turns.length > 0 && turns[0].role !== 'user') {
+            turns.shift();
+        }
+        if (turns.length > 0 && turns[turns.length - 1].role === 'assistant') {
+            turns.push({ role: 'user', content: [{ type: 'text', text: 'Please respond to the request above.' }] });
+        }
+
+        return { system: systemParts.join('\n\n'), turns };
+    }
+
+    _headers() {
+        return {
+            'x-api-key': this.options.apiKey,
+            'anthropic-version': this.options.apiVersion,
+            'content-type': 'application/json'
+        };
+    }
+
+    /**
+     * Run a chat request and normalize the response
+     * @param {Object} request - { model, messages, jsonResponse, maxTokens, temperature, onDelta, functions }
+     *   When onDelta is given, the response is streamed and each text delta is passed to it.
+     *   When functions ({ name, description, parameters }) are given, the model must call one of them.
+     * @returns {Promise<Object>} { content, refusal, reasoning, usage, model, provider, toolCalls }
+     *   toolCalls: [{ name, arguments }] with arguments as a JSON string
+     */
+    async chat({ model, messages, jsonResponse = false, maxTokens = 4096, temperature, onDelta, functions }) {
+        const resolvedModel = this.resolveModel(model);
+        const { system, turns } = this._convertMessages(messages);
+        const useFunctions = Array.isArray(functions) && functions.length > 0;
+
+        // There is no JSON mode; prefilling the opening brace keeps the answer a bare object.
+        // Tool use already returns structured input, and cannot be combined with a prefill.
+        if (jsonResponse && !useFunctions) {
+            turns.push({ role: 'assistant', content: [{ type: 'text', text: '{' }] });
+        }
+
+        const body = {
+            model: resolvedModel,
+            system: system || undefined,
+            messages: turns,
+            max_tokens: maxTokens,
+            temperature
+        };
+
+        if (useFunctions) {
+            body.tools = functions.map(fn => ({ name: fn.name, description: fn.description, input_schema: fn.parameters }));
+            body.tool_choice = { type: 'any' };
+        } else if (onDelta) {
+            return this._streamChat(body, jsonResponse, onDelta);
+        }
+
+        const response = await axios.post(`${this.options.baseURL}/v1/messages`, body, {
+            headers: this._headers()
+        });
+
+        const data = response.data || {};
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        return {
+            content: jsonResponse && !useFunctions && text ? `{${text}` : text,
+            refusal: data.stop_reason === 'refusal' ? text : null,
+            reasoning: null,
+            toolCalls: (data.content || [])
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ name: block.name, arguments: JSON.stringify(block.input || {}) })),
+            usage: data.usage ? {
+                inputTokens: data.usage.input_tokens || 0,
+                outputTokens: data.usage.output_tokens || 0
+            } : null,
+            model: data.model || resolvedModel,
+            provider: this.name
+        };
+    }
+
+    /**
+     * Stream a Messages API response over server-sent events
+     */
+    async _streamChat(body, jsonResponse, onDelta) {
+        const response = await axios.post(`${this.options.baseURL}/v1/messages`, { ...body, stream: true }, {
+            headers: this._headers(),
+            responseType: 'stream'
+        });
+
+        let content = '';
+        let stopReason = null;
+        let responseModel = body.model;
+        const usage = { inputTokens: 0, outputTokens: 0 };
+
+        if (jsonResponse) {
+            content = '{';
+            onDelta('{');
+        }
+
+        const handleEvent = (event) => {
+            if (event.type === 'message_start' && event.message) {
+                responseModel = event.message.model || responseModel;
+                usage.inputTokens = event.message.usage ? event.message.usage.input_tokens || 0 : 0;
+            } else if (event.type === 'content_block_delta' && event.delta && event.delta.type === 'text_delta') {
+                content += event.delta.text;
+                onDelta(event.delta.text);
+            } else if (event.type === 'message_delta') {
+                stopReason = event.delta ? event.delta.stop_reason : stopReason;
+                usage.outputTokens = event.usage ? event.usage.output_tokens || 0 : usage.outputTokens;
+            } else if (event.type === 'error') {
+                throw new Error(event.error ? event.error.message : 'Anthropic stream error');
+            }
+        };
+
+        let buffer = '';
+        for await (const chunk of response.data) {
+            buffer += chunk.toString('utf8');
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+                const rawEvent = buffer.substring(0, boundary);
+                buffer = buffer.substring(boundary + 2);
+
+                const dataLine = rawEvent.split('\n').find(line => line.startsWith('data:'));
+                if (dataLine) {
+                    handleEvent(JSON.parse(dataLine.substring(5).trim()));
+                }
+            }
+        }
+
+        return {
+            content: jsonResponse && content === '{' ? '' : content,
+            refusal: stopReason === 'refusal' ? content : null,
+            reasoning: null,
+            usage,
+            model: responseModel,
+            provider: this.name
+        };
+    }
+
+    async embed() {
+        throw new Error(`Provider '${this.name}' does not support embeddings`);
+    }
+
+    async generateImage() {
+        throw new Error(`Provider '${this.name}' does not support image generation`);
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,64 @@
+const config = require('../../../utils/config');
+const OpenAICompatibleProvider = require('./openaiCompatible');
+const AnthropicProvider = require('./anthropic');
+const LocalProvider = require('./local');
+const MockProvider = require('./mock');
+
+const providerTypes = {
+    openai: OpenAICompatibleProvider,
+    anthropic: AnthropicProvider,
+    local: LocalProvider,
+    mock: MockProvider
+};
+
+// Provider name -> instance, created on first use
+const instances = new Map();
+
+/**
+ * Get a configured provider by name (see config.ai.providers)
+ * @param {string} name - Provider name, e.g. "openrouter", "ollama", "mock"
+ * @returns {Object} Provider instance with chat() and generateImage()
+ */
+function getProvider(name) {
+    if (instances.has(name)) {
+        return instances.get(name);
+    }
+
+    const options = config.ai.providers[name];
+    if (!options) {
+        throw new Error(`Unknown AI provider: ${name}`);
+    }
+
+    const ProviderClass = providerTypes[options.type];
+    if (!ProviderClass) {
+        throw new Error(`Unknown AI provider type '${options.type}' for provider ${name}`);
+    }
+
+    const provider = new ProviderClass(name, options);
+    instances.set(name, provider);
+    return provider;
+}
+
+/**
+ * Work out which provider serves a model.
+ * Accepts an explicit "provider:model" prefix (e.g. "ollama:llama3.1:8b"),
+ * then config.ai.modelProviders, then the default provider.
+ * @param {string} model - Model name as chosen by the caller
+ * @returns {{provider: Object, model: string}} Provider and the model name to send it
+ */
+function resolve(model) {
+    const requestedModel = model || config.ai.defaultModel;
+
+    const separator = requestedModel.indexOf(':');
+    if (separator > 0) {
+        const prefix = requestedModel.substring(0, separator);
+        if (config.ai.providers[prefix]) {
+            return { provider: getProvider(prefix), model: requestedModel.substring(separator + 1) };
+        }
+    }
+
+    const providerName = config.ai.modelProviders[requestedModel] || config.ai.provider;
+    return { provider: getProvider(providerName), model: requestedModel };
+}
+
+module.exports = { getProvider, resolve, providerTypes };
@@ -0,0 +1,19 @@
+const OpenAICompatibleProvider = require('./openaiCompatible');
+
+/**
+ * Provider for local model servers (Ollama, llama.cpp server).
+ * Both expose an OpenAI-compatible /v1 endpoint, so only the model
+ * selection differs: a local server usually has one model loaded, which
+ * can be pinned with `model` to run air-gapped whatever model a caller asks for.
+ */
+class LocalProvider extends OpenAICompatibleProvider {
+    resolveModel(model) {
+        return this.options.model || model;
+    }
+
+    async generateImage() {
+        throw new Error(`Provider '${this.name}' does not support image generation`);
+    }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const tokenCalculation = require('../tokenCalculation');
+const schemaValidator = require('../../../utils/schemaValidator');
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * Responses come from registered fixtures, matched against the request text;
+ * anything unmatched gets a stable canned answer derived from the prompt.
+ *
+ * Fixture file (MOCK_AI_FIXTURES) format:
+ *   [{ "match": "substring" | "/regex/i", "response": "text" | { ...json } }]
+ *
+ * When the request offers functions, object responses become a call to the
+ * function named by their "action" field (or the first function). Unmatched
+ * requests call the first function whose required arguments can be filled with
+ * the canned answer ("answer"/"summary") or empty lists.
+ */
+class MockProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.fixtures = [];
+        this.calls = [];
+
+        if (options.fixturesPath) {
+            this.loadFixtures(options.fixturesPath);
+        }
+    }
+
+    /**
+     * Load fixtures from a JSON file
+     */
+    loadFixtures(filePath) {
+        const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(fixtures)) {
+            throw new Error('Mock AI fixtures must be a JSON array');
+        }
+        fixtures.forEach(fixture => this.registerResponse(fixture.match, fixture.response));
+    }
+
+    /**
+     * Register a response for requests whose text matches
+     * @param {string|RegExp} match - Substring, RegExp, or "/pattern/flags" string
+     * @param {string|Object} response - Text, or an object returned as JSON
+     */
+    registerResponse(match, response) {
+        let matcher = match;
+        if (typeof match === 'string') {
+            const regexString = match.match(/^\/(.*)\/([a-z]*)$/s);
+            matcher = regexString ? new RegExp(regexString[1], regexString[2]) : match;
+        }
+        this.fixtures.push({ matcher, response });
+    }
+
+    /**
+     * Drop all fixtures and recorded calls
+     */
+    reset() {
+        this.fixtures = [];
+        this.calls = [];
+    }
+
+    /**
+     * Requests seen so far, oldest first
+     */
+    getCalls() {
+        return this.calls;
+    }
+
+    _messageText(message) {
+        const parts = Array.isArray(message.content) ? message.content : [message.content];
+        return parts.map(part => typeof part === 'string' ? part : part && part.text ? part.text : '').join('\n');
+    }
+
+    _findFixture(text) {
+        return this.fixtures.find(({ matcher }) =>
+            matcher instanceof RegExp ? matcher.test(text) : text.includes(matcher)
+        );
+    }
+
+    /**
+     * Turn a fixture object or canned answer into a function call
+     */
+    _toolCall(functions, fixture, answer) {
+        if (fixture && typeof fixture.response === 'object') {
+            const { action, ...args } = fixture.response;
+            const named = functions.find(fn => fn.name === action);
+            return named ? { name: named.name, arguments: JSON.stringify(args) }
+                : { name: functions[0].name, arguments: JSON.stringify(fixture.response) };
+        }
+        if (fixture) {
+            return null;
+        }
+
+        for (const fn of functions) {
+            const parameters = fn.parameters || {};
+            const args = {};
+            for (const name of parameters.required || []) {
+                const property = (parameters.properties || {})[name] || {};
+                if (['answer', 'summary'].includes(name)) {
+                    args[name] = answer;
+                } else if (property.type === 'array') {
+                    args[name] = [];
+                }
+            }
+            if (schemaValidator.validate(args, parameters).length === 0) {
+                return { name: fn.name, arguments: JSON.stringify(args) };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Answer a chat request without any network access
+     * @param {Object} request - { model, messages, jsonResponse, onDelta, functions }
+     * @returns {Promise<Object>} { content, refusal, reasoning, usage, model, provider, toolCalls }
+     */
+    async chat({ model, messages = [], jsonResponse = false, onDelta, functions }) {
+        const requestText = messages.map(message => this._messageText(message)).join('\n');
+        const userMessages = messages.filter(message => message.role === 'user');
+        const prompt = userMessages.length > 0 ? this._messageText(userMessages[0]) : '';
+
+        this.calls.push({ model, jsonResponse, messages, functions });
+        if (this.calls.length > 100) {
+            this.calls = this.calls.slice(-100);
+        }
+
+        const fixture = this._findFixture(requestText);
+        const digest = crypto.createHash('sha256').update(requestText).digest('hex').substring(0, 8);
+        const answer = `Mock response ${digest}: ${prompt.substring(0, 200)}`;
+
+        let content;
+        if (fixture) {
+            content = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+        } else {
+            content = jsonResponse ? JSON.stringify({ directAnswer: true, answer }) : answer;
+        }
+
+        const toolCall = Array.isArray(functions) && functions.length > 0 ? this._toolCall(functions, fixture, answer) : null;
+        if (toolCall) {
+            content = '';
+        }
+
+        // Stream in fixed-size chunks so tests see a stable sequence of deltas
+        if (onDelta && content) {
+            for (let i = 0; i < content.length; i += 16) {
+                onDelta(content.substring(i, i + 16));
+            }
+        }
+
+        return {
+            content,
+            refusal: null,
+            reasoning: null,
+            toolCalls: toolCall ? [toolCall] : [],
+            usage: {
+                inputTokens: tokenCalculation.calculateTokens(requestText),
+                outputTokens: tokenCalculation.calculateTokens(toolCall ? toolCall.arguments : content)
+            },
+            model: model || 'mock',
+            provider: this.name
+        };
+    }
+
+    async generateImage(prompt) {
+        const digest = crypto.createHash('sha256').update(String(prompt)).digest('hex').substring(0, 16);
+        return `https://mock.invalid/images/${digest}.png`;
+    }
+}
+
+module.exports = MockProvider;
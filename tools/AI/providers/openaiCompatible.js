@@ -0,0 +1,144 @@
+const OpenAI = require('openai');
+
+/**
+ * Provider for any endpoint that speaks the OpenAI Chat Completions API
+ * (OpenRouter, OpenAI, Azure-style gateways).
+ */
+class OpenAICompatibleProvider {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.client = new OpenAI({
+            apiKey: options.apiKey || 'not-needed',
+            baseURL: options.baseURL
+        });
+    }
+
+    /**
+     * Model name sent to the endpoint
+     */
+    resolveModel(model) {
+        return model;
+    }
+
+    /**
+     * Run a chat completion and normalize the response
+     * @param {Object} request - { model, messages, jsonResponse, maxTokens, temperature, onDelta, functions }
+     *   When onDelta is given, the completion is streamed and each text delta is passed to it.
+     *   When functions ({ name, description, parameters }) are given, the model must call one of them.
+     * @returns {Promise<Object>} { content, refusal, reasoning, usage, model, provider, toolCalls }
+     *   toolCalls: [{ name, arguments }] with arguments as a JSON string
+     */
+    async chat({ model, messages, jsonResponse = false, maxTokens, temperature, onDelta, functions }) {
+        const resolvedModel = this.resolveModel(model);
+        const useFunctions = Array.isArray(functions) && functions.length > 0;
+        if (onDelta && !useFunctions) {
+            return this._streamChat({ model: resolvedModel, messages, jsonResponse, maxTokens, temperature, onDelta });
+        }
+
+        const response = await this.client.chat.completions.create({
+            model: resolvedModel,
+            messages,
+            response_format: jsonResponse && !useFunctions ? { type: "json_object" } : undefined,
+            tools: useFunctions ? functions.map(fn => ({
+                type: "function",
+                function: { name: fn.name, description: fn.description, parameters: fn.parameters }
+            })) : undefined,
+            tool_choice: useFunctions ? "required" : undefined,
+            max_tokens: maxTokens,
+            temperature
+        });
+
+        const message = response?.choices?.[0]?.message || {};
+        return {
+            content: message.content || '',
+            refusal: message.refusal || null,
+            reasoning: message.reasoning || null,
+            toolCalls: (message.tool_calls || [])
+                .filter(call => call.function && call.function.name)
+                .map(call => ({ name: call.function.name, arguments: call.function.arguments || '{}' })),
+            usage: response?.usage ? {
+                inputTokens: response.usage.prompt_tokens || 0,
+                outputTokens: response.usage.completion_tokens || 0
+            } : null,
+            model: response?.model || resolvedModel,
+            provider: this.name
+        };
+    }
+
+    /**
+     * Stream a chat completion, forwarding text deltas as they arrive
+     */
+    async _streamChat({ model, messages, jsonResponse, maxTokens, temperature, onDelta }) {
+        const stream = await this.client.chat.completions.create({
+            model,
+            messages,
+            response_format: jsonResponse ? { type: "json_object" } : undefined,
+            max_tokens: maxTokens,
+            temperature,
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        let content = '';
+        let refusal = '';
+        let usage = null;
+        let responseModel = model;
+
+        for await (const chunk of stream) {
+            const delta = chunk?.choices?.[0]?.delta || {};
+            if (delta.content) {
+                content += delta.content;
+                onDelta(delta.content);
+            }
+            if (delta.refusal) {
+                refusal += delta.refusal;
+            }
+            if (chunk?.usage) {
+                usage = {
+                    inputTokens: chunk.usage.prompt_tokens || 0,
+                    outputTokens: chunk.usage.completion_tokens || 0
+                };
+            }
+            if (chunk?.model) {
+                responseModel = chunk.model;
+            }
+        }
+
+        return {
+            content,
+            refusal: refusal || null,
+            reasoning: null,
+            usage,
+            model: responseModel,
+            provider: this.name
+        };
+    }
+
+    /**
+     * Embed texts for semantic search
+     * @param {Array<string>} texts - Texts to embed
+     * @param {string} model - Embedding model, sent as is (a pinned chat model does not apply)
+     * @returns {Promise<Array<Array<number>>>} One vector per text, in input order
+     */
+    async embed(texts, model) {
+        const response = await this.client.embeddings.create({ model, input: texts });
+        return [...response.data]
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    /**
+     * Generate an image and return its URL
+     */
+    async generateImage(prompt) {
+        const response = await this.client.images.generate({
+            prompt,
+            n: 1,
+            size: "1024x1024"
+        });
+        return response.data[0].url;
+    }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Semantic search over a user's chat history, memories and tracked files.
+ * Embeddings are kept in the embeddings table and brought up to date before each
+ * search: new or changed sources are embedded, vectors of deleted sources are dropped.
+ */
+
+const crypto = require('crypto');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const embeddings = require('./embeddings');
+const { embeddingFunctions } = require('../../database');
+
+const SOURCE_TYPES = ['chat', 'memory', 'file'];
+
+// Tracked files stored as base64 or binary blobs are not worth embedding
+const BINARY_EXTENSIONS = new Set([
+  'png', 'jpg', 'jpeg', 'gif', 'bmp', 'webp', 'ico', 'tif', 'tiff', 'pdf',
+  'zip', 'gz', 'tar', 'rar', '7z', 'mp3', 'mp4', 'wav', 'mov', 'avi', 'woff', 'woff2', 'ttf', 'exe', 'bin'
+]);
+
+// userId:types -> running sync, so concurrent searches share one pass
+const runningSyncs = new Map();
+
+/**
+ * Normalizes a requested list of source types.
+ * @param {Array<string>|string} types - Types as an array or comma-separated string; empty means all.
+ * @returns {Array<string>} Known source types.
+ */
+function parseSourceTypes(types) {
+  const requested = Array.isArray(types) ? types : String(types || '').split(',');
+  const known = requested.map(type => String(type).trim()).filter(type => SOURCE_TYPES.includes(type));
+  return known.length > 0 ? [...new Set(known)] : SOURCE_TYPES;
+}
+
+/**
+ * Extracts the searchable text of a source row.
+ * @param {Object} source - Row from embeddingFunctions.getIndexableSources.
+ * @returns {string} Text, truncated to config.search.maxChars.
+ */
+function getSourceText(source) {
+  let text = '';
+
+  if (source.sourceType === 'chat') {
+    let content = source.content;
+    try {
+      content = JSON.parse(source.content);
+    } catch (error) {
+      // Plain text message
+    }
+    if (Array.isArray(content)) {
+      text = content.map(part => typeof part === 'string' ? part : part && part.type === 'text' ? part.text : '').join('\n');
+    } else if (content && typeof content === 'object') {
+      text = content.text || content.answer || '';
+    } else {
+      text = String(content || '');
+    }
+  } else if (source.sourceType === 'file') {
+    const extension = String(source.fileExtension || '').replace(/^\./, '').toLowerCase();
+    if (!BINARY_EXTENSIONS.has(extension)) {
+      text = `${source.title || ''}\n${source.content || ''}`;
+    }
+  } else {
+    text = String(source.content || '');
+  }
+
+  return text.trim().substring(0, config.search.maxChars);
+}
+
+/**
+ * Brings a user's embeddings up to date with their sources.
+ * @param {string} userId - The user ID.
+ * @param {Array<string>} sourceTypes - Source types to sync (default: all).
+ * @returns {Promise<Map<string, Object>>} "sourceType:sourceId" -> { source, text } for every indexed source.
+ */
+function syncIndex(userId, sourceTypes = SOURCE_TYPES) {
+  const key = `${userId}:${sourceTypes.join(',')}`;
+  if (!runningSyncs.has(key)) {
+    const sync = runSync(userId, sourceTypes).finally(() => runningSyncs.delete(key));
+    runningSyncs.set(key, sync);
+  }
+  return runningSyncs.get(key);
+}
+
+/**
+ * Does the work of syncIndex.
+ * @param {string} userId - The user ID.
+ * @param {Array<string>} sourceTypes - Source types to sync.
+ * @returns {Promise<Map<string, Object>>} Indexed sources by key.
+ */
+async function runSync(userId, sourceTypes) {
+  const [sources, existing] = await Promise.all([
+    embeddingFunctions.getIndexableSources(userId, sourceTypes),
+    embeddingFunctions.getEmbeddings(userId, sourceTypes)
+  ]);
+
+  const existingByKey = new Map(existing.map(row => [`${row.sourceType}:${row.sourceId}`, row]));
+  const modelId = embeddings.getModelId();
+  const indexed = new Map();
+  const pending = [];
+
+  for (const source of sources) {
+    const text = getSourceText(source);
+    if (!text) {
+      continue;
+    }
+    const sourceKey = `${source.sourceType}:${source.sourceId}`;
+    const contentHash = crypto.createHash('sha1').update(text).digest('hex');
+    const row = existingByKey.get(sourceKey);
+
+    indexed.set(sourceKey, { source, text });
+    if (!row || row.contentHash !== contentHash || row.model !== modelId) {
+      pending.push({ source, text, contentHash });
+    }
+  }
+
+  for (let i = 0; i < pending.length; i += config.search.batchSize) {
+    const batch = pending.slice(i, i + config.search.batchSize);
+    const { model, vectors } = await embeddings.embed(batch.map(item => item.text));
+    for (let j = 0; j < batch.length; j++) {
+      const { source, contentHash } = batch[j];
+      await embeddingFunctions.saveEmbedding(userId, {
+        sourceType: source.sourceType,
+        sourceId: source.sourceId,
+        chatId: source.chatId,
+        model,
+        contentHash,
+        vector: vectors[j]
+      });
+    }
+  }
+
+  const staleIds = existing.filter(row => !indexed.has(`${row.sourceType}:${row.sourceId}`)).map(row => row.id);
+  for (let i = 0; i < staleIds.length; i += 500) {
+    await embeddingFunctions.deleteEmbeddings(userId, staleIds.slice(i, i + 500));
+  }
+
+  if (pending.length > 0 || staleIds.length > 0) {
+    logger.info('Updated search index', { userId, embedded: pending.length, removed: staleIds.length });
+  }
+  return indexed;
+}
+
+/**
+ * Cuts a readable excerpt around the first query word found in the text.
+ * @param {string} text - Source text.
+ * @param {string} query - Search query.
+ * @param {number} length - Maximum excerpt length (default: 240).
+ * @returns {string} Excerpt.
+ */
+function makeSnippet(text, query, length = 240) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const position = embeddings.tokenize(query)
+    .filter(word => word.length > 2)
+    .map(word => lower.indexOf(word))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  const start = position === undefined ? 0 : Math.max(0, position - Math.floor(length / 3));
+  const snippet = flat.substring(start, start + length);
+  return `${start > 0 ? '…' : ''}${snippet}${start + length < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Searches a user's chats, memories and tracked files by meaning.
+ * @param {string} userId - The user ID.
+ * @param {string} query - What to look for.
+ * @param {Object} options - Search options.
+ * @param {Array<string>|string} options.types - Source types to search (default: all).
+ * @param {number} options.limit - Maximum number of results (default: 20).
+ * @param {number} options.chatId - Only return results from this chat.
+ * @param {number} options.minScore - Minimum similarity (default: config.search.minScore).
+ * @returns {Promise<Array<Object>>} Results with sourceType, sourceId, chatId, title, snippet, score and createdAt, best first.
+ */
+async function search(userId, query, options = {}) {
+  if (!userId || !String(query || '').trim()) {
+    return [];
+  }
+
+  const sourceTypes = parseSourceTypes(options.types);
+  const limit = options.limit || 20;
+  const minScore = options.minScore !== undefined ? options.minScore : config.search.minScore;
+
+  const indexed = await syncIndex(userId, sourceTypes);
+  const rows = await embeddingFunctions.getEmbeddings(userId, sourceTypes);
+  const queryVectors = await embeddings.embedQuery(query, [...new Set(rows.map(row => row.model))]);
+
+  const results = [];
+  for (const row of rows) {
+    const entry = indexed.get(`${row.sourceType}:${row.sourceId}`);
+    const queryVector = queryVectors.get(row.model);
+    if (!entry || !queryVector) {
+      continue;
+    }
+    if (options.chatId && String(row.chatId) !== String(options.chatId)) {
+      continue;
+    }
+    const score = embeddings.similarity(queryVector, row.vector);
+    if (score >= minScore) {
+      results.push({ row, entry, score });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ row, entry, score }) => ({
+      sourceType: row.sourceType,
+      sourceId: row.sourceId,
+      chatId: entry.source.chatId || null,
+      title: entry.source.title || null,
+      snippet: makeSnippet(entry.text, query),
+      score: Math.round(score * 1000) / 1000,
+      createdAt: entry.source.createdAt
+    }));
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  parseSourceTypes,
+  syncIndex,
+  search
+};
@@ -1,4 +1,115 @@
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const tokenCalculation = require('./tokenCalculation');
 
-function getModel(prompt, mode) {
-  return "openai/gpt-5"
+/**
+ * Normalizes a route entry (model name or list of names) to a list of full model names.
+ * @param {string|Array<string>} entry - Route entry.
+ * @param {Object} aliases - Short name -> full model name.
+ * @returns {Array<string>} Candidate models.
+ */
+function toCandidates(entry, aliases) {
+  const models = Array.isArray(entry) ? entry : [entry];
+  return models
+    .filter(model => typeof model === 'string' && model.trim().length > 0)
+    .map(model => aliases[model.trim()] || model.trim());
 }
+
+/**
+ * Reads admin-set routing overrides for a user.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object>} Route name -> model list.
+ */
+async function getUserRoutes(userId) {
+  if (!userId || userId === 'default') {
+    return {};
+  }
+  try {
+    const { modelRoutingFunctions } = require('../../database');
+    return (await modelRoutingFunctions.getOverrides(userId)) || {};
+  } catch (error) {
+    logger.error('Error loading model routing overrides', { error: error.message, userId });
+    return {};
+  }
+}
+
+/**
+ * Context window of a model in tokens.
+ * @param {string} model - Full model name.
+ * @returns {number} Token limit.
+ */
+function getContextLimit(model) {
+  const routing = config.ai.routing;
+  return routing.contextLimits[model] || routing.defaultContextLimit;
+}
+
+/**
+ * Picks the model for an AI call.
+ * `mode` is either a route name ("planning", "reflection", "summarization", "browser", "writer", "auto")
+ * or an explicit model chosen for a plan step; explicit models fall back to the "auto" route.
+ * Candidates whose context window cannot hold the request are skipped.
+ * @param {string} prompt - Request text used to estimate the token count.
+ * @param {string} mode - Route name or explicit model (default: "auto").
+ * @param {Object} options - Selection options.
+ * @param {string} options.userId - User whose admin overrides apply.
+ * @param {number} options.tokens - Precomputed token estimate for the whole request.
+ * @returns {Promise<{model: string, maxTokens: number, fallbacks: Array<string>}>} Selected model,
+ *   its context limit and the models to try if it fails.
+ */
+async function getModel(prompt, mode = "auto", options = {}) {
+  const routing = config.ai.routing;
+  const routes = { ...routing.routes, ...(await getUserRoutes(options.userId)) };
+  const routeName = mode || "auto";
+
+  let candidates;
+  if (routes[routeName]) {
+    candidates = toCandidates(routes[routeName], routing.aliases);
+  } else {
+    candidates = [...toCandidates(routeName, routing.aliases), ...toCandidates(routes.auto, routing.aliases)];
+  }
+  candidates = [...new Set(candidates)];
+
+  if (candidates.length === 0) {
+    candidates = [config.ai.defaultModel];
+  }
+
+  const tokens = options.tokens !== undefined ? options.tokens : tokenCalculation.calculateTokens(prompt);
+  const fitting = candidates.filter(model => getContextLimit(model) >= tokens);
+
+  let ordered;
+  if (fitting.length > 0) {
+    ordered = [...fitting, ...candidates.filter(model => !fitting.includes(model))];
+  } else {
+    // Nothing fits; try the largest context window first
+    logger.warn('Request exceeds every candidate model context', { mode: routeName, tokens });
+    ordered = [...candidates].sort((a, b) => getContextLimit(b) - getContextLimit(a));
+  }
+
+  return {
+    model: ordered[0],
+    maxTokens: getContextLimit(ordered[0]),
+    fallbacks: ordered.slice(1)
+  };
+}
+
+/**
+ * Validates routing overrides submitted by an admin.
+ * @param {Object} routes - Route name -> model name or list of models.
+ * @returns {Array<string>} Validation errors; empty when valid.
+ */
+function validateRoutes(routes) {
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) {
+    return ['Routes must be an object mapping route names to models'];
+  }
+
+  const errors = [];
+  for (const [routeName, entry] of Object.entries(routes)) {
+    const models = Array.isArray(entry) ? entry : [entry];
+    if (models.length === 0 || !models.every(model => typeof model === 'string' && model.trim().length > 0)) {
+      errors.push(`Route '${routeName}' must be a model name or a non-empty list of model names`);
+    }
+  }
+  return errors;
+}
+
+module.exports = { getModel, getContextLimit, validateRoutes };
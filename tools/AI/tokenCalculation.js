@@ -1,23 +1,140 @@
-function calculateTokens(text){
-    if (!text) return 0;
-    
-    
-    
+const config = require('../../utils/config');
+
+// Tokens per message for role and formatting, as counted by OpenAI chat models
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// A 1024x1024 image at high detail; used when the size cannot be read
+const DEFAULT_IMAGE_TOKENS = 765;
+
+// Encoding name -> tokenizer, loaded on first use
+const encoders = new Map();
+let tiktoken;
+
+/**
+ * Local tokenizer for a model, or null if js-tiktoken is unavailable.
+ * Newer OpenAI models use o200k_base; everything else is approximated with cl100k_base.
+ */
+function getEncoder(model = '') {
+    if (tiktoken === undefined) {
+        try {
+            tiktoken = require('js-tiktoken');
+        } catch (error) {
+            console.warn('js-tiktoken not available, falling back to estimated token counts');
+            tiktoken = null;
+        }
+    }
+    if (!tiktoken) {
+        return null;
+    }
+
+    const encodingName = /gpt-4o|gpt-4\.1|gpt-5|(^|\/)o[134]/.test(model) ? 'o200k_base' : 'cl100k_base';
+    if (!encoders.has(encodingName)) {
+        encoders.set(encodingName, tiktoken.getEncoding(encodingName));
+    }
+    return encoders.get(encodingName);
+}
+
+/**
+ * Rough count for when no tokenizer is available
+ */
+function estimateTokens(text) {
     const characters = text.length;
-    const words = text.split(/\s+/).filter(word => word.length > 0).length;
-    
-    
     const codeBlockCount = (text.match(/```/g) || []).length / 2;
-    
-    
-    
+
     let tokenEstimate = Math.ceil(characters / 4);
-    
-    
     tokenEstimate += codeBlockCount * 20;
-    
-    
+
     return Math.ceil(tokenEstimate * 1.1);
 }
 
-module.exports = {calculateTokens};
\ No newline at end of file
+/**
+ * Count the tokens in a piece of text
+ * @param {string} text - Text to count
+ * @param {string} model - Model the text is sent to (selects the tokenizer)
+ * @returns {number} Token count
+ */
+function calculateTokens(text, model = ''){
+    if (!text) return 0;
+
+    const encoder = getEncoder(model);
+    if (!encoder) {
+        return estimateTokens(text);
+    }
+
+    try {
+        return encoder.encode(text, [], []).length;
+    } catch (error) {
+        return estimateTokens(text);
+    }
+}
+
+/**
+ * Estimate image tokens using OpenAI's tiling rule (85 + 170 per 512px tile).
+ * Reads the size from PNG data URLs; other images use a fixed estimate.
+ */
+function calculateImageTokens(url) {
+    const match = typeof url === 'string' ? url.match(/^data:image\/png;base64,(.{0,44})/) : null;
+    if (!match) {
+        return DEFAULT_IMAGE_TOKENS;
+    }
+
+    const header = Buffer.from(match[1], 'base64');
+    if (header.length < 24) {
+        return DEFAULT_IMAGE_TOKENS;
+    }
+
+    let width = header.readUInt32BE(16);
+    let height = header.readUInt32BE(20);
+
+    // Scaled to fit 2048x2048, then the short side to 768px
+    const fitScale = Math.min(1, 2048 / Math.max(width, height));
+    width *= fitScale;
+    height *= fitScale;
+    const shortScale = Math.min(1, 768 / Math.min(width, height));
+    width *= shortScale;
+    height *= shortScale;
+
+    return 85 + 170 * Math.ceil(width / 512) * Math.ceil(height / 512);
+}
+
+/**
+ * Count the input tokens of a chat request: system prompt, history, file context and images
+ * @param {Array} messages - Chat messages with string or content-part content
+ * @param {string} model - Model the request is sent to
+ * @returns {number} Token count
+ */
+function calculateMessageTokens(messages, model = '') {
+    if (!Array.isArray(messages)) return 0;
+
+    return messages.reduce((total, message) => {
+        const parts = Array.isArray(message.content) ? message.content : [message.content];
+        const contentTokens = parts.reduce((sum, part) => {
+            if (typeof part === 'string') {
+                return sum + calculateTokens(part, model);
+            }
+            if (part && part.type === 'image_url') {
+                return sum + calculateImageTokens(part.image_url && part.image_url.url);
+            }
+            return sum + calculateTokens(part && part.text, model);
+        }, 0);
+        return total + contentTokens + MESSAGE_OVERHEAD_TOKENS;
+    }, 0);
+}
+
+/**
+ * Convert token usage to credits using the per-model price table
+ * @param {string} model - Model that served the request
+ * @param {number} inputTokens - Prompt tokens
+ * @param {number} outputTokens - Completion tokens
+ * @returns {number} Credits to charge (at least 1 for any usage)
+ */
+function calculateCredits(model, inputTokens = 0, outputTokens = 0) {
+    const { pricing, defaultPrice, creditsPerDollar } = config.ai.billing;
+    const price = pricing[model] || defaultPrice;
+
+    const dollars = (inputTokens * price.input + outputTokens * price.output) / 1000000;
+    const credits = Math.ceil(dollars * creditsPerDollar);
+
+    return inputTokens + outputTokens > 0 ? Math.max(1, credits) : 0;
+}
+
+module.exports = {calculateTokens, calculateImageTokens, calculateMessageTokens, calculateCredits};
@@ -2,76 +2,126 @@ const getPlatform = require("../../utils/getPlatform");
 const ai = require("../AI/ai");
 const docker = require("../docker");
 const contextManager = require("../../utils/context");
+const approvals = require("../../utils/approval");
+const { createOutputStream } = require("../../utils/outputStream");
 const path = require('path');
 
 
-async function safeExecuteInContainer(command, userId = 'default', retries = 3) {
-    let containerName = null;
-    let containerCreated = false;
-    let lastError = null;
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
+// Sidebar management
+function updateBashSidebar(userId, data) {
+    if (typeof global.updateSidebar === 'function') {
+        global.updateSidebar(userId, 'bash', {
+            ...data,
+            timestamp: Date.now()
+        });
+    }
+}
+
+
+/**
+ * Run a command in the chat's workspace container. The command runs once: when it fails, its
+ * output and exit code go back to the step. The container is only started again, on the same
+ * workspace, if it is gone before the command could run.
+ */
+async function safeExecuteInContainer(command, userId = 'default', chatId = 1) {
+    for (let attempt = 1; ; attempt++) {
+        const containerName = await docker.acquireContainer(userId, chatId);
+        
+        // The command's output is shown in the sidebar while it runs
+        const currentTask = command.substring(0, 100) + (command.length > 100 ? '...' : '');
+        const output = createOutputStream(outputPreview => updateBashSidebar(userId, {
+            currentTask,
+            status: 'Running command...',
+            outputPreview,
+            stage: 'executing'
+        }));
+        
         try {
-            
-            containerName = await docker.createContainer(userId);
-            containerCreated = true;
-            
-            
-            const { stdout, stderr } = await docker.executeCommand(containerName, command);
+            const { stdout, stderr } = await docker.executeCommand(containerName, command, { onOutput: output.onOutput });
             
             
             const result = stderr ? `${stdout}\nSTDERR: ${stderr}` : stdout;
+            output.end();
+            updateBashSidebar(userId, {
+                currentTask,
+                status: 'Command finished',
+                outputPreview: result.slice(-2000),
+                stage: 'completed',
+                completed: true
+            });
             return result;
         } catch (error) {
-            lastError = error;
-            console.warn(`Bash operation failed (attempt ${attempt}/${retries}): ${error.message}`);
-            
-            
-            if (containerCreated && containerName) {
-                try {
-                    await docker.removeContainer(containerName);
-                } catch (cleanupError) {
-                    console.error(`Failed to clean up container: ${cleanupError.message}`);
-                }
+            // A resource limit is hit again in a new container; report it to the step instead
+            if (error.limit) {
+                return docker.toLimitResult(error);
             }
             
-            containerCreated = false;
-            containerName = null;
-            
+            if (error.exitCode !== undefined) {
+                return `${error.stdout || ''}\nSTDERR: ${error.stderr || ''}\nEXIT CODE: ${error.exitCode}`;
+            }
             
-            if (attempt < retries) {
-                const delay = Math.min(100 * Math.pow(2, attempt), 2000);
-                await new Promise(resolve => setTimeout(resolve, delay));
+            if (attempt === 1 && docker.isContainerUnavailable(error)) {
+                console.warn(`Bash container ${containerName} is unavailable, starting it again: ${error.message}`);
+                await docker.removeContainer(containerName);
+                continue;
             }
+            
+            return `Error: ${error.message}`;
+        } finally {
+            output.end();
         }
     }
-    
-    return `Error: ${lastError?.message || 'Operation failed after multiple retries'}`;
 }
 
-async function runTask(task, otherAIData, callback, userId = 'default') {
+async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1) {
     try {
         
         let toolState = contextManager.getToolState('bash', userId) || { history: [] };
+        const stepDescription = task;
         
         task = task + "\n\nOther AI Data: " + otherAIData;
         
         
-        let code = await generateBashCode(task, userId);
+        let code = await generateBashCode(task, userId, chatId);
+        
+        // Pause for the user's sign-off when bash requires approval
+        const approval = await approvals.requestApproval({
+            userId,
+            chatId,
+            tool: 'bash',
+            kind: 'command',
+            action: code,
+            description: stepDescription
+        });
+        if (!approval.approved) {
+            const skippedResult = approvals.rejectionResult(approval, 'Command');
+            if (callback) {
+                callback(skippedResult);
+            }
+            return skippedResult;
+        }
+        code = approval.action;
         
         
         toolState.lastCode = code;
         contextManager.setToolState('bash', toolState, userId);
         
         
-        let result = await executeBashCode(code, userId);
+        let result = await executeBashCode(code, userId, chatId);
         
         
         toolState.lastResult = result;
         contextManager.setToolState('bash', toolState, userId);
         
+        if (result && result.limitExceeded) {
+            if (callback) {
+                callback(result);
+            }
+            return result;
+        }
+        
         
-        let summary = await evaluateOutput(task, result, userId);
+        let summary = await evaluateOutput(task, result, userId, chatId);
         
         if (callback) {
             callback(summary);
@@ -90,27 +140,20 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
         }
         
         return errorResult;
-    } finally {
-        
-        try {
-            await docker.cleanupAllContainers();
-        } catch (cleanupError) {
-            console.error(`Error during cleanup: ${cleanupError.message}`);
-        }
     }
 }
 
-async function executeBashCode(code, userId = 'default') {
+async function executeBashCode(code, userId = 'default', chatId = 1) {
     try {
         
-        return await safeExecuteInContainer(code, userId);
+        return await safeExecuteInContainer(code, userId, chatId);
     } catch (error) {
         console.error('Bash execution error:', error.message);
         return `Error: ${error.message}`;
     }
 }
 
-async function evaluateOutput(task, result, userId = 'default') {
+async function evaluateOutput(task, result, userId = 'default', chatId = 1) {
     
     let toolState = contextManager.getToolState('bash', userId);
     
@@ -137,7 +180,7 @@ async function evaluateOutput(task, result, userId = 'default') {
     `;
     let summary;
     try {
-      summary = await ai.callAI(prompt, task, toolState.history || [], undefined, true, 'auto', userId);
+      summary = await ai.callAI(prompt, task, toolState.history || [], undefined, true, 'auto', userId, chatId);
     } catch (aiError) {
       console.error(`AI call failed during bash evaluation: ${aiError.message}`);
       summary = { summary: `Evaluation failed due to AI error: ${aiError.message}`, success: false };
@@ -185,7 +228,7 @@ async function evaluateOutput(task, result, userId = 'default') {
     return summary;
 }
 
-async function generateBashCode(task, userId = 'default') {
+async function generateBashCode(task, userId = 'default', chatId = 1) {
     
     let toolState = contextManager.getToolState('bash', userId) || { history: [] };
     
@@ -204,7 +247,7 @@ async function generateBashCode(task, userId = 'default') {
     Your code should be compatible with a typical Linux environment.
     **IMPORTANT**: If your code creates any files, echo their absolute paths within the container on separate lines, each prefixed with 'CREATED_FILE:' (e.g., 'echo "CREATED_FILE:/app/result.txt"').
     `;
-    let code = await ai.callAI(prompt, task, toolState.history || [], undefined, true, 'auto', userId);
+    let code = await ai.callAI(prompt, task, toolState.history || [], undefined, true, 'auto', userId, chatId);
     
     
     toolState.history.push({
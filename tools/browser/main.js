@@ -2,6 +2,7 @@ const { chromium } = require('playwright');
 const elementNumberingScript = require('./scriptInjector');
 const ai = require('../AI/ai');
 const contextManager = require('../../utils/context');
+const approvals = require('../../utils/approval');
 
 
 const MAX_WEBSITE_TEXT_LENGTH = 500; 
@@ -13,6 +14,66 @@ const MAX_HISTORY_LENGTH = 3;
 const browserInstances = new Map();
 const pageInstances = new Map();
 
+const elementProperty = { type: "string", minLength: 1, description: "Number of the element from the list of elements available for interaction" };
+
+// Actions the model can take on the page, offered as function calls
+const BROWSER_ACTIONS = [
+    {
+        name: "goToPage",
+        description: "Navigate to a URL",
+        parameters: {
+            type: "object",
+            properties: { url: { type: "string", minLength: 1, description: "URL to go to" } },
+            required: ["url"]
+        }
+    },
+    {
+        name: "click",
+        description: "Click an element",
+        parameters: { type: "object", properties: { element: elementProperty }, required: ["element"] }
+    },
+    {
+        name: "input",
+        description: "Type text into an element",
+        parameters: {
+            type: "object",
+            properties: { text: { type: "string", description: "Text to input" }, element: elementProperty },
+            required: ["text", "element"]
+        }
+    },
+    {
+        name: "scroll",
+        description: "Scroll the page",
+        parameters: {
+            type: "object",
+            properties: { direction: { type: "string", enum: ["up", "down"] } },
+            required: ["direction"]
+        }
+    },
+    {
+        name: "close",
+        description: "Finish the task once enough information has been collected",
+        parameters: {
+            type: "object",
+            properties: { summary: { type: "string", minLength: 1, description: "Summary of the task's results in detail" } },
+            required: ["summary"]
+        }
+    }
+];
+
+const START_PAGE_FUNCTION = {
+    name: "openStartPage",
+    description: "Choose the page to start the task on",
+    parameters: {
+        type: "object",
+        properties: {
+            url: { type: "string", minLength: 1, description: "Starting URL for the task" },
+            explanation: { type: "string", description: "Brief explanation of why this is a good starting point" }
+        },
+        required: ["url"]
+    }
+};
+
 // Sidebar management
 function updateBrowserSidebar(userId, page = null) {
     if (typeof global.updateSidebar === 'function' && page) {
@@ -117,36 +178,14 @@ async function taskFunction(task, data, image, websiteTextContent, userId = 'def
     let prompt = `
     You are an AI agent that can execute complex tasks. You are ment to control a web browser and navigate through the web.
     Do your best to complete the task provided by the user. 
-    Respond in a JSON format with the following format. Only respond with one at a time:
-    {
-        "action": "goToPage",
-        "url": "url to go to",
-    },
-    {
-        "action": "click",
-        "element": "element to click" 
-    },
-    {
-        "action": "input",
-        "text": "text to input", 
-        "element": "element to input text into" 
-    },
-    {
-        "action": "scroll",
-        "direction": "up" 
-    },
-    {
-        "action": "close",
-        "summary": \`summary of the tasks results in detail\` 
-        
-    }
+    Call one of the provided functions for each action, one at a time.
 
     Try not to repeat actions and actually check that an action might have already been completed even though there is no big ui feedback.
     Last actions you did: ${toolState.lastActions.join(", ")}
 
     The main task is: ${task}
 
-    Once you have enough information to confidently complete the task, respond with the "close" action. Look at previous messages for the information collected earlier and use it to summarize and finish the task.
+    Once you have enough information to confidently complete the task, call "close". Look at previous messages for the information collected earlier and use it to summarize and finish the task.
     `
 
     toolState.history.push({
@@ -161,7 +200,7 @@ async function taskFunction(task, data, image, websiteTextContent, userId = 'def
     contextManager.setToolState('browser', toolState, userId);
 
     // Add timeout for AI call
-    const aiCallPromise = ai.callAI(prompt, data, toolState.history, image, true, "browser", userId);
+    const aiCallPromise = ai.callAI(prompt, data, toolState.history, image, true, "browser", userId, toolState.chatId || 1, { functions: BROWSER_ACTIONS });
     let result;
     
     try {
@@ -227,11 +266,32 @@ async function taskFunction(task, data, image, websiteTextContent, userId = 'def
             setTimeout(() => updateBrowserSidebar(userId, page), 500);
         }
     }else if(result.action === "input"){
-        await input(result.element, result.text, userId);
-        // Update sidebar after input
         const page = pageInstances.get(userId);
-        if (page) {
-            setTimeout(() => updateBrowserSidebar(userId, page), 500);
+        
+        // Form inputs need the user's sign-off when webBrowser requires approval
+        const approval = await approvals.requestApproval({
+            userId,
+            chatId: toolState.chatId || 1,
+            tool: 'webBrowser',
+            kind: 'formInput',
+            action: String(result.text ?? ''),
+            description: `Type into element ${result.element}${page ? ` on ${page.url()}` : ''}`
+        });
+        
+        if (approval.approved) {
+            await input(result.element, approval.action, userId);
+            // Update sidebar after input
+            if (page) {
+                setTimeout(() => updateBrowserSidebar(userId, page), 500);
+            }
+        } else {
+            toolState.history.push({
+                role: "user", 
+                content: [
+                    {type: "text", text: `Typing into element ${result.element} was not approved (${approval.reason}). Do not retry it; continue without it or close.`}
+                ]
+            });
+            contextManager.setToolState('browser', toolState, userId);
         }
     }else if(result.action === "scroll"){
         await scroll(result.direction, userId);
@@ -300,13 +360,7 @@ async function initialAI(task, userId = 'default'){
     let prompt = `
     You are an AI agent that can execute complex tasks. You are ment to control a web browser and navigate through the web.
     Do your best to complete the task provided by the user.
-    For now, I need a JSON response to know which page to start the task with.
-    
-    Please respond with the following format:
-    {
-        "url": "starting URL for the task",
-        "explanation": "brief explanation of why this is a good starting point"
-    }
+    For now, choose the page to start the task with by calling openStartPage.
     
     The task is: ${task}
     `
@@ -324,7 +378,7 @@ async function initialAI(task, userId = 'default'){
     
     contextManager.setToolState('browser', toolState, userId);
 
-    let result = await ai.callAI(prompt, data, [], null, true, "browser", userId);
+    let result = await ai.callAI(prompt, data, [], null, true, "browser", userId, toolState.chatId || 1, { functions: [START_PAGE_FUNCTION] });
     
     if(!result || !result.url) {
         // Fallback to a default search engine if URL not provided
@@ -349,7 +403,7 @@ async function initialAI(task, userId = 'default'){
 }
 
 
-async function runTask(task, otherAIData, callback, userId = 'default') {
+async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1) {
     let browser;
     try {
         browser = await initialize(userId);
@@ -361,6 +415,9 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
             activeSession: null
         };
         
+        // Remember the chat so approval requests reach the right conversation
+        toolState.chatId = chatId;
+        
         if (callback) {
             toolState.summaryCallback = typeof callback === 'function' ? callback.toString() : callback;
             
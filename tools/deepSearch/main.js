@@ -33,7 +33,7 @@ const cache = {
     }
 };
 
-async function runTask(task, otherAIData, callback, userId = 'default', intensity) {
+async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1, intensity) {
     try {
         
         let userContext = contextManager.getContext(userId);
@@ -45,7 +45,7 @@ async function runTask(task, otherAIData, callback, userId = 'default', intensit
             contextManager.updateContext(userId, userContext);
         }
 
-        let webData = await searchWeb(task, userId, intensity);
+        let webData = await searchWeb(task, userId, chatId, intensity);
         
         
         userContext.deepSearch.searchHistory.push({
@@ -55,7 +55,7 @@ async function runTask(task, otherAIData, callback, userId = 'default', intensit
         });
         contextManager.updateContext(userId, userContext);
         
-        let report = await evaluatewithAI(task, webData+"\n\n Also, there is some information that previous tasks have gathered. Keep them in mind while evaluating the web data and add them to the report to not duplicate information and other things. Here is the information: "+otherAIData, userId);
+        let report = await evaluatewithAI(task, webData+"\n\n Also, there is some information that previous tasks have gathered. Keep them in mind while evaluating the web data and add them to the report to not duplicate information and other things. Here is the information: "+otherAIData, userId, chatId);
         
         // Update sidebar with completion status
         updateDeepSearchSidebar(userId, {
@@ -72,7 +72,7 @@ async function runTask(task, otherAIData, callback, userId = 'default', intensit
     }
 }
 
-async function getQuery(task, userId = 'default', intensity) {
+async function getQuery(task, userId = 'default', chatId = 1, intensity) {
     try {
         
         const maxQueries = intensity ? Math.min(Math.max(5, intensity * 4), 40) : 20;
@@ -87,7 +87,7 @@ async function getQuery(task, userId = 'default', intensity) {
         }
         `
 
-        let response = await ai.callAI(prompt, task);
+        let response = await ai.callAI(prompt, task, [], undefined, true, "auto", userId, chatId);
         
         
         let userContext = contextManager.getContext(userId);
@@ -101,7 +101,7 @@ async function getQuery(task, userId = 'default', intensity) {
     }
 }
 
-async function evaluatewithAI(task, webData, userId = 'default') {
+async function evaluatewithAI(task, webData, userId = 'default', chatId = 1) {
     try {
         let prompt = `
         You are an AI agent that can execute complex tasks. For this task, the user will provide a task and you are supposed to evaluate the web data scraped from the web and return a detailled report using the web data.
@@ -125,7 +125,7 @@ async function evaluatewithAI(task, webData, userId = 'default') {
             userContext.deepSearch.evaluations = [];
         }
         
-        let response = await ai.callAI(prompt, task);
+        let response = await ai.callAI(prompt, task, [], undefined, true, "auto", userId, chatId);
         
         
         userContext.deepSearch.evaluations.push({
@@ -142,10 +142,10 @@ async function evaluatewithAI(task, webData, userId = 'default') {
     }
 }
 
-async function searchWeb(task, userId = 'default', intensity) {
+async function searchWeb(task, userId = 'default', chatId = 1, intensity) {
     try {
         let webData = [];
-        let queries = await getQuery(task, userId, intensity);
+        let queries = await getQuery(task, userId, chatId, intensity);
         
         // Update sidebar with current search status
         updateDeepSearchSidebar(userId, {
@@ -1,16 +1,21 @@
-const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const util = require('util');
 const os = require('os');
-const execAsync = util.promisify(exec);
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const tar = require('../utils/tar');
+const egressProxy = require('../utils/egressProxy');
+const { getEngine } = require('./dockerEngine');
+const { workspaceFunctions, userFunctions } = require('../database');
 
+const SIZE_PATTERN = /^(\d+(?:\.\d+)?)([bkmgt]?)b?$/i;
+const NETWORK_MODES = ['none', 'allowlist', 'bridge'];
 
-const isWindows = process.platform === 'win32';
-const dockerCMD = isWindows ? "wsl docker" : "docker";
+// stderr of commands that failed on a resource limit
+const PROCESS_LIMIT_PATTERN = /fork: (retry: )?Resource temporarily unavailable|can't start new thread|Cannot fork|BlockingIOError: \[Errno 11\]/i;
+const DISK_FULL_PATTERN = /No space left on device|Disk quota exceeded/i;
+const NO_NETWORK_PATTERN = /Temporary failure in name resolution|Name or service not known|Network is unreachable|Could not resolve host|getaddrinfo failed/i;
 
 
 function normalizePathForDocker(filePath) {
@@ -23,13 +28,66 @@ function normalizePathForDocker(filePath) {
     return normalizedPath;
 }
 
+/**
+ * Convert a Docker size such as "512m" to bytes
+ */
+function parseSize(size) {
+    const match = SIZE_PATTERN.exec(String(size || '').trim());
+    if (!match) {
+        return null;
+    }
+    const exponent = ['', 'b', 'k', 'm', 'g', 't'].indexOf(match[2].toLowerCase());
+    return Math.round(parseFloat(match[1]) * Math.pow(1024, Math.max(0, exponent - 1)));
+}
+
+/**
+ * Runs tool code in Docker containers.
+ * Every chat has a workspace: a named volume mounted at the workspace path, and a
+ * container using it while the chat is active. All tools of a task share the
+ * workspace, so files written in one step are there in the next, and in
+ * follow-up tasks. Containers unused for the idle timeout are removed; the
+ * volume stays until the chat is deleted. A few containers with fresh volumes
+ * are kept started, so a new chat does not wait for one.
+ *
+ * Containers run with the resource profile of the user's payment plan: CPU,
+ * memory, process and disk limits, and no network, an egress allowlist or
+ * full network access. Commands are stopped after the configured timeout.
+ * Hitting a limit raises an error with a `limit` field describing it.
+ *
+ * Docker is reached through the Engine API (see ./dockerEngine); with
+ * DOCKER_ENGINE=fake everything runs against an in-memory engine instead.
+ */
 class DockerManager {
-    constructor() {
+    constructor(engine = getEngine()) {
+        this.engine = engine;
         this.baseImage = config.docker.baseImage;
         this.containerPrefix = config.docker.containerPrefix;
-        this.activeContainers = new Map(); 
+        this.workspacePath = config.docker.workspacePath;
+        this.poolSize = config.docker.poolSize;
+        this.idleTimeout = config.docker.idleTimeout;
         this.maxRetries = config.docker.maxRetries; 
+        this.timeout = config.docker.timeout;
         this.initialized = false;
+        
+        // Workspace key (userId_chatId) -> { userId, chatId, containerName, volumeName, lastUsed, activeOperations }
+        this.workspaces = new Map();
+        // Workspace key -> pending acquireContainer promise, so parallel steps share one container
+        this.acquiring = new Map();
+        // Started containers with fresh volumes: [{ containerName, volumeName }]
+        this.pool = [];
+        this.fillingPool = null;
+        this.reapTimer = null;
+        
+        // Container name -> egress proxy token of allowlist containers
+        this.egressTokens = new Map();
+        // Container name -> OOM kills counted so far
+        this.oomKills = new Map();
+        // Promise of { network, host, port } once the egress network and proxy are up
+        this.egress = null;
+        
+        // Containers are labelled with the host that started them, so a restart only removes its own
+        this.instanceId = os.hostname().replace(/[^A-Za-z0-9_.-]/g, '_');
+        this.instanceLabel = `operon.instance=${this.instanceId}`;
     }
 
     
@@ -40,16 +98,29 @@ class DockerManager {
     }
 
     
-    _getTempFilePath() {
-        const tempDir = isWindows ? process.env.TEMP || 'C:\\Windows\\Temp' : os.tmpdir();
-        const fileName = `temp-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
-        return path.join(tempDir, fileName);
+    _generateVolumeName() {
+        return `${this.containerPrefix}ws-${crypto.randomBytes(8).toString('hex')}`;
+    }
+
+    _workspaceKey(userId, chatId) {
+        return `${userId}_${chatId}`;
     }
 
+    
     /**
      * Classify error types to determine if they should be retried
      */
     _classifyError(error) {
+        // Resource limits are hit again on every attempt
+        if (error.limit) {
+            return { shouldRetry: false, type: 'resource_limit', reason: error.limit.type };
+        }
+        
+        // A command that ran and failed would only run again, side effects included
+        if (error.exitCode !== undefined) {
+            return { shouldRetry: false, type: 'command_failed', reason: `exit_code_${error.exitCode}` };
+        }
+        
         const errorMessage = error.message.toLowerCase();
         
         // Non-retryable errors - these will never succeed on retry
@@ -61,6 +132,7 @@ class DockerManager {
             'cannot stat',
             'no such container',
             'invalid reference format',
+            'is not a regular file',
             'malformed'
         ];
         
@@ -99,9 +171,8 @@ class DockerManager {
      */
     async _fileExists(containerName, filePath) {
         try {
-            const normalizedPath = normalizePathForDocker(filePath);
-            await execAsync(`${dockerCMD} exec ${containerName} test -f "${normalizedPath}"`);
-            return true;
+            const { exitCode } = await this.engine.exec(containerName, ['test', '-f', normalizePathForDocker(filePath)]);
+            return exitCode === 0;
         } catch (error) {
             return false;
         }
@@ -112,9 +183,8 @@ class DockerManager {
      */
     async _directoryExists(containerName, dirPath) {
         try {
-            const normalizedPath = normalizePathForDocker(dirPath);
-            await execAsync(`${dockerCMD} exec ${containerName} test -d "${normalizedPath}"`);
-            return true;
+            const { exitCode } = await this.engine.exec(containerName, ['test', '-d', normalizePathForDocker(dirPath)]);
+            return exitCode === 0;
         } catch (error) {
             return false;
         }
@@ -125,9 +195,8 @@ class DockerManager {
      */
     async listFiles(containerName, dirPath = '/app') {
         try {
-            const normalizedPath = normalizePathForDocker(dirPath);
-            const { stdout } = await execAsync(`${dockerCMD} exec ${containerName} find "${normalizedPath}" -type f 2>/dev/null | head -20`);
-            return stdout.trim().split('\n').filter(line => line.length > 0);
+            const { stdout } = await this.engine.exec(containerName, ['find', normalizePathForDocker(dirPath), '-type', 'f']);
+            return stdout.trim().split('\n').filter(line => line.length > 0).slice(0, 20);
         } catch (error) {
             logger.warn('Failed to list files in container directory', { 
                 error: error.message, 
@@ -188,18 +257,7 @@ class DockerManager {
     
     async checkDockerAvailability() {
         try {
-            
-            if (isWindows) {
-                try {
-                    await execAsync('wsl --status');
-                } catch (error) {
-                    logger.error('WSL is not available', { error: error.message });
-                    return false;
-                }
-            }
-            
-            await execAsync(`${dockerCMD} ps`);
-            return true;
+            return await this.engine.ping();
         } catch (error) {
             logger.error('Docker is not available', { error: error.message });
             return false;
@@ -219,13 +277,19 @@ class DockerManager {
             }
             
             
-            const { stdout } = await execAsync(`${dockerCMD} images -q ${this.baseImage}`);
-            if (!stdout.trim()) {
+            if (!(await this.engine.imageExists(this.baseImage))) {
                 logger.info('Pulling Docker image', { image: this.baseImage });
-                await execAsync(`${dockerCMD} pull ${this.baseImage}`);
+                await this.engine.pullImage(this.baseImage);
             }
             
+            await this._removeStaleContainers();
+            
             this.initialized = true;
+            
+            this.reapTimer = setInterval(() => this.reapIdleContainers(), config.docker.reapInterval);
+            this.reapTimer.unref();
+            this._fillPool();
+            
             return true;
         } catch (error) {
             logger.error('Failed to initialize Docker', { error: error.message });
@@ -233,120 +297,609 @@ class DockerManager {
         }
     }
 
-    async createContainer(taskId) {
+    /**
+     * Remove containers a previous run of this host left behind, and the unused volumes of its warm containers.
+     * Workspace volumes are kept; the chats' next tasks start new containers on them.
+     */
+    async _removeStaleContainers() {
+        try {
+            const containers = await this.engine.listContainers([this.instanceLabel]);
+            if (containers.length === 0) {
+                return;
+            }
+            
+            const poolVolumes = containers
+                .filter(container => (container.Labels || {})['operon.pool'] === 'true')
+                .flatMap(container => (container.Mounts || []).filter(mount => mount.Type === 'volume').map(mount => mount.Name));
+            
+            for (const container of containers) {
+                await this.engine.removeContainer(container.Id);
+            }
+            for (const volumeName of poolVolumes) {
+                await this.engine.removeVolume(volumeName);
+            }
+            logger.info('Removed stale containers', { containers: containers.length, volumes: poolVolumes.length });
+        } catch (error) {
+            logger.warn('Failed to remove stale containers', { error: error.message });
+        }
+    }
+
+    async _isRunning(containerName) {
+        try {
+            const container = await this.engine.inspectContainer(containerName);
+            return !!(container && container.State && container.State.Running);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Get the resource profile of a payment plan; plans without one get the default profile
+     */
+    _getProfile(plan) {
+        const { resourceProfiles, defaultProfile } = config.docker;
+        const planProfile = resourceProfiles[plan];
+        return {
+            ...defaultProfile,
+            ...(planProfile || {}),
+            name: planProfile ? String(plan).replace(/[^A-Za-z0-9_.-]/g, '_') : 'default'
+        };
+    }
+
+    async _getUserProfile(userId) {
+        let plan = null;
+        try {
+            const user = await userFunctions.getUserById(userId);
+            plan = user && user.paymentPlan;
+        } catch (error) {
+            logger.warn('Failed to look up payment plan, using the free plan profile', { error: error.message, userId });
+        }
+        return this._getProfile(plan || 'free');
+    }
+
+    /**
+     * Build the container settings that apply a resource profile
+     * @returns {{hostConfig: Object, env: Array<string>}} HostConfig fields and environment variables
+     */
+    _containerLimits(profile, proxyUrl = null) {
+        const invalid = field => new Error(`Invalid ${field} in Docker resource profile "${profile.name}"`);
+        const hostConfig = {};
+        const env = [];
         
-        if (!this.initialized) {
-            await this.initialize();
+        if (profile.cpus) {
+            if (!(Number(profile.cpus) > 0)) throw invalid('cpus');
+            hostConfig.NanoCpus = Math.round(Number(profile.cpus) * 1e9);
+        }
+        if (profile.memory) {
+            const memory = parseSize(profile.memory);
+            if (!memory) throw invalid('memory');
+            // Swap counts towards the limit, so the limit cannot be exceeded by swapping
+            hostConfig.Memory = memory;
+            hostConfig.MemorySwap = memory;
+        }
+        if (profile.pids) {
+            if (!Number.isInteger(Number(profile.pids)) || Number(profile.pids) <= 0) throw invalid('pids');
+            hostConfig.PidsLimit = Number(profile.pids);
+        }
+        if (profile.disk) {
+            if (!parseSize(profile.disk)) throw invalid('disk');
+            if (config.docker.storageQuota) {
+                hostConfig.StorageOpt = { size: String(profile.disk) };
+            }
         }
         
+        const network = profile.network || 'bridge';
+        if (!NETWORK_MODES.includes(network)) throw invalid('network');
+        if (network === 'none') {
+            hostConfig.NetworkMode = 'none';
+        } else if (network === 'allowlist') {
+            hostConfig.NetworkMode = config.docker.egressNetwork;
+            ['HTTP_PROXY', 'HTTPS_PROXY', 'http_proxy', 'https_proxy'].forEach(name => env.push(`${name}=${proxyUrl}`));
+            env.push('NO_PROXY=localhost,127.0.0.1', 'no_proxy=localhost,127.0.0.1');
+        }
         
-        if (this.activeContainers.has(taskId)) {
-            try {
+        return { hostConfig, env };
+    }
+
+    /**
+     * Create the internal network of allowlist containers and start the egress proxy, once
+     */
+    _ensureEgress() {
+        if (!this.egress) {
+            this.egress = (async () => {
+                const network = config.docker.egressNetwork;
+                let inspected;
+                try {
+                    inspected = await this.engine.inspectNetwork(network);
+                } catch (error) {
+                    if (error.statusCode !== 404) {
+                        throw error;
+                    }
+                    // Internal networks have no route out; the proxy is the only way
+                    await this.engine.createNetwork({ Name: network, Internal: true });
+                    inspected = await this.engine.inspectNetwork(network);
+                    logger.info('Created egress network', { network });
+                }
                 
-                const containerName = this.activeContainers.get(taskId);
-                await execAsync(`${dockerCMD} inspect ${containerName} --format='{{.State.Running}}'`);
-                return containerName;
-            } catch (error) {
+                const host = config.docker.egressProxyHost ||
+                    ((inspected.IPAM && inspected.IPAM.Config) || []).map(ipam => ipam.Gateway).find(Boolean);
+                if (!host) {
+                    throw new Error(`Could not find the gateway of network ${network}; set DOCKER_EGRESS_PROXY_HOST`);
+                }
                 
-                this.activeContainers.delete(taskId);
+                await egressProxy.start(config.docker.egressProxyPort);
+                return { network, host, port: config.docker.egressProxyPort };
+            })().catch(error => {
+                this.egress = null;
+                throw error;
+            });
+        }
+        return this.egress;
+    }
+
+    /**
+     * Start a container with a volume mounted at the workspace path and the limits of a resource profile
+     */
+    async _runContainer(volumeName, owner, profile, isPool = false) {
+        const containerName = this._generateContainerName(owner);
+        
+        let egressToken = null;
+        let proxyUrl = null;
+        if (profile.network === 'allowlist') {
+            const egress = await this._ensureEgress();
+            egressToken = egressProxy.register(profile.allowedHosts || []);
+            proxyUrl = egressProxy.getProxyUrl(egressToken, egress.host, egress.port);
+        }
+        
+        let created = false;
+        try {
+            const { hostConfig, env } = this._containerLimits(profile, proxyUrl);
+            await this.engine.createContainer(containerName, {
+                Image: this.baseImage,
+                Cmd: ['sleep', 'infinity'],
+                Env: env,
+                Labels: { 'operon.instance': this.instanceId, 'operon.pool': String(isPool), 'operon.profile': profile.name },
+                HostConfig: { ...hostConfig, Binds: [`${volumeName}:${this.workspacePath}`] }
+            });
+            created = true;
+            await this.engine.startContainer(containerName);
+        } catch (error) {
+            if (egressToken) {
+                egressProxy.unregister(egressToken);
             }
+            if (created) {
+                await this.engine.removeContainer(containerName).catch(() => {});
+            }
+            throw error;
         }
         
-        return await this._retry(async () => {
-            
-            const containerName = this._generateContainerName(taskId);
-            
-            
-            await execAsync(`${dockerCMD} run -d --name ${containerName} ${this.baseImage} sleep infinity`);
-            
-            
-            this.activeContainers.set(taskId, containerName);
+        if (egressToken) {
+            this.egressTokens.set(containerName, egressToken);
+        }
+        return containerName;
+    }
+
+    /**
+     * Top the pool of warm containers up to its size in the background
+     */
+    _fillPool() {
+        if (this.fillingPool || this.pool.length >= this.poolSize) {
+            return this.fillingPool;
+        }
+        
+        this.fillingPool = (async () => {
+            try {
+                const profile = this._getProfile(config.docker.poolPlan);
+                while (this.pool.length < this.poolSize) {
+                    const volumeName = this._generateVolumeName();
+                    const containerName = await this._retry(() => this._runContainer(volumeName, 'pool', profile, true));
+                    this.pool.push({ containerName, volumeName, profile: profile.name });
+                }
+            } catch (error) {
+                logger.warn('Failed to start warm container', { error: error.message });
+            } finally {
+                this.fillingPool = null;
+            }
+        })();
+        return this.fillingPool;
+    }
+
+    /**
+     * Take a running container with the given resource profile from the pool, if there is one
+     */
+    async _takeFromPool(profileName) {
+        let index;
+        while ((index = this.pool.findIndex(warm => warm.profile === profileName)) >= 0) {
+            const [warm] = this.pool.splice(index, 1);
+            if (await this._isRunning(warm.containerName)) {
+                return warm;
+            }
+            await this._removeVolume(warm.volumeName, warm.containerName);
+        }
+        return null;
+    }
+
+    async _removeVolume(volumeName, containerName = null) {
+        try {
+            if (containerName) {
+                await this.removeContainer(containerName);
+            }
+            await this.engine.removeVolume(volumeName);
+        } catch (error) {
+            logger.warn('Failed to remove volume', { error: error.message, volumeName });
+        }
+    }
+
+    /**
+     * Get the container of a chat's workspace, starting one if needed.
+     * New workspaces take a warm container from the pool; existing ones mount their volume again.
+     * @param {string} userId - The user ID.
+     * @param {number} chatId - The chat ID.
+     * @returns {Promise<string>} Container name.
+     */
+    async acquireContainer(userId, chatId = 1) {
+        if (!this.initialized) {
+            await this.initialize();
+        }
+        
+        const key = this._workspaceKey(userId, chatId);
+        if (!this.acquiring.has(key)) {
+            this.acquiring.set(key, this._acquire(userId, chatId, key).finally(() => this.acquiring.delete(key)));
+        }
+        return await this.acquiring.get(key);
+    }
+
+    async _acquire(userId, chatId, key) {
+        const workspace = this.workspaces.get(key);
+        if (workspace) {
+            if (await this._isRunning(workspace.containerName)) {
+                workspace.lastUsed = Date.now();
+                return workspace.containerName;
+            }
+            this.workspaces.delete(key);
+            await this.removeContainer(workspace.containerName);
+        }
+        
+        let containerName;
+        let volumeName;
+        let warm = null;
+        const profile = await this._getUserProfile(userId);
+        const stored = await workspaceFunctions.getWorkspace(userId, chatId);
+        if (stored) {
+            volumeName = stored.volumeName;
+            containerName = await this._retry(() => this._runContainer(volumeName, userId, profile));
+        } else {
+            warm = await this._takeFromPool(profile.name);
+            volumeName = warm ? warm.volumeName : this._generateVolumeName();
+            containerName = warm ? warm.containerName : await this._retry(() => this._runContainer(volumeName, userId, profile));
+            await workspaceFunctions.saveWorkspace(userId, chatId, volumeName);
+        }
+        
+        this.workspaces.set(key, { userId, chatId, containerName, volumeName, profile, lastUsed: Date.now(), activeOperations: 0 });
+        logger.debug('Workspace container ready', { userId, chatId, containerName, volumeName, profile: profile.name, fromPool: !!warm });
+        this._fillPool();
+        
+        return containerName;
+    }
+
+    /**
+     * Count an operation as activity in the workspace of a container, so it is not reaped meanwhile
+     */
+    async _track(containerName, operation) {
+        let workspace = null;
+        for (const candidate of this.workspaces.values()) {
+            if (candidate.containerName === containerName) {
+                workspace = candidate;
+                break;
+            }
+        }
+        
+        if (workspace) {
+            workspace.activeOperations++;
+        }
+        try {
+            return await operation(workspace);
+        } finally {
+            if (workspace) {
+                workspace.activeOperations--;
+                workspace.lastUsed = Date.now();
+            }
+        }
+    }
+
+    /**
+     * Remove workspace containers that have been idle for the idle timeout; their volumes stay
+     * @returns {Promise<number>} Number of containers removed.
+     */
+    async reapIdleContainers() {
+        const cutoff = Date.now() - this.idleTimeout;
+        let reaped = 0;
+        
+        for (const [key, workspace] of this.workspaces.entries()) {
+            if (workspace.activeOperations > 0 || workspace.lastUsed > cutoff || this.acquiring.has(key)) {
+                continue;
+            }
             
-            return containerName;
-        });
+            this.workspaces.delete(key);
+            if (await this.removeContainer(workspace.containerName)) {
+                reaped++;
+                logger.debug('Removed idle workspace container', { userId: workspace.userId, chatId: workspace.chatId, containerName: workspace.containerName });
+            }
+        }
+        
+        this._fillPool();
+        return reaped;
+    }
+
+    /**
+     * Delete a chat's workspace: its container, volume and files
+     * @param {string} userId - The user ID.
+     * @param {number} chatId - The chat ID.
+     */
+    async removeWorkspace(userId, chatId) {
+        const workspace = this.workspaces.get(this._workspaceKey(userId, chatId));
+        if (workspace) {
+            await this.removeContainer(workspace.containerName);
+        }
+        
+        const stored = await workspaceFunctions.getWorkspace(userId, chatId);
+        if (stored) {
+            await this._removeVolume(stored.volumeName);
+            await workspaceFunctions.deleteWorkspace(userId, chatId);
+        }
+    }
+
+    /**
+     * Whether an error means the container itself is gone or stopped, rather than a command or file failing
+     * @param {Error} error - Error from executeCommand, readFile or writeFile.
+     * @returns {boolean}
+     */
+    isContainerUnavailable(error) {
+        return error.statusCode === 404 && /no such container/i.test(error.message) ||
+            error.statusCode === 409 && /is not running/i.test(error.message);
     }
 
     async removeContainer(containerName) {
         try {
-            await execAsync(`${dockerCMD} rm -f ${containerName}`);
-            
-            
-            for (const [taskId, name] of this.activeContainers.entries()) {
-                if (name === containerName) {
-                    this.activeContainers.delete(taskId);
-                    break;
-                }
+            await this.engine.removeContainer(containerName);
+        } catch (error) {
+            // Already gone counts as removed
+            if (error.statusCode !== 404) {
+                logger.error('Failed to remove container', { error: error.message, containerName });
+                return false;
             }
-            
-            return true;
+        }
+        
+        if (this.egressTokens.has(containerName)) {
+            egressProxy.unregister(this.egressTokens.get(containerName));
+            this.egressTokens.delete(containerName);
+        }
+        this.oomKills.delete(containerName);
+        
+        for (const [key, workspace] of this.workspaces.entries()) {
+            if (workspace.containerName === containerName) {
+                this.workspaces.delete(key);
+                break;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Create the error of a command that hit a resource limit
+     */
+    _limitError(type, message, details = {}, output = {}) {
+        const error = new Error(message);
+        error.limit = { type, ...details };
+        error.stdout = output.stdout || '';
+        error.stderr = output.stderr || '';
+        return error;
+    }
+
+    /**
+     * Count the OOM kills in a container's memory cgroup; returns whether there were new ones
+     */
+    async _wasOomKilled(containerName) {
+        try {
+            const { stdout } = await this.engine.exec(containerName, ['sh', '-c', 'cat /sys/fs/cgroup/memory.events 2>/dev/null || cat /sys/fs/cgroup/memory/memory.oom_control']);
+            const match = /oom_kill (\d+)/.exec(stdout);
+            const kills = match ? parseInt(match[1], 10) : 0;
+            const previous = this.oomKills.get(containerName) || 0;
+            this.oomKills.set(containerName, kills);
+            return kills > previous;
         } catch (error) {
-            logger.error('Failed to remove container', { error: error.message, containerName });
             return false;
         }
     }
 
-    async executeCommand(containerName, command) {
-        return await this._retry(async () => {
-            
-            const encodedCommand = Buffer.from(command).toString('base64');
-            
-            
-            
-            const commandToExecuteInsideShell = `echo '${encodedCommand}' | base64 -d | sh`;
+    async _diskUsage(containerName) {
+        try {
+            const { stdout, exitCode } = await this.engine.exec(containerName, ['du', '-sk', this.workspacePath]);
+            if (exitCode !== 0) {
+                return null;
+            }
+            const kilobytes = parseInt(stdout, 10);
+            return Number.isNaN(kilobytes) ? null : kilobytes * 1024;
+        } catch (error) {
+            return null;
+        }
+    }
 
-            
-            
-            const escapedInnerCommand = commandToExecuteInsideShell.replace(/\"/g, '\\\\"');
+    /**
+     * Check a workspace against its disk quota. Only growth is reported, so files can still be deleted
+     * from a workspace over its quota.
+     * @returns {Promise<Error|null>} A limit error, or null if within the quota.
+     */
+    async _checkDisk(containerName, workspace, extraBytes = 0, output = {}) {
+        const quota = workspace && workspace.profile ? parseSize(workspace.profile.disk) : null;
+        if (!quota) {
+            return null;
+        }
+        
+        const usage = await this._diskUsage(containerName);
+        if (usage === null) {
+            return null;
+        }
+        const previous = workspace.diskUsage || 0;
+        workspace.diskUsage = usage;
+        
+        const needed = usage + extraBytes;
+        if (needed <= quota || (extraBytes === 0 && usage <= previous)) {
+            return null;
+        }
+        const megabytes = Math.ceil(needed / (1024 * 1024));
+        return this._limitError('disk', `The workspace needs ${megabytes} MB, more than its disk quota of ${workspace.profile.disk}; delete files that are no longer needed`, { limit: workspace.profile.disk, usage: needed }, output);
+    }
 
-            
-            const fullCommand = `${dockerCMD} exec ${containerName} sh -c "${escapedInnerCommand}"`;
+    /**
+     * Work out whether a failed command hit a resource limit
+     * @returns {Promise<Error|null>} A limit error, or null if the command failed for another reason.
+     */
+    async _detectLimit(containerName, workspace, error, startedAt) {
+        const output = { stdout: error.stdout, stderr: error.stderr };
+        const stderr = String(error.stderr || '');
+        
+        // timeout exits with 124, or 137 if the command ignored SIGTERM; timedOut means the client gave up first
+        if (error.code === 124 || error.timedOut || (error.code === 137 && Date.now() - startedAt >= this.timeout)) {
+            const seconds = Math.ceil(this.timeout / 1000);
+            return this._limitError('timeout', `The command was stopped after the time limit of ${seconds} seconds`, { limit: seconds }, output);
+        }
+        
+        const profile = workspace && workspace.profile;
+        if (!profile) {
+            return null;
+        }
+        if (error.code === 137 && profile.memory && await this._wasOomKilled(containerName)) {
+            return this._limitError('memory', `The command ran out of memory and was killed (limit ${profile.memory})`, { limit: profile.memory }, output);
+        }
+        if (profile.pids && PROCESS_LIMIT_PATTERN.test(stderr)) {
+            return this._limitError('pids', `The command could not start more processes (limit ${profile.pids})`, { limit: Number(profile.pids) }, output);
+        }
+        if (profile.disk && DISK_FULL_PATTERN.test(stderr)) {
+            return this._limitError('disk', `The command ran out of disk space (quota ${profile.disk}); delete files that are no longer needed`, { limit: profile.disk }, output);
+        }
+        if (profile.network === 'none' && NO_NETWORK_PATTERN.test(stderr)) {
+            return this._limitError('network', 'Network access is disabled for this task', { mode: 'none' }, output);
+        }
+        if (profile.network === 'allowlist' && this.egressTokens.has(containerName)) {
+            const blockedHosts = egressProxy.takeDenied(this.egressTokens.get(containerName));
+            if (blockedHosts.length > 0) {
+                return this._limitError('network', `Network access to ${blockedHosts.join(', ')} is blocked; allowed hosts: ${(profile.allowedHosts || []).join(', ') || 'none'}`, { mode: 'allowlist', blockedHosts, allowedHosts: profile.allowedHosts || [] }, output);
+            }
+        }
+        
+        return this._checkDisk(containerName, workspace, 0, output);
+    }
+
+    /**
+     * Turn a resource limit error into a step result
+     * @param {Error} error - Error with a `limit` field, from executeCommand or writeFile.
+     * @returns {Object} { error, success: false, limitExceeded, output }
+     */
+    toLimitResult(error) {
+        const output = [error.stdout, error.stderr ? `STDERR: ${error.stderr}` : ''].filter(Boolean).join('\n');
+        return {
+            error: error.message,
+            success: false,
+            limitExceeded: error.limit,
+            output: output.slice(-2000)
+        };
+    }
+
+    /**
+     * Run a shell command in a container. Only reaching the Docker Engine is retried; a command
+     * that ran is never run again.
+     * @param {string} containerName - Container name.
+     * @param {string} command - Shell command.
+     * @param {Object} options - { onOutput }, called with (text, "stdout" | "stderr") as output arrives.
+     * @returns {Promise<Object>} { stdout, stderr, exitCode }; a non-zero exit code rejects with exitCode, stdout and stderr set.
+     */
+    async executeCommand(containerName, command, options = {}) {
+        return await this._track(containerName, async workspace => {
             logger.debug('Executing Docker command', { containerName, command: command.substring(0, 100) + '...' }); 
             
+            // The time limit is enforced inside the container, so a stopped command does not keep running there
+            const seconds = Math.ceil(this.timeout / 1000);
+            let startedAt = Date.now();
+            const result = await this._retry(() => {
+                if (this.egressTokens.has(containerName)) {
+                    egressProxy.takeDenied(this.egressTokens.get(containerName));
+                }
+                startedAt = Date.now();
+                return this.engine.exec(containerName, ['timeout', '-k', '5', String(seconds), 'sh', '-c', command], {
+                    timeout: this.timeout + 15000,
+                    onOutput: options.onOutput
+                });
+            });
+            
+            const { stdout, stderr, exitCode } = result;
+            if (result.timedOut || exitCode !== 0) {
+                const error = new Error(result.timedOut ?
+                    'Command timed out' :
+                    `Command failed with exit code ${exitCode}${stderr.trim() ? `: ${stderr.trim()}` : ''}`);
+                error.code = exitCode;
+                error.exitCode = exitCode;
+                error.timedOut = result.timedOut;
+                error.stdout = stdout;
+                error.stderr = stderr;
+                throw (await this._detectLimit(containerName, workspace, error, startedAt)) || error;
+            }
             
-            const { stdout, stderr } = await execAsync(fullCommand);
-            return { stdout, stderr };
+            const diskError = await this._checkDisk(containerName, workspace, 0, { stdout, stderr });
+            if (diskError) {
+                throw diskError;
+            }
+            return { stdout, stderr, exitCode };
         });
     }
 
     async writeFile(containerName, filePath, content) {
-        return await this._retry(async () => {
+        return await this._track(containerName, workspace => this._retry(async () => {
             
             const normalizedPath = normalizePathForDocker(filePath);
             
+            const diskError = await this._checkDisk(containerName, workspace, Buffer.byteLength(content));
+            if (diskError) {
+                throw diskError;
+            }
             
-            const dirPath = path.dirname(normalizedPath);
-            await execAsync(`${dockerCMD} exec ${containerName} mkdir -p ${dirPath}`);
-            
-            
-            const tempFile = this._getTempFilePath();
-            fs.writeFileSync(tempFile, content);
             
-            try {
-                
-                const sourcePath = isWindows ? 
-                    tempFile.replace(/\\/g, '/').replace(/^([A-Za-z]):/, '/mnt/$1').toLowerCase() : 
-                    tempFile;
-                
-                
-                const copyCmd = isWindows ? 
-                    `wsl docker cp "${sourcePath}" ${containerName}:${normalizedPath}` : 
-                    `${dockerCMD} cp "${tempFile}" ${containerName}:${normalizedPath}`;
-                
-                await execAsync(copyCmd);
-                return true;
-            } finally {
-                
-                try {
-                    fs.unlinkSync(tempFile);
-                } catch (e) {
-                    logger.warn('Failed to clean up temp file', { error: e.message, tempFile });
-                }
+            const targetPath = path.posix.resolve('/', normalizedPath);
+            const dirPath = path.posix.dirname(targetPath);
+            const mkdir = await this.engine.exec(containerName, ['mkdir', '-p', dirPath]);
+            if (mkdir.exitCode !== 0) {
+                const error = new Error(`Could not create directory ${dirPath} in container ${containerName}: ${mkdir.stderr.trim()}`);
+                error.exitCode = mkdir.exitCode;
+                throw error;
             }
-        });
+            
+            const archive = tar.pack([{ name: path.posix.basename(targetPath), content: Buffer.isBuffer(content) ? content : Buffer.from(String(content)) }]);
+            await this.engine.putArchive(containerName, dirPath, archive);
+            return true;
+        }));
     }
 
-    async readFile(containerName, filePath) {
-        return await this._retry(async () => {
+    /**
+     * Copy a file out of a container
+     * @returns {Promise<Buffer>} The file's content
+     */
+    async _copyFromContainer(containerName, filePath) {
+        const archive = await this.engine.getArchive(containerName, filePath);
+        const file = tar.unpack(archive).find(entry => entry.type === 'file');
+        if (!file) {
+            throw new Error(`${filePath} in container ${containerName} is not a regular file`);
+        }
+        return file.content;
+    }
+
+    /**
+     * Read a file from a container
+     * @param {string} encoding - How to decode the content; "base64" keeps binary files intact
+     * @returns {Promise<string>} The file's content
+     */
+    async readFile(containerName, filePath, encoding = 'utf8') {
+        return await this._track(containerName, () => this._retry(async () => {
             
             const normalizedPath = normalizePathForDocker(filePath);
             
@@ -374,32 +927,9 @@ class DockerManager {
             }
             
             
-            const tempFile = this._getTempFilePath();
-            
-            try {
-                
-                const destPath = isWindows ? 
-                    tempFile.replace(/\\/g, '/').replace(/^([A-Za-z]):/, '/mnt/$1').toLowerCase() : 
-                    tempFile;
-                
-                
-                const copyCmd = isWindows ? 
-                    `wsl docker cp ${containerName}:${normalizedPath} "${destPath}"` : 
-                    `${dockerCMD} cp ${containerName}:${normalizedPath} "${tempFile}"`;
-                
-                await execAsync(copyCmd);
-                
-                
-                return fs.readFileSync(tempFile, 'utf8');
-            } finally {
-                
-                try {
-                    fs.existsSync(tempFile) && fs.unlinkSync(tempFile);
-                } catch (e) {
-                    logger.warn('Failed to clean up temp file', { error: e.message, tempFile });
-                }
-            }
-        });
+            const content = await this._copyFromContainer(containerName, normalizedPath);
+            return content.toString(encoding);
+        }));
     }
 
     async executePython(containerName, scriptPath, args = []) {
@@ -418,7 +948,7 @@ class DockerManager {
     }
 
     async downloadFile(containerName, containerPath, localPath) {
-        return await this._retry(async () => {
+        return await this._track(containerName, () => this._retry(async () => {
             
             const normalizedContainerPath = normalizePathForDocker(containerPath);
             
@@ -452,34 +982,38 @@ class DockerManager {
             }
             
             
-            const destPath = isWindows ? 
-                localPath.replace(/\\/g, '/').replace(/^([A-Za-z]):/, '/mnt/$1').toLowerCase() : 
-                localPath;
-            
-            
-            const copyCmd = isWindows ? 
-                `wsl docker cp ${containerName}:${normalizedContainerPath} "${destPath}"` : 
-                `${dockerCMD} cp ${containerName}:${normalizedContainerPath} "${localPath}"`;
-            
-            await execAsync(copyCmd);
+            const content = await this._copyFromContainer(containerName, normalizedContainerPath);
+            fs.writeFileSync(localPath, content);
             return { success: true, path: localPath };
-        });
+        }));
     }
 
     
+    /**
+     * Remove all containers of this process, e.g. on shutdown. Workspace volumes are kept;
+     * the unused volumes of warm containers are removed with them.
+     */
     async cleanupAllContainers() {
         const errors = [];
         
-        for (const [taskId, containerName] of this.activeContainers.entries()) {
-            try {
-                await this.removeContainer(containerName);
-                logger.debug('Cleaned up container for task', { taskId, containerName });
-            } catch (error) {
-                errors.push(`Failed to clean up container ${containerName}: ${error.message}`);
+        if (this.reapTimer) {
+            clearInterval(this.reapTimer);
+            this.reapTimer = null;
+        }
+        
+        for (const workspace of [...this.workspaces.values()]) {
+            if (await this.removeContainer(workspace.containerName)) {
+                logger.debug('Cleaned up workspace container', { userId: workspace.userId, chatId: workspace.chatId, containerName: workspace.containerName });
+            } else {
+                errors.push(`Failed to clean up container ${workspace.containerName}`);
             }
         }
+        this.workspaces.clear();
         
-        this.activeContainers.clear();
+        const pool = this.pool.splice(0);
+        for (const warm of pool) {
+            await this._removeVolume(warm.volumeName, warm.containerName);
+        }
         
         if (errors.length > 0) {
             logger.error('Errors during cleanup', { errors });
@@ -0,0 +1,276 @@
+const http = require('http');
+
+// Docker 20.10 and later
+const API_VERSION = 'v1.41';
+
+// Output kept per exec stream; the rest is dropped
+const MAX_OUTPUT = 10 * 1024 * 1024;
+
+/**
+ * Client for the Docker Engine HTTP API, over the daemon's unix socket (or
+ * named pipe on Windows) or a tcp:// DOCKER_HOST.
+ * Failed requests reject with the daemon's message and a statusCode field.
+ */
+class DockerEngine {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+
+        const host = options.host || '';
+        if (/^tcp:\/\//.test(host)) {
+            const url = new URL(host.replace(/^tcp:/, 'http:'));
+            this.target = { host: url.hostname, port: url.port || 2375 };
+        } else {
+            this.target = { socketPath: host.replace(/^(unix|npipe):\/\//, '') || options.socketPath };
+        }
+    }
+
+    _error(statusCode, body) {
+        let message = body.toString('utf8').trim();
+        try {
+            message = JSON.parse(message).message || message;
+        } catch (error) {
+            // Plain text body
+        }
+        const error = new Error(message || `Docker Engine request failed with HTTP ${statusCode}`);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    /**
+     * Send a request to the Engine API
+     * @param {string} method - HTTP method
+     * @param {string} path - API path without the version, e.g. "/containers/json"
+     * @param {Object} options - { query, body, stream, timeout }; body is JSON, or a Buffer sent as a tar archive
+     * @returns {Promise<Object>} { statusCode, body } or, with stream, the response
+     */
+    _request(method, path, { query, body, stream = false, timeout } = {}) {
+        return new Promise((resolve, reject) => {
+            const params = new URLSearchParams();
+            Object.entries(query || {}).forEach(([key, value]) => {
+                if (value !== undefined && value !== null) {
+                    params.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+                }
+            });
+            const search = params.toString() ? `?${params}` : '';
+
+            const headers = {};
+            let payload = null;
+            if (Buffer.isBuffer(body)) {
+                payload = body;
+                headers['Content-Type'] = 'application/x-tar';
+            } else if (body !== undefined) {
+                payload = Buffer.from(JSON.stringify(body));
+                headers['Content-Type'] = 'application/json';
+            }
+            if (payload) {
+                headers['Content-Length'] = payload.length;
+            }
+
+            const req = http.request({ ...this.target, method, path: `/${API_VERSION}${path}${search}`, headers }, res => {
+                if (stream && res.statusCode < 400) {
+                    resolve(res);
+                    return;
+                }
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    const responseBody = Buffer.concat(chunks);
+                    if (res.statusCode >= 400) {
+                        reject(this._error(res.statusCode, responseBody));
+                    } else {
+                        resolve({ statusCode: res.statusCode, body: responseBody });
+                    }
+                });
+            });
+            req.on('error', reject);
+            if (timeout) {
+                req.setTimeout(timeout, () => req.destroy(new Error('Docker Engine request timed out')));
+            }
+            req.end(payload);
+        });
+    }
+
+    async _json(method, path, options) {
+        const { body } = await this._request(method, path, options);
+        return body.length > 0 ? JSON.parse(body.toString('utf8')) : null;
+    }
+
+    async ping() {
+        const { body } = await this._request('GET', '/_ping', { timeout: 10000 });
+        return body.toString('utf8') === 'OK';
+    }
+
+    async imageExists(image) {
+        try {
+            await this._request('GET', `/images/${image}/json`);
+            return true;
+        } catch (error) {
+            if (error.statusCode === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Pull an image, waiting until the pull has finished
+     */
+    async pullImage(image) {
+        const res = await this._request('POST', '/images/create', { query: { fromImage: image }, stream: true });
+        await new Promise((resolve, reject) => {
+            let buffered = '';
+            let failure = null;
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffered += chunk;
+                const lines = buffered.split('\n');
+                buffered = lines.pop();
+                lines.filter(line => line.trim()).forEach(line => {
+                    try {
+                        const progress = JSON.parse(line);
+                        failure = progress.error ? new Error(progress.error) : failure;
+                    } catch (error) {
+                        // Progress lines are informational
+                    }
+                });
+            });
+            res.on('error', reject);
+            res.on('end', () => (failure ? reject(failure) : resolve()));
+        });
+    }
+
+    /**
+     * List containers, including stopped ones
+     * @param {Array<string>} labels - Label filters, e.g. ["operon.pool=true"]
+     * @returns {Promise<Array>} Containers as returned by the API
+     */
+    async listContainers(labels = []) {
+        return await this._json('GET', '/containers/json', { query: { all: 1, filters: { label: labels } } });
+    }
+
+    /**
+     * Create a container
+     * @param {string} name - Container name
+     * @param {Object} spec - Container configuration as in the API, e.g. { Image, Cmd, Env, Labels, HostConfig }
+     * @returns {Promise<string>} Container ID
+     */
+    async createContainer(name, spec) {
+        const created = await this._json('POST', '/containers/create', { query: { name }, body: spec });
+        return created.Id;
+    }
+
+    async startContainer(container) {
+        await this._request('POST', `/containers/${container}/start`);
+    }
+
+    async inspectContainer(container) {
+        return await this._json('GET', `/containers/${container}/json`);
+    }
+
+    async removeContainer(container) {
+        await this._request('DELETE', `/containers/${container}`, { query: { force: 1 } });
+    }
+
+    async removeVolume(volume) {
+        await this._request('DELETE', `/volumes/${volume}`, { query: { force: 1 } });
+    }
+
+    async inspectNetwork(network) {
+        return await this._json('GET', `/networks/${network}`);
+    }
+
+    async createNetwork(spec) {
+        return await this._json('POST', '/networks/create', { body: spec });
+    }
+
+    /**
+     * Run a command in a container
+     * @param {string} container - Container name or ID
+     * @param {Array<string>} cmd - Command and arguments, run without a shell
+     * @param {Object} options - { env, timeout, onOutput }
+     * @param {Function} options.onOutput - Called with (text, "stdout" | "stderr") as output arrives
+     * @returns {Promise<Object>} { exitCode, stdout, stderr, timedOut }; exitCode is null when timed out
+     */
+    async exec(container, cmd, { env, timeout, onOutput } = {}) {
+        const created = await this._json('POST', `/containers/${container}/exec`, {
+            body: { AttachStdout: true, AttachStderr: true, Cmd: cmd, Env: env }
+        });
+        const res = await this._request('POST', `/exec/${created.Id}/start`, { body: { Detach: false, Tty: false }, stream: true });
+
+        const output = { stdout: [], stderr: [] };
+        const sizes = { stdout: 0, stderr: 0 };
+        const timedOut = await new Promise((resolve, reject) => {
+            let pending = Buffer.alloc(0);
+            let timer = null;
+            if (timeout) {
+                timer = setTimeout(() => {
+                    res.destroy();
+                    resolve(true);
+                }, timeout);
+            }
+
+            // Output is multiplexed in frames: stream type, three zero bytes, payload size, payload
+            res.on('data', chunk => {
+                pending = Buffer.concat([pending, chunk]);
+                while (pending.length >= 8) {
+                    const size = pending.readUInt32BE(4);
+                    if (pending.length < 8 + size) {
+                        break;
+                    }
+                    const stream = pending[0] === 2 ? 'stderr' : 'stdout';
+                    const payload = pending.subarray(8, 8 + size);
+                    pending = pending.subarray(8 + size);
+
+                    if (sizes[stream] < MAX_OUTPUT) {
+                        const kept = payload.subarray(0, MAX_OUTPUT - sizes[stream]);
+                        output[stream].push(kept);
+                        sizes[stream] += kept.length;
+                    }
+                    if (onOutput) {
+                        onOutput(payload.toString('utf8'), stream);
+                    }
+                }
+            });
+            res.on('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            res.on('end', () => {
+                clearTimeout(timer);
+                resolve(false);
+            });
+        });
+
+        const result = {
+            exitCode: null,
+            stdout: Buffer.concat(output.stdout).toString('utf8'),
+            stderr: Buffer.concat(output.stderr).toString('utf8'),
+            timedOut
+        };
+        if (!timedOut) {
+            const inspected = await this._json('GET', `/exec/${created.Id}/json`);
+            result.exitCode = inspected.ExitCode;
+        }
+        return result;
+    }
+
+    /**
+     * Extract a tar archive into a directory of a container; the directory must exist
+     */
+    async putArchive(container, directory, archive) {
+        await this._request('PUT', `/containers/${container}/archive`, { query: { path: directory }, body: archive });
+    }
+
+    /**
+     * Get a file or directory of a container as a tar archive
+     * @returns {Promise<Buffer>} The archive
+     */
+    async getArchive(container, filePath) {
+        const { body } = await this._request('GET', `/containers/${container}/archive`, { query: { path: filePath } });
+        return body;
+    }
+}
+
+module.exports = DockerEngine;
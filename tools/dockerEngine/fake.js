@@ -0,0 +1,351 @@
+const fs = require('fs');
+const path = require('path').posix;
+const crypto = require('crypto');
+const tar = require('../../utils/tar');
+
+/**
+ * In-memory stand-in for the Docker Engine, for tests and development without Docker.
+ * Containers, named volumes and their files are kept in memory, so files written
+ * through DockerManager can be read back, listed and removed. Commands are not
+ * run: a few file commands (test, mkdir, rm, cat, find, du) act on the fake
+ * filesystem, registered fixtures answer the rest, and anything unmatched
+ * succeeds without output.
+ *
+ * Fixture file (DOCKER_FAKE_FIXTURES) format:
+ *   [{ "match": "substring" | "/regex/i", "stdout": "...", "stderr": "...", "exitCode": 0 }]
+ */
+class FakeEngine {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = options;
+        this.reset();
+
+        if (options.fixturesPath) {
+            this.loadFixtures(options.fixturesPath);
+        }
+    }
+
+    /**
+     * Drop all containers, volumes, fixtures and recorded calls
+     */
+    reset() {
+        this.images = new Set();
+        // Container name -> { id, name, spec, running, files }
+        this.containers = new Map();
+        // Volume name -> Map of path inside the volume -> Buffer, or null for directories
+        this.volumes = new Map();
+        this.networks = new Map();
+        this.fixtures = [];
+        this.calls = [];
+    }
+
+    /**
+     * Load fixtures from a JSON file
+     */
+    loadFixtures(filePath) {
+        const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!Array.isArray(fixtures)) {
+            throw new Error('Fake Docker fixtures must be a JSON array');
+        }
+        fixtures.forEach(({ match, ...result }) => this.registerExec(match, result));
+    }
+
+    /**
+     * Register the result of commands whose text matches
+     * @param {string|RegExp} match - Substring, RegExp, or "/pattern/flags" string
+     * @param {Object|Function} result - { stdout, stderr, exitCode }, or a function of (command, container) returning one
+     */
+    registerExec(match, result) {
+        let matcher = match;
+        if (typeof match === 'string') {
+            const regexString = match.match(/^\/(.*)\/([a-z]*)$/s);
+            matcher = regexString ? new RegExp(regexString[1], regexString[2]) : match;
+        }
+        this.fixtures.push({ matcher, result });
+    }
+
+    /**
+     * Get the commands run so far: [{ container, cmd, command }]
+     */
+    getCalls() {
+        return this.calls;
+    }
+
+    _notFound(message) {
+        const error = new Error(message);
+        error.statusCode = 404;
+        return error;
+    }
+
+    _container(container) {
+        const found = this.containers.get(container) || [...this.containers.values()].find(candidate => candidate.id === container);
+        if (!found) {
+            throw this._notFound(`No such container: ${container}`);
+        }
+        return found;
+    }
+
+    /**
+     * Find where a path of a container is stored: in a mounted volume or the container's own files
+     */
+    _locate(container, filePath) {
+        const normalized = path.normalize(filePath).replace(/\/$/, '') || '/';
+        for (const bind of container.spec.HostConfig?.Binds || []) {
+            const [volume, target] = bind.split(':');
+            if (normalized === target || normalized.startsWith(`${target}/`)) {
+                return { files: this.volumes.get(volume), key: normalized.slice(target.length) || '/', root: target };
+            }
+        }
+        return { files: container.files, key: normalized, root: '' };
+    }
+
+    /**
+     * List the paths of a container under a directory, with their contents
+     */
+    _entries(container, directory) {
+        const { files, key, root } = this._locate(container, directory);
+        const prefix = key === '/' ? '/' : `${key}/`;
+        return [...files.entries()]
+            .filter(([filePath]) => filePath.startsWith(prefix))
+            .map(([filePath, content]) => [`${root}${filePath}`, content]);
+    }
+
+    _writeFile(container, filePath, content) {
+        const { files, key } = this._locate(container, filePath);
+        let parent = path.dirname(key);
+        while (parent !== '/' && !files.has(parent)) {
+            files.set(parent, null);
+            parent = path.dirname(parent);
+        }
+        files.set(key, content);
+    }
+
+    async ping() {
+        return true;
+    }
+
+    async imageExists(image) {
+        return this.images.has(image);
+    }
+
+    async pullImage(image) {
+        this.images.add(image);
+    }
+
+    async listContainers(labels = []) {
+        return [...this.containers.values()]
+            .filter(container => labels.every(label => {
+                const [key, value] = label.split('=');
+                const labelValue = (container.spec.Labels || {})[key];
+                return value === undefined ? labelValue !== undefined : labelValue === value;
+            }))
+            .map(container => ({
+                Id: container.id,
+                Names: [`/${container.name}`],
+                Labels: container.spec.Labels || {},
+                State: container.running ? 'running' : 'created',
+                Mounts: (container.spec.HostConfig?.Binds || []).map(bind => ({ Type: 'volume', Name: bind.split(':')[0], Destination: bind.split(':')[1] }))
+            }));
+    }
+
+    async createContainer(name, spec) {
+        if (this.containers.has(name)) {
+            const error = new Error(`Conflict. The container name "/${name}" is already in use`);
+            error.statusCode = 409;
+            throw error;
+        }
+        if (!this.images.has(spec.Image)) {
+            throw this._notFound(`No such image: ${spec.Image}`);
+        }
+        (spec.HostConfig?.Binds || []).forEach(bind => {
+            const volume = bind.split(':')[0];
+            if (!this.volumes.has(volume)) {
+                this.volumes.set(volume, new Map());
+            }
+        });
+
+        const id = crypto.randomBytes(32).toString('hex');
+        this.containers.set(name, { id, name, spec, running: false, files: new Map() });
+        return id;
+    }
+
+    async startContainer(container) {
+        this._container(container).running = true;
+    }
+
+    async inspectContainer(container) {
+        const found = this._container(container);
+        const [listed] = (await this.listContainers()).filter(candidate => candidate.Id === found.id);
+        return {
+            Id: found.id,
+            Name: `/${found.name}`,
+            State: { Running: found.running, OOMKilled: false },
+            Config: { Image: found.spec.Image, Env: found.spec.Env || [], Labels: found.spec.Labels || {} },
+            HostConfig: found.spec.HostConfig || {},
+            Mounts: listed.Mounts
+        };
+    }
+
+    async removeContainer(container) {
+        this.containers.delete(this._container(container).name);
+    }
+
+    async removeVolume(volume) {
+        if (!this.volumes.has(volume)) {
+            throw this._notFound(`get ${volume}: no such volume`);
+        }
+        this.volumes.delete(volume);
+    }
+
+    async inspectNetwork(network) {
+        if (!this.networks.has(network)) {
+            throw this._notFound(`network ${network} not found`);
+        }
+        return this.networks.get(network);
+    }
+
+    async createNetwork(spec) {
+        const network = { Id: crypto.randomBytes(32).toString('hex'), Name: spec.Name, Internal: !!spec.Internal, IPAM: { Config: [{ Subnet: '172.30.0.0/16', Gateway: '172.30.0.1' }] } };
+        this.networks.set(spec.Name, network);
+        return { Id: network.Id };
+    }
+
+    /**
+     * Run one of the file commands the fake understands
+     * @returns {Object|null} { stdout, stderr, exitCode }, or null if the command is not one of them
+     */
+    _runBuiltin(container, args) {
+        const [program, ...rest] = args;
+        const flags = rest.filter(arg => arg.startsWith('-'));
+        const operands = rest.filter(arg => !arg.startsWith('-'));
+        const ok = (stdout = '') => ({ stdout, stderr: '', exitCode: 0 });
+        const fail = stderr => ({ stdout: '', stderr, exitCode: 1 });
+        const lookup = filePath => {
+            const { files, key } = this._locate(container, filePath);
+            return key === '/' ? null : files.get(key);
+        };
+        const exists = filePath => {
+            const { files, key } = this._locate(container, filePath);
+            return key === '/' || files.has(key);
+        };
+
+        switch (program) {
+            case 'test':
+                if (flags[0] === '-f') return lookup(operands[0]) ? ok() : { stdout: '', stderr: '', exitCode: 1 };
+                if (flags[0] === '-d') return exists(operands[0]) && lookup(operands[0]) === null ? ok() : { stdout: '', stderr: '', exitCode: 1 };
+                return exists(operands[0]) ? ok() : { stdout: '', stderr: '', exitCode: 1 };
+            case 'mkdir':
+                operands.forEach(directory => {
+                    const { files, key } = this._locate(container, directory);
+                    let current = key;
+                    while (current !== '/' && !files.has(current)) {
+                        files.set(current, null);
+                        current = path.dirname(current);
+                    }
+                });
+                return ok();
+            case 'rm':
+                operands.forEach(target => {
+                    const { files, key } = this._locate(container, target);
+                    [...files.keys()].filter(filePath => filePath === key || filePath.startsWith(`${key}/`)).forEach(filePath => files.delete(filePath));
+                });
+                return ok();
+            case 'cat': {
+                const missing = operands.find(filePath => !lookup(filePath));
+                if (missing) {
+                    return fail(`cat: ${missing}: No such file or directory`);
+                }
+                return ok(operands.map(filePath => lookup(filePath).toString('utf8')).join(''));
+            }
+            case 'find': {
+                const directory = operands[0] || '.';
+                if (!exists(directory)) {
+                    return fail(`find: '${directory}': No such file or directory`);
+                }
+                const filesOnly = rest.includes('-type') && rest[rest.indexOf('-type') + 1] === 'f';
+                const maxDepth = rest.includes('-maxdepth') ? parseInt(rest[rest.indexOf('-maxdepth') + 1], 10) : Infinity;
+                const base = path.normalize(directory).replace(/\/$/, '');
+                const found = this._entries(container, directory)
+                    .filter(([filePath, content]) => (!filesOnly || content !== null) &&
+                        path.relative(base, filePath).split('/').length <= maxDepth)
+                    .map(([filePath]) => (rest.includes('-printf') ? path.basename(filePath) : filePath));
+                return ok(found.map(line => `${line}\n`).join(''));
+            }
+            case 'du': {
+                const size = this._entries(container, operands[0]).reduce((total, [, content]) => total + (content ? content.length : 0), 0);
+                return ok(`${Math.ceil(size / 1024)}\t${operands[0]}\n`);
+            }
+            default:
+                return null;
+        }
+    }
+
+    async exec(container, cmd, { onOutput } = {}) {
+        const target = this._container(container);
+        if (!target.running) {
+            const error = new Error(`Container ${target.id} is not running`);
+            error.statusCode = 409;
+            throw error;
+        }
+
+        // Commands come as argv, optionally wrapped in timeout and sh -c
+        let args = [...cmd];
+        if (args[0] === 'timeout') {
+            args = args.slice(args.findIndex((arg, index) => index > 0 && /^\d+$/.test(arg) && !/^-/.test(args[index - 1])) + 1);
+        }
+        const command = args[0] === 'sh' && args[1] === '-c' ? args[2] : args.join(' ');
+        this.calls.push({ container: target.name, cmd, command });
+
+        let result = null;
+        const fixture = this.fixtures.find(({ matcher }) => (matcher instanceof RegExp ? matcher.test(command) : command.includes(matcher)));
+        if (fixture) {
+            result = typeof fixture.result === 'function' ? await fixture.result(command, target.name) : fixture.result;
+        } else if (/^[\w./:@%+=,\s"'\\-]+$/.test(command)) {
+            const words = [...command.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)].map(match => match[1] ?? match[2] ?? match[3]);
+            result = this._runBuiltin(target, words);
+        }
+        result = { stdout: '', stderr: '', exitCode: 0, ...(result || {}) };
+
+        if (onOutput) {
+            if (result.stdout) onOutput(result.stdout, 'stdout');
+            if (result.stderr) onOutput(result.stderr, 'stderr');
+        }
+        return { exitCode: result.exitCode, stdout: result.stdout, stderr: result.stderr, timedOut: !!result.timedOut };
+    }
+
+    async putArchive(container, directory, archive) {
+        const target = this._container(container);
+        if (this._runBuiltin(target, ['test', '-d', directory]).exitCode !== 0) {
+            throw this._notFound(`Could not find the file ${directory} in container ${target.name}`);
+        }
+        tar.unpack(archive).forEach(entry => {
+            const filePath = path.join(directory, entry.name);
+            if (entry.type === 'directory') {
+                this._runBuiltin(target, ['mkdir', '-p', filePath]);
+            } else {
+                this._writeFile(target, filePath, entry.content);
+            }
+        });
+    }
+
+    async getArchive(container, filePath) {
+        const target = this._container(container);
+        const { files, key } = this._locate(target, filePath);
+        if (key !== '/' && !files.has(key)) {
+            throw this._notFound(`Could not find the file ${filePath} in container ${target.name}`);
+        }
+
+        const name = path.basename(path.normalize(filePath));
+        if (files.get(key)) {
+            return tar.pack([{ name, content: files.get(key) }]);
+        }
+        const base = path.normalize(filePath).replace(/\/$/, '');
+        return tar.pack([{ name, type: 'directory' }, ...this._entries(target, filePath).map(([entryPath, content]) => ({
+            name: path.join(name, path.relative(base, entryPath)),
+            type: content === null ? 'directory' : 'file',
+            content
+        }))]);
+    }
+}
+
+module.exports = FakeEngine;
@@ -0,0 +1,31 @@
+const config = require('../../utils/config');
+const DockerEngine = require('./engine');
+const FakeEngine = require('./fake');
+
+const engineTypes = {
+    socket: DockerEngine,
+    fake: FakeEngine
+};
+
+let instance = null;
+
+/**
+ * Get the configured Docker Engine client (see config.docker.engine)
+ * @returns {Object} DockerEngine, or FakeEngine when DOCKER_ENGINE=fake
+ */
+function getEngine() {
+    if (instance) {
+        return instance;
+    }
+
+    const { engine, socketPath, host, fakeFixtures } = config.docker;
+    const EngineClass = engineTypes[engine];
+    if (!EngineClass) {
+        throw new Error(`Unknown Docker engine: ${engine}`);
+    }
+
+    instance = new EngineClass(engine, { socketPath, host, fixturesPath: fakeFixtures });
+    return instance;
+}
+
+module.exports = { getEngine, engineTypes };
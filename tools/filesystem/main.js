@@ -1,13 +1,78 @@
 const docker = require('../docker');
 const fs = require('fs');
 const path = require('path');
+const mime = require('mime-types');
 const ai = require('../AI/ai');
 const contextManager = require('../../utils/context');
+const approvals = require('../../utils/approval');
 const { fileFunctions } = require('../../database');
 
 
 const containerFilesTracked = new Map(); 
 
+const pathProperty = { type: "string", description: "Absolute path, e.g. /app/output" };
+const filenameProperty = { type: "string", minLength: 1, description: "File name with extension, e.g. report.md" };
+
+// Actions the model can take, offered as function calls
+const FILE_SYSTEM_ACTIONS = [
+    {
+        name: "saveToFile",
+        description: "Write content to a file, creating it or replacing it",
+        parameters: {
+            type: "object",
+            properties: { content: { type: "string", description: "Full content to save" }, path: pathProperty, filename: filenameProperty },
+            required: ["content", "filename"]
+        }
+    },
+    {
+        name: "deleteFile",
+        description: "Delete a file",
+        parameters: {
+            type: "object",
+            properties: { path: pathProperty, filename: filenameProperty },
+            required: ["filename"]
+        }
+    },
+    {
+        name: "createDirectory",
+        description: "Create a directory, including missing parents",
+        parameters: { type: "object", properties: { path: pathProperty }, required: ["path"] }
+    },
+    {
+        name: "deleteDirectory",
+        description: "Delete a directory and everything in it",
+        parameters: { type: "object", properties: { path: pathProperty }, required: ["path"] }
+    },
+    {
+        name: "listFiles",
+        description: "List the files in a directory",
+        parameters: { type: "object", properties: { path: pathProperty } }
+    },
+    {
+        name: "listDirectories",
+        description: "List the subdirectories of a directory",
+        parameters: { type: "object", properties: { path: pathProperty } }
+    },
+    {
+        name: "readFile",
+        description: "Read the content of a file",
+        parameters: {
+            type: "object",
+            properties: { path: pathProperty, filename: filenameProperty },
+            required: ["filename"]
+        }
+    },
+    {
+        name: "close",
+        description: "Finish the task once it is complete",
+        parameters: {
+            type: "object",
+            properties: { summary: { type: "string", minLength: 1, description: "Summary of the task's results in detail" } },
+            required: ["summary"]
+        }
+    }
+];
+
 // Sidebar management
 function updateSidebarInfo(userId, currentFile, workingDirectory) {
     if (typeof global.updateSidebar === 'function') {
@@ -31,12 +96,12 @@ function getRecentFiles(userId) {
 }
 
 
-async function getContainer(userId = 'default', retries = 3) {
+async function getContainer(userId = 'default', chatId = 1, retries = 3) {
     let lastError;
     
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            const containerName = await docker.createContainer(userId);
+            const containerName = await docker.acquireContainer(userId, chatId);
             return containerName;
         } catch (error) {
             lastError = error;
@@ -54,7 +119,12 @@ async function getContainer(userId = 'default', retries = 3) {
 }
 
 
-async function trackContainerFile(userId, containerPath, chatId = 1) {
+/**
+ * Store a file a step created in the chat's workspace with the chat's tracked files.
+ * @param {string} [description=null] - Shown with the file, e.g. "Figure 1".
+ * @returns {Promise<Object|false>} The tracked file's { id }, or false if it could not be read.
+ */
+async function trackContainerFile(userId, containerPath, chatId = 1, description = null) {
     if (!userId || !containerPath) {
         console.error('Invalid userId or containerPath for tracking');
         return false;
@@ -62,11 +132,17 @@ async function trackContainerFile(userId, containerPath, chatId = 1) {
 
     try {
         
-        const tempContainer = await getContainer(userId);
+        // Read from the chat's workspace, where the step that created the file wrote it
+        const containerName = await getContainer(userId, chatId);
         
         try {
             
-            const fileContent = await docker.readFile(tempContainer, containerPath);
+            // Stored the way /api/files/:fileId/download serves it: text as is, anything else base64
+            const contentType = mime.lookup(containerPath) || 'application/octet-stream';
+            const isBinary = !contentType.startsWith('text/') &&
+                             contentType !== 'application/json' &&
+                             contentType !== 'application/javascript';
+            const fileContent = await docker.readFile(containerName, containerPath, isBinary ? 'base64' : 'utf8');
             
             
             const fileExtension = path.extname(containerPath).replace('.', '');
@@ -75,23 +151,14 @@ async function trackContainerFile(userId, containerPath, chatId = 1) {
             const fileName = path.basename(containerPath);
             
             
-            await fileFunctions.trackContainerFile(userId, containerPath, fileName, null, chatId, fileContent, fileExtension);
-            
-            return true;
+            return await fileFunctions.trackContainerFile(userId, containerPath, fileName, description, chatId, fileContent, fileExtension, true);
         } catch (readError) {
             console.error(`Error reading container file for tracking: ${readError.message}`);
             
             const fileName = path.basename(containerPath);
             const fileExtension = path.extname(containerPath).replace('.', '');
-            await fileFunctions.trackContainerFile(userId, containerPath, fileName, null, chatId, null, fileExtension);
+            await fileFunctions.trackContainerFile(userId, containerPath, fileName, description, chatId, null, fileExtension, true);
             return false;
-        } finally {
-            
-            try {
-                await docker.removeContainer(tempContainer);
-            } catch (cleanupError) {
-                console.error(`Error cleaning up temporary container: ${cleanupError.message}`);
-            }
         }
     } catch (error) {
         console.error('Error tracking container file:', error.message);
@@ -216,46 +283,9 @@ async function runStep(containerName, task, otherAIData, userId = 'default', cha
     You are an AI agent that can execute complex tasks. You are meant to control the filesystem inside a Docker container.
     Do your best to complete the task provided by the user. You can operate anywhere in the filesystem. Use absolute paths (e.g., /app/data/file.txt, /tmp/output.log). If no path is specified, operations will default to /app/output.
     
-    Respond in a JSON format with the following format. Only respond with one at a time:
-    {
-        "action": "saveToFile",
-        "content": "content to save",
-        "path": "/path/to/save/to", 
-        "filename": "filename.ext"
-    },
-    {
-        "action": "deleteFile",
-        "path": "/path/to/delete/from", 
-        "filename": "filename.ext"
-    },
-    {
-        "action": "createDirectory",
-        "path": "/path/to/create" 
-    },
-    {
-        "action": "deleteDirectory",
-        "path": "/path/to/delete" 
-    },
-    {
-        "action": "listFiles",
-        "path": "/path/to/list/from" 
-    },
-    {
-        "action": "listDirectories",
-        "path": "/path/to/list/from" 
-    },
-    {
-        "action": "readFile",
-        "path": "/path/to/read/from", 
-        "filename": "filename.ext"
-    },
-    {
-        "action": "close",
-        "summary": \`summary of the tasks results in detail\` 
-        
-    }
+    Call one of the provided functions for each operation, one at a time.
 
-    Once you have enough information to confidently complete the task, respond with the "close" action. Look at previous messages for the information collected earlier and use it to summarize and finish the task.
+    Once you have enough information to confidently complete the task, call "close". Look at previous messages for the information collected earlier and use it to summarize and finish the task.
     Never add placeholders but instead complete the task using the actions provided. Use absolute paths.
 
     Data previous AI has collected to complete the task:
@@ -275,7 +305,7 @@ async function runStep(containerName, task, otherAIData, userId = 'default', cha
         });
     }
 
-    let result = await ai.callAI(prompt, task, toolState.history);
+    let result = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId, chatId, { functions: FILE_SYSTEM_ACTIONS });
 
     
     toolState.history.push({
@@ -310,7 +340,7 @@ async function runStep(containerName, task, otherAIData, userId = 'default', cha
             
             
             try {
-                await fileFunctions.trackContainerFile(userId, absoluteFilePath, result.filename, null, chatId, result.content, fileExtension);
+                await fileFunctions.trackContainerFile(userId, absoluteFilePath, result.filename, null, chatId, result.content, fileExtension, true);
             } catch (trackingError) {
                 console.warn(`Failed to track container file ${absoluteFilePath}: ${trackingError.message}`);
             }
@@ -319,18 +349,34 @@ async function runStep(containerName, task, otherAIData, userId = 'default', cha
             if (!result.filename) {
                 throw new Error("Filename must be provided for deleteFile action.");
             }
-            await deleteFile(containerName, result.path, result.filename);
             const normalizedPath = result.path?.replace(/\\/g, '/') || '/app/output';
             const normalizedFilename = result.filename?.replace(/\\/g, '/');
-            const absoluteFilePath = path.posix.join(normalizedPath, normalizedFilename);
-            operationResult = `File deleted: ${absoluteFilePath}`;
-            
-            
-            toolState.operations.push({
-                action: "deleteFile", 
-                path: absoluteFilePath
+            const requestedFilePath = path.posix.join(normalizedPath, normalizedFilename);
+            
+            // Deletions need the user's sign-off when fileSystem requires approval
+            const approval = await approvals.requestApproval({
+                userId,
+                chatId,
+                tool: 'fileSystem',
+                kind: 'deleteFile',
+                action: requestedFilePath,
+                description: task
             });
             
+            if (!approval.approved) {
+                operationResult = `Deleting ${requestedFilePath} was not approved (${approval.reason}). Do not try to delete it again.`;
+            } else {
+                const absoluteFilePath = approval.action.trim().replace(/\\/g, '/');
+                await deleteFile(containerName, path.posix.dirname(absoluteFilePath), path.posix.basename(absoluteFilePath));
+                operationResult = `File deleted: ${absoluteFilePath}`;
+                
+                
+                toolState.operations.push({
+                    action: "deleteFile", 
+                    path: absoluteFilePath
+                });
+            }
+            
             
 
         } else if(result.action === "createDirectory"){
@@ -349,14 +395,30 @@ async function runStep(containerName, task, otherAIData, userId = 'default', cha
              if (!result.path) {
                  throw new Error("Path must be provided for deleteDirectory action.");
             }
-            await deleteDirectory(containerName, result.path);
-            operationResult = `Directory deleted: ${result.path}`;
             
-            
-            toolState.operations.push({
-                action: "deleteDirectory", 
-                path: result.path
+            // Deletions need the user's sign-off when fileSystem requires approval
+            const approval = await approvals.requestApproval({
+                userId,
+                chatId,
+                tool: 'fileSystem',
+                kind: 'deleteDirectory',
+                action: result.path,
+                description: task
             });
+            
+            if (!approval.approved) {
+                operationResult = `Deleting directory ${result.path} was not approved (${approval.reason}). Do not try to delete it again.`;
+            } else {
+                const directoryPath = approval.action.trim();
+                await deleteDirectory(containerName, directoryPath);
+                operationResult = `Directory deleted: ${directoryPath}`;
+                
+                
+                toolState.operations.push({
+                    action: "deleteDirectory", 
+                    path: directoryPath
+                });
+            }
         } else if(result.action === "listFiles"){
             const files = await listFiles(containerName, result.path);
             const listPath = result.path?.replace(/\\/g, '/') || '/app/output';
@@ -457,7 +519,7 @@ async function runStep(containerName, task, otherAIData, userId = 'default', cha
             
             return {summary: result.summary, operations: toolState.operations};
         } else {
-            operationResult = `Unknown action: ${result.action}`;
+            operationResult = result.error ? `No valid action: ${result.message}` : `Unknown action: ${result.action}`;
         }
 
         
@@ -559,8 +621,6 @@ async function writeFileDirectly(content, userPath, filename, userId = 'default'
 
 
 async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1) {
-    let containerName = null;
-    
     try {
         
         if (!await docker.checkDockerAvailability()) {
@@ -568,7 +628,8 @@ async function runTask(task, otherAIData, callback, userId = 'default', chatId =
         }
         
         
-        containerName = await getContainer(userId);
+        // The chat's workspace container stays up for later steps; idle ones are reaped by the Docker manager
+        const containerName = await getContainer(userId, chatId);
         
         
         const result = await runStep(containerName, task, otherAIData, userId, chatId);
@@ -591,18 +652,6 @@ async function runTask(task, otherAIData, callback, userId = 'default', chatId =
         }
         
         return errorResult;
-    } finally {
-        
-        if (containerName) {
-            try {
-                 
-                 await docker.removeContainer(containerName);
-                 
-                 
-            } catch (cleanupError) {
-                console.error(`Error during container cleanup: ${cleanupError.message}`);
-            }
-        }
     }
 }
 
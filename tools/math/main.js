@@ -1,7 +1,7 @@
 const ai = require("../AI/ai");
 const contextManager = require('../../utils/context');
 
-async function runTask(task, otherAIData, callback, userId = 'default') {
+async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1) {
     
     let toolState = contextManager.getToolState('math', userId) || {
         history: [],
@@ -13,8 +13,8 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
     
     try {
         
-        let result = await performMathOperation(task, userId);
-        let summary = await evaluateOutput(task, result, userId);
+        let result = await performMathOperation(task, userId, chatId);
+        let summary = await evaluateOutput(task, result, userId, chatId);
         
         if (callback) {
             callback(summary);
@@ -44,7 +44,7 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
     }
 }
 
-async function performMathOperation(task, userId = 'default') {
+async function performMathOperation(task, userId = 'default', chatId = 1) {
     
     let toolState = contextManager.getToolState('math', userId) || {
         history: [],
@@ -63,7 +63,7 @@ async function performMathOperation(task, userId = 'default') {
     }
     `
 
-    let response = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId);
+    let response = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId, chatId);
     
     
     toolState.history.push({
@@ -102,7 +102,7 @@ async function performMathOperation(task, userId = 'default') {
     return response;
 }
 
-async function evaluateOutput(task, result, userId = 'default') {
+async function evaluateOutput(task, result, userId = 'default', chatId = 1) {
     
     let toolState = contextManager.getToolState('math', userId);
     
@@ -118,7 +118,7 @@ async function evaluateOutput(task, result, userId = 'default') {
     }
     `
     
-    let summary = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId);
+    let summary = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId, chatId);
     
     
     toolState.lastEvaluation = {
@@ -1,12 +1,28 @@
 const ai = require("../AI/ai");
 const docker = require("../docker");
-const child_process = require("child_process")
 const fs = require("fs");
 const path = require("path");
 const contextManager = require('../../utils/context');
-const getPlatform = require("../../utils/getPlatform");
+const approvals = require('../../utils/approval');
+const { createOutputStream } = require('../../utils/outputStream');
 const crypto = require('crypto');
 
+// Each chat's workspace has a virtualenv, so packages installed for one step are there for the next
+const VENV_DIR = '.venv';
+// Requirements installed into the virtualenv so far, one per line
+const INSTALLED_LIST = '.operon-installed';
+// Scripts are written here and removed after running
+const SCRIPT_DIR = '.operon';
+// Figures and DataFrames a script leaves behind are saved under here, one directory per run
+const OUTPUT_DIR = 'outputs';
+
+// Runs each script and collects its figures, DataFrames and new files; see runner.py
+const RUNNER_SOURCE = fs.readFileSync(path.join(__dirname, 'runner.py'), 'utf8');
+const ARTIFACTS_MARKER = 'OPERON_ARTIFACTS:';
+
+// A package name with optional extras and version specifiers; no options, URLs or paths
+const REQUIREMENT_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\[[A-Za-z0-9._,-]+\])?([<>=!~]=?[A-Za-z0-9.*+!_-]+,?)*$/;
+
 // Sidebar management
 function updatePythonSidebar(userId, data) {
     if (typeof global.updateSidebar === 'function') {
@@ -18,104 +34,33 @@ function updatePythonSidebar(userId, data) {
 }
 
 
-function validatePath(filePath, baseDirectory) {
-    
-    const normalizedPath = path.normalize(filePath);
-    const normalizedBaseDir = path.normalize(baseDirectory);
-    
-    
-    if (!normalizedPath.startsWith(normalizedBaseDir)) {
-        throw new Error(`Security violation: Path "${filePath}" is outside the allowed directory "${baseDirectory}"`);
-    }
-    
-    return normalizedPath;
-}
-
-function getBaseDirectory() {
-    const applicationBaseDir = path.join(__dirname, '..', '..');
-    return path.join(applicationBaseDir, 'output');
-}
-
-
-function getUserDirectory(userId = 'default') {
-    const baseDir = getBaseDirectory();
-    
-    const sanitizedUserId = userId.replace(/[^a-zA-Z0-9_-]/g, '_');
-    return path.join(baseDir, sanitizedUserId);
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
 }
 
 
-function ensureBaseDirectoryExists(userId = 'default') {
-    try {
-        const baseDir = getBaseDirectory();
-        if (!fs.existsSync(baseDir)) {
-            fs.mkdirSync(baseDir, { recursive: true });
-        }
-        
+/**
+ * Run an operation against the chat's workspace container. Failures go back to the step;
+ * the container is only started again, on the same workspace, if it is gone.
+ */
+async function safeExecute(operation, userId = 'default', chatId = 1) {
+    for (let attempt = 1; ; attempt++) {
+        const containerName = await docker.acquireContainer(userId, chatId);
         
-        const userDir = getUserDirectory(userId);
-        if (!fs.existsSync(userDir)) {
-            fs.mkdirSync(userDir, { recursive: true });
-        }
-        return true;
-    } catch (error) {
-        console.error("Error creating directories:", error.message);
-        throw error;
-    }
-}
-
-
-function getPythonFilePath(userId = 'default', timestamp) {
-    const userDir = getUserDirectory(userId);
-    const pythonFileName = `python_script_${userId}_${timestamp}.py`;
-    const pythonFilePath = path.join(userDir, pythonFileName);
-    
-    
-    return validatePath(pythonFilePath, userDir);
-}
-
-
-async function safeExecute(operation, userId = 'default', retries = 3) {
-    let containerName = null;
-    let containerCreated = false;
-    let lastError = null;
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            
-            containerName = await docker.createContainer(userId);
-            containerCreated = true;
-            
-            
             return await operation(containerName);
         } catch (error) {
-            lastError = error;
-            console.warn(`Python operation failed (attempt ${attempt}/${retries}): ${error.message}`);
-            
-            
-            if (containerCreated && containerName) {
-                try {
-                    await docker.removeContainer(containerName);
-                } catch (cleanupError) {
-                    console.error(`Failed to clean up container: ${cleanupError.message}`);
-                }
-            }
-            
-            containerCreated = false;
-            containerName = null;
-            
-            
-            if (attempt < retries) {
-                const delay = Math.min(100 * Math.pow(2, attempt), 2000);
-                await new Promise(resolve => setTimeout(resolve, delay));
+            if (attempt === 1 && docker.isContainerUnavailable(error)) {
+                console.warn(`Python container ${containerName} is unavailable, starting it again: ${error.message}`);
+                await docker.removeContainer(containerName);
+                continue;
             }
+            throw error;
         }
     }
-    
-    throw lastError || new Error('Operation failed after multiple retries');
 }
 
-async function runTask(task, otherAIData, callback, userId = 'default') {
+async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1) {
     try {
         
         let toolState = contextManager.getToolState('pythonExecute', userId) || {
@@ -138,6 +83,7 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
         }
         
         
+        const stepDescription = task;
         task = task + "\n\nOther AI Data: " + (otherAIData || "");
         
         
@@ -150,7 +96,7 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
         
         let codeResult;
         try {
-            codeResult = await generateCode(task, userId);
+            codeResult = await generateCode(task, userId, chatId);
             
             if (!codeResult || codeResult.error) {
                 console.error("Failed to generate Python code:", codeResult?.error || "Unknown error");
@@ -187,9 +133,30 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
             return errorResult;
         }
         
+        // Pause for the user's sign-off when execute requires approval
+        const approval = await approvals.requestApproval({
+            userId,
+            chatId,
+            tool: 'execute',
+            kind: 'pythonCode',
+            action: codeResult.code,
+            description: codeResult["pip install"].length > 0 ?
+                `${stepDescription}\n\nDependencies: ${codeResult["pip install"].join(' ')}` :
+                stepDescription
+        });
+        if (!approval.approved) {
+            const skippedResult = approvals.rejectionResult(approval, 'Python code');
+            if (callback) callback(skippedResult);
+            return skippedResult;
+        }
+        codeResult.code = approval.action;
+        
         
         try {
-            const scriptPath = `/app/script_${crypto.randomBytes(4).toString('hex')}.py`;
+            const runId = crypto.randomBytes(4).toString('hex');
+            const scriptPath = path.posix.join(docker.workspacePath, SCRIPT_DIR, `script_${runId}.py`);
+            const runnerPath = path.posix.join(docker.workspacePath, SCRIPT_DIR, 'runner.py');
+            const outputPath = path.posix.join(docker.workspacePath, OUTPUT_DIR, `python_${runId}`);
             
             const result = await safeExecute(async (containerName) => {
                 
@@ -201,6 +168,7 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
                 });
                 
                 await docker.writeFile(containerName, scriptPath, codeResult.code);
+                await docker.writeFile(containerName, runnerPath, RUNNER_SOURCE);
                 
                 
                 if (codeResult["pip install"] && codeResult["pip install"].length > 0) {
@@ -210,10 +178,8 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
                         dependencies: codeResult["pip install"],
                         stage: 'dependencies'
                     });
-                    
-                    const pipCommand = `pip install ${codeResult["pip install"].join(' ')}`;
-                    await docker.executeCommand(containerName, pipCommand);
                 }
+                const python = await prepareEnvironment(containerName, codeResult["pip install"]);
                 
                 updatePythonSidebar(userId, {
                     currentTask: task.substring(0, 100) + (task.length > 100 ? '...' : ''),
@@ -221,7 +187,31 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
                     stage: 'executing'
                 });
                 
-                const { stdout, stderr } = await docker.executePython(containerName, scriptPath);
+                // Run from the workspace, so files written with relative paths end up there.
+                // Agg renders figures without a display, so the runner can save them
+                let output;
+                const liveOutput = createOutputStream(outputPreview => updatePythonSidebar(userId, {
+                    currentTask: task.substring(0, 100) + (task.length > 100 ? '...' : ''),
+                    status: 'Executing Python script...',
+                    outputPreview,
+                    stage: 'executing'
+                }));
+                try {
+                    output = await docker.executeCommand(containerName,
+                        `cd ${shellQuote(docker.workspacePath)} && MPLBACKEND=Agg ${shellQuote(python)} ${shellQuote(runnerPath)} ${shellQuote(scriptPath)} ${shellQuote(outputPath)}`,
+                        { onOutput: liveOutput.onOutput });
+                } catch (error) {
+                    // A script that raised is a result for the model to evaluate, with its traceback
+                    if (error.limit || error.exitCode === undefined) {
+                        throw error;
+                    }
+                    output = { stdout: error.stdout || '', stderr: error.stderr || '', exitCode: error.exitCode };
+                } finally {
+                    liveOutput.end();
+                    await docker.executeCommand(containerName, `rm -f ${shellQuote(scriptPath)}`).catch(() => {});
+                }
+                const { stdout, artifacts } = parseArtifacts(output.stdout);
+                const result = output.exitCode === 0 ? stdout : `${stdout}\nSTDERR: ${output.stderr}\nEXIT CODE: ${output.exitCode}`;
                 
                 
                 toolState.executions.push({
@@ -238,7 +228,7 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
                     stage: 'evaluating'
                 });
                 
-                const summary = await evaluateOutput(task, stdout, userId);
+                const summary = await evaluateOutput(task, result, userId, chatId, artifacts);
                 
                 updatePythonSidebar(userId, {
                     currentTask: task.substring(0, 100) + (task.length > 100 ? '...' : ''),
@@ -249,22 +239,15 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
                 });
                 
                 return summary;
-            }, userId);
+            }, userId, chatId);
             
             if (callback) callback(result);
             return result;
         } catch (error) {
             console.error("Error in Python execution:", error.message);
-            const errorResult = { error: error.message, success: false };
+            const errorResult = error.limit ? docker.toLimitResult(error) : { error: error.message, success: false };
             if (callback) callback(errorResult);
             return errorResult;
-        } finally {
-            
-            try {
-                await docker.cleanupAllContainers();
-            } catch (cleanupError) {
-                console.error(`Error during cleanup: ${cleanupError.message}`);
-            }
         }
     } catch (error) {
         console.error("Critical error in Python execution:", error.message);
@@ -275,68 +258,60 @@ async function runTask(task, otherAIData, callback, userId = 'default') {
 }
 
 
-function generatePythonSafetyCode(userId = 'default') {
-    const userDir = getUserDirectory(userId);
-    const escapedUserDir = userDir.replace(/\\/g, '\\\\'); 
+/**
+ * Make sure the chat's virtualenv exists and has the given packages.
+ * The virtualenv lives in the chat's workspace volume; only packages not
+ * installed for an earlier step are installed.
+ * @param {string} containerName - The chat's workspace container.
+ * @param {Array<string>} packages - pip requirements, e.g. ["pandas", "requests>=2.31"].
+ * @returns {Promise<string>} Path of the virtualenv's python.
+ */
+async function prepareEnvironment(containerName, packages = []) {
+    const venvPath = path.posix.join(docker.workspacePath, VENV_DIR);
+    const listPath = path.posix.join(venvPath, INSTALLED_LIST);
+    const python = path.posix.join(venvPath, 'bin', 'python');
     
-    return `
-import os
-import sys
-import builtins
-from pathlib import Path
-
-# Security: Set allowed directory for file operations
-ALLOWED_DIR = Path("${escapedUserDir}")
-
-# Store original open function
-_original_open = builtins.open
-
-# Create a secure version of open that validates paths
-def secure_open(file, mode='r', *args, **kwargs):
-    file_path = Path(os.path.abspath(file))
-    if not str(file_path).startswith(str(ALLOWED_DIR)):
-        raise PermissionError(f"Security violation: Cannot access {file_path} outside of allowed directory {ALLOWED_DIR}")
-    return _original_open(file, mode, *args, **kwargs)
-
-# Replace built-in open with secure version
-builtins.open = secure_open
-
-# Secure os.path operations
-_original_listdir = os.listdir
-_original_mkdir = os.mkdir
-_original_makedirs = os.makedirs
-_original_remove = os.remove
-_original_rmdir = os.rmdir
-_original_rename = os.rename
-
-def secure_path_operation(path_func, path, *args, **kwargs):
-    path_obj = Path(os.path.abspath(path))
-    if not str(path_obj).startswith(str(ALLOWED_DIR)):
-        raise PermissionError(f"Security violation: Cannot access {path_obj} outside of allowed directory {ALLOWED_DIR}")
-    return path_func(path, *args, **kwargs)
-
-# Replace os functions with secure versions
-os.listdir = lambda path, *args, **kwargs: secure_path_operation(_original_listdir, path, *args, **kwargs)
-os.mkdir = lambda path, *args, **kwargs: secure_path_operation(_original_mkdir, path, *args, **kwargs)
-os.makedirs = lambda path, *args, **kwargs: secure_path_operation(_original_makedirs, path, *args, **kwargs)
-os.remove = lambda path, *args, **kwargs: secure_path_operation(_original_remove, path, *args, **kwargs)
-os.rmdir = lambda path, *args, **kwargs: secure_path_operation(_original_rmdir, path, *args, **kwargs)
-os.rename = lambda src, dst, *args, **kwargs: (
-    secure_path_operation(lambda x: None, src) or 
-    secure_path_operation(lambda x: None, dst) or
-    _original_rename(src, dst, *args, **kwargs)
-)
-
-# Print security information
-print(f"SECURITY: Python execution restricted to directory: {ALLOWED_DIR}\\n")
-
-# User code begins below this line
-# --------------------------------------------------------------------------
+    const { stdout } = await docker.executeCommand(containerName,
+        `([ -x ${shellQuote(python)} ] || python -m venv ${shellQuote(venvPath)}) && (cat ${shellQuote(listPath)} 2>/dev/null || true)`);
+    const installed = stdout.split('\n').map(line => line.trim()).filter(Boolean);
+    
+    const missing = [...new Set((packages || []).map(requirement => String(requirement).trim().replace(/\s+/g, '')).filter(Boolean))]
+        .filter(requirement => !installed.includes(requirement.toLowerCase()));
+    if (missing.length === 0) {
+        return python;
+    }
+    
+    validateDependencies(missing);
+    const requirements = missing.map(shellQuote).join(' ');
+    await docker.executeCommand(containerName, `${shellQuote(python)} -m pip install --disable-pip-version-check --no-input ${requirements}`);
+    await docker.executeCommand(containerName, `printf '%s\\n' ${missing.map(requirement => shellQuote(requirement.toLowerCase())).join(' ')} >> ${shellQuote(listPath)}`);
+    
+    return python;
+}
 
-`
+/**
+ * Take the runner's description of what a script produced out of its output.
+ * @param {string} stdout - Output of runner.py.
+ * @returns {Object} { stdout, artifacts }: the output without the description, and
+ *   the figures, tables and files as [{ type, path, description, ... }].
+ */
+function parseArtifacts(stdout) {
+    let artifacts = [];
+    const lines = stdout.split('\n').filter(line => {
+        if (!line.startsWith(ARTIFACTS_MARKER)) {
+            return true;
+        }
+        try {
+            artifacts = JSON.parse(line.substring(ARTIFACTS_MARKER.length));
+        } catch (error) {
+            console.warn(`Could not parse Python results: ${error.message}`);
+        }
+        return false;
+    });
+    return { stdout: lines.join('\n'), artifacts: Array.isArray(artifacts) ? artifacts : [] };
 }
 
-async function evaluateOutput(task, result, userId = 'default') {
+async function evaluateOutput(task, result, userId = 'default', chatId = 1, artifacts = []) {
     try {
         
         let toolState = contextManager.getToolState('pythonExecute', userId);
@@ -346,11 +321,11 @@ async function evaluateOutput(task, result, userId = 'default') {
             JSON.stringify(result, null, 2) : String(result || '');
         
         const createdContainerFiles = [];
-        const outputLines = resultStr.split('\\n'); 
+        const outputLines = resultStr.split('\n');
         for (const line of outputLines) {
             if (line.startsWith('CREATED_FILE:')) {
                 const filePath = line.substring('CREATED_FILE:'.length).trim();
-                if (filePath) {
+                if (filePath && !createdContainerFiles.includes(filePath)) {
                     createdContainerFiles.push(filePath);
                 }
             }
@@ -367,7 +342,7 @@ async function evaluateOutput(task, result, userId = 'default') {
             "success": true/false
         }
         `;
-        const summary = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId);
+        const summary = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId, chatId);
         
         
         toolState.history.push({
@@ -404,6 +379,11 @@ async function evaluateOutput(task, result, userId = 'default') {
             summary.createdContainerFiles = createdContainerFiles;
         }
         
+        // Figures and tables are shown inline in the dashboard once their files are tracked
+        if (artifacts.length > 0) {
+            summary.artifacts = artifacts;
+        }
+        
 
         return summary;
     } catch (error) {
@@ -418,7 +398,7 @@ async function evaluateOutput(task, result, userId = 'default') {
     }
 }
 
-async function generateCode(task, userId = 'default') {
+async function generateCode(task, userId = 'default', chatId = 1) {
     try {
         
         let toolState = contextManager.getToolState('pythonExecute', userId) || {
@@ -434,6 +414,8 @@ async function generateCode(task, userId = 'default') {
 
         **IMPORTANT**: If your code creates any files, print their absolute paths within the container on separate lines, each prefixed with 'CREATED_FILE:' (e.g., 'print("CREATED_FILE:/app/result.txt")').
 
+        The working directory is /app. Files created there are collected automatically, and so are matplotlib figures left open and pandas DataFrames assigned to top-level variables, so do not call plt.show().
+
         respond in the following JSON format:
         {
         "code": \`CODE HERE\`,
@@ -441,7 +423,7 @@ async function generateCode(task, userId = 'default') {
         }
         `;
 
-        const code = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId);
+        const code = await ai.callAI(prompt, task, toolState.history, undefined, true, "auto", userId, chatId);
         
         if (!code || code.error) {
             console.error("Failed to generate code:", code?.error || "Unknown error");
@@ -493,21 +475,17 @@ async function generateCode(task, userId = 'default') {
 
 
 function validateDependencies(dependencies) {
-    if (!dependencies || dependencies.trim() === "") {
-        return true;
-    }
-    
-    
     const dangerousPackages = [
         'ansible', 'paramiko', 'fabric', 'metasploit', 'scapy', 'nmap', 
         'pwntools', 'winreg', 'pywin32', 'os-sys', 'pyinstaller'
     ];
     
-    const dependencyList = dependencies.split(/\s+/);
-    
-    for (const dep of dependencyList) {
+    for (const dep of dependencies) {
+        if (!REQUIREMENT_PATTERN.test(dep)) {
+            throw new Error(`Invalid package requirement: ${dep}`);
+        }
         
-        const packageName = dep.split(/[=<>~]/)[0].trim().toLowerCase();
+        const packageName = dep.split(/[=<>~!\[]/)[0].trim().toLowerCase();
         
         if (dangerousPackages.includes(packageName)) {
             throw new Error(`Security violation: Blocked installation of potentially dangerous package: ${packageName}`);
@@ -517,54 +495,4 @@ function validateDependencies(dependencies) {
     return true;
 }
 
-function installDependencies(dependencies){
-    if (!dependencies || dependencies.trim() === "") {
-        return "No dependencies to install";
-    }
-    
-    try {
-        
-        validateDependencies(dependencies);
-        
-        let platform = getPlatform.getPlatform();
-        let command = `pip install ${dependencies}`;
-        let result = child_process.execSync(command);
-        return result.toString();
-    } catch (error) {
-        console.error("Error installing dependencies:", error.message);
-        return `Error: ${error.message}`;
-    }
-}
-
-function executeCode(pythonFilePath){
-    try {
-        
-        if (!fs.existsSync(pythonFilePath)) {
-            throw new Error(`Python file does not exist: ${pythonFilePath}`);
-        }
-        
-        
-        const baseDir = getBaseDirectory();
-        if (!pythonFilePath.startsWith(baseDir)) {
-            throw new Error(`Security violation: Attempted to execute Python file outside of allowed directory: ${pythonFilePath}`);
-        }
-        
-        let platform = getPlatform.getPlatform();
-        
-        
-        let command = `python "${pythonFilePath}"`;
-        let result = child_process.execSync(command, {
-            
-            timeout: 30000, 
-            
-            maxBuffer: 1024 * 1024 
-        });
-        
-        return result;
-    } catch (error) {
-        console.error("Error executing Python code:", error.message);
-        return `Error: ${error.message}`;
-    }
-}
-
-module.exports = { runTask };
\ No newline at end of file
+module.exports = { runTask };
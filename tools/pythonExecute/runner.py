@@ -0,0 +1,162 @@
+"""Runs a generated script and collects what it produced.
+
+Usage: python runner.py SCRIPT OUTPUT_DIR
+
+The script runs as __main__ in the working directory. Afterwards, open
+matplotlib figures are saved as PNG and pandas DataFrames left in the script's
+globals are saved as CSV and as an HTML preview, in OUTPUT_DIR. Files the
+script created or changed in the working directory are found by comparing it
+before and after the run.
+
+Every collected file is printed on a CREATED_FILE: line, and a last
+OPERON_ARTIFACTS: line describes them as JSON.
+"""
+
+import json
+import os
+import sys
+import traceback
+
+ARTIFACTS_MARKER = 'OPERON_ARTIFACTS:'
+# Not searched for new files: the virtualenv, runner scripts and caches
+SKIP_DIRS = {'.venv', '.operon', '__pycache__', '.git', 'node_modules'}
+MAX_SCANNED_FILES = 5000
+MAX_FIGURES = 10
+MAX_TABLES = 10
+MAX_FILES = 50
+# Rows shown in a DataFrame's HTML preview; the CSV has all of them
+PREVIEW_ROWS = 50
+
+
+def snapshot(root):
+    files = {}
+    for directory, subdirectories, names in os.walk(root):
+        subdirectories[:] = sorted(name for name in subdirectories if name not in SKIP_DIRS)
+        for name in sorted(names):
+            path = os.path.join(directory, name)
+            try:
+                stat = os.stat(path)
+            except OSError:
+                continue
+            files[path] = (stat.st_mtime_ns, stat.st_size)
+            if len(files) >= MAX_SCANNED_FILES:
+                return files
+    return files
+
+
+def run_script(script):
+    namespace = {'__name__': '__main__', '__file__': script, '__builtins__': __builtins__}
+    sys.argv = [script]
+    sys.path[0] = os.getcwd()
+    with open(script, encoding='utf-8') as source:
+        code = compile(source.read(), script, 'exec')
+    try:
+        exec(code, namespace)
+    except SystemExit as exit_request:
+        if exit_request.code not in (None, 0):
+            raise
+    return namespace
+
+
+def save_figures(output_dir):
+    # Only when the script used matplotlib; importing it here would be slow
+    pyplot = sys.modules.get('matplotlib.pyplot')
+    if pyplot is None:
+        return []
+
+    artifacts = []
+    for number in pyplot.get_fignums()[:MAX_FIGURES]:
+        figure = pyplot.figure(number)
+        path = os.path.join(output_dir, 'figure_%d.png' % number)
+        title = figure._suptitle.get_text() if figure._suptitle is not None else ''
+        if not title:
+            title = next((axes.get_title() for axes in figure.axes if axes.get_title()), '')
+        figure.savefig(path, format='png', dpi=100, bbox_inches='tight')
+        artifacts.append({
+            'type': 'figure',
+            'path': path,
+            'description': 'Figure %d%s' % (number, ': ' + title if title else '')
+        })
+    pyplot.close('all')
+    return artifacts
+
+
+def save_tables(namespace, output_dir):
+    pandas = sys.modules.get('pandas')
+    if pandas is None:
+        return []
+
+    artifacts = []
+    for name, value in list(namespace.items()):
+        if len(artifacts) >= MAX_TABLES:
+            break
+        if name.startswith('_') or not isinstance(value, pandas.DataFrame):
+            continue
+        path = os.path.join(output_dir, '%s.csv' % name)
+        html_path = os.path.join(output_dir, '%s.html' % name)
+        value.to_csv(path)
+        value.head(PREVIEW_ROWS).to_html(html_path, border=0)
+        rows, columns = value.shape
+        artifacts.append({
+            'type': 'table',
+            'name': name,
+            'path': path,
+            'htmlPath': html_path,
+            'rows': rows,
+            'columns': columns,
+            'description': 'DataFrame %s (%d rows, %d columns)' % (name, rows, columns)
+        })
+    return artifacts
+
+
+def find_new_files(before, after, output_dir):
+    artifacts = []
+    for path, state in after.items():
+        if len(artifacts) >= MAX_FILES:
+            break
+        if before.get(path) == state or path.startswith(output_dir + os.sep):
+            continue
+        artifacts.append({
+            'type': 'file',
+            'path': path,
+            'description': 'Created by a Python script' if path not in before else 'Changed by a Python script'
+        })
+    return artifacts
+
+
+def main():
+    script, output_dir = sys.argv[1], os.path.abspath(sys.argv[2])
+    workspace = os.getcwd()
+    before = snapshot(workspace)
+
+    try:
+        namespace = run_script(script)
+    except SystemExit:
+        raise
+    except BaseException:
+        error_type, error, trace = sys.exc_info()
+        # Leave the runner's own frames out of the traceback
+        while trace is not None and trace.tb_frame.f_code.co_filename != script:
+            trace = trace.tb_next
+        traceback.print_exception(error_type, error, trace)
+        sys.exit(1)
+
+    sys.stdout.flush()
+    os.makedirs(output_dir, exist_ok=True)
+    artifacts = []
+    for collect in (lambda: save_figures(output_dir), lambda: save_tables(namespace, output_dir)):
+        try:
+            artifacts.extend(collect())
+        except Exception as error:
+            print('Could not save script results: %s' % error, file=sys.stderr)
+    artifacts.extend(find_new_files(before, snapshot(workspace), output_dir))
+
+    for artifact in artifacts:
+        print('CREATED_FILE:' + artifact['path'])
+        if artifact.get('htmlPath'):
+            print('CREATED_FILE:' + artifact['htmlPath'])
+    print(ARTIFACTS_MARKER + json.dumps(artifacts))
+
+
+if __name__ == '__main__':
+    main()
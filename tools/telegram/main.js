@@ -97,6 +97,14 @@ class TelegramBotTool {
     // Get or create user session
     const { userId, chatId } = await this.getUserSession(telegramUserId, msg.from);
     
+    // A running task waiting on clarifying questions takes this message as the answer
+    const { contextManager } = require('../../index.js');
+    if (contextManager.getPendingClarification(userId, chatId)) {
+      contextManager.answerClarification(messageText, userId, chatId);
+      await this.sendMessage(telegramChatId, '👍 Thanks! Continuing with your task...');
+      return;
+    }
+    
     // Send typing indicator
     await this.bot.sendChatAction(telegramChatId, 'typing');
     
@@ -110,7 +118,7 @@ class TelegramBotTool {
       logger.info('Calling centralOrchestrator', { userId, chatId, messageText: messageText.substring(0, 100) + '...' });
       
       // Call the central orchestrator
-      const response = await centralOrchestrator(messageText, userId, chatId, false);
+      const response = await centralOrchestrator(messageText, userId, chatId, false, this.getOrchestratorOptions(telegramChatId));
       
       logger.info('Telegram bot received response', {
         userId,
@@ -290,7 +298,7 @@ class TelegramBotTool {
       if (msg.caption) {
         const question = `${msg.caption} (File: ${fileName})`;
         const { centralOrchestrator } = require('../../index.js');
-        const response = await centralOrchestrator(question, userId, chatId, false);
+        const response = await centralOrchestrator(question, userId, chatId, false, this.getOrchestratorOptions(telegramChatId));
         
         if (response && response.length > 0) {
           await this.sendLongMessage(telegramChatId, response);
@@ -346,7 +354,7 @@ class TelegramBotTool {
       if (msg.caption) {
         const question = `${msg.caption} (Image: ${fileName})`;
         const { centralOrchestrator } = require('../../index.js');
-        const response = await centralOrchestrator(question, userId, chatId, false);
+        const response = await centralOrchestrator(question, userId, chatId, false, this.getOrchestratorOptions(telegramChatId));
         
         if (response && response.length > 0) {
           await this.sendLongMessage(telegramChatId, response);
@@ -521,6 +529,24 @@ class TelegramBotTool {
     }
   }
 
+  /**
+   * Build centralOrchestrator options that relay clarifying questions to the Telegram chat
+   * and skip dashboard-only plan review
+   */
+  getOrchestratorOptions(telegramChatId) {
+    return {
+      // Plans can only be edited from the dashboard, so never pause for review here
+      planReview: false,
+      onClarificationNeeded: async (questions) => {
+        const questionList = questions.map((question, index) => `${index + 1}. ${question}`).join('\n');
+        await this.sendLongMessage(telegramChatId,
+          `❓ Before I start, I need a bit more information:\n\n${questionList}\n\n` +
+          'Reply with your answers in a single message.'
+        );
+      }
+    };
+  }
+
   /**
    * Send a message, handling Telegram's character limit
    */
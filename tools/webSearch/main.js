@@ -3,7 +3,7 @@ const ai = require("../AI/ai");
 const contextManager = require("../../utils/context");
 const cheerio = require("cheerio");
 
-async function runTask(task, otherAIData, callback, userId = 'default'){
+async function runTask(task, otherAIData, callback, userId = 'default', chatId = 1){
     try {
         
         let toolState = contextManager.getToolState('webSearch', userId) || {
@@ -16,13 +16,13 @@ async function runTask(task, otherAIData, callback, userId = 'default'){
         toolState.currentTask = task;
         contextManager.setToolState('webSearch', toolState, userId);
         
-        let webData = await searchWeb(task, userId);
+        let webData = await searchWeb(task, userId, chatId);
         
         
         toolState.lastResults = webData;
         contextManager.setToolState('webSearch', toolState, userId);
         
-        let report = await evaluatewithAI(task, webData+"\n\n Also, there is some information that previous tasks have gathered. Keep them in mind while evaluating the web data and add them to the report to not duplicate information and other things. Here is the information: "+otherAIData, userId);
+        let report = await evaluatewithAI(task, webData+"\n\n Also, there is some information that previous tasks have gathered. Keep them in mind while evaluating the web data and add them to the report to not duplicate information and other things. Here is the information: "+otherAIData, userId, chatId);
         
         
         toolState.lastReport = report;
@@ -50,7 +50,7 @@ async function runTask(task, otherAIData, callback, userId = 'default'){
     }
 }
 
-async function getQuery(task, userId = 'default'){
+async function getQuery(task, userId = 'default', chatId = 1){
     try {
         
         let toolState = contextManager.getToolState('webSearch', userId);
@@ -71,7 +71,7 @@ async function getQuery(task, userId = 'default'){
         }
         `
 
-        let response = await ai.callAI(prompt, task, toolState.history || []);
+        let response = await ai.callAI(prompt, task, toolState.history || [], undefined, true, "auto", userId, chatId);
         
         
         toolState.history.push({
@@ -101,7 +101,7 @@ async function getQuery(task, userId = 'default'){
     }
 }
 
-async function evaluatewithAI(task, webData, userId = 'default'){
+async function evaluatewithAI(task, webData, userId = 'default', chatId = 1){
     try {
         
         let toolState = contextManager.getToolState('webSearch', userId);
@@ -125,7 +125,7 @@ async function evaluatewithAI(task, webData, userId = 'default'){
         Web Data:
         ${webData}
         `
-        let response = await ai.callAI(prompt, task, toolState.history || []);
+        let response = await ai.callAI(prompt, task, toolState.history || [], undefined, true, "auto", userId, chatId);
         
         
         toolState.history.push({
@@ -158,13 +158,13 @@ async function evaluatewithAI(task, webData, userId = 'default'){
     }
 }
 
-async function searchWeb(task, userId = 'default'){
+async function searchWeb(task, userId = 'default', chatId = 1){
     try {
         
         let toolState = contextManager.getToolState('webSearch', userId);
         
         let webData = [];
-        let queries = await getQuery(task, userId);
+        let queries = await getQuery(task, userId, chatId);
         
         
         toolState.currentQueries = queries;
@@ -1,7 +1,7 @@
 const ai = require("../AI/ai");
 const contextManager = require('../../utils/context');
 
-async function write(question, information, userId = 'default'){
+async function write(question, information, userId = 'default', chatId = 1){
     if (!question || typeof question !== 'string') {
         console.error("Writer: Invalid question provided");
         return { error: "Invalid question format", success: false };
@@ -18,27 +18,30 @@ async function write(question, information, userId = 'default'){
     
     let prompt = `
     You are an AI writer that can write about a given topic based on the information provided.
+    Respond with the finished text only, formatted in Markdown.
 
     Information: ${safeInformation}
     `
     try {
-        const output = await ai.callAI(prompt, question, toolState.history, undefined, true, "auto", userId);
+        // Plain text so the draft can be streamed to the dashboard as it is written
+        const output = await ai.callAI(prompt, question, toolState.history, undefined, false, "writer", userId, chatId, { stream: 'writer' });
+        const aiCallFailed = typeof output === 'string' && output.startsWith('Error calling AI:');
         
         
-        if (!output || output.error || output.fallback) {
+        if (!output || output.error || output.fallback || aiCallFailed) {
             console.error("Writer: Received invalid output from AI:", JSON.stringify(output, null, 2));
             
             
             toolState.lastError = {
                 error: "Failed to generate content",
-                details: output?.error || "Unknown error",
+                details: aiCallFailed ? output : output?.error || "Unknown error",
                 timestamp: Date.now()
             };
             contextManager.setToolState('writer', toolState, userId);
             
             return { 
                 error: "Failed to generate content", 
-                details: output?.error || "Unknown error",
+                details: aiCallFailed ? output : output?.error || "Unknown error",
                 success: false
             };
         }
@@ -54,15 +57,16 @@ async function write(question, information, userId = 'default'){
         toolState.history.push({
             role: "assistant", 
             content: [
-                {type: "text", text: JSON.stringify(output, null, 2)}
+                {type: "text", text: typeof output === 'string' ? output : JSON.stringify(output, null, 2)}
             ]
         });
         
         
+        const outputText = typeof output === 'string' ? output : JSON.stringify(output);
         toolState.outputs.push({
             question,
             timestamp: Date.now(),
-            preview: JSON.stringify(output).substring(0, 200) + (JSON.stringify(output).length > 200 ? '...' : '')
+            preview: outputText.substring(0, 200) + (outputText.length > 200 ? '...' : '')
         });
         
         
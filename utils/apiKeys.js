@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Personal API keys for the public REST API.
+ * Keys are random tokens shown to the user once; only their SHA-256 hash is
+ * stored. Each key carries scopes that limit what it may do.
+ */
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'opk_';
+
+// Visible part of a key, shown in lists so users can tell keys apart
+const DISPLAY_LENGTH = KEY_PREFIX.length + 8;
+
+const SCOPES = {
+  'tasks:read': 'Read task status, steps and results',
+  'tasks:write': 'Submit and cancel tasks',
+  'files:read': 'List and download output files'
+};
+
+/**
+ * Creates a new random API key.
+ * @returns {{key: string, keyPrefix: string, keyHash: string}} The key (show it once) and what is stored.
+ */
+function generateApiKey() {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+  return { key, keyPrefix: key.slice(0, DISPLAY_LENGTH), keyHash: hashApiKey(key) };
+}
+
+/**
+ * Hashes an API key for storage and lookup.
+ * @param {string} key - The API key.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Whether a token looks like one of our API keys (rather than a session token).
+ * @param {string} token - Bearer token.
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+/**
+ * Checks the scopes requested for a new key.
+ * @param {Array<string>} scopes - Requested scopes.
+ * @returns {string|null} Error message, or null if valid.
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `scopes must be a non-empty list of: ${Object.keys(SCOPES).join(', ')}`;
+  }
+  const unknown = scopes.filter(scope => !SCOPES[scope]);
+  return unknown.length > 0 ? `Unknown scopes: ${unknown.join(', ')}` : null;
+}
+
+module.exports = {
+  SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKey,
+  validateScopes
+};
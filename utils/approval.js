@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Human approval gates for potentially dangerous tool actions.
+ * Tools call requestApproval() with the concrete command or action they are
+ * about to run. When approval is required for that tool and user, the step
+ * pauses until the user approves, rejects or edits the action.
+ */
+
+const crypto = require('crypto');
+const config = require('./config');
+const logger = require('./logger');
+const contextManager = require('./context');
+const { safeJsonParse } = require('./errorHandler');
+
+// Tool title -> requiresApproval flag from tool.json
+const toolDefaults = new Map();
+
+// Approval ID -> pending request
+const pendingApprovals = new Map();
+
+/**
+ * Registers a tool's default approval policy from its tool.json.
+ * @param {string} toolName - Tool title.
+ * @param {Object} toolConfig - Parsed tool.json.
+ */
+function registerTool(toolName, toolConfig) {
+  toolDefaults.set(toolName, toolConfig && toolConfig.requiresApproval === true);
+}
+
+/**
+ * Reads the user's per-tool approval overrides.
+ * Stored as the `approvalOverrides` setting: `{ [toolName]: true|false }`.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<Object>} Map of tool name to override.
+ */
+async function getUserOverrides(userId) {
+  try {
+    const { settingsFunctions } = require('../database');
+    const value = await settingsFunctions.getSetting(userId, 'approvalOverrides');
+    const overrides = value ? safeJsonParse(value, {}) : {};
+    return overrides && typeof overrides === 'object' ? overrides : {};
+  } catch (error) {
+    logger.error('Error loading approval overrides', { error: error.message, userId });
+    return {};
+  }
+}
+
+/**
+ * Decides whether an action of the given tool needs the user's sign-off.
+ * Users can always opt in; opting out of a tool that requires approval in
+ * tool.json is only honoured when config.approvals.allowUserOptOut is set.
+ * @param {string} toolName - Tool title.
+ * @param {string} userId - The user ID.
+ * @returns {Promise<boolean>} True if approval is required.
+ */
+async function isApprovalRequired(toolName, userId) {
+  const toolDefault = toolDefaults.get(toolName) === true;
+  const override = (await getUserOverrides(userId))[toolName];
+
+  if (override === true) {
+    return true;
+  }
+  if (override === false && (!toolDefault || config.approvals.allowUserOptOut)) {
+    return false;
+  }
+  return toolDefault;
+}
+
+/**
+ * Emits an approval request to the user's dashboard.
+ * @param {string} userId - The user ID.
+ * @param {string} event - Socket event name.
+ * @param {Object} payload - Event payload.
+ */
+function emitToUser(userId, event, payload) {
+  // Required lazily: socket.js loads this module's dependents during startup
+  const io = require('../socket');
+  io.to(`user:${userId}`).emit(event, payload);
+}
+
+/**
+ * Pauses until the user decides on an action, if the tool requires approval.
+ * @param {Object} request - Approval request.
+ * @param {string} request.userId - The user ID.
+ * @param {number} request.chatId - The chat ID.
+ * @param {string} request.tool - Tool title (as in tool.json).
+ * @param {string} request.kind - Short action type, e.g. 'command', 'deleteFile'.
+ * @param {string} request.action - The command or action text to approve; editable by the user.
+ * @param {string} request.description - Human-readable context for the action.
+ * @returns {Promise<Object>} `{ approved, edited, action, reason }`.
+ */
+async function requestApproval({ userId, chatId = 1, tool, kind = 'action', action, description = '' }) {
+  if (!(await isApprovalRequired(tool, userId))) {
+    return { approved: true, edited: false, action };
+  }
+
+  const context = contextManager.getContext(userId, chatId);
+  const signal = context.cancellationToken ? context.cancellationToken.signal : null;
+  if (signal && signal.aborted) {
+    return { approved: false, edited: false, action, reason: 'cancelled' };
+  }
+
+  const approvalId = crypto.randomBytes(8).toString('hex');
+  const requestedAt = Date.now();
+
+  logger.security('Approval requested', { userId, chatId, tool, kind, approvalId });
+
+  const decision = await new Promise((resolve) => {
+    const finish = (result) => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      pendingApprovals.delete(approvalId);
+      resolve(result);
+    };
+    const onAbort = () => finish({ decision: 'reject', reason: 'cancelled' });
+    const timer = setTimeout(() => finish({ decision: 'reject', reason: 'timeout' }), config.approvals.timeout);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    pendingApprovals.set(approvalId, {
+      approvalId,
+      userId: String(userId),
+      chatId,
+      tool,
+      kind,
+      action,
+      description,
+      requestedAt,
+      finish
+    });
+
+    emitToUser(userId, 'approval_required', {
+      userId,
+      chatId,
+      approvalId,
+      tool,
+      kind,
+      action,
+      description,
+      requestedAt
+    });
+    emitToUser(userId, 'status_update', { userId, chatId, status: `Waiting for approval: ${tool}` });
+  });
+
+  logger.security('Approval resolved', { userId, chatId, tool, kind, approvalId, decision: decision.decision, reason: decision.reason });
+  emitToUser(userId, 'approval_resolved', { userId, chatId, approvalId, decision: decision.decision, reason: decision.reason });
+
+  if (decision.decision === 'approve') {
+    return { approved: true, edited: false, action };
+  }
+  if (decision.decision === 'edit') {
+    return { approved: true, edited: true, action: decision.action };
+  }
+  return { approved: false, edited: false, action, reason: decision.reason || 'rejected' };
+}
+
+/**
+ * Resolves a pending approval with the user's decision.
+ * @param {string} approvalId - The approval ID from the `approval_required` event.
+ * @param {string} userId - The responding user; must own the request.
+ * @param {string} decision - 'approve', 'reject' or 'edit'.
+ * @param {string} editedAction - Replacement action when decision is 'edit'.
+ * @returns {boolean} True if a matching pending approval was resolved.
+ */
+function respondToApproval(approvalId, userId, decision, editedAction) {
+  const pending = pendingApprovals.get(approvalId);
+  if (!pending || pending.userId !== String(userId)) {
+    return false;
+  }
+
+  if (decision === 'edit') {
+    if (typeof editedAction !== 'string' || editedAction.trim() === '') {
+      return false;
+    }
+    pending.finish({ decision: 'edit', action: editedAction });
+  } else if (decision === 'approve') {
+    pending.finish({ decision: 'approve' });
+  } else {
+    pending.finish({ decision: 'reject', reason: 'rejected' });
+  }
+  return true;
+}
+
+/**
+ * Builds the tool result for an action that was not approved.
+ * @param {Object} approval - Result of requestApproval.
+ * @param {string} subject - What was skipped, e.g. 'Command'.
+ * @returns {Object} Step output marking the action as skipped.
+ */
+function rejectionResult(approval, subject) {
+  const reasons = {
+    timeout: 'approval timed out',
+    cancelled: 'task was cancelled',
+    rejected: 'rejected by user'
+  };
+  return {
+    summary: `${subject} was skipped: ${reasons[approval.reason] || reasons.rejected}`,
+    success: false,
+    skipped: true
+  };
+}
+
+/**
+ * Lists approvals still waiting on the user, e.g. to restore them after a page reload.
+ * @param {string} userId - The user ID.
+ * @param {number} chatId - The chat ID.
+ * @returns {Array<Object>} Pending approval requests.
+ */
+function getPendingApprovals(userId, chatId) {
+  return [...pendingApprovals.values()]
+    .filter(pending => pending.userId === String(userId) && pending.chatId === chatId)
+    .map(({ finish, ...request }) => ({ ...request, userId }));
+}
+
+module.exports = {
+  registerTool,
+  isApprovalRequired,
+  requestApproval,
+  respondToApproval,
+  rejectionResult,
+  getPendingApprovals
+};
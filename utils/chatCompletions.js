@@ -0,0 +1,163 @@
+/**
+ * @fileoverview OpenAI Chat Completions compatibility.
+ * Clients send the whole conversation with every request; Operon keeps its own
+ * history per chat. A conversation is matched to its chat by a hash of the
+ * messages exchanged so far, so only the newest user message becomes a task
+ * when a conversation continues. Conversations Operon has not seen before
+ * start a new chat, with the earlier turns passed along as context.
+ */
+
+const crypto = require('crypto');
+
+// Model name clients select; the agent picks the actual models per step
+const MODEL_ID = 'operon';
+
+const ROLES = ['system', 'developer', 'user', 'assistant', 'tool', 'function'];
+
+// Roles whose messages instruct rather than converse
+const INSTRUCTION_ROLES = ['system', 'developer'];
+
+/**
+ * Extracts the text of a message. Content may be a string or a list of parts;
+ * parts other than text (e.g. images) are left out.
+ * @param {Object} message - Chat message.
+ * @returns {string} The message text.
+ */
+function getMessageText(message) {
+  const content = message && message.content;
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Checks the messages of a completion request.
+ * @param {Array} messages - Chat messages.
+ * @returns {string|null} Error message, or null if valid.
+ */
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+  const invalid = messages.findIndex(message => !message || !ROLES.includes(message.role));
+  if (invalid >= 0) {
+    return `messages[${invalid}] must have a role of: ${ROLES.join(', ')}`;
+  }
+  const last = messages[messages.length - 1];
+  if (last.role !== 'user' || !getMessageText(last).trim()) {
+    return 'The last message must be a user message with text content';
+  }
+  return null;
+}
+
+/**
+ * Hashes the text of a conversation, ignoring whitespace around messages and tool traffic.
+ * @param {Array} messages - Chat messages.
+ * @returns {string} Hex-encoded SHA-256 hash.
+ */
+function hashConversation(messages) {
+  const turns = messages
+    .filter(message => message.role !== 'tool' && message.role !== 'function')
+    .map(message => [INSTRUCTION_ROLES.includes(message.role) ? 'system' : message.role, getMessageText(message).trim()])
+    .filter(([role, text]) => text || role === 'user');
+  return crypto.createHash('sha256').update(JSON.stringify(turns)).digest('hex');
+}
+
+/**
+ * Turns a conversation into a task for the orchestrator.
+ * @param {Array} messages - Chat messages; the last one is the user's request.
+ * @param {Object} options - { continued, maxLength }
+ * @param {boolean} options.continued - Whether the chat already holds the earlier turns.
+ * @param {number} options.maxLength - Maximum task length; the oldest turns are dropped to fit.
+ * @returns {string} The task.
+ */
+function buildTask(messages, { continued = false, maxLength = Infinity } = {}) {
+  const request = getMessageText(messages[messages.length - 1]).trim();
+  if (continued) {
+    return request;
+  }
+
+  const instructions = messages
+    .filter(message => INSTRUCTION_ROLES.includes(message.role))
+    .map(message => getMessageText(message).trim())
+    .filter(Boolean)
+    .join('\n\n');
+  const turns = messages.slice(0, -1)
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .map(message => ({ role: message.role, text: getMessageText(message).trim() }))
+    .filter(turn => turn.text)
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`);
+
+  const compose = () => {
+    const sections = [];
+    if (instructions) {
+      sections.push(`Instructions from the client application:\n${instructions}`);
+    }
+    if (turns.length > 0) {
+      sections.push(`Conversation so far:\n${turns.join('\n\n')}`);
+    }
+    return sections.length > 0 ? `${sections.join('\n\n')}\n\nCurrent request:\n${request}` : request;
+  };
+
+  let task = compose();
+  while (task.length > maxLength && turns.length > 0) {
+    turns.shift();
+    task = compose();
+  }
+  return task;
+}
+
+/**
+ * Builds a chat.completion response.
+ * @param {Object} completion - { id, created, model }
+ * @param {string} content - The assistant's answer.
+ * @param {string} finishReason - Why the answer ended, e.g. "stop".
+ * @returns {Object} Response body.
+ */
+function createCompletion(completion, content, finishReason = 'stop') {
+  return {
+    id: completion.id,
+    object: 'chat.completion',
+    created: completion.created,
+    model: completion.model,
+    choices: [{
+      index: 0,
+      message: { role: 'assistant', content },
+      finish_reason: finishReason
+    }]
+  };
+}
+
+/**
+ * Builds a chat.completion.chunk for streaming.
+ * @param {Object} completion - { id, created, model }
+ * @param {Object} delta - Part of the assistant message, e.g. { content }.
+ * @param {string|null} finishReason - Set on the last chunk.
+ * @returns {Object} Chunk.
+ */
+function createChunk(completion, delta, finishReason = null) {
+  return {
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: completion.created,
+    model: completion.model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+}
+
+module.exports = {
+  MODEL_ID,
+  getMessageText,
+  validateMessages,
+  hashConversation,
+  buildTask,
+  createCompletion,
+  createChunk
+};
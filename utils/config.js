@@ -62,13 +62,37 @@ class Config {
   }
 
   // Docker Configuration
+  // Task containers get the resource profile of the user's payment plan; plans without one use defaultProfile.
+  // Sizes are Docker sizes such as "512m"; a missing or 0 limit means unlimited. network is "none",
+  // "allowlist" (HTTP(S) only, through the egress proxy to allowedHosts and their subdomains) or "bridge" (unrestricted)
   get docker() {
     return {
       baseImage: process.env.DOCKER_BASE_IMAGE || 'python:3.9-slim',
       containerPrefix: process.env.DOCKER_CONTAINER_PREFIX || 'operon-task-',
       maxRetries: parseInt(process.env.DOCKER_MAX_RETRIES) || 3,
       timeout: parseInt(process.env.DOCKER_TIMEOUT) || 300000, // 5 minutes
-      useWSL: process.env.DOCKER_USE_WSL === 'true' || process.platform === 'win32'
+      engine: process.env.DOCKER_ENGINE || 'socket', // "fake" keeps containers in memory, for tests without Docker
+      socketPath: process.env.DOCKER_SOCKET || (process.platform === 'win32' ? '//./pipe/docker_engine' : '/var/run/docker.sock'),
+      host: process.env.DOCKER_HOST || null, // unix://, npipe:// or tcp:// address; overrides socketPath
+      fakeFixtures: process.env.DOCKER_FAKE_FIXTURES, // JSON fixtures for the fake engine
+      workspacePath: process.env.DOCKER_WORKSPACE_PATH || '/app', // where each chat's volume is mounted
+      poolSize: parseInt(process.env.DOCKER_POOL_SIZE ?? 2) || 0, // pre-started containers for new workspaces
+      idleTimeout: parseInt(process.env.DOCKER_IDLE_TIMEOUT) || 10 * 60 * 1000, // unused workspace containers are removed after this
+      reapInterval: parseInt(process.env.DOCKER_REAP_INTERVAL) || 60 * 1000,
+      // Network stays unrestricted (bridge) unless a profile sets none or allowlist
+      resourceProfiles: {
+        free: { cpus: 1, memory: '512m', pids: 128, disk: '1g', network: 'bridge' },
+        ...(this._parseJSON(process.env.DOCKER_RESOURCE_PROFILES) || {})
+      },
+      defaultProfile: {
+        cpus: 2, memory: '2g', pids: 256, disk: '5g', network: 'bridge',
+        ...(this._parseJSON(process.env.DOCKER_DEFAULT_PROFILE) || {})
+      },
+      poolPlan: process.env.DOCKER_POOL_PLAN || 'free', // warm containers are started with this plan's profile
+      storageQuota: process.env.DOCKER_STORAGE_QUOTA === 'true', // also cap the root filesystem (overlay2 on xfs with pquota)
+      egressNetwork: process.env.DOCKER_EGRESS_NETWORK || 'operon-egress', // internal network of allowlist containers
+      egressProxyPort: parseInt(process.env.DOCKER_EGRESS_PROXY_PORT) || 3128,
+      egressProxyHost: process.env.DOCKER_EGRESS_PROXY_HOST || null // how containers reach the proxy; defaults to the network's gateway
     };
   }
 
@@ -76,11 +100,52 @@ class Config {
   get ai() {
     return {
       openRouterApiKey: process.env.OPENROUTER_API_KEY,
-      defaultModel: process.env.AI_DEFAULT_MODEL || 'anthropic/claude-3-sonnet',
-      planningModel: process.env.AI_PLANNING_MODEL || 'anthropic/claude-3-haiku',
+      defaultModel: process.env.AI_DEFAULT_MODEL || 'openai/gpt-5',
+      planningModel: process.env.AI_PLANNING_MODEL || 'openai/o4-mini',
       maxTokens: parseInt(process.env.AI_MAX_TOKENS) || 4000,
       temperature: parseFloat(process.env.AI_TEMPERATURE) || 0.7,
-      maxRetries: parseInt(process.env.AI_MAX_RETRIES) || 3
+      maxRetries: parseInt(process.env.AI_MAX_RETRIES) || 3,
+      // Re-asks after a function call fails schema validation
+      functionCallRetries: parseInt(process.env.AI_FUNCTION_CALL_RETRIES) || 2,
+      // Provider used for models without an entry in modelProviders
+      provider: process.env.AI_PROVIDER || 'openrouter',
+      imageProvider: process.env.AI_IMAGE_PROVIDER || process.env.AI_PROVIDER || 'openrouter',
+      // Model name -> provider name, e.g. {"llama3.1:8b": "ollama"}
+      modelProviders: this._parseJSON(process.env.AI_MODEL_PROVIDERS) || {},
+      routing: this.modelRouting,
+      billing: this.billing,
+      providers: {
+        openrouter: {
+          type: 'openai',
+          baseURL: process.env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+          apiKey: process.env.OPENROUTER_API_KEY
+        },
+        openai: {
+          type: 'openai',
+          baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+          apiKey: process.env.OPENAI_API_KEY
+        },
+        anthropic: {
+          type: 'anthropic',
+          baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+          apiKey: process.env.ANTHROPIC_API_KEY,
+          apiVersion: process.env.ANTHROPIC_API_VERSION || '2023-06-01'
+        },
+        ollama: {
+          type: 'local',
+          baseURL: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+          model: process.env.OLLAMA_MODEL
+        },
+        llamacpp: {
+          type: 'local',
+          baseURL: process.env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+          model: process.env.LLAMACPP_MODEL
+        },
+        mock: {
+          type: 'mock',
+          fixturesPath: process.env.MOCK_AI_FIXTURES
+        }
+      }
     };
   }
 
@@ -88,9 +153,169 @@ class Config {
   get tasks() {
     return {
       screenshotInterval: parseInt(process.env.SCREENSHOT_INTERVAL) || 5000,
+      // Chat history: past maxHistoryLength messages or maxHistoryTokens tokens, all but the
+      // historyKeepRecent newest messages are rolled into a summary
       maxHistoryLength: parseInt(process.env.MAX_HISTORY_LENGTH) || 50,
+      maxHistoryTokens: parseInt(process.env.MAX_HISTORY_TOKENS) || 24000,
+      historyKeepRecent: parseInt(process.env.HISTORY_KEEP_RECENT) || 10,
+      // Longer single messages (usually step output) are clipped in the history sent to models
+      maxHistoryMessageTokens: parseInt(process.env.MAX_HISTORY_MESSAGE_TOKENS) || 2000,
       defaultTimeout: parseInt(process.env.TASK_DEFAULT_TIMEOUT) || 60000,
-      maxConcurrentTasks: parseInt(process.env.MAX_CONCURRENT_TASKS) || 5
+      maxConcurrentTasks: parseInt(process.env.MAX_CONCURRENT_TASKS) || 5,
+      maxParallelSteps: parseInt(process.env.MAX_PARALLEL_STEPS) || 3,
+      clarificationTimeout: parseInt(process.env.CLARIFICATION_TIMEOUT) || 10 * 60 * 1000, // 10 minutes
+      planReviewTimeout: parseInt(process.env.PLAN_REVIEW_TIMEOUT) || 30 * 60 * 1000 // 30 minutes
+    };
+  }
+
+  // Scheduled Task Configuration
+  get scheduler() {
+    return {
+      enabled: process.env.SCHEDULER_ENABLED !== 'false',
+      pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 30000, // how often due schedules are checked
+      minInterval: parseInt(process.env.SCHEDULER_MIN_INTERVAL) || 15 * 60 * 1000, // shortest allowed time between runs
+      maxSchedulesPerUser: parseInt(process.env.SCHEDULER_MAX_PER_USER) || 20
+    };
+  }
+
+  // Public API Configuration
+  get api() {
+    return {
+      enabled: process.env.API_ENABLED !== 'false',
+      maxKeysPerUser: parseInt(process.env.API_MAX_KEYS_PER_USER) || 10
+    };
+  }
+
+  // Webhook Configuration
+  get webhooks() {
+    return {
+      enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+      maxPerUser: parseInt(process.env.WEBHOOK_MAX_PER_USER) || 10,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+      retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000, // doubles after every failed attempt
+      timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+      pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 15000, // how often due retries are checked
+      logRetentionDays: parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 14,
+      allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' // localhost and private network addresses
+    };
+  }
+
+  // Approval Gate Configuration
+  get approvals() {
+    return {
+      timeout: parseInt(process.env.APPROVAL_TIMEOUT) || 10 * 60 * 1000, // 10 minutes, then the action is rejected
+      allowUserOptOut: process.env.APPROVAL_ALLOW_USER_OPT_OUT === 'true'
+    };
+  }
+
+  // Context Store Configuration
+  // Where task locks, cancellations and running-task state are shared:
+  // "memory" (single instance), "sqlite" (instances sharing the data directory) or "redis"
+  get contextStore() {
+    return {
+      type: process.env.CONTEXT_STORE || 'memory',
+      redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+      keyPrefix: process.env.CONTEXT_STORE_PREFIX || 'operon:',
+      lockTtl: parseInt(process.env.TASK_LOCK_TTL) || 30000, // a crashed instance's tasks unlock after this
+      syncInterval: parseInt(process.env.CONTEXT_SYNC_INTERVAL) || 1000 // cancellation checks and state updates
+    };
+  }
+
+  // Long-term Memory Configuration
+  get memory() {
+    return {
+      enabled: process.env.MEMORY_ENABLED !== 'false',
+      // Days a memory is kept for each storageDuration; "permanent" memories never expire
+      durations: {
+        short: parseInt(process.env.MEMORY_SHORT_DAYS) || 7,
+        medium: parseInt(process.env.MEMORY_MEDIUM_DAYS) || 90,
+        long: parseInt(process.env.MEMORY_LONG_DAYS) || 365
+      },
+      maxRetrieved: parseInt(process.env.MEMORY_MAX_RETRIEVED) || 10,
+      expiryInterval: parseInt(process.env.MEMORY_EXPIRY_INTERVAL) || 60 * 60 * 1000 // 1 hour
+    };
+  }
+
+  // Semantic Search Configuration
+  get search() {
+    return {
+      // "local" uses the built-in hashing embedder; any other value names a provider from ai.providers
+      embeddingProvider: process.env.EMBEDDING_PROVIDER || 'local',
+      embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-3-small',
+      dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || 512, // local embedder only
+      batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 64,
+      maxChars: parseInt(process.env.SEARCH_MAX_CHARS) || 8000, // text embedded per source
+      minScore: parseFloat(process.env.SEARCH_MIN_SCORE) || 0.1,
+      maxResults: parseInt(process.env.SEARCH_MAX_RESULTS) || 50
+    };
+  }
+
+  // Model Routing Configuration
+  // Each route lists candidate models in order of preference; later ones are fallbacks
+  get modelRouting() {
+    const defaultModel = process.env.AI_DEFAULT_MODEL || 'openai/gpt-5';
+    const planningModel = process.env.AI_PLANNING_MODEL || 'openai/o4-mini';
+
+    return {
+      routes: {
+        planning: [planningModel, 'openai/gpt-4.1'],
+        reflection: ['openai/o4-mini', 'openai/gpt-4.1'],
+        summarization: ['openai/o4-mini', 'openai/gpt-4.1'],
+        browser: ['openai/gpt-4.1', 'openai/gpt-4o'],
+        writer: [defaultModel, 'openai/gpt-4.1'],
+        auto: [defaultModel, 'openai/gpt-4.1'],
+        ...(this._parseJSON(process.env.AI_MODEL_ROUTES) || {})
+      },
+      // Short names the planner may put in a step's "model" field
+      aliases: {
+        'o4-mini': 'openai/o4-mini',
+        'gpt-4.1': 'openai/gpt-4.1',
+        'gpt-4o': 'openai/gpt-4o',
+        'gpt-5': 'openai/gpt-5',
+        ...(this._parseJSON(process.env.AI_MODEL_ALIASES) || {})
+      },
+      // Context window per model, in tokens
+      contextLimits: {
+        'openai/gpt-5': 400000,
+        'openai/gpt-4.1': 1047576,
+        'openai/gpt-4o': 128000,
+        'openai/o4-mini': 200000,
+        ...(this._parseJSON(process.env.AI_MODEL_CONTEXT_LIMITS) || {})
+      },
+      defaultContextLimit: parseInt(process.env.AI_DEFAULT_CONTEXT_LIMIT) || 128000
+    };
+  }
+
+  // Billing Configuration
+  // Prices are USD per million tokens; credits are charged at creditsPerDollar
+  get billing() {
+    return {
+      creditsPerDollar: parseInt(process.env.CREDITS_PER_DOLLAR) || 1000,
+      pricing: {
+        'openai/gpt-5': { input: 1.25, output: 10 },
+        'openai/gpt-4.1': { input: 2, output: 8 },
+        'openai/gpt-4o': { input: 2.5, output: 10 },
+        'openai/o4-mini': { input: 1.1, output: 4.4 },
+        ...(this._parseJSON(process.env.AI_MODEL_PRICING) || {})
+      },
+      defaultPrice: this._parseJSON(process.env.AI_DEFAULT_PRICE) || { input: 2, output: 8 }
+    };
+  }
+
+  // Task Budget Configuration
+  // Users may set a credit/token budget per task; it is capped by the ceiling of their payment plan.
+  // Admins can override ceilings per plan at runtime; a limit of 0 means unlimited
+  get budgets() {
+    return {
+      ceilings: {
+        free: { credits: 500, tokens: 1000000 },
+        ...(this._parseJSON(process.env.TASK_BUDGET_CEILINGS) || {})
+      },
+      defaultCeiling: {
+        credits: parseInt(process.env.TASK_BUDGET_MAX_CREDITS) || 0,
+        tokens: parseInt(process.env.TASK_BUDGET_MAX_TOKENS) || 0
+      },
+      warnAt: parseFloat(process.env.TASK_BUDGET_WARN_AT) || 0.8 // share of a limit that triggers budget_warning
     };
   }
 
@@ -153,6 +378,17 @@ class Config {
     return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
   }
 
+  // Helper method to parse JSON environment variables
+  _parseJSON(value) {
+    if (!value) return null;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Warning: Ignoring invalid JSON configuration value: ${value}`);
+      return null;
+    }
+  }
+
   // Get configuration for a specific section
   getSection(sectionName) {
     if (typeof this[sectionName] === 'function') {
@@ -179,6 +415,7 @@ class Config {
       cors: this.cors,
       docker: this.docker,
       tasks: this.tasks,
+      approvals: this.approvals,
       uploads: this.uploads,
       rateLimit: this.rateLimit,
       security: {
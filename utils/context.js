@@ -2,14 +2,43 @@
 /**
  * Context Manager - Unified state management for AI agent
  * Handles conversation history, step outputs, tool states, and more
- * Built for multi-user support
+ * Built for multi-user support; task locks, cancellations and running-task
+ * state are shared with other instances through the context store (see contextStores)
  */
 
-const { chatFunctions } = require('../database');
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./config');
+const contextStores = require('./contextStores');
+const { chatFunctions, taskCheckpointFunctions } = require('../database');
+
+// How long a cancellation stays visible to wasTaskRecentlyCancelled on other instances
+const CANCELLATION_TTL = 10 * 60 * 1000;
+
+/**
+ * Build the history entry that stands in for summarized older messages.
+ * It is a system message, so providers treat it as background rather than a turn.
+ * @param {string} summary - Summary text
+ */
+function createSummaryMessage(summary) {
+  return {
+    role: 'system',
+    summary: true,
+    summaryText: summary,
+    content: [
+      {type: 'text', text: `Summary of the earlier conversation:\n${summary}`}
+    ]
+  };
+}
 
 class Context {
   constructor(userId = 'default') {
     this.contexts = new Map();
+    // Identifies this process as the owner of task locks in the shared context store
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    // contextKey -> { taskId, startedAt, timer } for tasks running in this process
+    this.runningTasks = new Map();
+    this.interruptedTasksTimer = null;
     this.initializeContext(userId);
   }
 
@@ -27,6 +56,7 @@ class Context {
         plan: [],
         thoughtChain: [],
         currentStepIndex: 0,
+        completedSteps: [],
         question: '',
         toolStates: new Map(),
         variables: new Map(),
@@ -34,7 +64,8 @@ class Context {
         chatId: chatId,
         isTaskRunning: false,
         taskStartTime: null,
-        lastTaskId: null
+        lastTaskId: null,
+        budget: null
       });
       
       
@@ -89,14 +120,20 @@ class Context {
     try {
       if (!userId || userId === 'default') return; 
       
-      const messages = await chatFunctions.getChatHistory(userId, chatId);
+      // Messages covered by a stored summary are replaced by it
+      const summary = await chatFunctions.getChatSummary(userId, chatId);
+      const messages = await chatFunctions.getChatHistoryAfter(userId, chatId, summary ? summary.lastMessageId : 0);
       const context = this.getContext(userId, chatId);
       
       
       context.history = messages.map(msg => ({
+        id: msg.id,
         role: msg.role,
         content: msg.content
       }));
+      if (summary) {
+        context.history.unshift(createSummaryMessage(summary.summary));
+      }
       
       return context.history;
     } catch (error) {
@@ -113,12 +150,14 @@ class Context {
     
     if (userId && userId !== 'default') {
       try {
-        await chatFunctions.addChatMessage(
+        const saved = await chatFunctions.addChatMessage(
           userId,
           message.role,
           message.content,
           chatId
         );
+        // The ID marks how far a history summary reaches
+        message.id = saved.id;
       } catch (error) {
         console.error('Error saving message to database:', error.message);
       }
@@ -140,6 +179,23 @@ class Context {
     return this.getContext(userId, chatId).history;
   }
 
+  /**
+   * Replace older messages of a chat's history with a summary of them
+   * @param {string} summary - Summary of the covered messages (and any previous summary)
+   * @param {Array<Object>} coveredMessages - History entries the summary replaces
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   */
+  applyHistorySummary(summary, coveredMessages, userId = 'default', chatId = 1) {
+    const context = this.getContext(userId, chatId);
+    const covered = new Set(coveredMessages);
+    context.history = [
+      createSummaryMessage(summary),
+      ...context.history.filter(message => !message.summary && !covered.has(message))
+    ];
+    return context.history;
+  }
+
   async clearHistory(userId = 'default', chatId = 1) {
     this.getContext(userId, chatId).history = [];
     
@@ -175,7 +231,8 @@ class Context {
         action: stepParam.action,
         output: stepParam.output,
         success: stepParam.success !== false, 
-        error: stepParam.error || null
+        error: stepParam.error || null,
+        stepIndex: stepParam.stepIndex
       };
     } else {
       // When called with individual params: addStepOutput(step, action, output, userId, chatId)
@@ -246,6 +303,257 @@ class Context {
     return context.currentStepIndex;
   }
 
+  /**
+   * Record that a step finished. Parallel steps finish out of plan order, so
+   * currentStepIndex only counts the completed prefix while this holds every step.
+   * @param {number} stepIndex - Index of the step in the plan
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {Array<number>} Indices of all completed steps
+   */
+  markStepCompleted(stepIndex, userId = 'default', chatId = 1) {
+    const context = this.getContext(userId, chatId);
+    if (!context.completedSteps.includes(stepIndex)) {
+      context.completedSteps.push(stepIndex);
+    }
+    return context.completedSteps;
+  }
+
+  getCompletedSteps(userId = 'default', chatId = 1) {
+    return this.getContext(userId, chatId).completedSteps;
+  }
+
+  /**
+   * Persist the resumable state of a task to the database
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @param {string} status - Checkpoint status ('running' or 'interrupted')
+   */
+  async saveCheckpoint(userId = 'default', chatId = 1, status = 'running') {
+    if (!userId || userId === 'default') return;
+    
+    const context = this.getContext(userId, chatId);
+    
+    try {
+      await taskCheckpointFunctions.saveCheckpoint(userId, chatId, {
+        question: context.question,
+        plan: context.plan,
+        currentStepIndex: context.currentStepIndex,
+        // Outputs of steps still in progress are dropped so those steps run again on resume
+        stepsOutput: context.stepsOutput.filter(output => 
+          output.stepIndex === undefined || context.completedSteps.includes(output.stepIndex)
+        ),
+        thoughtChain: context.thoughtChain
+      }, status);
+    } catch (error) {
+      console.error('Error saving task checkpoint:', error.message);
+    }
+  }
+
+  /**
+   * Rebuild a fresh context from a stored checkpoint
+   * @param {Object} checkpoint - Checkpoint from taskCheckpointFunctions.getCheckpoint
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   */
+  restoreCheckpoint(checkpoint, userId = 'default', chatId = 1) {
+    const context = this.resetContext(userId, chatId);
+    context.question = checkpoint.question || '';
+    context.plan = checkpoint.plan || [];
+    context.currentStepIndex = checkpoint.currentStepIndex || 0;
+    context.stepsOutput = checkpoint.stepsOutput || [];
+    // Checkpoints only keep the outputs of completed steps
+    context.completedSteps = [...new Set(context.stepsOutput
+      .map(output => output.stepIndex)
+      .filter(stepIndex => stepIndex !== undefined))];
+    context.thoughtChain = checkpoint.thoughtChain || [];
+    return context;
+  }
+
+  /**
+   * Mark the checkpoints of tasks that no instance runs any more as interrupted, so they can be resumed.
+   * A task still runs while another instance holds its lock in the context store; locks of this
+   * instance only count while the task runs here.
+   * @returns {Promise<number>} Number of checkpoints marked
+   */
+  async markInterruptedTasks() {
+    const store = contextStores.getStore();
+    let marked = 0;
+    
+    try {
+      for (const checkpoint of await taskCheckpointFunctions.getRunningCheckpoints()) {
+        const { userId, chatId } = checkpoint;
+        const lock = await store.getLock(this.storeKey('task', userId, chatId));
+        if (this.runningTasks.has(`${userId}_${chatId}`) || (lock && lock.owner !== this.instanceId)) {
+          continue;
+        }
+        
+        const result = await taskCheckpointFunctions.markInterrupted(userId, chatId, checkpoint.updatedAt);
+        marked += result.changes;
+      }
+    } catch (error) {
+      console.error('Error marking interrupted tasks:', error.message);
+    }
+    
+    if (marked > 0) {
+      console.log(`Found ${marked} interrupted tasks that can be resumed`);
+    }
+    return marked;
+  }
+
+  /**
+   * Look for interrupted tasks now and then once per lock TTL, when the locks of a crashed instance may have expired
+   * @returns {NodeJS.Timeout} The timer
+   */
+  watchInterruptedTasks() {
+    if (!this.interruptedTasksTimer) {
+      this.markInterruptedTasks();
+      this.interruptedTasksTimer = setInterval(() => this.markInterruptedTasks(), config.contextStore.lockTtl);
+      this.interruptedTasksTimer.unref();
+    }
+    return this.interruptedTasksTimer;
+  }
+
+  /**
+   * Pause until the user answers clarifying questions for the current task
+   * @param {Array<string>} questions - Questions shown to the user
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @param {number} timeoutMs - How long to wait before continuing without an answer
+   * @returns {Promise<string|null>} The user's answer, or null if the wait timed out
+   */
+  waitForClarification(questions, userId = 'default', chatId = 1, timeoutMs = 10 * 60 * 1000) {
+    const context = this.getContext(userId, chatId);
+    const signal = context.cancellationToken ? context.cancellationToken.signal : null;
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        context.pendingClarification = null;
+        settle(value);
+      };
+      const onAbort = () => finish(reject, new Error('Task cancelled by user'));
+      
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+      
+      timer = setTimeout(() => finish(resolve, null), timeoutMs);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      context.pendingClarification = {
+        questions,
+        askedAt: Date.now(),
+        resolve: (answer) => finish(resolve, answer)
+      };
+    });
+  }
+
+  /**
+   * Deliver the user's answer to a pending clarification
+   * @param {string} answer - The user's answer
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {boolean} True if a clarification was waiting for this answer
+   */
+  answerClarification(answer, userId = 'default', chatId = 1) {
+    const pending = this.getContext(userId, chatId).pendingClarification;
+    if (!pending) {
+      return false;
+    }
+    pending.resolve(answer);
+    return true;
+  }
+
+  /**
+   * Get the clarification the task is currently waiting on, if any
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {Object|null} Questions and time asked, or null
+   */
+  getPendingClarification(userId = 'default', chatId = 1) {
+    const pending = this.getContext(userId, chatId).pendingClarification;
+    return pending ? { questions: pending.questions, askedAt: pending.askedAt } : null;
+  }
+
+  /**
+   * Pause until the user has reviewed and confirmed the proposed plan
+   * @param {Array} plan - The plan proposed by the planner
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @param {number} timeoutMs - How long to wait for the review
+   * @returns {Promise<Array|null>} The reviewed plan, or null if the wait timed out
+   */
+  waitForPlanReview(plan, userId = 'default', chatId = 1, timeoutMs = 30 * 60 * 1000) {
+    const context = this.getContext(userId, chatId);
+    const signal = context.cancellationToken ? context.cancellationToken.signal : null;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        context.pendingPlanReview = null;
+        settle(value);
+      };
+      const onAbort = () => finish(reject, new Error('Task cancelled by user'));
+
+      if (signal && signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      timer = setTimeout(() => finish(resolve, null), timeoutMs);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      context.pendingPlanReview = {
+        plan,
+        proposedAt: Date.now(),
+        resolve: (reviewedPlan) => finish(resolve, reviewedPlan)
+      };
+    });
+  }
+
+  /**
+   * Deliver the user's reviewed plan to a task waiting for plan review
+   * @param {Array} plan - The reviewed plan
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {boolean} True if a plan review was waiting
+   */
+  submitPlanReview(plan, userId = 'default', chatId = 1) {
+    const pending = this.getContext(userId, chatId).pendingPlanReview;
+    if (!pending) {
+      return false;
+    }
+    pending.resolve(plan);
+    return true;
+  }
+
+  /**
+   * Get the plan the task is currently waiting to have reviewed, if any
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {Object|null} Proposed plan and time proposed, or null
+   */
+  getPendingPlanReview(userId = 'default', chatId = 1) {
+    const pending = this.getContext(userId, chatId).pendingPlanReview;
+    return pending ? { plan: pending.plan, proposedAt: pending.proposedAt } : null;
+  }
+
   
   setQuestion(question, userId = 'default', chatId = 1) {
     this.getContext(userId, chatId).question = question;
@@ -299,6 +607,21 @@ class Context {
     return context.variables.get(key);
   }
 
+  /**
+   * Set the budget of the current task (see tools/AI/budget)
+   * @param {Object|null} budget - Limits, spend and the ID of the task it belongs to
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   */
+  setBudget(budget, userId = 'default', chatId = 1) {
+    this.getContext(userId, chatId).budget = budget;
+    return budget;
+  }
+
+  getBudget(userId = 'default', chatId = 1) {
+    return this.getContext(userId, chatId).budget;
+  }
+
   getAllVariables(userId = 'default', chatId = 1) {
     const context = this.getContext(userId, chatId);
     return Object.fromEntries(context.variables);
@@ -336,30 +659,154 @@ class Context {
   }
 
   /**
-   * Check if a task is currently running for a user
+   * Key of shared task state in the context store
+   * @param {string} kind - "task" (lock), "cancel" or "state"
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   */
+  storeKey(kind, userId, chatId) {
+    return `${kind}:${userId}:${chatId}`;
+  }
+
+  /**
+   * Check if a task is currently running for a user, on this or any other instance
    * @param {string} userId - User identifier
    * @param {number} chatId - Chat identifier
+   * @returns {Promise<boolean>} Whether a task is running
    */
-  isTaskRunning(userId = 'default', chatId = 1) {
-    return this.getContext(userId, chatId).isTaskRunning;
+  async isTaskRunning(userId = 'default', chatId = 1) {
+    if (this.runningTasks.has(`${userId}_${chatId}`)) {
+      return true;
+    }
+    try {
+      return !!(await contextStores.getStore().getLock(this.storeKey('task', userId, chatId)));
+    } catch (error) {
+      console.error('Error checking task lock:', error.message);
+      return false;
+    }
   }
 
   /**
-   * Set task running state
+   * Set task running state.
+   * Starting takes the chat's task lock in the context store, so only one instance can run a task per chat.
    * @param {boolean} running - Whether task is running
    * @param {string} userId - User identifier
    * @param {number} chatId - Chat identifier
+   * @returns {Promise<boolean>} When starting, false if another task holds the lock
    */
-  setTaskRunning(running, userId = 'default', chatId = 1) {
+  async setTaskRunning(running, userId = 'default', chatId = 1) {
+    const contextKey = `${userId}_${chatId}`;
+    const lockKey = this.storeKey('task', userId, chatId);
+    const store = contextStores.getStore();
     const context = this.getContext(userId, chatId);
-    context.isTaskRunning = running;
+
     if (running) {
-      context.taskStartTime = Date.now();
-      context.lastTaskId = `${userId}_${chatId}_${Date.now()}`;
-    } else {
-      context.taskStartTime = null;
+      const startedAt = Date.now();
+      const taskId = `${userId}_${chatId}_${startedAt}`;
+      if (!(await store.acquireLock(lockKey, this.instanceId, config.contextStore.lockTtl, { taskId, startedAt }))) {
+        return false;
+      }
+
+      context.isTaskRunning = true;
+      context.taskStartTime = startedAt;
+      context.lastTaskId = taskId;
+
+      const timer = setInterval(() => this.syncRunningTask(userId, chatId), config.contextStore.syncInterval);
+      timer.unref();
+      this.runningTasks.set(contextKey, { taskId, startedAt, timer });
+      await this.syncRunningTask(userId, chatId);
+      return true;
+    }
+
+    const task = this.runningTasks.get(contextKey);
+    if (task) {
+      clearInterval(task.timer);
+      this.runningTasks.delete(contextKey);
+    }
+    context.isTaskRunning = false;
+    context.taskStartTime = null;
+
+    try {
+      await store.releaseLock(lockKey, this.instanceId);
+      await store.delete(this.storeKey('state', userId, chatId));
+    } catch (error) {
+      console.error('Error releasing task lock:', error.message);
+    }
+    return false;
+  }
+
+  /**
+   * Keep a task running in this process in sync with the context store:
+   * extend its lock, publish its state and pick up cancellations made on other instances
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   */
+  async syncRunningTask(userId = 'default', chatId = 1) {
+    const task = this.runningTasks.get(`${userId}_${chatId}`);
+    if (!task || task.syncing) {
+      return;
+    }
+
+    const store = contextStores.getStore();
+    task.syncing = true;
+    try {
+      const cancellation = await store.get(this.storeKey('cancel', userId, chatId));
+      if (cancellation && cancellation.taskId === task.taskId) {
+        this.abortLocalTask(userId, chatId, cancellation.cancelledAt, cancellation.cancelledBy);
+      }
+
+      const locked = await store.acquireLock(this.storeKey('task', userId, chatId), this.instanceId, config.contextStore.lockTtl, {
+        taskId: task.taskId,
+        startedAt: task.startedAt
+      });
+      if (!locked) {
+        // The state key now belongs to the instance that took over
+        console.error(`Task lock for chat ${chatId} was taken over by another instance`);
+        return;
+      }
+
+      await store.set(this.storeKey('state', userId, chatId), this.getLocalTaskState(userId, chatId), config.contextStore.lockTtl);
+    } catch (error) {
+      console.error('Error syncing task with context store:', error.message);
+    } finally {
+      task.syncing = false;
+    }
+  }
+
+  /**
+   * Snapshot of a task running in this process, as shown to reconnecting clients
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   */
+  getLocalTaskState(userId = 'default', chatId = 1) {
+    const context = this.getContext(userId, chatId);
+    return {
+      taskId: context.lastTaskId,
+      question: context.question,
+      plan: context.plan,
+      currentStepIndex: context.currentStepIndex,
+      startTime: context.taskStartTime,
+      pendingClarification: this.getPendingClarification(userId, chatId),
+      pendingPlanReview: this.getPendingPlanReview(userId, chatId)
+    };
+  }
+
+  /**
+   * Get the state of the running task of a chat, wherever it runs
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {Promise<Object|null>} Task id, question, plan, progress and pending input, or null
+   */
+  async getTaskState(userId = 'default', chatId = 1) {
+    if (this.runningTasks.has(`${userId}_${chatId}`)) {
+      return this.getLocalTaskState(userId, chatId);
+    }
+    try {
+      return await contextStores.getStore().get(this.storeKey('state', userId, chatId));
+    } catch (error) {
+      console.error('Error reading task state:', error.message);
+      return null;
     }
-    return context.isTaskRunning;
   }
 
   /**
@@ -394,21 +841,58 @@ class Context {
   }
 
   /**
-   * Cancel current task
-   * @param {string} userId - User identifier (default: 'default')
-   * @param {number} chatId - Chat identifier (default: 1)
+   * Abort the task running in this process
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @param {number} cancelledAt - When the cancellation was requested
+   * @param {string} cancelledBy - Who cancelled the task
+   * @returns {boolean} True if a task was aborted
    */
-  cancelTask(userId = 'default', chatId = 1) {
+  abortLocalTask(userId = 'default', chatId = 1, cancelledAt = Date.now(), cancelledBy = 'user') {
     const context = this.getContext(userId, chatId);
     if (context.cancellationToken && !context.cancellationToken.signal.aborted) {
       context.cancellationToken.abort('Task cancelled by user');
-      context.taskCancelledAt = Date.now();
-      context.taskCancelledBy = 'user';
+      context.taskCancelledAt = cancelledAt;
+      context.taskCancelledBy = cancelledBy;
       return true;
     }
     return false;
   }
 
+  /**
+   * Cancel current task. A task running on another instance is cancelled
+   * through the context store and stops at that instance's next sync.
+   * @param {string} userId - User identifier (default: 'default')
+   * @param {number} chatId - Chat identifier (default: 1)
+   * @returns {Promise<boolean>} True if a running task was found
+   */
+  async cancelTask(userId = 'default', chatId = 1) {
+    const store = contextStores.getStore();
+    const cancelledAt = Date.now();
+    const context = this.getContext(userId, chatId);
+
+    const abortedLocally = this.abortLocalTask(userId, chatId, cancelledAt, 'user');
+    let taskId = null;
+    if (abortedLocally) {
+      taskId = context.lastTaskId;
+    } else {
+      const lock = await store.getLock(this.storeKey('task', userId, chatId));
+      taskId = lock && lock.owner !== this.instanceId ? lock.taskId : null;
+    }
+
+    if (!taskId) {
+      return false;
+    }
+
+    try {
+      await store.set(this.storeKey('cancel', userId, chatId), { taskId, cancelledAt, cancelledBy: 'user' }, CANCELLATION_TTL);
+    } catch (error) {
+      console.error('Error recording task cancellation:', error.message);
+      return abortedLocally;
+    }
+    return true;
+  }
+
   /**
    * Check if task is cancelled
    * @param {string} userId - User identifier (default: 'default')
@@ -429,18 +913,37 @@ class Context {
     context.cancellationToken = null;
   }
 
+  /**
+   * Get the most recent cancellation of a chat's task, from this or another instance
+   * @param {string} userId - User identifier
+   * @param {number} chatId - Chat identifier
+   * @returns {Promise<Object|null>} { cancelledAt, cancelledBy } or null
+   */
+  async getLastCancellation(userId = 'default', chatId = 1) {
+    const context = this.getContext(userId, chatId);
+    if (context.taskCancelledAt) {
+      return { cancelledAt: context.taskCancelledAt, cancelledBy: context.taskCancelledBy };
+    }
+    try {
+      return await contextStores.getStore().get(this.storeKey('cancel', userId, chatId));
+    } catch (error) {
+      console.error('Error reading task cancellation:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Check if task was recently cancelled
    * @param {string} userId - User identifier (default: 'default')
    * @param {number} chatId - Chat identifier (default: 1)
    * @param {number} withinMinutes - Check within last N minutes (default: 10)
    */
-  wasTaskRecentlyCancelled(userId = 'default', chatId = 1, withinMinutes = 10) {
-    const context = this.getContext(userId, chatId);
-    if (!context.taskCancelledAt) return false;
+  async wasTaskRecentlyCancelled(userId = 'default', chatId = 1, withinMinutes = 10) {
+    const cancellation = await this.getLastCancellation(userId, chatId);
+    if (!cancellation) return false;
     
     const now = Date.now();
-    const cancelledAt = context.taskCancelledAt;
+    const cancelledAt = cancellation.cancelledAt;
     const timeLimit = withinMinutes * 60 * 1000; // Convert to milliseconds
     
     return (now - cancelledAt) <= timeLimit;
@@ -451,12 +954,12 @@ class Context {
    * @param {string} userId - User identifier (default: 'default')
    * @param {number} chatId - Chat identifier (default: 1)
    */
-  getCancellationInfo(userId = 'default', chatId = 1) {
-    const context = this.getContext(userId, chatId);
+  async getCancellationInfo(userId = 'default', chatId = 1) {
+    const cancellation = await this.getLastCancellation(userId, chatId);
     return {
-      cancelledAt: context.taskCancelledAt,
-      cancelledBy: context.taskCancelledBy,
-      wasCancelled: !!context.taskCancelledAt
+      cancelledAt: cancellation ? cancellation.cancelledAt : undefined,
+      cancelledBy: cancellation ? cancellation.cancelledBy : undefined,
+      wasCancelled: !!cancellation
     };
   }
 
@@ -465,10 +968,15 @@ class Context {
    * @param {string} userId - User identifier (default: 'default')
    * @param {number} chatId - Chat identifier (default: 1)
    */
-  clearCancellationHistory(userId = 'default', chatId = 1) {
+  async clearCancellationHistory(userId = 'default', chatId = 1) {
     const context = this.getContext(userId, chatId);
     context.taskCancelledAt = null;
     context.taskCancelledBy = null;
+    try {
+      await contextStores.getStore().delete(this.storeKey('cancel', userId, chatId));
+    } catch (error) {
+      console.error('Error clearing task cancellation:', error.message);
+    }
   }
 }
 
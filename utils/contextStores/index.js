@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Storage backends for state the Context manager shares between instances:
+ * task locks, cancellation requests and the state of running tasks.
+ *
+ * Every store implements the same async interface:
+ *   get(key) / set(key, value, ttlMs?) / delete(key)  - JSON values, optional expiry
+ *   acquireLock(key, owner, ttlMs, data?)              - take a free or expired lock, or extend one's own
+ *   releaseLock(key, owner) / getLock(key)             - locks carry their owner next to `data`
+ *   close()
+ */
+
+const config = require('../config');
+const MemoryContextStore = require('./memory');
+const SqliteContextStore = require('./sqlite');
+const RedisContextStore = require('./redis');
+
+const storeTypes = {
+  memory: MemoryContextStore,
+  sqlite: SqliteContextStore,
+  redis: RedisContextStore
+};
+
+let store = null;
+
+/**
+ * Creates a store.
+ * @param {string} type - Store type: memory, sqlite or redis (default: config.contextStore.type).
+ * @param {Object} options - Store options (default: from config.contextStore).
+ * @returns {Object} Store instance.
+ */
+function createStore(type = config.contextStore.type, options = {}) {
+  const StoreClass = storeTypes[type];
+  if (!StoreClass) {
+    throw new Error(`Unknown context store type: ${type}`);
+  }
+  return new StoreClass({
+    url: config.contextStore.redisUrl,
+    keyPrefix: config.contextStore.keyPrefix,
+    ...options
+  });
+}
+
+/**
+ * The configured store, created on first use.
+ * @returns {Object} Store instance.
+ */
+function getStore() {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+}
+
+/**
+ * Replaces the store, e.g. to point tests at a Redis stand-in.
+ * @param {Object} newStore - Store instance.
+ */
+function setStore(newStore) {
+  store = newStore;
+}
+
+module.exports = { createStore, getStore, setStore, storeTypes };
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Process-local context store. The default for a single instance;
+ * locks and cancellations are only visible inside this process.
+ */
+
+/**
+ * In-memory store with the same semantics as the shared stores.
+ * Values are copied through JSON so callers never share references with the store.
+ */
+class MemoryContextStore {
+  constructor() {
+    // key -> { value, owner, expiresAt }
+    this.entries = new Map();
+  }
+
+  /**
+   * Returns an entry unless it has expired.
+   * @param {string} key - Entry key.
+   * @returns {Object|null} Entry.
+   */
+  _entry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  async get(key) {
+    const entry = this._entry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value: JSON.stringify(value), owner: null, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async acquireLock(key, owner, ttlMs, data = {}) {
+    const entry = this._entry(key);
+    if (entry && entry.owner && entry.owner !== owner) {
+      return false;
+    }
+    this.entries.set(key, { value: JSON.stringify({ ...data, owner }), owner, expiresAt: Date.now() + ttlMs });
+    return true;
+  }
+
+  async releaseLock(key, owner) {
+    const entry = this._entry(key);
+    if (!entry || entry.owner !== owner) {
+      return false;
+    }
+    this.entries.delete(key);
+    return true;
+  }
+
+  async getLock(key) {
+    const entry = this._entry(key);
+    return entry && entry.owner ? JSON.parse(entry.value) : null;
+  }
+
+  async close() {
+    this.entries.clear();
+  }
+}
+
+module.exports = MemoryContextStore;
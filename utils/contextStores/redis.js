@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Context store on a Redis-protocol server, for instances on different hosts.
+ * Values use plain GET/SET/DEL; locks use two small Lua scripts (EVAL), so the server
+ * needs scripting, as Redis and the stand-in in redisStandIn.js for local runs and tests have.
+ */
+
+const { RespClient } = require('./respClient');
+
+// Lock changes compare the owner and write in one step; another instance can take
+// an expired lock at any moment, so a separate GET would be stale by the write
+const scripts = {
+  // KEYS[1] lock, ARGV[1] owner, ARGV[2] lock value, ARGV[3] TTL in ms: take the lock if it is free or ours
+  acquireLock: `
+    local current = redis.call('GET', KEYS[1])
+    if current and cjson.decode(current).owner ~= ARGV[1] then
+      return 0
+    end
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+    return 1`,
+  // KEYS[1] lock, ARGV[1] owner: delete the lock if it is ours
+  releaseLock: `
+    local current = redis.call('GET', KEYS[1])
+    if current and cjson.decode(current).owner == ARGV[1] then
+      return redis.call('DEL', KEYS[1])
+    end
+    return 0`
+};
+
+class RedisContextStore {
+  constructor(options = {}) {
+    this.keyPrefix = options.keyPrefix || '';
+    this.client = options.client || new RespClient(options.url || 'redis://localhost:6379');
+  }
+
+  _key(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  async get(key) {
+    const value = await this.client.command('GET', this._key(key));
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttlMs) {
+    const args = ['SET', this._key(key), JSON.stringify(value)];
+    if (ttlMs) {
+      args.push('PX', ttlMs);
+    }
+    await this.client.command(...args);
+  }
+
+  async delete(key) {
+    await this.client.command('DEL', this._key(key));
+  }
+
+  async acquireLock(key, owner, ttlMs, data = {}) {
+    const value = JSON.stringify({ ...data, owner });
+    return await this.client.command('EVAL', scripts.acquireLock, 1, this._key(key), owner, value, ttlMs) === 1;
+  }
+
+  async releaseLock(key, owner) {
+    return await this.client.command('EVAL', scripts.releaseLock, 1, this._key(key), owner) === 1;
+  }
+
+  async getLock(key) {
+    const value = await this.get(key);
+    return value && value.owner ? value : null;
+  }
+
+  async close() {
+    await this.client.close();
+  }
+}
+
+RedisContextStore.scripts = scripts;
+
+module.exports = RedisContextStore;
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Local stand-in for a Redis server, for tests and development.
+ * Speaks RESP2 and implements the commands the Redis context store and its
+ * client use (PING, AUTH, SELECT, GET, SET with EX/PX/NX/XX, DEL, EXISTS,
+ * PEXPIRE, PTTL, FLUSHALL, QUIT), keeping everything in memory. EVAL only
+ * runs the store's lock scripts, with JavaScript doing what their Lua does.
+ *
+ * Run standalone with `node utils/contextStores/redisStandIn.js [port]`, then
+ * start instances with CONTEXT_STORE=redis and REDIS_URL=redis://localhost:<port>.
+ */
+
+const net = require('net');
+const { parseReply } = require('./respClient');
+const { scripts } = require('./redis');
+
+// Marks a reply sent as a RESP simple string ("+OK") rather than a bulk string
+class SimpleString {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+const OK = new SimpleString('OK');
+
+/**
+ * Reads the owner of a lock value, as cjson.decode(value).owner does in the lock scripts.
+ * @param {string} value - Stored value.
+ * @returns {string|null} The owner, or null if the value is not a lock.
+ */
+function lockOwner(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && parsed.owner !== undefined ? parsed.owner : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Encodes a reply value.
+ * @param {*} value - SimpleString, string, number, null, Error or array.
+ * @returns {string} RESP data.
+ */
+function encodeReply(value) {
+  if (value instanceof SimpleString) {
+    return `+${value.value}\r\n`;
+  }
+  if (value instanceof Error) {
+    return `-ERR ${value.message}\r\n`;
+  }
+  if (value === null || value === undefined) {
+    return '$-1\r\n';
+  }
+  if (typeof value === 'number') {
+    return `:${value}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  }
+  const text = String(value);
+  return `$${Buffer.byteLength(text)}\r\n${text}\r\n`;
+}
+
+class RedisStandIn {
+  constructor() {
+    // key -> { value, expiresAt }
+    this.data = new Map();
+    // Lock script source -> implementation; commands run one at a time, so each runs atomically as in Redis
+    this.scripts = new Map([
+      [scripts.acquireLock, ([key], [owner, value, ttlMs]) => {
+        const entry = this._entry(key);
+        if (entry && lockOwner(entry.value) !== owner) {
+          return 0;
+        }
+        const reply = this._set([key, value, 'PX', ttlMs]);
+        return reply instanceof Error ? reply : 1;
+      }],
+      [scripts.releaseLock, ([key], [owner]) => {
+        const entry = this._entry(key);
+        if (!entry || lockOwner(entry.value) !== owner) {
+          return 0;
+        }
+        this.data.delete(key);
+        return 1;
+      }]
+    ]);
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  _entry(key) {
+    const entry = this.data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  /**
+   * Executes one command.
+   * @param {Array<string>} args - Command name and arguments.
+   * @returns {*} Reply value.
+   */
+  execute(args) {
+    const [name, ...rest] = args;
+    switch (String(name).toUpperCase()) {
+      case 'PING':
+        return new SimpleString(rest[0] || 'PONG');
+      case 'AUTH':
+      case 'SELECT':
+      case 'QUIT':
+        return OK;
+      case 'GET': {
+        const entry = this._entry(rest[0]);
+        return entry ? entry.value : null;
+      }
+      case 'SET':
+        return this._set(rest);
+      case 'DEL':
+        return rest.filter(key => this._entry(key) && this.data.delete(key)).length;
+      case 'EXISTS':
+        return rest.filter(key => this._entry(key)).length;
+      case 'PEXPIRE': {
+        const entry = this._entry(rest[0]);
+        if (!entry) {
+          return 0;
+        }
+        entry.expiresAt = Date.now() + parseInt(rest[1], 10);
+        return 1;
+      }
+      case 'PTTL': {
+        const entry = this._entry(rest[0]);
+        if (!entry) {
+          return -2;
+        }
+        return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+      }
+      case 'EVAL':
+        return this._eval(rest);
+      case 'FLUSHALL':
+        this.data.clear();
+        return OK;
+      default:
+        return new Error(`unknown command '${name}'`);
+    }
+  }
+
+  _set([key, value, ...options]) {
+    let expiresAt = null;
+    let mode = null;
+
+    for (let i = 0; i < options.length; i++) {
+      const option = String(options[i]).toUpperCase();
+      if (option === 'PX' || option === 'EX') {
+        const amount = parseInt(options[++i], 10);
+        if (!(amount > 0)) {
+          return new Error('invalid expire time in set');
+        }
+        expiresAt = Date.now() + (option === 'EX' ? amount * 1000 : amount);
+      } else if (option === 'NX' || option === 'XX') {
+        mode = option;
+      } else {
+        return new Error('syntax error');
+      }
+    }
+
+    const exists = this._entry(key) !== null;
+    if ((mode === 'NX' && exists) || (mode === 'XX' && !exists)) {
+      return null;
+    }
+    this.data.set(key, { value, expiresAt });
+    return OK;
+  }
+
+  _eval([script, keyCount, ...rest]) {
+    const implementation = this.scripts.get(script);
+    if (!implementation) {
+      return new Error('only the context store\'s lock scripts can be run');
+    }
+    const count = parseInt(keyCount, 10);
+    return implementation(rest.slice(0, count), rest.slice(count));
+  }
+
+  _onConnection(socket) {
+    this.sockets.add(socket);
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      try {
+        while (buffer.length > 0 && (request = parseReply(buffer))) {
+          buffer = buffer.subarray(request.offset);
+          const args = Array.isArray(request.value) ? request.value : [request.value];
+          socket.write(encodeReply(this.execute(args)));
+          if (String(args[0]).toUpperCase() === 'QUIT') {
+            socket.end();
+          }
+        }
+      } catch (error) {
+        socket.end(encodeReply(new Error('Protocol error')));
+      }
+    });
+    socket.on('error', () => socket.destroy());
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} port - Port to listen on; 0 picks a free one.
+   * @param {string} host - Interface to bind (default: 127.0.0.1).
+   * @returns {Promise<number>} The port listened on.
+   */
+  start(port = 0, host = '127.0.0.1') {
+    this.server = net.createServer(socket => this._onConnection(socket));
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server.address().port));
+    });
+  }
+
+  /**
+   * Stops listening and closes all client connections.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+}
+
+if (require.main === module) {
+  const standIn = new RedisStandIn();
+  standIn.start(parseInt(process.argv[2], 10) || 6379).then(port => {
+    console.log(`Redis stand-in listening on 127.0.0.1:${port}`);
+  });
+}
+
+module.exports = RedisStandIn;
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Minimal client for the Redis serialization protocol (RESP2).
+ * Covers what the Redis context store needs: one connection, pipelined
+ * commands answered in order, AUTH/SELECT from the URL and reconnecting
+ * after the connection drops. Works with Redis, Valkey, KeyDB and the
+ * local stand-in in redisStandIn.js.
+ */
+
+const net = require('net');
+
+/**
+ * Encodes a command as a RESP array of bulk strings.
+ * @param {Array<string|number>} args - Command name and arguments.
+ * @returns {Buffer} Encoded command.
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parses one RESP value from a buffer.
+ * Error replies are returned as Error instances.
+ * @param {Buffer} buffer - Received data.
+ * @param {number} offset - Where the value starts.
+ * @returns {{value: *, offset: number}|null} The value and where the next one starts, or null if incomplete.
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd < 0) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length < 0) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count < 0) {
+        return { value: null, offset: next };
+      }
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Invalid RESP data type '${type}'`);
+  }
+}
+
+class RespClient {
+  /**
+   * @param {string} url - redis://[:password@]host[:port][/db]
+   * @param {Object} options - { connectTimeout } in milliseconds
+   */
+  constructor(url, options = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || 'localhost';
+    this.port = parseInt(parsed.port, 10) || 6379;
+    this.username = decodeURIComponent(parsed.username || '');
+    this.password = decodeURIComponent(parsed.password || '');
+    this.db = parseInt(parsed.pathname.replace('/', ''), 10) || 0;
+    this.connectTimeout = options.connectTimeout || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Opens the connection if needed and authenticates.
+   * @returns {Promise<net.Socket>} Connected socket.
+   */
+  _connect() {
+    if (this.socket) {
+      return Promise.resolve(this.socket);
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+      socket.setTimeout(this.connectTimeout);
+
+      const fail = (error) => {
+        socket.destroy();
+        this.connecting = null;
+        reject(error);
+      };
+
+      socket.once('timeout', () => fail(new Error(`Connection to ${this.host}:${this.port} timed out`)));
+      socket.once('error', fail);
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        socket.removeAllListeners('timeout');
+        socket.removeListener('error', fail);
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('error', (error) => this._onClose(error));
+        socket.on('close', () => this._onClose(new Error('Connection closed')));
+
+        this.socket = socket;
+        this.connecting = null;
+
+        const setup = [];
+        if (this.password) {
+          setup.push(this.username ? this._send(['AUTH', this.username, this.password]) : this._send(['AUTH', this.password]));
+        }
+        if (this.db) {
+          setup.push(this._send(['SELECT', this.db]));
+        }
+        Promise.all(setup).then(() => resolve(socket), fail);
+      });
+    });
+
+    return this.connecting;
+  }
+
+  _onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    let reply;
+    try {
+      while (offset < this.buffer.length && (reply = parseReply(this.buffer, offset))) {
+        offset = reply.offset;
+        const request = this.pending.shift();
+        if (request) {
+          if (reply.value instanceof Error) {
+            request.reject(reply.value);
+          } else {
+            request.resolve(reply.value);
+          }
+        }
+      }
+    } catch (error) {
+      this.socket.destroy(error);
+      return;
+    }
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  _onClose(error) {
+    if (!this.socket) {
+      return;
+    }
+    this.socket.destroy();
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+
+    // Commands in flight are lost; the next command reconnects
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(request => request.reject(error));
+  }
+
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Sends a command and waits for its reply.
+   * @param {...(string|number)} args - Command name and arguments, e.g. ('SET', 'key', 'value', 'PX', 1000).
+   * @returns {Promise<*>} Reply: string, number, null or array.
+   */
+  async command(...args) {
+    await this._connect();
+    return this._send(args);
+  }
+
+  /**
+   * Closes the connection.
+   */
+  async close() {
+    if (this.socket) {
+      try {
+        await this._send(['QUIT']);
+      } catch (error) {
+        // Already closing
+      }
+      if (this.socket) {
+        this.socket.end();
+      }
+    }
+  }
+}
+
+module.exports = { RespClient, encodeCommand, parseReply };
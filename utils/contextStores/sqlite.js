@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Context store in the application's SQLite database.
+ * Shares locks and task state between instances that use the same data directory.
+ */
+
+const { contextStoreFunctions } = require('../../database');
+
+// Expired rows are cleaned up at most this often
+const PURGE_INTERVAL = 10 * 60 * 1000;
+
+class SqliteContextStore {
+  constructor(options = {}) {
+    this.keyPrefix = options.keyPrefix || '';
+    this.lastPurge = Date.now();
+  }
+
+  _key(key) {
+    return `${this.keyPrefix}${key}`;
+  }
+
+  /**
+   * Drops expired rows now and then; reads already ignore them.
+   */
+  _purgeExpired() {
+    if (Date.now() - this.lastPurge < PURGE_INTERVAL) {
+      return;
+    }
+    this.lastPurge = Date.now();
+    contextStoreFunctions.deleteExpiredEntries().catch(error => {
+      console.error('Error purging expired context store entries:', error.message);
+    });
+  }
+
+  async get(key) {
+    const entry = await contextStoreFunctions.getEntry(this._key(key));
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this._purgeExpired();
+    await contextStoreFunctions.setEntry(this._key(key), JSON.stringify(value), ttlMs ? Date.now() + ttlMs : null);
+  }
+
+  async delete(key) {
+    await contextStoreFunctions.deleteEntry(this._key(key));
+  }
+
+  async acquireLock(key, owner, ttlMs, data = {}) {
+    return contextStoreFunctions.acquireLock(this._key(key), owner, JSON.stringify({ ...data, owner }), Date.now() + ttlMs);
+  }
+
+  async releaseLock(key, owner) {
+    return contextStoreFunctions.deleteEntry(this._key(key), owner);
+  }
+
+  async getLock(key) {
+    const entry = await contextStoreFunctions.getEntry(this._key(key));
+    return entry && entry.owner ? JSON.parse(entry.value) : null;
+  }
+
+  async close() {
+    // The database connection belongs to database.js
+  }
+}
+
+module.exports = SqliteContextStore;
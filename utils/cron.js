@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Cron expressions for scheduled tasks.
+ * Supports the five standard fields (minute hour day-of-month month day-of-week)
+ * with lists, ranges and steps, month and weekday names, and the macros
+ * @yearly, @monthly, @weekly, @daily and @hourly. As in classic cron, a task
+ * runs when either day field matches if both are restricted. Times are
+ * evaluated in an IANA time zone, or the server's when none is given.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MINUTE = 60 * 1000;
+
+// Give up looking for a matching time after this many years (e.g. "0 0 30 2 *" never matches)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parses one field value (a name or a number) within its range.
+ * @param {string} value - Field value.
+ * @param {Object} field - Field definition.
+ * @returns {number} The value.
+ */
+function parseValue(value, field) {
+  const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = nameIndex >= 0 ? nameIndex + field.min : Number(value);
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parses a field into the set of values it matches.
+ * @param {string} text - Field text, e.g. "*", "1-5", "*\/15" or "MON,WED".
+ * @param {Object} field - Field definition.
+ * @returns {Set<number>} Matching values.
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range in ${field.name} "${part}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // Sunday can be written as 0 or 7
+  if (field.name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression - Cron expression or macro.
+ * @returns {Object} Sets of matching values per field, and which day fields are restricted.
+ * @throws {Error} If the expression is invalid.
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+  schedule.dayOfMonthRestricted = parts[2] !== '*';
+  schedule.dayOfWeekRestricted = parts[4] !== '*';
+  return schedule;
+}
+
+/**
+ * Checks a cron expression.
+ * @param {string} expression - Cron expression or macro.
+ * @returns {string|null} Error message, or null if the expression is valid.
+ */
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Checks an IANA time zone name.
+ * @param {string} timezone - Time zone, e.g. "Europe/Berlin".
+ * @returns {boolean} Whether the runtime knows the zone.
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Converts an instant to the wall-clock time of a zone, expressed as a UTC timestamp
+ * (so the UTC getters return the local fields).
+ * @param {number} instant - Milliseconds since the epoch.
+ * @param {string} timezone - Time zone, or null for the server's.
+ * @returns {number} Wall-clock time.
+ */
+function toWallClock(instant, timezone) {
+  if (!timezone) {
+    const date = new Date(instant);
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes());
+  }
+
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(new Date(instant)).forEach(part => {
+    parts[part.type] = parseInt(part.value, 10);
+  });
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+}
+
+/**
+ * Converts a wall-clock time of a zone back to an instant.
+ * Times skipped by a daylight saving change resolve to the hour after.
+ * @param {number} wallClock - Wall-clock time from toWallClock.
+ * @param {string} timezone - Time zone, or null for the server's.
+ * @returns {number} Milliseconds since the epoch.
+ */
+function fromWallClock(wallClock, timezone) {
+  if (!timezone) {
+    const date = new Date(wallClock);
+    return new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes()).getTime();
+  }
+
+  // The zone's offset at the guessed instant; recheck once in case it crosses a DST change
+  let instant = wallClock - (toWallClock(wallClock, timezone) - wallClock);
+  const offset = toWallClock(instant, timezone) - instant;
+  if (instant + offset !== wallClock) {
+    instant = wallClock - offset;
+  }
+  return instant;
+}
+
+/**
+ * Whether a wall-clock day matches the day fields.
+ * @param {Object} schedule - Parsed expression.
+ * @param {Date} date - Wall-clock time.
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Finds the next time an expression matches, strictly after a given time.
+ * @param {string} expression - Cron expression or macro.
+ * @param {Date|number} after - Start of the search (default: now).
+ * @param {string} timezone - IANA time zone (default: the server's).
+ * @returns {Date|null} Next run time, or null if the expression never matches.
+ * @throws {Error} If the expression is invalid.
+ */
+function getNextRun(expression, after = Date.now(), timezone = null) {
+  const schedule = parseCron(expression);
+  const start = new Date(after).getTime();
+
+  // Search in wall-clock time, starting at the next whole minute
+  let wall = Math.floor(toWallClock(start, timezone) / MINUTE) * MINUTE + MINUTE;
+  const limit = wall + MAX_SEARCH_YEARS * 366 * 24 * 60 * MINUTE;
+
+  while (wall <= limit) {
+    const date = new Date(wall);
+
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+      continue;
+    }
+    if (!schedule.hour.has(date.getUTCHours())) {
+      wall = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours() + 1);
+      continue;
+    }
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      wall += MINUTE;
+      continue;
+    }
+
+    const instant = fromWallClock(wall, timezone);
+    // A wall-clock time repeated when clocks go back can map to before the start
+    if (instant > start) {
+      return new Date(instant);
+    }
+    wall += MINUTE;
+  }
+  return null;
+}
+
+module.exports = {
+  MACROS,
+  parseCron,
+  validateCron,
+  isValidTimezone,
+  getNextRun
+};
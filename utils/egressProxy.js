@@ -0,0 +1,241 @@
+/**
+ * @fileoverview HTTP(S) proxy for task containers with an egress allowlist.
+ * Such containers sit on an internal Docker network without a route out; their
+ * only way out is this proxy, which they reach with a token of their own in the
+ * proxy URL. Requests go through only to the hosts the container's resource
+ * profile allows, and refused hosts are remembered so that a failing step can
+ * be told which host was blocked.
+ */
+
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const PROXY_USER = 'operon';
+
+// Token -> { allowedHosts, denied: Set of hosts }
+const clients = new Map();
+
+let server = null;
+let starting = null;
+
+/**
+ * Whether a host is on an allowlist. An entry allows the host itself and its subdomains.
+ * @param {string} host - Host name, without port.
+ * @param {Array<string>} allowedHosts - Allowed hosts, e.g. ["pypi.org", "*.githubusercontent.com"].
+ * @returns {boolean}
+ */
+function isAllowed(host, allowedHosts = []) {
+  const name = String(host || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return allowedHosts.some(entry => {
+    const allowed = String(entry).toLowerCase().replace(/^\*?\./, '');
+    return allowed && (name === allowed || name.endsWith(`.${allowed}`));
+  });
+}
+
+/**
+ * Registers a container with the proxy.
+ * @param {Array<string>} allowedHosts - Hosts the container may reach.
+ * @returns {string} Token the container authenticates with.
+ */
+function register(allowedHosts = []) {
+  const token = crypto.randomBytes(16).toString('hex');
+  clients.set(token, { allowedHosts, denied: new Set() });
+  return token;
+}
+
+/**
+ * Removes a container's access.
+ * @param {string} token - Token from register().
+ */
+function unregister(token) {
+  clients.delete(token);
+}
+
+/**
+ * Builds the proxy URL a container is given in HTTP_PROXY and HTTPS_PROXY.
+ * @param {string} token - Token from register().
+ * @param {string} host - Address containers reach the proxy at.
+ * @param {number} port - Proxy port.
+ * @returns {string} Proxy URL.
+ */
+function getProxyUrl(token, host, port) {
+  return `http://${PROXY_USER}:${token}@${host}:${port}`;
+}
+
+/**
+ * Returns the hosts refused for a container since the last call, and forgets them.
+ * @param {string} token - Token from register().
+ * @returns {Array<string>} Refused hosts.
+ */
+function takeDenied(token) {
+  const client = clients.get(token);
+  if (!client) {
+    return [];
+  }
+  const denied = [...client.denied];
+  client.denied.clear();
+  return denied;
+}
+
+/**
+ * Finds the container a proxy request comes from.
+ * @param {http.IncomingMessage} req - Proxy request.
+ * @returns {Object|null} Registered client, or null if the credentials are missing or unknown.
+ */
+function authenticate(req) {
+  const match = /^Basic\s+(.+)$/i.exec(req.headers['proxy-authorization'] || '');
+  if (!match) {
+    return null;
+  }
+  const [user, token] = Buffer.from(match[1], 'base64').toString().split(':');
+  return user === PROXY_USER ? clients.get(token) || null : null;
+}
+
+/**
+ * Checks a proxy request and answers it if it may not go through.
+ * @param {http.IncomingMessage} req - Proxy request.
+ * @param {string} host - Requested host.
+ * @param {Function} refuse - Answers with (status, headers, message).
+ * @returns {boolean} Whether the request may go through.
+ */
+function admit(req, host, refuse) {
+  const client = authenticate(req);
+  if (!client) {
+    refuse(407, { 'Proxy-Authenticate': `Basic realm="${PROXY_USER}"` }, 'Proxy authentication required');
+    return false;
+  }
+  if (!isAllowed(host, client.allowedHosts)) {
+    client.denied.add(host);
+    refuse(403, {}, `Blocked by the egress allowlist: ${host} is not an allowed host`);
+    return false;
+  }
+  return true;
+}
+
+function handleRequest(req, res) {
+  let target;
+  try {
+    target = new URL(req.url);
+  } catch (error) {
+    target = null;
+  }
+  if (!target || target.protocol !== 'http:') {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Only absolute http:// URLs can be requested through this proxy');
+    return;
+  }
+
+  const refuse = (status, headers, message) => {
+    res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+    res.end(message);
+  };
+  if (!admit(req, target.hostname, refuse)) {
+    return;
+  }
+
+  const headers = { ...req.headers };
+  delete headers['proxy-authorization'];
+  delete headers['proxy-connection'];
+
+  const upstream = http.request({
+    host: target.hostname.replace(/^\[|\]$/g, ''),
+    port: target.port || 80,
+    method: req.method,
+    path: `${target.pathname}${target.search}`,
+    headers
+  }, upstreamRes => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+  upstream.on('error', error => {
+    if (!res.headersSent) {
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+    }
+    res.end(`Upstream request failed: ${error.message}`);
+  });
+  req.pipe(upstream);
+}
+
+function handleConnect(req, socket, head) {
+  const separator = req.url.lastIndexOf(':');
+  const host = separator > 0 ? req.url.slice(0, separator) : req.url;
+  const port = parseInt(req.url.slice(separator + 1), 10) || 443;
+
+  const refuse = (status, headers, message) => {
+    const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n${headerLines}Content-Type: text/plain\r\n\r\n${message}`);
+  };
+  socket.on('error', () => {});
+  if (!admit(req, host, refuse)) {
+    return;
+  }
+
+  const upstream = net.connect(port, host.replace(/^\[|\]$/g, ''), () => {
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head && head.length > 0) {
+      upstream.write(head);
+    }
+    upstream.pipe(socket);
+    socket.pipe(upstream);
+  });
+  upstream.on('error', error => {
+    if (upstream.connecting) {
+      refuse(502, {}, `Could not connect to ${host}:${port}: ${error.message}`);
+    } else {
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => upstream.destroy());
+}
+
+/**
+ * Starts the proxy if it is not running.
+ * @param {number} port - Port to listen on, on all interfaces.
+ * @returns {Promise<http.Server>} The listening server.
+ */
+function start(port) {
+  if (server) {
+    return Promise.resolve(server);
+  }
+  if (!starting) {
+    starting = new Promise((resolve, reject) => {
+      const proxy = http.createServer(handleRequest);
+      proxy.on('connect', handleConnect);
+      proxy.on('clientError', (error, socket) => socket.destroy());
+      proxy.once('error', error => {
+        starting = null;
+        reject(error);
+      });
+      proxy.listen(port, () => {
+        server = proxy;
+        server.unref();
+        logger.info('Egress proxy listening', { port });
+        resolve(server);
+      });
+    });
+  }
+  return starting;
+}
+
+/**
+ * Stops the proxy; open tunnels are cut off.
+ */
+function stop() {
+  if (server) {
+    server.close();
+    server = null;
+    starting = null;
+  }
+}
+
+module.exports = {
+  isAllowed,
+  register,
+  unregister,
+  getProxyUrl,
+  takeDenied,
+  start,
+  stop
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Live output of commands run in task containers.
+ * Output arrives in many small chunks; the listener is given the latest part
+ * of it at most once per interval, and once more when the command ends.
+ */
+
+/**
+ * Creates a collector to pass as executeCommand's onOutput.
+ * @param {Function} onUpdate - Called with the output so far, cut to its last maxLength characters.
+ * @param {Object} [options] - { interval, maxLength }.
+ * @param {number} [options.interval=500] - Minimum milliseconds between updates.
+ * @param {number} [options.maxLength=2000] - Characters of output passed to onUpdate.
+ * @returns {Object} { onOutput(text), end() }; call end() when the command has finished.
+ */
+function createOutputStream(onUpdate, { interval = 500, maxLength = 2000 } = {}) {
+  let output = '';
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    onUpdate(output.slice(-maxLength));
+  };
+
+  return {
+    onOutput(text) {
+      output = (output + text).slice(-maxLength);
+      if (!timer) {
+        timer = setTimeout(flush, interval);
+      }
+    },
+    end() {
+      if (timer) {
+        clearTimeout(timer);
+        flush();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOutputStream
+};
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Scheduled and recurring tasks.
+ * Each schedule runs a prompt through the orchestrator on a cron expression,
+ * in a chat of its own, and delivers the answer by email or Telegram. Due runs
+ * are claimed in the database, so with several instances each run happens once.
+ * Scheduled runs are unattended: the planner does not ask clarifying questions
+ * and plans are not paused for review.
+ */
+
+const config = require('./config');
+const logger = require('./logger');
+const cron = require('./cron');
+const contextManager = require('./context');
+const emailService = require('./emailService');
+const { scheduledTaskFunctions, chatFunctions, userFunctions } = require('../database');
+
+const DELIVERY_METHODS = ['email', 'telegram', 'none'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_PROMPT_LENGTH = 4000;
+
+// Results of the orchestrator that mean the run did not produce an answer
+const FAILED_RESULT = /^(Critical error occurred during execution|Task cancelled by user|Task already running)/;
+
+// IDs of schedules running in this process
+const runningSchedules = new Set();
+
+let pollTimer = null;
+
+/**
+ * Telegram users sign in through the bot with a placeholder address that holds their Telegram ID.
+ * Telegram results only go to this chat, so a schedule cannot message anyone else.
+ * @param {Object} user - User row.
+ * @returns {string|null} Telegram chat ID, or null for other users.
+ */
+function getLinkedTelegramChatId(user) {
+  const match = /^telegram_(\d+)@telegram\.local$/.exec((user && user.email) || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Validates a schedule. When changing a schedule, pass the stored one merged with the changes.
+ * @param {Object} schedule - { name, prompt, cronExpression, timezone?, delivery?, enabled? }
+ * @returns {Array<string>} Validation errors; empty if valid.
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+  const has = key => schedule[key] !== undefined && schedule[key] !== null && schedule[key] !== '';
+
+  if (typeof schedule.name !== 'string' || !schedule.name.trim() || schedule.name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof schedule.prompt !== 'string' || !schedule.prompt.trim() || schedule.prompt.length > MAX_PROMPT_LENGTH) {
+    errors.push(`prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  if (has('timezone') && !cron.isValidTimezone(schedule.timezone)) {
+    errors.push(`Unknown time zone "${schedule.timezone}"`);
+  }
+
+  const cronError = cron.validateCron(schedule.cronExpression);
+  if (cronError) {
+    errors.push(cronError);
+  } else if (!has('timezone') || cron.isValidTimezone(schedule.timezone)) {
+    // Two consecutive runs must be far enough apart
+    const first = getNextRunAt(schedule);
+    const second = first && getNextRunAt(schedule, first);
+    if (!first) {
+      errors.push('cronExpression never matches a date');
+    } else if (second && second - first < config.scheduler.minInterval) {
+      errors.push(`Runs must be at least ${Math.round(config.scheduler.minInterval / 60000)} minutes apart`);
+    }
+  }
+
+  if (schedule.delivery !== undefined && !DELIVERY_METHODS.includes(schedule.delivery)) {
+    errors.push(`delivery must be one of: ${DELIVERY_METHODS.join(', ')}`);
+  }
+  if (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Checks that a schedule's result can be delivered to the user.
+ * @param {Object} schedule - Schedule with delivery.
+ * @param {Object} user - User row of the schedule's owner.
+ * @returns {string|null} Error message, or null if the result can be delivered.
+ */
+function checkDeliveryTarget(schedule, user) {
+  if (schedule.delivery === 'telegram' && !getLinkedTelegramChatId(user)) {
+    return 'Telegram delivery is only available to accounts that use the Telegram bot';
+  }
+  if ((schedule.delivery || 'email') === 'email' && (!user || !user.email || getLinkedTelegramChatId(user))) {
+    return 'Your account has no email address; choose Telegram delivery instead';
+  }
+  return null;
+}
+
+/**
+ * Works out when a schedule runs next.
+ * @param {Object} schedule - Schedule with cronExpression and timezone.
+ * @param {number} after - Time to search from (default: now).
+ * @returns {number|null} Next run in milliseconds, or null if it never runs again.
+ */
+function getNextRunAt(schedule, after = Date.now()) {
+  const next = cron.getNextRun(schedule.cronExpression, after, schedule.timezone || null);
+  return next ? next.getTime() : null;
+}
+
+/**
+ * Returns the schedule's own chat, creating it if it does not exist (yet).
+ * @param {Object} schedule - Schedule row.
+ * @returns {Promise<number>} Chat ID.
+ */
+async function ensureChat(schedule) {
+  if (schedule.chatId) {
+    const chats = await chatFunctions.getUserChats(schedule.userId);
+    if (chats.some(chat => chat.id === schedule.chatId)) {
+      return schedule.chatId;
+    }
+  }
+  const chat = await chatFunctions.createChat(schedule.userId, `Scheduled: ${schedule.name}`);
+  return chat.id;
+}
+
+/**
+ * Sends the answer of a run to the schedule's delivery target.
+ * @param {Object} schedule - Schedule row.
+ * @param {string} result - The orchestrator's answer.
+ * @param {Object} metrics - { stepCount, duration } of the run.
+ */
+async function deliverResult(schedule, result, metrics) {
+  if (schedule.delivery === 'none') {
+    return;
+  }
+
+  const user = await userFunctions.getUserById(schedule.userId);
+  const task = `${schedule.name}: ${schedule.prompt}`;
+
+  if (schedule.delivery === 'telegram') {
+    const telegramChatId = getLinkedTelegramChatId(user);
+    // Loaded lazily: the orchestrator starts the scheduler while it is being loaded
+    const { tools } = require('../index');
+    const telegramBot = tools && tools.telegramBot;
+    if (!telegramChatId || !telegramBot || !telegramBot.isInitialized) {
+      throw new Error('Telegram delivery is not available for this schedule');
+    }
+    await telegramBot.sendLongMessage(telegramChatId, `⏰ ${schedule.name}\n\n${result}`);
+    return;
+  }
+
+  if (!user || !user.email || getLinkedTelegramChatId(user)) {
+    throw new Error('No email address to deliver the result to');
+  }
+  if (!(await emailService.sendTaskCompletionEmail(user.email, task, result, metrics.stepCount, metrics.duration))) {
+    throw new Error('Email service is not available');
+  }
+}
+
+/**
+ * Runs a schedule once and records the outcome.
+ * @param {Object} schedule - Schedule row.
+ * @returns {Promise<Object>} { status, chatId, result?, error? }
+ */
+async function runSchedule(schedule) {
+  if (runningSchedules.has(schedule.id)) {
+    return { status: 'skipped', chatId: schedule.chatId, error: 'The previous run is still in progress' };
+  }
+  runningSchedules.add(schedule.id);
+
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    const chatId = await ensureChat(schedule);
+
+    if (await contextManager.isTaskRunning(schedule.userId, chatId)) {
+      outcome = { status: 'skipped', chatId, error: 'A task is already running in the schedule\'s chat' };
+    } else {
+      logger.task(schedule.userId, chatId, 'Running scheduled task', { scheduleId: schedule.id, name: schedule.name });
+
+      const { centralOrchestrator } = require('../index');
+      const result = await centralOrchestrator(schedule.prompt, schedule.userId, chatId, false, {
+        planReview: false,
+        allowClarification: false
+      });
+
+      if (typeof result !== 'string' || FAILED_RESULT.test(result)) {
+        outcome = { status: 'failed', chatId, error: String(result) };
+      } else {
+        outcome = { status: 'completed', chatId, result };
+        try {
+          await deliverResult(schedule, result, {
+            stepCount: contextManager.getPlan(schedule.userId, chatId).length,
+            duration: contextManager.getTaskDuration(schedule.userId, chatId)
+          });
+        } catch (error) {
+          outcome = { status: 'undelivered', chatId, result, error: error.message };
+        }
+      }
+    }
+  } catch (error) {
+    outcome = { status: 'failed', chatId: schedule.chatId, error: error.message };
+  } finally {
+    runningSchedules.delete(schedule.id);
+  }
+
+  if (outcome.error) {
+    logger.warn('Scheduled task did not complete', { scheduleId: schedule.id, status: outcome.status, error: outcome.error });
+  }
+  try {
+    await scheduledTaskFunctions.recordRun(schedule.id, { ...outcome, startedAt });
+  } catch (error) {
+    logger.error('Error recording scheduled run', { scheduleId: schedule.id, error: error.message });
+  }
+  return outcome;
+}
+
+/**
+ * Starts every schedule that is due, claiming each run first.
+ * @returns {Promise<number>} Number of runs started.
+ */
+async function runDueSchedules() {
+  const now = Date.now();
+  let started = 0;
+
+  try {
+    const due = await scheduledTaskFunctions.getDueSchedules(now);
+    for (const schedule of due) {
+      // Runs missed while no instance was up collapse into this one
+      let nextRunAt = null;
+      try {
+        nextRunAt = getNextRunAt(schedule, now);
+      } catch (error) {
+        logger.error('Invalid cron expression in schedule', { scheduleId: schedule.id, error: error.message });
+      }
+
+      if (!(await scheduledTaskFunctions.claimRun(schedule.id, schedule.nextRunAt, nextRunAt))) {
+        continue;
+      }
+      started++;
+      runSchedule(schedule).catch(error => {
+        logger.error('Error running scheduled task', { scheduleId: schedule.id, error: error.message });
+      });
+    }
+  } catch (error) {
+    logger.error('Error checking scheduled tasks', { error: error.message });
+  }
+  return started;
+}
+
+/**
+ * Checks for due schedules periodically for the lifetime of the process.
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if the scheduler is disabled.
+ */
+function start() {
+  if (!config.scheduler.enabled || pollTimer) {
+    return pollTimer;
+  }
+  pollTimer = setInterval(runDueSchedules, config.scheduler.pollInterval);
+  pollTimer.unref();
+  return pollTimer;
+}
+
+/**
+ * Stops checking for due schedules; runs in progress continue.
+ */
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  DELIVERY_METHODS,
+  getLinkedTelegramChatId,
+  validateSchedule,
+  checkDeliveryTarget,
+  getNextRunAt,
+  ensureChat,
+  runSchedule,
+  runDueSchedules,
+  start,
+  stop
+};
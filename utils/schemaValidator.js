@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Minimal JSON Schema validator for AI function-call arguments.
+ * Supports the subset used by the function schemas in this project:
+ * type, enum, const, properties, required, additionalProperties, items,
+ * minItems, maxItems, minLength, maxLength, minimum and maximum.
+ */
+
+/**
+ * Returns the JSON Schema type name of a value.
+ * @param {*} value - Value to inspect.
+ * @returns {string} One of null, array, integer, number, string, boolean, object.
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Checks a value against a type name; integers also satisfy "number".
+ * @param {*} value - Value to check.
+ * @param {string} type - JSON Schema type name.
+ * @returns {boolean} Whether the value has the type.
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validates a value against a JSON Schema.
+ * @param {*} value - Value to validate.
+ * @param {Object} schema - JSON Schema.
+ * @param {string} path - Location of the value, used in error messages (default: "$").
+ * @returns {Array<string>} Validation errors; empty when valid.
+ */
+function validate(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be of type ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        if (propertyValue !== undefined && propertyValue !== null) {
+          errors.push(...validate(propertyValue, properties[key], `${path}.${key}`));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
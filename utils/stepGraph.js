@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Dependency graph helpers for plan execution.
+ * Turns the planner's `usingData` field into step dependencies so that
+ * steps without a data dependency on each other can run concurrently.
+ */
+
+/**
+ * Parses a step's `usingData` value into a dependency descriptor.
+ * A missing value is treated as "all", matching the planner prompt default.
+ * @param {string|Array|undefined} usingData - The step's usingData field.
+ * @returns {{mode: string, tools: Array<string>}} The parsed descriptor.
+ */
+function parseUsingData(usingData) {
+  if (usingData === undefined || usingData === null || usingData === '') {
+    return { mode: 'all', tools: [] };
+  }
+
+  const entries = (Array.isArray(usingData) ? usingData : String(usingData).split(','))
+    .map(entry => String(entry).trim())
+    .filter(entry => entry.length > 0);
+
+  if (entries.length === 0 || entries.includes('none')) {
+    return { mode: 'none', tools: [] };
+  }
+
+  if (entries.includes('all')) {
+    return { mode: 'all', tools: [] };
+  }
+
+  return { mode: 'tools', tools: entries };
+}
+
+/**
+ * Builds the dependency list for every step in a plan.
+ * A step only ever depends on steps that come before it, so the graph is acyclic.
+ * @param {Array} plan - The execution plan.
+ * @returns {Array<Set<number>>} For each step index, the indices it depends on.
+ */
+function buildDependencies(plan) {
+  return plan.map((step, index) => {
+    const dependencies = new Set();
+    const { mode, tools } = parseUsingData(step && step.usingData);
+
+    if (mode === 'none') {
+      return dependencies;
+    }
+
+    for (let i = 0; i < index; i++) {
+      if (mode === 'all' || tools.includes(plan[i] && plan[i].action)) {
+        dependencies.add(i);
+      }
+    }
+
+    return dependencies;
+  });
+}
+
+/**
+ * Returns the pending step indices whose dependencies have all completed.
+ * @param {Array<Set<number>>} dependencies - Output of buildDependencies.
+ * @param {Set<number>} pending - Indices not yet started.
+ * @param {Set<number>} completed - Indices that finished successfully.
+ * @returns {Array<number>} Ready indices in plan order.
+ */
+function getReadySteps(dependencies, pending, completed) {
+  return [...pending]
+    .sort((a, b) => a - b)
+    .filter(index => [...dependencies[index]].every(dep => completed.has(dep)));
+}
+
+module.exports = {
+  parseUsingData,
+  buildDependencies,
+  getReadySteps
+};
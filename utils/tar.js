@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Minimal tar (ustar) reading and writing.
+ * The Docker Engine API copies files into and out of containers as tar
+ * archives. Regular files and directories are supported; long names are
+ * written as pax headers, and pax and GNU long names are understood when
+ * reading. Links and other entry types are skipped.
+ */
+
+const BLOCK_SIZE = 512;
+const NAME_LENGTH = 100;
+
+/**
+ * Writes an octal header field, zero-padded and NUL-terminated.
+ * @param {Buffer} header - Header block.
+ * @param {number} offset - Field offset.
+ * @param {number} length - Field length.
+ * @param {number} value - Value to write.
+ */
+function writeOctal(header, offset, length, value) {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+}
+
+function readString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readOctal(header, offset, length) {
+  return parseInt(readString(header, offset, length).trim() || '0', 8);
+}
+
+function padding(size) {
+  return Buffer.alloc((BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE);
+}
+
+/**
+ * Builds one header block.
+ * @param {Object} entry - { name, size, mode, type, mtime }
+ * @returns {Buffer} The header.
+ */
+function createHeader({ name, size = 0, mode = 0o644, type = '0', mtime = Math.floor(Date.now() / 1000) }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name.slice(0, NAME_LENGTH), 0, NAME_LENGTH, 'utf8');
+  writeOctal(header, 100, 8, mode);
+  writeOctal(header, 108, 8, 0);
+  writeOctal(header, 116, 8, 0);
+  writeOctal(header, 124, 12, size);
+  writeOctal(header, 136, 12, mtime);
+  header.write(type, 156, 1, 'ascii');
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Builds a pax extended header carrying a long path.
+ * @param {string} name - Entry path.
+ * @returns {Buffer} Header and record blocks.
+ */
+function createPaxHeader(name) {
+  const body = ` path=${name}\n`;
+  // The record length counts its own digits
+  let length = Buffer.byteLength(body) + 1;
+  while (String(length).length + Buffer.byteLength(body) !== length) {
+    length = String(length).length + Buffer.byteLength(body);
+  }
+  const record = Buffer.from(`${length}${body}`);
+  return Buffer.concat([createHeader({ name: 'PaxHeader', size: record.length, type: 'x' }), record, padding(record.length)]);
+}
+
+/**
+ * Packs entries into a tar archive.
+ * @param {Array<Object>} entries - [{ name, content?, mode?, type? }]; type is "file" (default) or "directory".
+ * @returns {Buffer} The archive.
+ */
+function pack(entries) {
+  const blocks = [];
+  entries.forEach(entry => {
+    const isDirectory = entry.type === 'directory';
+    const name = isDirectory && !entry.name.endsWith('/') ? `${entry.name}/` : entry.name;
+    const content = isDirectory ? Buffer.alloc(0) : Buffer.from(entry.content || '');
+
+    if (Buffer.byteLength(name) > NAME_LENGTH) {
+      blocks.push(createPaxHeader(name));
+    }
+    blocks.push(createHeader({
+      name,
+      size: content.length,
+      mode: entry.mode || (isDirectory ? 0o755 : 0o644),
+      type: isDirectory ? '5' : '0'
+    }));
+    blocks.push(content, padding(content.length));
+  });
+  // Two empty blocks end the archive
+  blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Reads the entries of a tar archive.
+ * @param {Buffer} archive - The archive.
+ * @returns {Array<Object>} [{ name, type, mode, content }]; type is "file" or "directory".
+ */
+function unpack(archive) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + BLOCK_SIZE <= archive.length) {
+    const header = archive.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 48);
+    const content = archive.subarray(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size);
+    offset += BLOCK_SIZE + size + padding(size).length;
+
+    if (type === 'x') {
+      const path = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(content.toString('utf8'));
+      longName = path ? path[1] : longName;
+      continue;
+    }
+    if (type === 'L') {
+      longName = content.toString('utf8').replace(/\0+$/, '');
+      continue;
+    }
+
+    const prefix = readString(header, 345, 155);
+    const name = longName || (prefix ? `${prefix}/${readString(header, 0, NAME_LENGTH)}` : readString(header, 0, NAME_LENGTH));
+    longName = null;
+
+    if (type === '0' || type === '\0' || type === '5') {
+      entries.push({
+        name: name.replace(/\/$/, ''),
+        type: type === '5' ? 'directory' : 'file',
+        mode: readOctal(header, 100, 8),
+        content: type === '5' ? Buffer.alloc(0) : Buffer.from(content)
+      });
+    }
+  }
+  return entries;
+}
+
+module.exports = {
+  pack,
+  unpack
+};
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Reusable task templates.
+ * A template is a saved plan together with the task it answered. Its texts can
+ * contain placeholders such as {{company}}, which are filled in when the
+ * template is started; the filled-in plan then runs without a planning call.
+ */
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_PROMPT_LENGTH = 4000;
+const MAX_STEPS = 50;
+const MAX_VALUE_LENGTH = 1000;
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,49}$/;
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Step fields that may contain placeholders; the tool (action) is fixed
+const TEXT_FIELDS = ['step', 'expectedOutput'];
+
+/**
+ * Lists the placeholders used in a template's prompt and steps.
+ * @param {string} prompt - Task prompt.
+ * @param {Array} steps - Plan steps.
+ * @returns {Array<string>} Variable names in order of first use.
+ */
+function extractVariables(prompt, steps = []) {
+  const texts = [prompt || ''];
+  steps.forEach(step => TEXT_FIELDS.forEach(field => texts.push((step && step[field]) || '')));
+
+  const variables = [];
+  texts.forEach(text => {
+    for (const match of String(text).matchAll(PLACEHOLDER)) {
+      if (!variables.includes(match[1])) {
+        variables.push(match[1]);
+      }
+    }
+  });
+  return variables;
+}
+
+/**
+ * Replaces literal values with placeholders, e.g. { "Acme Inc": "company" }
+ * turns every "Acme Inc" into {{company}}. Longer values are replaced first.
+ * @param {string} text - Text to parameterize.
+ * @param {Object} replacements - Map of literal value to variable name.
+ * @returns {string} The parameterized text.
+ */
+function parameterize(text, replacements = {}) {
+  return Object.keys(replacements)
+    .filter(value => value)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, value) => result.split(value).join(`{{${replacements[value]}}}`), String(text || ''));
+}
+
+/**
+ * Builds a template from a plan that has run, turning the given values into placeholders.
+ * @param {Object} source - { name, description, prompt, steps, shared }
+ * @param {Object} replacements - Map of literal value to variable name.
+ * @returns {Object} Template ready to validate and store.
+ */
+function buildTemplate(source, replacements = {}) {
+  const steps = (source.steps || []).map(step => {
+    const templateStep = {
+      step: parameterize(step.step, replacements),
+      action: step.action,
+      expectedOutput: parameterize(step.expectedOutput, replacements)
+    };
+    ['usingData', 'model', 'intensity'].forEach(field => {
+      if (step[field] !== undefined && step[field] !== null) {
+        templateStep[field] = step[field];
+      }
+    });
+    return templateStep;
+  });
+  const prompt = parameterize(source.prompt, replacements);
+
+  return {
+    name: typeof source.name === 'string' ? source.name.trim() : source.name,
+    description: typeof source.description === 'string' ? source.description.trim() : null,
+    prompt,
+    steps,
+    variables: extractVariables(prompt, steps),
+    shared: source.shared === true
+  };
+}
+
+/**
+ * Validates a template.
+ * @param {Object} template - { name, description, prompt, steps, shared }
+ * @param {Object} replacements - Map of literal value to variable name used to build it, if any.
+ * @returns {Array<string>} Validation errors; empty if valid.
+ */
+function validateTemplate(template, replacements = {}) {
+  const errors = [];
+
+  if (typeof template.name !== 'string' || !template.name.trim() || template.name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (template.description && (typeof template.description !== 'string' || template.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (typeof template.prompt !== 'string' || !template.prompt.trim() || template.prompt.length > MAX_PROMPT_LENGTH) {
+    errors.push(`prompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters`);
+  }
+  if (!Array.isArray(template.steps) || template.steps.length === 0 || template.steps.length > MAX_STEPS) {
+    errors.push(`steps must contain 1 to ${MAX_STEPS} steps`);
+  } else {
+    template.steps.forEach((step, index) => {
+      if (!step || typeof step.step !== 'string' || !step.step.trim() || typeof step.action !== 'string' || !step.action) {
+        errors.push(`Step ${index + 1} needs a description and an action`);
+      }
+    });
+  }
+  if (template.shared !== undefined && typeof template.shared !== 'boolean') {
+    errors.push('shared must be true or false');
+  }
+  Object.values(replacements || {}).forEach(name => {
+    if (typeof name !== 'string' || !VARIABLE_NAME.test(name)) {
+      errors.push(`"${name}" is not a valid variable name (letters, digits and underscores)`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Fills in a template's placeholders.
+ * @param {Object} template - Stored template.
+ * @param {Object} values - Map of variable name to value.
+ * @returns {{prompt: string, steps: Array, missing: Array<string>}} The filled-in task and any variables without a value.
+ */
+function fillTemplate(template, values = {}) {
+  const missing = (template.variables || []).filter(name => {
+    const value = values[name];
+    return value === undefined || value === null || String(value).trim() === '';
+  });
+
+  // Values are inserted in one pass, so placeholders inside values stay as typed
+  const fill = text => String(text || '').replace(PLACEHOLDER, (placeholder, name) =>
+    values[name] === undefined || values[name] === null ? placeholder : String(values[name]).slice(0, MAX_VALUE_LENGTH));
+
+  return {
+    prompt: fill(template.prompt),
+    steps: (template.steps || []).map(step => {
+      const filled = { ...step };
+      TEXT_FIELDS.forEach(field => {
+        if (typeof filled[field] === 'string') {
+          filled[field] = fill(filled[field]);
+        }
+      });
+      return filled;
+    }),
+    missing
+  };
+}
+
+module.exports = {
+  extractVariables,
+  parameterize,
+  buildTemplate,
+  validateTemplate,
+  fillTemplate
+};
@@ -0,0 +1,357 @@
+/**
+ * @fileoverview Outbound webhooks for task lifecycle events.
+ * Users register URLs for the events they want. Every delivery is a JSON POST
+ * signed with the webhook's secret, recorded in a delivery log, and retried with
+ * exponential backoff until it succeeds or runs out of attempts. Attempts are
+ * claimed in the database, so with several instances each one is made once.
+ *
+ * Receivers verify a delivery by computing HMAC-SHA256 over
+ * "<X-Operon-Timestamp>.<raw body>" with the secret and comparing it to the
+ * X-Operon-Signature header ("sha256=<hex>"). Deliveries can arrive out of order.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const config = require('./config');
+const logger = require('./logger');
+const { webhookFunctions, webhookDeliveryFunctions } = require('../database');
+
+const EVENTS = ['task_received', 'steps', 'step_completed', 'task_completed', 'task_error', 'task_cancelled'];
+
+// Sent on request to check that a webhook is reachable; not subscribable
+const PING_EVENT = 'ping';
+
+const SECRET_PREFIX = 'whsec_';
+
+const MAX_URL_LENGTH = 2000;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_ERROR_LENGTH = 500;
+
+// An attempt that has not been recorded after this long is assumed lost and retried
+const LEASE_MARGIN = 60 * 1000;
+
+let pollTimer = null;
+
+/**
+ * Creates a random signing secret.
+ * @returns {string} The secret.
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Signs a delivery body.
+ * @param {string} secret - The webhook's secret.
+ * @param {number} timestamp - Unix time in seconds, sent in X-Operon-Timestamp.
+ * @param {string} body - The raw request body.
+ * @returns {string} Signature header value, "sha256=<hex>".
+ */
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Whether a host name is local or on a private network.
+ * Only literal addresses and localhost are recognised; other names are checked
+ * once resolved, when a delivery connects (see lookupPublicAddress).
+ * @param {string} hostname - Host name from a URL, or an IP address.
+ * @returns {boolean}
+ */
+function isPrivateHost(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return true;
+  }
+
+  if (net.isIPv4(host)) {
+    const [a, b] = host.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  if (net.isIPv6(host)) {
+    // IPv4-mapped addresses, which URL parsing writes in hex (::ffff:a00:1 for 10.0.0.1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(host);
+    if (mapped) {
+      return isPrivateHost(mapped[1]);
+    }
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(host);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPrivateHost([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  }
+  return false;
+}
+
+/**
+ * dns.lookup for delivery connections that refuses names resolving to local or private addresses.
+ * The connection is made to the address checked here, so a name cannot resolve to a
+ * public address when the webhook is saved and to a private one when it is delivered.
+ * @param {string} hostname - Host name to resolve.
+ * @param {Object} options - dns.lookup options.
+ * @param {Function} callback - dns.lookup callback.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const blocked = config.webhooks.allowPrivateUrls ? null : addresses.find(({ address }) => isPrivateHost(address));
+    if (blocked) {
+      const lookupError = new Error(`${hostname} resolves to a local or private address (${blocked.address})`);
+      lookupError.code = 'EPRIVATEADDRESS';
+      callback(lookupError);
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// Deliveries connect through these, so every address they reach has been checked
+const httpAgent = new http.Agent({ lookup: lookupPublicAddress });
+const httpsAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+/**
+ * Validates a webhook. When changing a webhook, pass the stored one merged with the changes.
+ * @param {Object} webhook - { url, events, description?, enabled? }
+ * @returns {Array<string>} Validation errors; empty if valid.
+ */
+function validateWebhook(webhook) {
+  const errors = [];
+
+  let url = null;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    // Reported below
+  }
+  if (typeof webhook.url !== 'string' || webhook.url.length > MAX_URL_LENGTH || !url || !['http:', 'https:'].includes(url.protocol)) {
+    errors.push(`url must be an http or https URL of at most ${MAX_URL_LENGTH} characters`);
+  } else if (!config.webhooks.allowPrivateUrls && isPrivateHost(url.hostname)) {
+    errors.push('url must not point to localhost or a private network');
+  }
+
+  if (!Array.isArray(webhook.events) || webhook.events.length === 0) {
+    errors.push(`events must be a non-empty list of: ${EVENTS.join(', ')}`);
+  } else {
+    const unknown = webhook.events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      errors.push(`Unknown events: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (webhook.description && (typeof webhook.description !== 'string' || webhook.description.length > MAX_DESCRIPTION_LENGTH)) {
+    errors.push(`description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+  if (webhook.enabled !== undefined && typeof webhook.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  return errors;
+}
+
+/**
+ * Prepares a socket event payload for delivery: file contents and dashboard-only fields are left out.
+ * @param {Object} payload - Payload as emitted to the dashboard.
+ * @returns {Object} Event data.
+ */
+function toEventData(payload) {
+  const { emailServiceAvailable, availableTools, ...data } = payload || {};
+  if (data.outputFiles) {
+    const strip = files => (files || []).map(({ content, fileContent, ...file }) => file);
+    data.outputFiles = { host: strip(data.outputFiles.host), container: strip(data.outputFiles.container) };
+  }
+  return data;
+}
+
+/**
+ * Works out when to retry after a failed attempt.
+ * @param {number} attempts - Attempts made so far.
+ * @returns {number} Delay in milliseconds.
+ */
+function getRetryDelay(attempts) {
+  return config.webhooks.retryDelay * Math.pow(2, Math.max(0, attempts - 1));
+}
+
+/**
+ * Makes one attempt to deliver and records the outcome.
+ * @param {Object} delivery - Delivery row with the webhook's url and secret.
+ * @returns {Promise<Object>} { status, attempts, responseStatus?, error?, nextAttemptAt? }
+ */
+async function attemptDelivery(delivery) {
+  const attempts = (delivery.attempts || 0) + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  let outcome;
+
+  try {
+    // Literal addresses are connected to without a lookup
+    if (!config.webhooks.allowPrivateUrls && isPrivateHost(new URL(delivery.url).hostname)) {
+      throw new Error('url points to localhost or a private network');
+    }
+
+    const response = await axios.post(delivery.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Operon-Webhooks/1.0',
+        'X-Operon-Event': delivery.event,
+        'X-Operon-Delivery': String(delivery.id),
+        'X-Operon-Timestamp': String(timestamp),
+        'X-Operon-Signature': sign(delivery.secret, timestamp, delivery.payload)
+      },
+      timeout: config.webhooks.timeout,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      // A proxy would resolve the receiver's name itself, unchecked
+      proxy: false,
+      // The body is already JSON; send it exactly as signed
+      transformRequest: [body => body],
+      validateStatus: () => true
+    });
+
+    outcome = response.status >= 200 && response.status < 300
+      ? { status: 'delivered', attempts, responseStatus: response.status }
+      : { status: 'pending', attempts, responseStatus: response.status, error: `Receiver answered with HTTP ${response.status}` };
+  } catch (error) {
+    outcome = { status: 'pending', attempts, error: String(error.message).slice(0, MAX_ERROR_LENGTH) };
+  }
+
+  if (outcome.status === 'pending') {
+    if (attempts >= config.webhooks.maxAttempts) {
+      outcome.status = 'failed';
+    } else {
+      outcome.nextAttemptAt = Date.now() + getRetryDelay(attempts);
+    }
+    logger.warn('Webhook delivery attempt failed', { deliveryId: delivery.id, attempts, status: outcome.status, error: outcome.error });
+  }
+
+  try {
+    await webhookDeliveryFunctions.recordAttempt(delivery.id, outcome);
+  } catch (error) {
+    logger.error('Error recording webhook delivery', { deliveryId: delivery.id, error: error.message });
+  }
+  return outcome;
+}
+
+/**
+ * Records a delivery to one webhook and makes the first attempt.
+ * @param {Object} webhook - Webhook with url and secret.
+ * @param {string} event - Event name.
+ * @param {Object} data - Event data.
+ * @returns {Promise<Object>} Outcome of the first attempt, with the delivery's id.
+ */
+async function deliver(webhook, event, data) {
+  const payload = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+  const { id } = await webhookDeliveryFunctions.createDelivery({
+    webhookId: webhook.id,
+    userId: webhook.userId,
+    event,
+    payload,
+    nextAttemptAt: Date.now() + config.webhooks.timeout + LEASE_MARGIN
+  });
+
+  const outcome = await attemptDelivery({ id, event, payload, attempts: 0, url: webhook.url, secret: webhook.secret });
+  return { id, ...outcome };
+}
+
+/**
+ * Sends an event to every webhook of the user that subscribes to it.
+ * Runs in the background and never throws, so emitting events cannot break a task.
+ * @param {string} userId - The user ID.
+ * @param {string} event - Event name.
+ * @param {Object} payload - Payload as emitted to the dashboard.
+ */
+function dispatch(userId, event, payload) {
+  if (!config.webhooks.enabled || !EVENTS.includes(event)) {
+    return;
+  }
+
+  webhookFunctions.getSubscribedWebhooks(userId, event)
+    .then(subscribed => Promise.all(subscribed.map(webhook => deliver(webhook, event, toEventData(payload)))))
+    .catch(error => {
+      logger.error('Error dispatching webhook event', { userId, event, error: error.message });
+    });
+}
+
+/**
+ * Sends a ping to a webhook, e.g. to check it from the settings page.
+ * @param {Object} webhook - Webhook with url and secret.
+ * @returns {Promise<Object>} Outcome of the first attempt, with the delivery's id.
+ */
+async function ping(webhook) {
+  return deliver(webhook, PING_EVENT, { webhookId: webhook.id, message: 'Webhook is set up correctly' });
+}
+
+/**
+ * Retries every delivery that is due, claiming each attempt first, and clears out old log entries.
+ * @returns {Promise<number>} Number of attempts made.
+ */
+async function retryDueDeliveries() {
+  const now = Date.now();
+  let attempted = 0;
+
+  try {
+    const due = await webhookDeliveryFunctions.getDueDeliveries(now);
+    for (const delivery of due) {
+      const leaseUntil = now + config.webhooks.timeout + LEASE_MARGIN;
+      if (!(await webhookDeliveryFunctions.claimDelivery(delivery.id, delivery.nextAttemptAt, leaseUntil))) {
+        continue;
+      }
+      attempted++;
+      await attemptDelivery(delivery);
+    }
+    await webhookDeliveryFunctions.deleteOldDeliveries(config.webhooks.logRetentionDays);
+  } catch (error) {
+    logger.error('Error retrying webhook deliveries', { error: error.message });
+  }
+  return attempted;
+}
+
+/**
+ * Retries due deliveries periodically for the lifetime of the process.
+ * @returns {NodeJS.Timeout|null} The interval handle, or null if webhooks are disabled.
+ */
+function start() {
+  if (!config.webhooks.enabled || pollTimer) {
+    return pollTimer;
+  }
+  pollTimer = setInterval(retryDueDeliveries, config.webhooks.pollInterval);
+  pollTimer.unref();
+  return pollTimer;
+}
+
+/**
+ * Stops retrying deliveries; attempts in progress continue.
+ */
+function stop() {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+module.exports = {
+  EVENTS,
+  generateSecret,
+  sign,
+  isPrivateHost,
+  validateWebhook,
+  toEventData,
+  dispatch,
+  ping,
+  retryDueDeliveries,
+  start,
+  stop
+};